@@ -0,0 +1,46 @@
+import { getUserFromToken } from "../services/supabase.js";
+
+/**
+ * Verify the Supabase access token from the Authorization header and attach
+ * the authenticated user to the request (req.user, req.userId)
+ */
+export async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res
+      .status(401)
+      .json({ error: "Missing or invalid Authorization header" });
+  }
+
+  try {
+    const user = await getUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired access token" });
+    }
+
+    req.user = user;
+    req.userId = user.id;
+    next();
+  } catch (error) {
+    console.error("Error verifying access token:", error);
+    res.status(401).json({ error: "Invalid or expired access token" });
+  }
+}
+
+/**
+ * Reject requests that name a different user than the authenticated one.
+ * Older clients still send userId in the body or URL; it is accepted only
+ * when it matches the token. Must run after body parsing (e.g. multer).
+ */
+export function forbidOtherUsers(req, res, next) {
+  const claimedUserId = req.params.userId || (req.body && req.body.userId);
+
+  if (claimedUserId && claimedUserId !== req.userId) {
+    return res
+      .status(403)
+      .json({ error: "You do not have access to this user's data" });
+  }
+
+  next();
+}
@@ -0,0 +1,87 @@
+import { createHash } from "crypto";
+
+import {
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  getIdempotencyKey,
+  releaseIdempotencyKey,
+} from "../services/supabase.js";
+
+// How long a response is kept for clients to retry against
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * What a key was used for: the method, path and a hash of the body (with
+ * the uploaded file, if any)
+ */
+function describeRequest(req) {
+  const hash = createHash("sha256").update(JSON.stringify(req.body || {}));
+  if (req.file) hash.update(req.file.buffer);
+  return { method: req.method, path: req.path, hash: hash.digest("hex") };
+}
+
+/**
+ * Make a request safe to retry. A request with an Idempotency-Key header
+ * runs once per user and key; a retry gets the stored response back (with
+ * Idempotent-Replayed: true) instead of running again, or 409 while the
+ * first request is still running. Reusing a key for a different request
+ * (another endpoint or body) is a 422. Server errors free the key so the
+ * request can be retried. Requests without the header run as usual.
+ * Must run after requireAuth (and after multer for uploads).
+ */
+export async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const expiresAt = new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    const request = describeRequest(req);
+    const claimed = await claimIdempotencyKey(req.userId, key, request, expiresAt);
+
+    if (!claimed) {
+      const stored = await getIdempotencyKey(req.userId, key);
+      if (
+        stored &&
+        (stored.request_method !== request.method ||
+          stored.request_path !== request.path ||
+          stored.request_hash !== request.hash)
+      ) {
+        return res
+          .status(422)
+          .json({ error: "This Idempotency-Key was already used for a different request" });
+      }
+      if (stored && stored.status_code) {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(stored.status_code).json(stored.response);
+      }
+      return res
+        .status(409)
+        .json({ error: "A request with this Idempotency-Key is still being processed" });
+    }
+  } catch (error) {
+    console.error("Error checking idempotency key:", error);
+    return res.status(500).json({ error: "Failed to check Idempotency-Key" });
+  }
+
+  // Store the response before sending it, so a retry never runs the request again
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      ? releaseIdempotencyKey(req.userId, key)
+      : completeIdempotencyKey(req.userId, key, res.statusCode, body);
+
+    store
+      .catch((error) => console.error("Error storing idempotent response:", error))
+      .finally(() => send(body));
+    return res;
+  };
+
+  next();
+}
@@ -2,13 +2,199 @@ import cors from "cors";
 import dotenv from "dotenv";
 import express from "express";
 import multer from "multer";
-import { extractExpenseData, transcribeAudio } from "./services/openai.js";
+import { forbidOtherUsers, requireAuth } from "./middleware/auth.js";
+import { idempotent } from "./middleware/idempotency.js";
+import {
+  categorizeTransactions,
+  extractExpenseData,
+  extractReceiptData,
+  normalizeIntent,
+  normalizeReceipt,
+  transcribeAudio,
+} from "./services/openai.js";
+import { chatProvider, speechProvider } from "./services/providers.js";
 import {
   saveTransaction,
   saveLoan,
+  getLoan,
+  getLoanRepayments,
+  getLoanSchedule,
+  recordLoanCollection,
   recordLoanRepayment,
   saveFeedback,
+  getTransactions,
+  updateTransaction,
+  deleteTransaction,
+  getTransactionSummary,
+  getTransactionTimeSeries,
+  getLoans,
+  deleteLoan,
+  saveBudget,
+  getBudgets,
+  updateBudget,
+  deleteBudget,
+  getGoals,
+  getGoal,
+  saveGoal,
+  updateGoal,
+  deleteGoal,
+  getGoalTotals,
+  getGoalContributions,
+  saveGoalContribution,
+  deleteGoalContribution,
+  saveRecurringRule,
+  getRecurringRules,
+  getRecurringRule,
+  updateRecurringRule,
+  deleteRecurringRule,
+  saveDraft,
+  getDraft,
+  updateDraftData,
+  claimDraft,
+  deleteDraft,
+  getUserSettings,
+  updateUserSettings,
+  getExchangeRates,
+  saveExchangeRates,
+  convertAmount,
+  saveImportBatch,
+  getImportBatch,
+  getImportBatches,
+  commitImportBatch,
+  rollbackImportBatch,
+  getCategories,
+  saveCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryRules,
+  learnCategoryRule,
+  deleteCategoryRule,
+  getTransaction,
+  getAccounts,
+  saveAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountBalances,
+  getAccountLedger,
+  getLedgers,
+  getLedgerMembership,
+  saveLedger,
+  updateLedger,
+  deleteLedger,
+  getLedgerMembers,
+  saveLedgerMember,
+  updateLedgerMember,
+  deleteLedgerMember,
+  getDeletedMemberTransactions,
+  findUserIdByEmail,
+  saveSplitTransaction,
+  getLedgerBalances,
+  getLedgerSettlements,
+  saveLedgerSettlement,
+  restoreTransaction,
+  restoreLoan,
+  getAuditLog,
+  undoChanges,
 } from "./services/supabase.js";
+import { matchAccount, withBalances } from "./services/accounts.js";
+import { summarizeSchedule } from "./services/amortization.js";
+import { manualContext, messageContext } from "./services/audit.js";
+import {
+  BUILT_IN_CATEGORIES,
+  applyCategoryRules,
+  listCategories,
+  matchCategoryRule,
+  ruleKey,
+} from "./services/categories.js";
+import { loadExchangeRatesFile } from "./services/currency.js";
+import { addDays, isAmbiguousDay, isValidTimeZone, localToday } from "./services/dates.js";
+import {
+  LOAN_COLUMNS,
+  TRANSACTION_COLUMNS,
+  writeCsv,
+  writeMonthlyStatement,
+  writeXlsx,
+} from "./services/export.js";
+import { GOAL_STATUSES, matchGoal, withProgress } from "./services/goals.js";
+import {
+  applyImportReview,
+  categorizeByKeywords,
+  detectStatementFormat,
+  markDuplicates,
+  parseStatement,
+  summarizeImport,
+} from "./services/importer.js";
+import {
+  LANGUAGE_PREFERENCES,
+  LANGUAGES,
+  categoryLabel,
+  localizeDigits,
+  resolveLanguage,
+} from "./services/language.js";
+import {
+  AMOUNT_HISTORY_DAYS,
+  AMOUNT_HISTORY_LIMIT,
+  findOutlier,
+  summarizeAmountHistory,
+  validateIntent,
+} from "./services/intents.js";
+import { hasRole, matchMembers, settleUp, splitEqually } from "./services/ledgers.js";
+import { LOAN_DIRECTIONS, summarizeLoanPositions } from "./services/loans.js";
+import { runLedgerQuery } from "./services/query.js";
+import { nextOccurrenceFrom } from "./services/recurrence.js";
+import { startScheduler } from "./services/scheduler.js";
+import {
+  SESSION_INTENTS,
+  addEntry,
+  amendIntent,
+  describeSessionContext,
+  findEntry,
+  lastEntry,
+  loadSession,
+  popAction,
+  pushAction,
+  recordTurn,
+  removeEntry,
+  replaceEntry,
+  saveSession,
+} from "./services/sessions.js";
+import {
+  buildBudgetStatus,
+  crossedBudgetThreshold,
+  monthEnd,
+  monthStart,
+} from "./services/budgets.js";
+import {
+  compareSummaries,
+  fillTimeSeries,
+  resolvePeriod,
+} from "./services/summary.js";
+import {
+  encodeCursor,
+  transferErrors,
+  validateAccountInput,
+  parseAuditQuery,
+  parseExportQuery,
+  parseMonthQuery,
+  parseSummaryQuery,
+  parseTransactionFilters,
+  validateBudgetInput,
+  validateCategoryInput,
+  validateExchangeRateInput,
+  validateGoalContributionInput,
+  validateGoalInput,
+  validateImportCommitInput,
+  validateImportInput,
+  validateLedgerInput,
+  validateLedgerMemberInput,
+  validateLoanRepaymentInput,
+  validateRecurringRuleInput,
+  validateSettlementInput,
+  validateSplitInput,
+  validateTransactionInput,
+  validateUndoInput,
+  validateUserSettingsInput,
+} from "./services/validation.js";
 
 dotenv.config();
 
@@ -21,6 +207,11 @@ const upload = multer({
   limits: { fileSize: 25 * 1024 * 1024 }, // 25MB limit
 });
 
+const RECEIPT_MIME_TYPES = ["image/jpeg", "image/png", "application/pdf"];
+
+// How long an unconfirmed draft can be confirmed or edited
+const DRAFT_TTL_MINUTES = Number(process.env.DRAFT_TTL_MINUTES) || 30;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -30,13 +221,93 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", message: "Server is running" });
 });
 
-// Main webhook endpoint (replacing n8n)
-app.post("/api/process", upload.single("file"), async (req, res) => {
+// Every API route requires a Supabase access token; the user id comes from it
+app.use("/api", requireAuth);
+
+// Main webhook endpoint (replacing n8n). Clients may send an
+// Idempotency-Key header so a retried request isn't recorded twice.
+app.post("/api/process", upload.single("file"), forbidOtherUsers, idempotent, async (req, res) => {
   try {
-    const { mode, text, userId, sessionId } = req.body;
+    const { mode, text, sessionId, splitByCategory, confirm, language, timezone, ledgerId } = req.body;
+    const { userId } = req;
+    const settings = await getUserSettings(userId);
+
+    if (language !== undefined && !LANGUAGE_PREFERENCES.includes(language)) {
+      return res.status(400).json({ error: `language must be one of: ${LANGUAGE_PREFERENCES.join(", ")}` });
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: "timezone must be an IANA timezone such as Asia/Dhaka" });
+    }
+    // Transactions sent with a ledgerId are recorded in that shared ledger
+    const membership = ledgerId ? await getLedgerMembership(userId, ledgerId) : null;
+    if (ledgerId && !membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (membership && !hasRole(membership, "editor")) {
+      return res.status(403).json({ error: "Viewers can't record in this ledger" });
+    }
+    // Relative dates ("yesterday") are counted from the user's own today
+    const today = localToday(timezone || settings.timezone);
+    const defaults = { today, currency: settings.home_currency };
+    // Replies use the requested or preferred language, else the input's own
+    let lang = resolveLanguage({ requested: language, preference: settings.language });
+
+    // With confirm=true nothing is saved yet; a draft is returned for review
+    const wantsDraft = confirm === true || confirm === "true";
+
+    // Handle receipt mode (photo or PDF of a shop receipt)
+    if (mode === "receipt") {
+      if (!req.file || !RECEIPT_MIME_TYPES.includes(req.file.mimetype)) {
+        return res
+          .status(400)
+          .json({ error: "A JPEG, PNG or PDF receipt file is required" });
+      }
+
+      console.log("Extracting receipt data...");
+      const receipt = await extractReceiptData(
+        req.file.buffer,
+        req.file.mimetype,
+        req.file.originalname,
+        settings.home_currency,
+        today
+      );
+      console.log("Extracted receipt:", receipt);
+
+      const split = splitByCategory === true || splitByCategory === "true";
+
+      if (wantsDraft) {
+        const draft = await createDraft(userId, mode, null, {
+          receipt,
+          splitByCategory: split,
+          ledgerId: membership ? membership.ledger_id : null,
+        });
+        const response = generateDraftMessage(draft, lang);
+        return res.json({
+          output: response,
+          reply: response,
+          language: lang,
+          data: receipt,
+          items: receipt.items,
+          draft,
+        });
+      }
 
-    if (!userId) {
-      return res.status(400).json({ error: "userId is required" });
+      const response = await processReceipt(
+        userId,
+        receipt,
+        split,
+        lang,
+        messageContext(userId, mode, null),
+        { today },
+        membership ? membership.ledger_id : null
+      );
+      return res.json({
+        output: response,
+        reply: response,
+        language: lang,
+        data: receipt,
+        items: receipt.items,
+      });
     }
 
     let inputText = "";
@@ -44,75 +315,122 @@ app.post("/api/process", upload.single("file"), async (req, res) => {
     // Handle voice mode
     if (mode === "voice" && req.file) {
       console.log("Transcribing audio...");
-      inputText = await transcribeAudio(req.file.buffer, req.file.originalname);
+      // A fixed language helps Whisper; with "auto" it detects the language itself
+      const spoken = [language, settings.language].find((value) => LANGUAGES.includes(value));
+      const transcription = await transcribeAudio(req.file.buffer, req.file.originalname, { language: spoken });
+      inputText = transcription.text;
+      lang = resolveLanguage({ requested: language, preference: settings.language, detected: transcription.language, text: inputText });
       console.log("Transcription:", inputText);
     }
     // Handle text mode
     else if (mode === "text" && text) {
       inputText = text;
+      lang = resolveLanguage({ requested: language, preference: settings.language, text: inputText });
     } else {
       return res.status(400).json({ error: "Invalid mode or missing data" });
     }
 
-    // Extract data using OpenAI (now with intent detection)
+    // Everything saved from this message is logged with its input
+    const audit = messageContext(userId, mode, inputText);
+
+    // Extract data using OpenAI (one utterance may contain several intents);
+    // categories learned from the user's corrections override the model's
     console.log("Extracting data...");
-    const extractedData = await extractExpenseData(inputText, userId);
-    console.log("Extracted data:", extractedData);
-
-    let response;
-
-    if (extractedData.intent === "new_loan") {
-      // Handle new loan
-      if (extractedData.principal_amount) {
-        const loan = await saveLoan({ userId, ...extractedData });
-        // Also record as income transaction (money received)
-        await saveTransaction({
-          userId,
-          amount: extractedData.principal_amount,
-          currency: extractedData.currency || "BDT",
-          category: "loan",
-          notes: `Loan from ${extractedData.lender_name}`,
-          type: "income",
-          date: extractedData.date || new Date().toISOString().split("T")[0],
-        });
-        response = generateLoanResponseMessage(extractedData, loan);
-      } else {
-        response = "I couldn't extract the loan details. Please provide the loan amount and lender name.";
-      }
-    } else if (extractedData.intent === "loan_repayment") {
-      // Handle loan repayment
-      if (extractedData.amount && extractedData.lender_name) {
-        const result = await recordLoanRepayment(
-          userId,
-          extractedData.lender_name,
-          extractedData.amount,
-          extractedData.date || new Date().toISOString().split("T")[0],
-          extractedData.currency || "BDT"
-        );
-        response = generateRepaymentResponseMessage(extractedData, result);
-      } else {
-        response = "I couldn't extract the repayment details. Please provide the amount and which loan it's for.";
-      }
-    } else {
-      // Default: regular transaction (existing flow, unchanged)
-      if (extractedData.amount && extractedData.type) {
-        await saveTransaction({
-          userId,
-          amount: extractedData.amount,
-          currency: extractedData.currency || "BDT",
-          category: extractedData.category || "other",
-          notes: extractedData.notes || inputText,
-          type: extractedData.type,
-          date: extractedData.date || new Date().toISOString().split("T")[0],
-        });
-      }
-      response = generateResponseMessage(extractedData);
+    const [categories, categoryRules, accounts, goals, session] = await Promise.all([
+      getCategories(userId),
+      getCategoryRules(userId),
+      getAccounts(userId),
+      getGoals(userId, { status: "active" }),
+      loadSession(userId, sessionId),
+    ]);
+    const extractedItems = applyCategoryRules(
+      await extractExpenseData(inputText, userId, {
+        defaultCurrency: settings.home_currency,
+        categories,
+        accounts,
+        goals,
+        context: describeSessionContext(session, (intent) => describeIntent(intent)),
+        today,
+      }),
+      categoryRules
+    );
+    console.log("Extracted data:", extractedItems);
+
+    // Items that fail the checks are reported back instead of being saved
+    const { items: checked, rejected } = checkIntents(extractedItems, { today, categories }, lang);
+    const checkedItems = membership
+      ? checked.map((item) => (item.intent === "transaction" ? { ...item, ledger_id: membership.ledger_id } : item))
+      : checked;
+
+    if (wantsDraft) {
+      // Questions save nothing, so they are answered right away
+      const pending = checkedItems.filter((item) => item.intent !== "query");
+      const results = await processIntents(
+        userId,
+        checkedItems.filter((item) => item.intent === "query"),
+        inputText,
+        lang,
+        null,
+        audit,
+        defaults
+      );
+      const draft = pending.length
+        ? await createDraft(userId, mode, inputText, pending, session && session.sessionId)
+        : null;
+
+      const response = [
+        draft && generateDraftMessage(draft, lang),
+        ...results.map((result) => result.reply),
+        ...rejected.map((result) => result.reply),
+      ]
+        .filter(Boolean)
+        .join("\n");
+      recordTurn(session, inputText, response);
+      await saveSession(session);
+      return res.json({
+        output: response,
+        reply: response,
+        language: lang,
+        data: checkedItems,
+        results: [...results, ...rejected],
+        draft,
+      });
     }
 
+    // Unusually large amounts wait in a draft until the user confirms them
+    const unusual = await findUnusualAmounts(userId, checkedItems, today);
+    const held = checkedItems.filter((item) => unusual.has(item));
+    const results = await processIntents(
+      userId,
+      checkedItems.filter((item) => !unusual.has(item)),
+      inputText,
+      lang,
+      session,
+      audit,
+      defaults
+    );
+    const draft = held.length
+      ? await createDraft(userId, mode, inputText, held, session && session.sessionId)
+      : null;
+    const heldResults = held.map((item) => ({
+      success: false,
+      intent: item.intent,
+      reply: localizeDigits(generateOutlierMessage(item, unusual.get(item), lang), lang),
+      warnings: [unusual.get(item)],
+      data: item,
+    }));
+
+    const response = [...results, ...heldResults, ...rejected].map((result) => result.reply).join("\n");
+    recordTurn(session, inputText, response);
+    await saveSession(session);
+
     res.json({
       output: response,
       reply: response,
-      data: extractedData,
+      language: lang,
+      data: checkedItems,
+      results: [...results, ...heldResults, ...rejected],
+      ...(draft ? { draft } : {}),
     });
   } catch (error) {
     console.error("Error processing request:", error);
@@ -123,114 +441,3438 @@ app.post("/api/process", upload.single("file"), async (req, res) => {
   }
 });
 
-// Get user transactions
-app.get("/api/transactions/:userId", async (req, res) => {
+// Get a pending draft
+app.get("/api/drafts/:id", async (req, res) => {
+  try {
+    const draft = await getDraft(req.userId, req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found or expired" });
+    }
+    res.json({ draft });
+  } catch (error) {
+    console.error("Error fetching draft:", error);
+    res.status(500).json({ error: "Failed to fetch draft" });
+  }
+});
+
+// Edit a pending draft's extracted data without confirming it
+app.patch("/api/drafts/:id", async (req, res) => {
+  try {
+    const draft = await getDraft(req.userId, req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found or expired" });
+    }
+
+    const [settings, categories] = await Promise.all([getUserSettings(req.userId), getCategories(req.userId)]);
+    const { data, error, details } = normalizeDraftData(draft, req.body.data, {
+      defaultCurrency: settings.home_currency,
+      today: localToday(settings.timezone),
+      categories,
+    });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const updated = await updateDraftData(req.userId, draft.id, data);
+    if (!updated) {
+      return res.status(404).json({ error: "Draft not found or expired" });
+    }
+    res.json({ draft: updated });
+  } catch (error) {
+    console.error("Error updating draft:", error);
+    res.status(500).json({ error: "Failed to update draft" });
+  }
+});
+
+// Confirm a draft (optionally with edited data) and save it
+app.post("/api/drafts/:id/confirm", async (req, res) => {
+  try {
+    const draft = await getDraft(req.userId, req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found or expired" });
+    }
+
+    const [settings, categories] = await Promise.all([getUserSettings(req.userId), getCategories(req.userId)]);
+    // Confirming is the user's go-ahead, so unusual amounts aren't flagged again
+    const { data, error, details } = req.body && req.body.data !== undefined
+      ? normalizeDraftData(draft, req.body.data, {
+          defaultCurrency: settings.home_currency,
+          today: localToday(settings.timezone),
+          categories,
+        })
+      : { data: draft.data };
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const claimed = await claimDraft(req.userId, draft.id, data);
+    if (!claimed) {
+      return res.status(409).json({ error: "Draft was already confirmed, discarded or expired" });
+    }
+
+    const lang = resolveLanguage({ preference: settings.language, text: claimed.input_text });
+    const audit = messageContext(req.userId, claimed.mode, claimed.input_text);
+
+    if (claimed.mode === "receipt") {
+      const { receipt, splitByCategory, ledgerId } = claimed.data;
+      const response = await processReceipt(
+        req.userId,
+        receipt,
+        splitByCategory,
+        lang,
+        audit,
+        { today: localToday(settings.timezone), categories },
+        ledgerId
+      );
+      return res.json({
+        output: response,
+        reply: response,
+        language: lang,
+        data: receipt,
+        items: receipt.items,
+      });
+    }
+
+    const session = await loadSession(req.userId, claimed.session_id);
+    const results = await processIntents(req.userId, claimed.data, claimed.input_text, lang, session, audit, {
+      today: localToday(settings.timezone),
+      currency: settings.home_currency,
+    });
+    const response = results.map((result) => result.reply).join("\n");
+    await saveSession(session);
+    res.json({
+      output: response,
+      reply: response,
+      language: lang,
+      data: claimed.data,
+      results,
+    });
+  } catch (error) {
+    console.error("Error confirming draft:", error);
+    res.status(500).json({ error: "Failed to confirm draft" });
+  }
+});
+
+// Discard a draft
+app.delete("/api/drafts/:id", async (req, res) => {
+  try {
+    const draft = await deleteDraft(req.userId, req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: "Draft not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting draft:", error);
+    res.status(500).json({ error: "Failed to delete draft" });
+  }
+});
+
+// List the authenticated user's transactions with filters and cursor pagination
+// (the :userId form is kept for older clients and must match the token)
+app.get(["/api/transactions", "/api/transactions/:userId"], forbidOtherUsers, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { getTransactions } = await import("./services/supabase.js");
-    const transactions = await getTransactions(userId);
-    res.json({ transactions });
+    const { filters, errors } = parseTransactionFilters(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const { transactions, nextCursor } = await getTransactions(req.userId, filters);
+    res.json({
+      transactions,
+      nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+    });
   } catch (error) {
     console.error("Error fetching transactions:", error);
     res.status(500).json({ error: "Failed to fetch transactions" });
   }
 });
 
-// Get user loans
-app.get("/api/loans/:userId", async (req, res) => {
+// Create a transaction manually
+app.post("/api/transactions", forbidOtherUsers, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { getLoans } = await import("./services/supabase.js");
-    const loans = await getLoans(userId);
-    res.json({ loans });
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateTransactionInput(req.body, {
+      defaultCurrency: settings.home_currency,
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: errors });
+    }
+    const accountErrors = unknownAccountErrors(await getAccounts(req.userId), values);
+    if (accountErrors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: accountErrors });
+    }
+
+    // Without a category, a rule learned from the notes is used if one fits
+    if (req.body.category === undefined) {
+      const rule = matchCategoryRule(await getCategoryRules(req.userId), values.notes);
+      if (rule) values.category = rule.category;
+    }
+
+    const transaction = await saveTransaction({ userId: req.userId, ...values }, manualContext(req.userId));
+    res.status(201).json({ transaction });
   } catch (error) {
-    console.error("Error fetching loans:", error);
-    res.status(500).json({ error: "Failed to fetch loans" });
+    console.error("Error creating transaction:", error);
+    res.status(500).json({ error: "Failed to create transaction" });
   }
 });
 
-// Delete loan
-app.delete("/api/loans/:id", async (req, res) => {
+// Edit a transaction
+app.patch("/api/transactions/:id", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { deleteLoan } = await import("./services/supabase.js");
-    await deleteLoan(id);
-    res.json({ success: true });
+    const { values, errors } = validateTransactionInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: errors });
+    }
+
+    const [existing, accounts] = await Promise.all([
+      getTransaction(req.userId, req.params.id),
+      getAccounts(req.userId),
+    ]);
+    if (!existing) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+    // Account fields are checked on the transaction as it will be after the edit
+    const accountErrors = [
+      ...unknownAccountErrors(accounts, values),
+      ...transferErrors({ ...existing, ...values }),
+      ...(existing.ledger_id && values.type === "transfer"
+        ? [{ field: "type", message: "transfers can't be recorded in a shared ledger" }]
+        : []),
+    ];
+    if (accountErrors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: accountErrors });
+    }
+    // Members' shares were worked out from the amount, so a split keeps it
+    if (existing.paid_by_member_id && ["amount", "currency", "type"].some((field) => values[field] !== undefined)) {
+      return res.status(409).json({
+        error: "A split expense's amount, currency and type can't change; delete it and record it again",
+      });
+    }
+
+    const transaction = await updateTransaction(req.userId, req.params.id, values, manualContext(req.userId));
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    // Re-categorising teaches the category for similar notes from now on
+    if (values.category !== undefined) {
+      await learnFromCorrection(req.userId, transaction.notes, transaction.category);
+    }
+    res.json({ transaction });
   } catch (error) {
-    console.error("Error deleting loan:", error);
-    res.status(500).json({ error: "Failed to delete loan" });
+    console.error("Error updating transaction:", error);
+    res.status(500).json({ error: "Failed to update transaction" });
   }
 });
 
-// Delete transaction
-app.delete("/api/transactions/:id", async (req, res) => {
+// Spending summary for a period, compared with the previous period
+app.get("/api/summary", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { deleteTransaction } = await import("./services/supabase.js");
-    await deleteTransaction(id);
+    const { options, errors } = parseSummaryQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const period = resolvePeriod(options);
+    const interval = options.interval || period.interval;
+    const { home_currency: homeCurrency } = await getUserSettings(req.userId);
+
+    const [current, previous, seriesRows, homeSeriesRows, loans] = await Promise.all([
+      getTransactionSummary(req.userId, period.startDate, period.endDate, homeCurrency),
+      getTransactionSummary(req.userId, period.previous.startDate, period.previous.endDate, homeCurrency),
+      getTransactionTimeSeries(req.userId, period.startDate, period.endDate, interval),
+      getTransactionTimeSeries(req.userId, period.startDate, period.endDate, interval, homeCurrency),
+      getLoans(req.userId),
+    ]);
+
+    // Everything converted into the home currency, in the same shapes as the per-currency figures
+    const asHome = (summary) => ({ currencies: { [homeCurrency]: summary.home } });
+    const home = {
+      ...current.home,
+      comparison: compareSummaries(asHome(current), asHome(previous))[homeCurrency],
+      series: fillTimeSeries(homeSeriesRows, period.startDate, period.endDate, interval)[homeCurrency] || [],
+    };
+
+    res.json({
+      period: period.period,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      previousPeriod: period.previous,
+      homeCurrency,
+      home,
+      currencies: current.currencies,
+      comparison: compareSummaries(current, previous),
+      interval,
+      series: fillTimeSeries(seriesRows, period.startDate, period.endDate, interval),
+      // Current loan position, not limited to the period
+      loans: summarizeLoanPositions(loans),
+    });
+  } catch (error) {
+    console.error("Error fetching summary:", error);
+    res.status(500).json({ error: "Failed to fetch summary" });
+  }
+});
+
+// Spent vs. limit for each budget in a month (default: current month)
+app.get("/api/budgets/status", async (req, res) => {
+  try {
+    const { month, errors } = parseMonthQuery(req.query, { defaultToCurrent: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const { home_currency: homeCurrency } = await getUserSettings(req.userId);
+    const [budgets, summary] = await Promise.all([
+      getBudgets(req.userId, month),
+      getTransactionSummary(req.userId, month, monthEnd(month), homeCurrency),
+    ]);
+    res.json({ month: month.slice(0, 7), budgets: buildBudgetStatus(budgets, summary) });
+  } catch (error) {
+    console.error("Error fetching budget status:", error);
+    res.status(500).json({ error: "Failed to fetch budget status" });
+  }
+});
+
+// List budgets, optionally for one month
+app.get("/api/budgets", async (req, res) => {
+  try {
+    const { month, errors } = parseMonthQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const budgets = await getBudgets(req.userId, month);
+    res.json({ budgets });
+  } catch (error) {
+    console.error("Error fetching budgets:", error);
+    res.status(500).json({ error: "Failed to fetch budgets" });
+  }
+});
+
+// Create (or replace) the budget for a category and month
+app.post("/api/budgets", forbidOtherUsers, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateBudgetInput(req.body, {
+      defaultCurrency: settings.home_currency,
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid budget", details: errors });
+    }
+
+    const budget = await saveBudget({ userId: req.userId, ...values });
+    res.status(201).json({ budget });
+  } catch (error) {
+    console.error("Error saving budget:", error);
+    res.status(500).json({ error: "Failed to save budget" });
+  }
+});
+
+// Change a budget's limit
+app.patch("/api/budgets/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateBudgetInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid budget", details: errors });
+    }
+
+    const budget = await updateBudget(req.userId, req.params.id, values);
+    if (!budget) {
+      return res.status(404).json({ error: "Budget not found" });
+    }
+    res.json({ budget });
+  } catch (error) {
+    console.error("Error updating budget:", error);
+    res.status(500).json({ error: "Failed to update budget" });
+  }
+});
+
+// Delete a budget
+app.delete("/api/budgets/:id", async (req, res) => {
+  try {
+    const budget = await deleteBudget(req.userId, req.params.id);
+    if (!budget) {
+      return res.status(404).json({ error: "Budget not found" });
+    }
     res.json({ success: true });
   } catch (error) {
-    console.error("Error deleting transaction:", error);
-    res.status(500).json({ error: "Failed to delete transaction" });
+    console.error("Error deleting budget:", error);
+    res.status(500).json({ error: "Failed to delete budget" });
   }
 });
 
-function generateResponseMessage(data) {
-  if (!data.amount || !data.type) {
-    return "I couldn't extract the transaction details. Please provide the amount and specify if it's an expense or income.";
+// Savings goals with their progress (?status=active or archived)
+app.get("/api/goals", async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${GOAL_STATUSES.join(", ")}` });
+    }
+
+    const [settings, goals, totals] = await Promise.all([
+      getUserSettings(req.userId),
+      getGoals(req.userId, { status }),
+      getGoalTotals(req.userId),
+    ]);
+    res.json({ goals: withProgress(goals, totals, localToday(settings.timezone)) });
+  } catch (error) {
+    console.error("Error fetching goals:", error);
+    res.status(500).json({ error: "Failed to fetch goals" });
   }
+});
 
-  const emoji = data.type === "expense" ? "💸" : "💰";
-  const action =
-    data.type === "expense" ? "recorded expense" : "recorded income";
+// Create a goal: { name, targetAmount, currency, deadline, notes }
+app.post("/api/goals", forbidOtherUsers, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateGoalInput(req.body, { defaultCurrency: settings.home_currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid goal", details: errors });
+    }
 
-  return `${emoji} Successfully ${action}: ${data.currency || "BDT"} ${
-    data.amount
-  } for ${data.category || "other"}${data.notes ? ` (${data.notes})` : ""} on ${
-    data.date || "today"
-  }`;
-}
+    const goals = await getGoals(req.userId);
+    if (goals.some((goal) => goal.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.status(409).json({ error: `Goal "${values.name}" already exists` });
+    }
 
-function generateLoanResponseMessage(data) {
-  const type = data.loan_type === "personal" ? "personal loan" : "bank loan";
-  let msg = `🏦 Loan recorded: ${data.currency || "BDT"} ${data.principal_amount} ${type} from ${data.lender_name}`;
-  if (data.interest_rate) msg += ` at ${data.interest_rate}% interest`;
-  if (data.tenure_months) msg += ` for ${data.tenure_months} months`;
-  msg += ` on ${data.date || "today"}`;
-  return msg;
-}
+    const goal = await saveGoal({ userId: req.userId, ...values });
+    res.status(201).json({ goal: withProgress([goal], [], localToday(settings.timezone))[0] });
+  } catch (error) {
+    console.error("Error creating goal:", error);
+    res.status(500).json({ error: "Failed to create goal" });
+  }
+});
 
-function generateRepaymentResponseMessage(data, result) {
-  if (result.loan) {
-    const statusMsg = result.loan.status === "paid_off"
-      ? "🎉 This loan is now fully paid off!"
-      : `Remaining balance: ${result.loan.currency} ${Number(result.loan.remaining_balance).toFixed(2)}`;
-    return `💰 Repayment recorded: ${data.currency || "BDT"} ${data.amount} to ${data.lender_name}. ${statusMsg}`;
+// A goal with its progress and contributions
+app.get("/api/goals/:id", async (req, res) => {
+  try {
+    const goal = await getGoal(req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    const [settings, totals, contributions] = await Promise.all([
+      getUserSettings(req.userId),
+      getGoalTotals(req.userId),
+      getGoalContributions(req.userId, goal.id),
+    ]);
+    res.json({ goal: withProgress([goal], totals, localToday(settings.timezone))[0], contributions });
+  } catch (error) {
+    console.error("Error fetching goal:", error);
+    res.status(500).json({ error: "Failed to fetch goal" });
   }
-  return `💰 Repayment of ${data.currency || "BDT"} ${data.amount} to ${data.lender_name} recorded as expense (no matching active loan found).`;
-}
+});
 
-// Submit feedback
-app.post("/api/feedback", async (req, res) => {
+// Edit a goal's name, target, currency, deadline or notes, or archive it
+app.patch("/api/goals/:id", async (req, res) => {
   try {
-    const { userId, userName, userEmail, rating, comment } = req.body;
+    const { values, errors } = validateGoalInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid goal", details: errors });
+    }
 
-    if (!userId) {
-      return res.status(400).json({ error: "userId is required" });
+    const [settings, goals, totals] = await Promise.all([
+      getUserSettings(req.userId),
+      getGoals(req.userId),
+      getGoalTotals(req.userId),
+    ]);
+    const current = goals.find((goal) => goal.id === req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: "Goal not found" });
     }
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: "rating must be between 1 and 5" });
+    if (values.name && goals.some((goal) => goal.id !== current.id && goal.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.status(409).json({ error: `Goal "${values.name}" already exists` });
+    }
+    // Contributions are stored in the goal's currency
+    const total = totals.find((row) => row.goal_id === current.id);
+    if (values.currency && values.currency !== current.currency && total && Number(total.contribution_count)) {
+      return res.status(409).json({ error: "Goal has contributions, so its currency can't be changed" });
     }
 
-    await saveFeedback({ userId, userName, userEmail, rating, comment });
-    res.json({ success: true, message: "Feedback submitted successfully" });
+    const goal = await updateGoal(req.userId, current.id, values);
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+    res.json({ goal: withProgress([goal], totals, localToday(settings.timezone))[0] });
   } catch (error) {
-    console.error("Error saving feedback:", error);
-    res.status(500).json({ error: "Failed to save feedback" });
+    console.error("Error updating goal:", error);
+    res.status(500).json({ error: "Failed to update goal" });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Backend server running on http://localhost:${PORT}`);
-  console.log(`📊 Ready to process expense tracking requests`);
+// Delete a goal and its contributions
+app.delete("/api/goals/:id", async (req, res) => {
+  try {
+    const goal = await deleteGoal(req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting goal:", error);
+    res.status(500).json({ error: "Failed to delete goal" });
+  }
+});
+
+// Put money toward a goal: { amount, currency, date, notes }. Amounts in
+// another currency are converted at the date's exchange rate.
+app.post("/api/goals/:id/contributions", forbidOtherUsers, async (req, res) => {
+  try {
+    const goal = await getGoal(req.userId, req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    const { values, errors } = validateGoalContributionInput(req.body, { defaultCurrency: goal.currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid contribution", details: errors });
+    }
+
+    const { contribution, goal: updated } = await contributeToGoal(req.userId, goal, values);
+    if (!contribution) {
+      return res.status(400).json({
+        error: "Invalid contribution",
+        details: [{ field: "currency", message: `no exchange rate from ${values.currency} to ${goal.currency}` }],
+      });
+    }
+    res.status(201).json({ contribution, goal: updated });
+  } catch (error) {
+    console.error("Error recording goal contribution:", error);
+    res.status(500).json({ error: "Failed to record goal contribution" });
+  }
+});
+
+// Remove a contribution recorded by mistake
+app.delete("/api/goals/:id/contributions/:contributionId", async (req, res) => {
+  try {
+    const contributions = await getGoalContributions(req.userId, req.params.id);
+    if (!contributions.some((contribution) => contribution.id === req.params.contributionId)) {
+      return res.status(404).json({ error: "Contribution not found" });
+    }
+
+    await deleteGoalContribution(req.userId, req.params.contributionId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting goal contribution:", error);
+    res.status(500).json({ error: "Failed to delete goal contribution" });
+  }
+});
+
+// Built-in and custom categories; sub-categories name their parent
+app.get("/api/categories", async (req, res) => {
+  try {
+    const categories = await getCategories(req.userId);
+    res.json({ categories: listCategories(categories) });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// Create a custom category: { name, label, parent, icon }
+app.post("/api/categories", forbidOtherUsers, async (req, res) => {
+  try {
+    const { values, errors } = validateCategoryInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid category", details: errors });
+    }
+
+    const categories = await getCategories(req.userId);
+    if (
+      BUILT_IN_CATEGORIES.includes(values.name) ||
+      categories.some((category) => category.name === values.name)
+    ) {
+      return res.status(409).json({ error: `Category "${values.name}" already exists` });
+    }
+    if (values.parent) {
+      const message = categoryParentError(categories, values.parent, values);
+      if (message) {
+        return res.status(400).json({ error: "Invalid category", details: [{ field: "parent", message }] });
+      }
+    }
+
+    const category = await saveCategory({ userId: req.userId, ...values });
+    res.status(201).json({ category });
+  } catch (error) {
+    console.error("Error creating category:", error);
+    res.status(500).json({ error: "Failed to create category" });
+  }
+});
+
+// Rules learned from re-categorised transactions
+app.get("/api/categories/rules", async (req, res) => {
+  try {
+    const rules = await getCategoryRules(req.userId);
+    res.json({ rules });
+  } catch (error) {
+    console.error("Error fetching category rules:", error);
+    res.status(500).json({ error: "Failed to fetch category rules" });
+  }
+});
+
+// Forget a learned rule
+app.delete("/api/categories/rules/:id", async (req, res) => {
+  try {
+    const rule = await deleteCategoryRule(req.userId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Category rule not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting category rule:", error);
+    res.status(500).json({ error: "Failed to delete category rule" });
+  }
+});
+
+// Edit a custom category's label, parent or icon
+app.patch("/api/categories/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateCategoryInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid category", details: errors });
+    }
+
+    const categories = await getCategories(req.userId);
+    const existing = categories.find((category) => category.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    if (values.parent) {
+      const message = categoryParentError(categories, values.parent, existing);
+      if (message) {
+        return res.status(400).json({ error: "Invalid category", details: [{ field: "parent", message }] });
+      }
+    }
+
+    const category = await updateCategory(req.userId, existing.id, values);
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    res.json({ category });
+  } catch (error) {
+    console.error("Error updating category:", error);
+    res.status(500).json({ error: "Failed to update category" });
+  }
+});
+
+// Delete a custom category (its transactions keep the category name)
+app.delete("/api/categories/:id", async (req, res) => {
+  try {
+    const category = await deleteCategory(req.userId, req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+});
+
+// The user's accounts with their current balances
+app.get("/api/accounts", async (req, res) => {
+  try {
+    const [accounts, balances] = await Promise.all([getAccounts(req.userId), getAccountBalances(req.userId)]);
+    res.json({ accounts: withBalances(accounts, balances) });
+  } catch (error) {
+    console.error("Error fetching accounts:", error);
+    res.status(500).json({ error: "Failed to fetch accounts" });
+  }
+});
+
+// Create an account: { name, type, currency, openingBalance }
+app.post("/api/accounts", forbidOtherUsers, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateAccountInput(req.body, { defaultCurrency: settings.home_currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid account", details: errors });
+    }
+
+    const accounts = await getAccounts(req.userId);
+    if (accounts.some((account) => account.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.status(409).json({ error: `Account "${values.name}" already exists` });
+    }
+
+    const account = await saveAccount({ userId: req.userId, ...values });
+    res.status(201).json({ account: withBalances([account], [])[0] });
+  } catch (error) {
+    console.error("Error creating account:", error);
+    res.status(500).json({ error: "Failed to create account" });
+  }
+});
+
+// An account's transactions with the running balance after each one
+// (startDate and endDate limit the rows, not the balance)
+app.get("/api/accounts/:id/transactions", async (req, res) => {
+  try {
+    const { filters, errors } = parseTransactionFilters(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const accounts = await getAccounts(req.userId);
+    const account = accounts.find((candidate) => candidate.id === req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const [transactions, balances] = await Promise.all([
+      getAccountLedger(req.userId, account.id, filters),
+      getAccountBalances(req.userId),
+    ]);
+    res.json({ account: withBalances([account], balances)[0], transactions });
+  } catch (error) {
+    console.error("Error fetching account transactions:", error);
+    res.status(500).json({ error: "Failed to fetch account transactions" });
+  }
+});
+
+// Edit an account's name, type, currency or opening balance
+app.patch("/api/accounts/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateAccountInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid account", details: errors });
+    }
+
+    const accounts = await getAccounts(req.userId);
+    if (
+      values.name &&
+      accounts.some((account) => account.id !== req.params.id && account.name.toLowerCase() === values.name.toLowerCase())
+    ) {
+      return res.status(409).json({ error: `Account "${values.name}" already exists` });
+    }
+
+    const account = await updateAccount(req.userId, req.params.id, values);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    res.json({ account: withBalances([account], await getAccountBalances(req.userId))[0] });
+  } catch (error) {
+    console.error("Error updating account:", error);
+    res.status(500).json({ error: "Failed to update account" });
+  }
+});
+
+// Delete an account that has no transactions
+app.delete("/api/accounts/:id", async (req, res) => {
+  try {
+    const [accounts, balances] = await Promise.all([getAccounts(req.userId), getAccountBalances(req.userId)]);
+    const [account] = withBalances(accounts.filter((candidate) => candidate.id === req.params.id), balances);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    if (account.transaction_count) {
+      return res.status(409).json({
+        error: "Account has transactions; move or delete them first",
+        transactionCount: account.transaction_count,
+      });
+    }
+
+    if ((await deleteAccount(req.userId, account.id)) === false) {
+      return res.status(409).json({
+        error: "Account has deleted transactions that can still be restored",
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+// Shared ledgers the user is a member of, with their role in each
+app.get("/api/ledgers", async (req, res) => {
+  try {
+    const ledgers = await getLedgers(req.userId);
+    res.json({ ledgers });
+  } catch (error) {
+    console.error("Error fetching ledgers:", error);
+    res.status(500).json({ error: "Failed to fetch ledgers" });
+  }
+});
+
+// Create a shared ledger owned by the user: { name, currency, memberName }
+app.post("/api/ledgers", async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateLedgerInput(req.body, { defaultCurrency: settings.home_currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid ledger", details: errors });
+    }
+
+    const { ledger, member } = await saveLedger({
+      userId: req.userId,
+      ...values,
+      memberName: values.memberName || defaultMemberName(req.user),
+    });
+    res.status(201).json({ ledger: { ...ledger, role: member.role }, members: [member] });
+  } catch (error) {
+    console.error("Error creating ledger:", error);
+    res.status(500).json({ error: "Failed to create ledger" });
+  }
+});
+
+// A ledger with its members
+app.get("/api/ledgers/:id", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+
+    const members = await getLedgerMembers(membership.ledger_id);
+    res.json({ ledger: { ...membership.ledger, role: membership.role }, members });
+  } catch (error) {
+    console.error("Error fetching ledger:", error);
+    res.status(500).json({ error: "Failed to fetch ledger" });
+  }
+});
+
+// Rename a ledger or change its currency (owners only)
+app.patch("/api/ledgers/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateLedgerInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid ledger", details: errors });
+    }
+
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "owner")) {
+      return res.status(403).json({ error: "Only owners can change the ledger" });
+    }
+
+    const ledger = await updateLedger(membership.ledger_id, values);
+    res.json({ ledger: { ...ledger, role: membership.role } });
+  } catch (error) {
+    console.error("Error updating ledger:", error);
+    res.status(500).json({ error: "Failed to update ledger" });
+  }
+});
+
+// Delete a ledger (owners only). Its transactions stay in the personal
+// records of the members who saved them; splits and settlements go.
+app.delete("/api/ledgers/:id", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "owner")) {
+      return res.status(403).json({ error: "Only owners can delete the ledger" });
+    }
+
+    await deleteLedger(membership.ledger_id, manualContext(req.userId));
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting ledger:", error);
+    res.status(500).json({ error: "Failed to delete ledger" });
+  }
+});
+
+// Add a member (owners only): { name, role, email }. With an email the
+// member is that user and can open the ledger; without one they only take
+// part in splits.
+app.post("/api/ledgers/:id/members", async (req, res) => {
+  try {
+    const { values, errors } = validateLedgerMemberInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid member", details: errors });
+    }
+
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "owner")) {
+      return res.status(403).json({ error: "Only owners can add members" });
+    }
+
+    const userId = values.email ? await findUserIdByEmail(values.email) : null;
+    if (values.email && !userId) {
+      return res.status(404).json({ error: `No user with email ${values.email}` });
+    }
+
+    const members = await getLedgerMembers(membership.ledger_id);
+    if (userId && members.some((member) => member.user_id === userId)) {
+      return res.status(409).json({ error: "That user is already a member" });
+    }
+    if (members.some((member) => member.name.toLowerCase() === values.name.toLowerCase())) {
+      return res.status(409).json({ error: `A member named "${values.name}" already exists` });
+    }
+
+    const member = await saveLedgerMember({
+      ledgerId: membership.ledger_id,
+      user_id: userId,
+      name: values.name,
+      role: values.role,
+    });
+    res.status(201).json({ member });
+  } catch (error) {
+    console.error("Error adding ledger member:", error);
+    res.status(500).json({ error: "Failed to add member" });
+  }
+});
+
+// Rename a member or change their role (owners only)
+app.patch("/api/ledgers/:id/members/:memberId", async (req, res) => {
+  try {
+    const { values, errors } = validateLedgerMemberInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid member", details: errors });
+    }
+
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "owner")) {
+      return res.status(403).json({ error: "Only owners can change members" });
+    }
+
+    const members = await getLedgerMembers(membership.ledger_id);
+    const target = members.find((member) => member.id === req.params.memberId);
+    if (!target) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (
+      values.name &&
+      members.some((member) => member.id !== target.id && member.name.toLowerCase() === values.name.toLowerCase())
+    ) {
+      return res.status(409).json({ error: `A member named "${values.name}" already exists` });
+    }
+    if (values.role && values.role !== "owner" && isLastOwner(members, target)) {
+      return res.status(409).json({ error: "A ledger needs at least one owner" });
+    }
+
+    const member = await updateLedgerMember(membership.ledger_id, target.id, values);
+    res.json({ member });
+  } catch (error) {
+    console.error("Error updating ledger member:", error);
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+// Remove a member (owners), or leave the ledger (any member removing
+// themselves). Members with splits or settlements stay.
+app.delete("/api/ledgers/:id/members/:memberId", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "owner") && membership.id !== req.params.memberId) {
+      return res.status(403).json({ error: "Only owners can remove other members" });
+    }
+
+    const [members, balances] = await Promise.all([
+      getLedgerMembers(membership.ledger_id),
+      getLedgerBalances(membership.ledger_id),
+    ]);
+    const target = members.find((member) => member.id === req.params.memberId);
+    if (!target) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+    if (isLastOwner(members, target)) {
+      return res.status(409).json({ error: "A ledger needs at least one owner" });
+    }
+    if (balances.some((row) => row.member_id === target.id)) {
+      return res.status(409).json({ error: "Member has splits or settlements in this ledger" });
+    }
+
+    if ((await deleteLedgerMember(membership.ledger_id, target.id)) === false) {
+      return res.status(409).json({
+        error: "Member has deleted transactions in this ledger that can still be restored",
+        transactions: await getDeletedMemberTransactions(membership.ledger_id, target.id),
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error removing ledger member:", error);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// Transactions recorded in a ledger by any member, each with its splits;
+// same filters and pagination as /api/transactions
+app.get("/api/ledgers/:id/transactions", async (req, res) => {
+  try {
+    const { filters, errors } = parseTransactionFilters(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+
+    const { transactions, nextCursor } = await getTransactions(req.userId, {
+      ...filters,
+      ledgerId: membership.ledger_id,
+    });
+    res.json({
+      transactions,
+      nextCursor: nextCursor ? encodeCursor(nextCursor) : null,
+    });
+  } catch (error) {
+    console.error("Error fetching ledger transactions:", error);
+    res.status(500).json({ error: "Failed to fetch ledger transactions" });
+  }
+});
+
+// Record a transaction in a ledger (owners and editors). Same body as
+// POST /api/transactions; an expense with `splits` is shared between
+// members, paid by `paidBy` (default the user)
+app.post("/api/ledgers/:id/transactions", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "editor")) {
+      return res.status(403).json({ error: "Viewers can't record in this ledger" });
+    }
+
+    const { values, errors } = validateTransactionInput(req.body, {
+      defaultCurrency: membership.ledger.currency,
+    });
+    if (values.type === "transfer") {
+      errors.push({ field: "type", message: "transfers can't be recorded in a shared ledger" });
+    }
+    const split = req.body.splits !== undefined ? validateSplitInput(req.body, values.amount) : null;
+    if (split && values.type === "income") {
+      errors.push({ field: "splits", message: "only expenses can be split" });
+    }
+    errors.push(...(split ? split.errors : []), ...unknownAccountErrors(await getAccounts(req.userId), values));
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: errors });
+    }
+
+    const ledgerValues = { userId: req.userId, ...values, ledger_id: membership.ledger_id };
+    if (!split) {
+      const transaction = await saveTransaction(ledgerValues, manualContext(req.userId));
+      return res.status(201).json({ transaction, splits: [] });
+    }
+
+    const members = await getLedgerMembers(membership.ledger_id);
+    const payerId = split.values.paid_by_member_id || membership.id;
+    const memberErrors = [
+      ...(members.some((member) => member.id === payerId)
+        ? []
+        : [{ field: "paidBy", message: "paidBy is not a member of this ledger" }]),
+      ...split.values.splits
+        .map((share, index) => ({ share, index }))
+        .filter(({ share }) => !members.some((member) => member.id === share.member_id))
+        .map(({ index }) => ({ field: `splits[${index}].memberId`, message: "memberId is not a member of this ledger" })),
+    ];
+    if (memberErrors.length) {
+      return res.status(400).json({ error: "Invalid transaction", details: memberErrors });
+    }
+
+    const shares = split.values.splits[0].amount === null
+      ? splitEqually(values.amount, split.values.splits.map((share) => share.member_id))
+      : split.values.splits;
+    const saved = await saveSplitTransaction(
+      { ...ledgerValues, paid_by_member_id: payerId },
+      shares,
+      manualContext(req.userId)
+    );
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error("Error creating ledger transaction:", error);
+    res.status(500).json({ error: "Failed to create ledger transaction" });
+  }
+});
+
+// Who owes whom: each member's balance per currency (positive when they
+// are owed) and the payments that would settle everything up
+app.get("/api/ledgers/:id/balances", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+
+    const [members, balances] = await Promise.all([
+      getLedgerMembers(membership.ledger_id),
+      getLedgerBalances(membership.ledger_id),
+    ]);
+    const nameOf = (memberId) => (members.find((member) => member.id === memberId) || {}).name || null;
+    res.json({
+      balances: balances
+        .filter((row) => Math.round(row.balance * 100) !== 0)
+        .map((row) => ({ ...row, name: nameOf(row.member_id) })),
+      settleUp: settleUp(balances).map((payment) => ({
+        ...payment,
+        from_name: nameOf(payment.from_member_id),
+        to_name: nameOf(payment.to_member_id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching ledger balances:", error);
+    res.status(500).json({ error: "Failed to fetch ledger balances" });
+  }
+});
+
+// Settlements recorded in a ledger, newest first
+app.get("/api/ledgers/:id/settlements", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+
+    const settlements = await getLedgerSettlements(membership.ledger_id);
+    res.json({ settlements });
+  } catch (error) {
+    console.error("Error fetching ledger settlements:", error);
+    res.status(500).json({ error: "Failed to fetch ledger settlements" });
+  }
+});
+
+// Record that one member paid another to settle up (owners and editors):
+// { fromMemberId, toMemberId, amount, currency, date, notes }
+app.post("/api/ledgers/:id/settlements", async (req, res) => {
+  try {
+    const membership = await getLedgerMembership(req.userId, req.params.id);
+    if (!membership) {
+      return res.status(404).json({ error: "Ledger not found" });
+    }
+    if (!hasRole(membership, "editor")) {
+      return res.status(403).json({ error: "Viewers can't record in this ledger" });
+    }
+
+    const { values, errors } = validateSettlementInput(req.body, { defaultCurrency: membership.ledger.currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid settlement", details: errors });
+    }
+
+    const members = await getLedgerMembers(membership.ledger_id);
+    const memberErrors = [
+      ["from_member_id", "fromMemberId"],
+      ["to_member_id", "toMemberId"],
+    ]
+      .filter(([column]) => !members.some((member) => member.id === values[column]))
+      .map(([, field]) => ({ field, message: `${field} is not a member of this ledger` }));
+    if (memberErrors.length) {
+      return res.status(400).json({ error: "Invalid settlement", details: memberErrors });
+    }
+
+    const settlement = await saveLedgerSettlement({
+      userId: req.userId,
+      ledgerId: membership.ledger_id,
+      ...values,
+    });
+    res.status(201).json({ settlement });
+  } catch (error) {
+    console.error("Error recording settlement:", error);
+    res.status(500).json({ error: "Failed to record settlement" });
+  }
+});
+
+// Get the user's settings
+app.get("/api/settings", async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    res.json({ settings });
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ error: "Failed to fetch settings" });
+  }
+});
+
+// Update the user's settings (e.g. home currency)
+app.patch("/api/settings", async (req, res) => {
+  try {
+    const { values, errors } = validateUserSettingsInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid settings", details: errors });
+    }
+
+    const settings = await updateUserSettings(req.userId, values);
+    res.json({ settings });
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    res.status(500).json({ error: "Failed to update settings" });
+  }
+});
+
+// Exchange rates visible to the user (shared and their own)
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : undefined;
+    const rates = await getExchangeRates(req.userId, currency);
+    res.json({ rates });
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    res.status(500).json({ error: "Failed to fetch exchange rates" });
+  }
+});
+
+// Add the user's own exchange rate for a date (overrides the shared rate)
+app.post("/api/exchange-rates", async (req, res) => {
+  try {
+    const { values, errors } = validateExchangeRateInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid exchange rate", details: errors });
+    }
+
+    const [rate] = await saveExchangeRates([values], req.userId);
+    res.status(201).json({ rate });
+  } catch (error) {
+    console.error("Error saving exchange rate:", error);
+    res.status(500).json({ error: "Failed to save exchange rate" });
+  }
+});
+
+// List recurring rules
+app.get("/api/recurring", async (req, res) => {
+  try {
+    const rules = await getRecurringRules(req.userId);
+    res.json({ rules });
+  } catch (error) {
+    console.error("Error fetching recurring rules:", error);
+    res.status(500).json({ error: "Failed to fetch recurring rules" });
+  }
+});
+
+// Create a recurring rule
+app.post("/api/recurring", forbidOtherUsers, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.userId);
+    const { values, errors } = validateRecurringRuleInput(req.body, {
+      defaultCurrency: settings.home_currency,
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid recurring rule", details: errors });
+    }
+
+    const rule = await saveRecurringRule({
+      userId: req.userId,
+      ...scheduleRecurringRule(values, localToday(settings.timezone)),
+    });
+    res.status(201).json({ rule });
+  } catch (error) {
+    console.error("Error saving recurring rule:", error);
+    res.status(500).json({ error: "Failed to save recurring rule" });
+  }
+});
+
+// Edit, pause or resume a recurring rule
+app.patch("/api/recurring/:id", async (req, res) => {
+  try {
+    const { values, errors } = validateRecurringRuleInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid recurring rule", details: errors });
+    }
+
+    const [existing, settings] = await Promise.all([
+      getRecurringRule(req.userId, req.params.id),
+      getUserSettings(req.userId),
+    ]);
+    if (!existing) {
+      return res.status(404).json({ error: "Recurring rule not found" });
+    }
+
+    const scheduleChanged = ["frequency", "interval_count", "day_of_month", "start_date"].some(
+      (field) => field in values
+    );
+    const updates = { ...values };
+    if (scheduleChanged) {
+      const scheduled = scheduleRecurringRule({ ...existing, ...values }, localToday(settings.timezone));
+      updates.day_of_month = scheduled.day_of_month;
+      updates.next_run_date = scheduled.next_run_date;
+    }
+
+    const rule = await updateRecurringRule(req.userId, req.params.id, updates);
+    res.json({ rule });
+  } catch (error) {
+    console.error("Error updating recurring rule:", error);
+    res.status(500).json({ error: "Failed to update recurring rule" });
+  }
+});
+
+// Delete a recurring rule (transactions it already created are kept)
+app.delete("/api/recurring/:id", async (req, res) => {
+  try {
+    const rule = await deleteRecurringRule(req.userId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: "Recurring rule not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting recurring rule:", error);
+    res.status(500).json({ error: "Failed to delete recurring rule" });
+  }
+});
+
+// Get the authenticated user's loans, with the net position per counterparty
+app.get(["/api/loans", "/api/loans/:userId"], forbidOtherUsers, async (req, res) => {
+  try {
+    const { direction, deleted } = req.query;
+    if (direction !== undefined && !LOAN_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: [{ field: "direction", message: `direction must be one of: ${LOAN_DIRECTIONS.join(", ")}` }],
+      });
+    }
+    if (deleted !== undefined && !["true", "false"].includes(deleted)) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: [{ field: "deleted", message: "deleted must be true or false" }],
+      });
+    }
+
+    // ?deleted=true lists deleted loans instead, to restore them
+    const loans = await getLoans(req.userId, { direction, deleted: deleted === "true" });
+    res.json({ loans, positions: summarizeLoanPositions(loans) });
+  } catch (error) {
+    console.error("Error fetching loans:", error);
+    res.status(500).json({ error: "Failed to fetch loans" });
+  }
+});
+
+// Get a loan's amortization schedule and current position
+app.get("/api/loans/:id/schedule", async (req, res) => {
+  try {
+    const result = await getLoanSchedule(req.userId, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "Loan not found" });
+    }
+    res.json({
+      loan: result.loan,
+      schedule: result.installments,
+      summary: summarizeSchedule(result.installments),
+    });
+  } catch (error) {
+    console.error("Error fetching loan schedule:", error);
+    res.status(500).json({ error: "Failed to fetch loan schedule" });
+  }
+});
+
+// Record a payment against a specific loan (e.g. the one picked after a clarification)
+app.post("/api/loans/:id/repayments", async (req, res) => {
+  try {
+    const loan = await getLoan(req.userId, req.params.id);
+    if (!loan) {
+      return res.status(404).json({ error: "Loan not found" });
+    }
+    if (loan.status !== "active") {
+      return res.status(409).json({ error: "Loan is already paid off" });
+    }
+
+    const { values, errors } = validateLoanRepaymentInput(req.body, { defaultCurrency: loan.currency });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid repayment", details: errors });
+    }
+
+    const record = loan.direction === "lent" ? recordLoanCollection : recordLoanRepayment;
+    const result = await record(req.userId, loan.lender_name, values.amount, values.date, values.currency, {
+      loanId: loan.id,
+      source: "api",
+      audit: manualContext(req.userId),
+    });
+    if (result.missingRate) {
+      return res.status(400).json({
+        error: "Invalid repayment",
+        details: [{ field: "currency", message: `no exchange rate from ${result.missingRate.from} to ${result.missingRate.to}` }],
+      });
+    }
+    if (!result.loan) {
+      // Paid off or deleted since it was fetched
+      return res.status(409).json({ error: result.message });
+    }
+
+    res.status(201).json({
+      loan: result.loan,
+      split: result.split,
+      repayment: result.repayment,
+      transaction: result.transaction,
+    });
+  } catch (error) {
+    console.error("Error recording loan repayment:", error);
+    res.status(500).json({ error: "Failed to record repayment" });
+  }
+});
+
+// Repayment history of a loan, newest first
+app.get("/api/loans/:id/repayments", async (req, res) => {
+  try {
+    const loan = await getLoan(req.userId, req.params.id);
+    if (!loan) {
+      return res.status(404).json({ error: "Loan not found" });
+    }
+    const repayments = await getLoanRepayments(req.userId, loan.id);
+    res.json({ repayments });
+  } catch (error) {
+    console.error("Error fetching loan repayments:", error);
+    res.status(500).json({ error: "Failed to fetch loan repayments" });
+  }
+});
+
+// Delete loan (with its transactions; it can be restored)
+app.delete("/api/loans/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const loan = await deleteLoan(req.userId, id, manualContext(req.userId));
+    if (!loan) {
+      return res.status(404).json({ error: "Loan not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting loan:", error);
+    res.status(500).json({ error: "Failed to delete loan" });
+  }
+});
+
+// Restore a deleted loan with the transactions deleted with it
+app.post("/api/loans/:id/restore", async (req, res) => {
+  try {
+    const loan = await restoreLoan(req.userId, req.params.id, manualContext(req.userId));
+    if (!loan) {
+      return res.status(404).json({ error: "Deleted loan not found" });
+    }
+    res.json({ loan });
+  } catch (error) {
+    console.error("Error restoring loan:", error);
+    res.status(500).json({ error: "Failed to restore loan" });
+  }
+});
+
+// Delete transaction (it can be restored)
+app.delete("/api/transactions/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transaction = await deleteTransaction(req.userId, id, manualContext(req.userId));
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting transaction:", error);
+    res.status(500).json({ error: "Failed to delete transaction" });
+  }
+});
+
+// Restore a deleted transaction
+app.post("/api/transactions/:id/restore", async (req, res) => {
+  try {
+    const deleted = await getTransaction(req.userId, req.params.id, { deleted: true });
+    if (!deleted) {
+      return res.status(404).json({ error: "Deleted transaction not found" });
+    }
+    // A deleted loan's transactions come back with the loan
+    if (deleted.loan_id && !(await getLoan(req.userId, deleted.loan_id))) {
+      return res.status(409).json({
+        error: "The transaction's loan is deleted; restore the loan instead",
+        loanId: deleted.loan_id,
+      });
+    }
+
+    const transaction = await restoreTransaction(req.userId, deleted.id, manualContext(req.userId));
+    if (!transaction) {
+      return res.status(404).json({ error: "Deleted transaction not found" });
+    }
+    res.json({ transaction });
+  } catch (error) {
+    console.error("Error restoring transaction:", error);
+    res.status(500).json({ error: "Failed to restore transaction" });
+  }
+});
+
+// The user's change history for transactions and loans, newest first:
+// ?table=transactions|loans|loan_installments|loan_repayments, ?recordId
+// (one record's history), ?operationId and ?limit
+app.get("/api/audit", async (req, res) => {
+  try {
+    const { filters, errors } = parseAuditQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const entries = await getAuditLog(req.userId, filters);
+    res.json({ entries });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// Undo the last { count } changes (default 1), newest first. Each change
+// is everything one message, request or import saved, so undoing a loan
+// payment also puts the loan's balance back. Stops with 409 at a change
+// whose records were changed since. Send an Idempotency-Key so a retry
+// doesn't undo more.
+app.post("/api/undo", idempotent, async (req, res) => {
+  try {
+    const { values, errors } = validateUndoInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid undo", details: errors });
+    }
+
+    const { undone, conflict } = await undoChanges(req.userId, values.count);
+    if (conflict) {
+      return res.status(409).json({
+        error: "A change can't be undone because its records were changed since",
+        operationId: conflict,
+        undone,
+      });
+    }
+    if (!undone.length) {
+      return res.status(404).json({ error: "Nothing to undo" });
+    }
+    res.json({ undone });
+  } catch (error) {
+    console.error("Error undoing changes:", error);
+    res.status(500).json({ error: "Failed to undo changes" });
+  }
+});
+
+// Upload a bank or wallet statement (CSV, OFX/QFX, bKash or Nagad export)
+// and get a categorised preview; nothing is saved as transactions yet
+app.post("/api/imports", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "A statement file is required" });
+    }
+
+    const { values, errors } = validateImportInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid import", details: errors });
+    }
+
+    const text = req.file.buffer.toString("utf8");
+    const format = values.format || detectStatementFormat(text, req.file.originalname);
+    const settings = await getUserSettings(req.userId);
+    const parsed = parseStatement(text, format, values.mapping, settings.home_currency);
+    if (!parsed.rows.length) {
+      return res.status(400).json({
+        error: "No transactions could be read from the file",
+        details: parsed.errors.map((error) => ({ field: "file", message: `Line ${error.line}: ${error.message}` })),
+      });
+    }
+
+    const existing = await getTransactionsForRows(req.userId, parsed.rows);
+    const rows = await categorizeImportRows(req.userId, markDuplicates(parsed.rows, existing));
+
+    const batch = await saveImportBatch({
+      userId: req.userId,
+      format,
+      filename: req.file.originalname,
+      rows,
+      errors: parsed.errors,
+    });
+    res.status(201).json({ batch, summary: summarizeImport(rows) });
+  } catch (error) {
+    console.error("Error importing statement:", error);
+    res.status(500).json({ error: "Failed to import statement" });
+  }
+});
+
+// List the user's imports
+app.get("/api/imports", async (req, res) => {
+  try {
+    const batches = await getImportBatches(req.userId);
+    res.json({ batches });
+  } catch (error) {
+    console.error("Error fetching imports:", error);
+    res.status(500).json({ error: "Failed to fetch imports" });
+  }
+});
+
+// Get an import with its rows
+app.get("/api/imports/:id", async (req, res) => {
+  try {
+    const batch = await getImportBatch(req.userId, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+    res.json({ batch, summary: summarizeImport(batch.rows) });
+  } catch (error) {
+    console.error("Error fetching import:", error);
+    res.status(500).json({ error: "Failed to fetch import" });
+  }
+});
+
+// Save the included rows of a previewed import as transactions, optionally
+// with changes: { rows: [{ line, include, category }] }
+app.post("/api/imports/:id/commit", async (req, res) => {
+  try {
+    const { values, errors } = validateImportCommitInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid import review", details: errors });
+    }
+
+    const batch = await getImportBatch(req.userId, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+    if (batch.status !== "preview") {
+      return res.status(409).json({ error: "Import was already committed or rolled back" });
+    }
+
+    const review = applyImportReview(batch.rows, values.rows);
+    if (review.errors.length) {
+      return res.status(400).json({ error: "Invalid import review", details: review.errors });
+    }
+
+    const committed = await commitImportBatch(req.userId, batch.id, review.rows);
+    if (!committed) {
+      return res.status(409).json({ error: "Import was already committed or rolled back" });
+    }
+
+    // Categories changed during review are learned like any other correction
+    for (const change of values.rows.filter((row) => row.category !== undefined)) {
+      const row = review.rows.find((reviewed) => reviewed.line === change.line);
+      await learnFromCorrection(req.userId, row.notes, change.category);
+    }
+    res.json({
+      batch: committed.batch,
+      imported: committed.transactions.length,
+    });
+  } catch (error) {
+    console.error("Error committing import:", error);
+    res.status(500).json({ error: "Failed to commit import" });
+  }
+});
+
+// Roll back an import: removes the transactions it created (or discards a preview)
+app.delete("/api/imports/:id", async (req, res) => {
+  try {
+    const result = await rollbackImportBatch(req.userId, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "Import not found or already rolled back" });
+    }
+    res.json({ success: true, status: result.batch.status, removed: result.removed });
+  } catch (error) {
+    console.error("Error rolling back import:", error);
+    res.status(500).json({ error: "Failed to roll back import" });
+  }
+});
+
+// Download all transactions (and loans) in a date range as CSV or XLSX.
+// CSV holds one dataset; a workbook has a sheet for each.
+app.get("/api/export", async (req, res) => {
+  try {
+    const { options, errors } = parseExportQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const { format, dataset, startDate, endDate } = options;
+    const range = `${startDate || "start"}-to-${endDate || new Date().toISOString().split("T")[0]}`;
+    const transactions = transactionPages(req.userId, { startDate, endDate });
+    // Loan balances carry over, so every loan taken out by the end date is included
+    const loanPages = async () => {
+      const loans = await getLoans(req.userId);
+      return [loans.filter((loan) => !endDate || loan.start_date <= endDate)];
+    };
+
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="ledger-${range}.xlsx"`);
+      await writeXlsx(res, [
+        { name: "Transactions", columns: TRANSACTION_COLUMNS, pages: transactions },
+        { name: "Loans", columns: LOAN_COLUMNS, pages: await loanPages() },
+      ]);
+      return;
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${dataset}-${range}.csv"`);
+    if (dataset === "loans") {
+      await writeCsv(res, LOAN_COLUMNS, await loanPages());
+    } else {
+      await writeCsv(res, TRANSACTION_COLUMNS, transactions);
+    }
+  } catch (error) {
+    console.error("Error exporting ledger:", error);
+    // Once the file has started, the only way to signal failure is to cut it short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "Failed to export ledger" });
+  }
+});
+
+// Monthly PDF statement: totals, category breakdown, loan balances and
+// every transaction of the month (default: current month)
+app.get("/api/reports/monthly", async (req, res) => {
+  try {
+    const { month, errors } = parseMonthQuery(req.query, { defaultToCurrent: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query parameters", details: errors });
+    }
+
+    const { home_currency: homeCurrency } = await getUserSettings(req.userId);
+    const [summary, loans] = await Promise.all([
+      getTransactionSummary(req.userId, month, monthEnd(month), homeCurrency),
+      getLoans(req.userId),
+    ]);
+    const transactions = [];
+    for await (const page of transactionPages(req.userId, { startDate: month, endDate: monthEnd(month) })) {
+      transactions.push(...page);
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="statement-${month.slice(0, 7)}.pdf"`);
+    writeMonthlyStatement(res, {
+      month: month.slice(0, 7),
+      homeCurrency,
+      summary,
+      transactions: transactions.reverse(),
+      loans: loans.filter((loan) => loan.status === "active"),
+      positions: summarizeLoanPositions(loans),
+      name: req.user.user_metadata?.full_name || req.user.email,
+    });
+  } catch (error) {
+    console.error("Error generating statement:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "Failed to generate statement" });
+  }
+});
+
+/**
+ * Page through all of the user's transactions matching filters (newest
+ * first), yielding one array of rows per page
+ */
+async function* transactionPages(userId, filters = {}) {
+  let cursor = null;
+  do {
+    const page = await getTransactions(userId, { ...filters, limit: 1000, cursor });
+    yield page.transactions;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * The user's transactions over the dates a statement covers, for
+ * duplicate detection
+ */
+async function getTransactionsForRows(userId, rows) {
+  const dates = rows.map((row) => row.date).sort();
+  const transactions = [];
+  for await (const page of transactionPages(userId, { startDate: dates[0], endDate: dates[dates.length - 1] })) {
+    transactions.push(...page);
+  }
+  return transactions;
+}
+
+/**
+ * Learn a category from a user's correction. A failure is logged rather
+ * than failing the edit that triggered it.
+ */
+async function learnFromCorrection(userId, notes, category) {
+  const pattern = ruleKey(notes);
+  if (!pattern) return;
+  try {
+    await learnCategoryRule(userId, pattern, category);
+  } catch (error) {
+    console.error("Failed to learn category rule:", error.message);
+  }
+}
+
+/**
+ * Why parent can't hold category (one level of nesting: the parent must
+ * be built-in or a top-level custom category), or null when it can.
+ * category is the custom category being created or edited.
+ */
+function categoryParentError(customCategories, parent, category) {
+  if (parent === category.name) return "A category cannot be its own parent";
+  if (BUILT_IN_CATEGORIES.includes(parent)) return null;
+
+  const parentCategory = customCategories.find((existing) => existing.name === parent);
+  if (!parentCategory) return `Unknown parent category "${parent}"`;
+  if (parentCategory.parent) return `"${parent}" is itself a sub-category`;
+  if (customCategories.some((existing) => existing.parent === category.name)) {
+    return `"${category.name}" has sub-categories, so it cannot be nested`;
+  }
+  return null;
+}
+
+/**
+ * Give imported rows a category (the user's learned rules first, then
+ * keyword rules, then the model for the rest) and include every row that
+ * isn't a duplicate. A failed model call leaves those rows as "other"
+ * rather than failing the import.
+ */
+async function categorizeImportRows(userId, rows) {
+  const [customCategories, rules] = await Promise.all([getCategories(userId), getCategoryRules(userId)]);
+  const categorized = rows.map((row) => ({
+    ...row,
+    category: matchCategoryRule(rules, row.notes)?.category || categorizeByKeywords(row.notes),
+    include: !row.duplicate,
+  }));
+
+  const unknown = categorized.filter((row) => !row.category && row.include);
+  if (unknown.length) {
+    try {
+      const categories = await categorizeTransactions(unknown, customCategories);
+      unknown.forEach((row, index) => {
+        row.category = categories[index];
+      });
+    } catch (error) {
+      console.error("Falling back to \"other\" for imported rows:", error.message);
+    }
+  }
+
+  return categorized.map((row) => ({ ...row, category: row.category || "other" }));
+}
+
+/**
+ * Persist each extracted intent on its own so one bad item doesn't fail
+ * the rest. Returns one result per item: { success, intent, reply, data, ... }.
+ * With a conversation session, saved entries are remembered in it so later
+ * messages can amend or undo them. `audit` is the message's change
+ * context: each item is logged with what was extracted for it, as part of
+ * the message's operation, so /api/undo reverts the whole message.
+ * `defaults` ({ today, currency }) fill in the date and currency an item
+ * leaves out: the user's local today and home currency.
+ */
+async function processIntents(userId, extractedItems, inputText, lang = "en", session = null, audit = null, defaults = {}) {
+  const results = [];
+  for (const extractedData of extractedItems) {
+    try {
+      const change = { ...audit, extracted: extractedData };
+      const outcome = await processIntent(userId, extractedData, inputText, lang, session, change, defaults);
+      const { reply, ...details } = typeof outcome === "string" ? { reply: outcome } : outcome;
+      if (session && details.records) {
+        addEntry(session, extractedData, details.records);
+      }
+      results.push({
+        success: true,
+        intent: extractedData.intent,
+        reply: localizeDigits(reply, lang),
+        data: extractedData,
+        ...details,
+      });
+    } catch (error) {
+      console.error(`Error processing ${extractedData.intent}:`, error);
+      results.push({
+        success: false,
+        intent: extractedData.intent,
+        reply: localizeDigits(generateFailureMessage(extractedData, lang), lang),
+        error: error.message,
+        data: extractedData,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Save a receipt as one expense, or one per category when split, and
+ * return the reply message. Each expense gets the same checks as one
+ * extracted from a message (checks: { today, categories }, see
+ * validateIntent). The expenses are logged with the receipt as part of
+ * the message's operation. With a ledgerId they are recorded in that
+ * shared ledger, if the user may still record in it.
+ */
+async function processReceipt(userId, receipt, splitByCategory, lang = "en", audit = null, checks = {}, ledgerId = null) {
+  if (ledgerId && !hasRole(await getLedgerMembership(userId, ledgerId), "editor")) {
+    return localizeDigits(generateLedgerAccessMessage(lang), lang);
+  }
+
+  const entries = splitByCategory
+    ? splitReceiptByCategory(receipt)
+    : [{ category: dominantReceiptCategory(receipt), amount: receipt.total }];
+  const change = { ...audit, extracted: receipt };
+
+  const { items, rejected } = checkIntents(
+    entries
+      .filter((entry) => entry.amount)
+      .map((entry) => ({
+        intent: "transaction",
+        type: "expense",
+        amount: entry.amount,
+        currency: receipt.currency,
+        category: entry.category,
+        date: receipt.date,
+        notes: `Receipt from ${receipt.merchant}`,
+      })),
+    checks,
+    lang
+  );
+
+  const warnings = [];
+  for (const item of items) {
+    const transaction = await saveTransaction({
+      userId,
+      amount: item.amount,
+      currency: item.currency,
+      category: item.category,
+      notes: item.notes,
+      type: item.type,
+      date: item.date,
+      ledger_id: ledgerId,
+    }, change);
+    const warning = await getBudgetWarning(userId, transaction, lang);
+    if (warning) warnings.push(warning);
+  }
+
+  const replies = rejected.map((result) => result.reply);
+  if (items.length || !rejected.length) {
+    replies.unshift(generateReceiptResponseMessage(receipt, items, lang));
+  }
+  return localizeDigits([...replies, ...warnings].join("\n"), lang);
+}
+
+/**
+ * Store extracted data as a draft that expires after DRAFT_TTL_MINUTES
+ */
+function createDraft(userId, mode, inputText, data, sessionId = null) {
+  return saveDraft({
+    userId,
+    mode,
+    inputText,
+    sessionId,
+    data,
+    expiresAt: new Date(Date.now() + DRAFT_TTL_MINUTES * 60 * 1000).toISOString(),
+  });
+}
+
+/**
+ * Outcome for a repayment that couldn't be matched to one loan: a question
+ * listing the candidates, plus what the client needs to finish it with
+ * POST /api/loans/:id/repayments
+ */
+function loanClarification(data, name, result, lang) {
+  return {
+    reply: generateClarificationMessage("loan", data, { ...result.clarification, name }, lang),
+    clarification: {
+      ...result.clarification,
+      repayment: {
+        amount: data.amount,
+        currency: data.currency,
+        date: data.date,
+      },
+    },
+  };
+}
+
+/**
+ * The account a message refers to, by id (set by the client) or by name
+ * (see matchAccount): { account } or { account: null, reason, candidates }
+ */
+function findAccount(accounts, accountId, name) {
+  if (accountId) {
+    const account = accounts.find((candidate) => candidate.id === accountId);
+    return account ? { account } : { account: null, reason: "no_match", candidates: [] };
+  }
+  if (!name) return { account: null, reason: "no_match", candidates: [] };
+  return matchAccount(accounts, name);
+}
+
+/**
+ * Record a contribution to a goal, converting the amount to the goal's
+ * currency. Returns { contribution, goal } with the goal's new progress,
+ * or { contribution: null } when there is no exchange rate.
+ */
+async function contributeToGoal(userId, goal, { amount, currency, date, notes }, source = "manual") {
+  const converted = currency === goal.currency
+    ? amount
+    : await convertAmount(userId, amount, currency, goal.currency, date);
+  if (converted === null) return { contribution: null };
+
+  const contribution = await saveGoalContribution({
+    userId,
+    goalId: goal.id,
+    amount: Math.round(converted * 100) / 100,
+    date,
+    notes,
+    source,
+  });
+  const [totals, settings] = await Promise.all([getGoalTotals(userId), getUserSettings(userId)]);
+  return { contribution, goal: withProgress([goal], totals, localToday(settings.timezone))[0] };
+}
+
+/**
+ * Outcome for a contribution whose goal couldn't be picked: a question
+ * listing the candidates, plus what the client needs to finish it with
+ * POST /api/goals/:id/contributions
+ */
+function goalClarification(data, match, lang) {
+  const clarification = {
+    field: "goal",
+    name: data.goal_name || "",
+    reason: match.reason,
+    candidates: match.candidates.map(({ goal, score }) => ({
+      id: goal.id,
+      name: goal.name,
+      currency: goal.currency,
+      target_amount: Number(goal.target_amount),
+      score,
+    })),
+    contribution: {
+      amount: data.amount,
+      currency: data.currency,
+      date: data.date,
+      notes: data.notes || null,
+    },
+  };
+  return { reply: generateClarificationMessage("goal", data, clarification, lang), clarification };
+}
+
+/**
+ * Outcome for a transfer whose accounts couldn't both be picked: a
+ * question listing the candidates for the first unclear side, plus what
+ * the client needs to finish it with POST /api/transactions
+ */
+function accountClarification(data, from, to, lang) {
+  const [field, side] = !from.account
+    ? ["from_account", from]
+    : !to.account
+      ? ["to_account", to]
+      : ["to_account", { reason: "same_account", candidates: [] }];
+  const name = data[field] || "";
+  const clarification = {
+    field,
+    name,
+    reason: side.reason,
+    candidates: side.candidates.map(({ account, score }) => ({
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      score,
+    })),
+    transfer: {
+      type: "transfer",
+      amount: data.amount,
+      currency: data.currency,
+      date: data.date,
+      notes: data.notes || null,
+      accountId: from.account ? from.account.id : null,
+      toAccountId: to.account ? to.account.id : null,
+    },
+  };
+  return { reply: generateClarificationMessage("account", data, clarification, lang), clarification };
+}
+
+/**
+ * Outcome for a split naming someone who isn't clearly a member of the
+ * ledger: a question listing the candidates, plus what the client needs to
+ * finish it with POST /api/ledgers/:id/transactions
+ */
+function memberClarification(data, unmatched, membership, lang) {
+  const clarification = {
+    field: "split_with",
+    name: unmatched.name,
+    reason: unmatched.reason,
+    candidates: unmatched.candidates.map(({ member, score }) => ({ id: member.id, name: member.name, score })),
+    ledgerId: membership.ledger_id,
+    transaction: {
+      type: "expense",
+      amount: data.amount,
+      currency: data.currency,
+      category: data.category || "other",
+      date: data.date,
+      notes: data.notes || null,
+      paidBy: membership.id,
+    },
+  };
+  return { reply: generateClarificationMessage("member", data, clarification, lang), clarification };
+}
+
+/**
+ * Errors for account ids in transaction values that aren't the user's accounts
+ */
+function unknownAccountErrors(accounts, values) {
+  return [
+    ["account_id", "accountId"],
+    ["to_account_id", "toAccountId"],
+  ]
+    .filter(([column]) => values[column] && !accounts.some((account) => account.id === values[column]))
+    .map(([, field]) => ({ field, message: `${field} is not one of your accounts` }));
+}
+
+/**
+ * How a user appears in a ledger they create when they don't give a name:
+ * their profile name, else the start of their email address
+ */
+function defaultMemberName(user) {
+  const metadata = (user && user.user_metadata) || {};
+  const name = metadata.full_name || metadata.name || ((user && user.email) || "").split("@")[0];
+  return String(name || "Me").slice(0, 100);
+}
+
+/**
+ * Whether a member is the only owner of their ledger
+ */
+function isLastOwner(members, member) {
+  return member.role === "owner" && members.filter((other) => other.role === "owner").length === 1;
+}
+
+/**
+ * Check and fill in defaults for client-edited draft data.
+ * Receipt drafts take { receipt, splitByCategory }; others a list of intents,
+ * checked like freshly extracted ones. Returns { data } or { error, details }.
+ */
+function normalizeDraftData(draft, data, { defaultCurrency, today, categories = [] }) {
+  if (draft.mode === "receipt") {
+    if (!data || typeof data !== "object" || !data.receipt || typeof data.receipt !== "object") {
+      return { error: "data must be an object with a receipt" };
+    }
+    return {
+      data: {
+        receipt: normalizeReceipt(data.receipt, defaultCurrency, today),
+        splitByCategory: data.splitByCategory === true,
+        // The ledger was picked when the receipt was sent
+        ledgerId: draft.data.ledgerId || null,
+      },
+    };
+  }
+
+  if (!Array.isArray(data) || data.length === 0 || data.some((item) => !item || typeof item !== "object")) {
+    return { error: "data must be a non-empty list of extracted items" };
+  }
+  if (data.some((item) => item.intent === "query")) {
+    return { error: "Questions can't be added to a draft" };
+  }
+
+  const checked = data.map((item) =>
+    validateIntent(normalizeIntent(item, draft.input_text, defaultCurrency, today), { today, categories })
+  );
+  const details = checked.flatMap(({ errors }, index) =>
+    errors.map((error) => ({ field: `data[${index}].${error.field}`, message: error.message }))
+  );
+  if (details.length) {
+    return { error: "Invalid draft data", details };
+  }
+  return { data: checked.map(({ values }) => values) };
+}
+
+/**
+ * Check extracted intents before anything is saved (see validateIntent).
+ * Returns the checked intents that passed, and a failed result with the
+ * field errors for each one that didn't.
+ */
+function checkIntents(extractedItems, options, lang = "en") {
+  const items = [];
+  const rejected = [];
+  extractedItems.forEach((extractedData) => {
+    const { values, errors } = validateIntent(extractedData, options);
+    if (!errors.length) {
+      items.push(values);
+      return;
+    }
+    rejected.push({
+      success: false,
+      intent: extractedData.intent,
+      reply: localizeDigits(generateInvalidIntentMessage(extractedData, errors, lang), lang),
+      errors,
+      data: extractedData,
+    });
+  });
+  return { items, rejected };
+}
+
+/**
+ * Warnings for the intents whose amount is far above what the user usually
+ * records (see findOutlier), as a Map from intent to warning. Without their
+ * history nothing is flagged.
+ */
+async function findUnusualAmounts(userId, items, today) {
+  const unusual = new Map();
+  if (!items.some((item) => item.intent === "transaction" || item.intent === "recurring")) {
+    return unusual;
+  }
+
+  try {
+    const { transactions } = await getTransactions(userId, {
+      startDate: addDays(today, -AMOUNT_HISTORY_DAYS),
+      limit: AMOUNT_HISTORY_LIMIT,
+    });
+    const history = summarizeAmountHistory(transactions);
+    items.forEach((item) => {
+      const warning = findOutlier(item, history);
+      if (warning) unusual.set(item, warning);
+    });
+  } catch (error) {
+    console.error("Error checking for unusual amounts:", error);
+  }
+  return unusual;
+}
+
+/**
+ * Persist a single extracted intent and return the reply message for it.
+ * Intents with extra output (e.g. query answers) return { reply, ...details }.
+ * See processIntents for `defaults`.
+ */
+async function processIntent(userId, extractedData, inputText, lang = "en", session = null, audit = null, defaults = {}) {
+  if (SESSION_INTENTS.includes(extractedData.intent)) {
+    return processSessionIntent(userId, extractedData, session, lang, audit, defaults);
+  }
+
+  // What the message leaves out is in the user's home currency, today
+  const currency = extractedData.currency || defaults.currency;
+  const date = extractedData.date || defaults.today;
+  const filled = { ...extractedData, currency, date };
+
+  if (extractedData.intent === "query") {
+    // Questions are answered from the ledger; nothing is saved
+    const answer = await runLedgerQuery(userId, extractedData);
+    return { reply: generateQueryAnswerMessage(answer, lang), answer };
+  }
+
+  if (extractedData.intent === "new_loan") {
+    // Handle new loan
+    if (!extractedData.principal_amount) {
+      return generateMissingDetailsMessage("new_loan", lang);
+    }
+    // Also record as income transaction (money received)
+    const { loan, transaction } = await saveLoan({ userId, ...extractedData }, {
+      amount: extractedData.principal_amount,
+      currency,
+      category: "loan",
+      notes: `Loan from ${extractedData.lender_name}`,
+      type: "income",
+      date,
+    }, audit);
+    return {
+      reply: generateLoanResponseMessage(filled, loan, lang),
+      records: { loans: [loan.id], transactions: [transaction.id] },
+    };
+  }
+
+  if (extractedData.intent === "loan_repayment") {
+    // Handle loan repayment
+    if (!extractedData.amount || !extractedData.lender_name) {
+      return generateMissingDetailsMessage("loan_repayment", lang);
+    }
+    const result = await recordLoanRepayment(
+      userId,
+      extractedData.lender_name,
+      extractedData.amount,
+      date,
+      currency,
+      { loanId: extractedData.loan_id || undefined, audit }
+    );
+    if (result.clarification) {
+      return loanClarification(filled, extractedData.lender_name, result, lang);
+    }
+    if (result.missingRate) {
+      return generateLoanRateMessage(result.missingRate, extractedData.lender_name, lang);
+    }
+    return {
+      reply: generateRepaymentResponseMessage(filled, result, lang),
+      records: { transactions: result.transaction ? [result.transaction.id] : [] },
+    };
+  }
+
+  if (extractedData.intent === "new_lending") {
+    // Handle money lent out (a receivable)
+    if (!extractedData.principal_amount) {
+      return generateMissingDetailsMessage("new_lending", lang);
+    }
+    // Money leaves the user's pocket
+    const { loan, transaction } = await saveLoan(
+      {
+        userId,
+        ...extractedData,
+        lender_name: extractedData.borrower_name,
+        direction: "lent",
+        loan_type: "personal",
+      },
+      {
+        amount: extractedData.principal_amount,
+        currency,
+        category: "loan_given",
+        notes: `Lent to ${extractedData.borrower_name}`,
+        type: "expense",
+        date,
+      },
+      audit
+    );
+    return {
+      reply: generateLendingResponseMessage(filled, lang),
+      records: { loans: [loan.id], transactions: [transaction.id] },
+    };
+  }
+
+  if (extractedData.intent === "lending_repayment") {
+    // Handle money paid back to the user
+    if (!extractedData.amount || !extractedData.borrower_name) {
+      return generateMissingDetailsMessage("lending_repayment", lang);
+    }
+    const result = await recordLoanCollection(
+      userId,
+      extractedData.borrower_name,
+      extractedData.amount,
+      date,
+      currency,
+      { loanId: extractedData.loan_id || undefined, audit }
+    );
+    if (result.clarification) {
+      return loanClarification(filled, extractedData.borrower_name, result, lang);
+    }
+    if (result.missingRate) {
+      return generateLoanRateMessage(result.missingRate, extractedData.borrower_name, lang);
+    }
+    return {
+      reply: generateCollectionResponseMessage(filled, result, lang),
+      records: { transactions: result.transaction ? [result.transaction.id] : [] },
+    };
+  }
+
+  if (extractedData.intent === "set_budget") {
+    if (!extractedData.amount || !extractedData.category) {
+      return generateMissingDetailsMessage("set_budget", lang);
+    }
+    const budget = await saveBudget({
+      userId,
+      category: extractedData.category,
+      month: `${extractedData.month}-01`,
+      currency,
+      amount: extractedData.amount,
+    });
+    return { reply: generateBudgetResponseMessage(budget, lang), records: { budgets: [budget.id] } };
+  }
+
+  if (extractedData.intent === "goal_contribution") {
+    if (!extractedData.amount || (!extractedData.goal_name && !extractedData.goal_id)) {
+      return generateMissingDetailsMessage("goal_contribution", lang);
+    }
+    const goals = await getGoals(userId, { status: "active" });
+    const pinned = extractedData.goal_id && goals.find((goal) => goal.id === extractedData.goal_id);
+    const match = extractedData.goal_id
+      ? { goal: pinned || null, reason: "no_match", candidates: [] }
+      : matchGoal(goals, extractedData.goal_name);
+    if (!match.goal) {
+      return goalClarification(filled, match, lang);
+    }
+
+    const { contribution, goal } = await contributeToGoal(
+      userId,
+      match.goal,
+      {
+        amount: extractedData.amount,
+        currency: extractedData.currency || match.goal.currency,
+        date,
+        notes: extractedData.notes || inputText,
+      },
+      "chat"
+    );
+    if (!contribution) {
+      return generateGoalRateMessage(extractedData, match.goal, lang);
+    }
+    return {
+      reply: generateGoalContributionMessage(extractedData, goal, lang),
+      records: { goalContributions: [contribution.id] },
+      goal,
+    };
+  }
+
+  if (extractedData.intent === "recurring") {
+    if (!extractedData.amount || !extractedData.frequency) {
+      return generateMissingDetailsMessage("recurring", lang);
+    }
+    const rule = await saveRecurringRule({
+      userId,
+      ...scheduleRecurringRule({
+        type: extractedData.type,
+        amount: extractedData.amount,
+        currency,
+        category: extractedData.category || "other",
+        notes: extractedData.notes || inputText,
+        frequency: extractedData.frequency,
+        day_of_month: extractedData.day_of_month,
+        start_date: extractedData.start_date || defaults.today,
+        end_date: extractedData.end_date,
+      }, defaults.today),
+    });
+    return { reply: generateRecurringResponseMessage(rule, lang), records: { recurringRules: [rule.id] } };
+  }
+
+  if (extractedData.intent === "transfer") {
+    if (!extractedData.amount) {
+      return generateMissingDetailsMessage("transfer", lang);
+    }
+    const accounts = await getAccounts(userId);
+    const from = findAccount(accounts, extractedData.from_account_id, extractedData.from_account);
+    const to = findAccount(accounts, extractedData.to_account_id, extractedData.to_account);
+    if (!from.account || !to.account || from.account.id === to.account.id) {
+      return accountClarification(filled, from, to, lang);
+    }
+
+    const transaction = await saveTransaction({
+      userId,
+      amount: extractedData.amount,
+      currency: extractedData.currency || from.account.currency,
+      category: "transfer",
+      notes: extractedData.notes || inputText,
+      type: "transfer",
+      date,
+      account_id: from.account.id,
+      to_account_id: to.account.id,
+    }, audit);
+    return {
+      reply: generateTransferResponseMessage(extractedData, from.account, to.account, lang),
+      records: { transactions: [transaction.id] },
+    };
+  }
+
+  // Default: regular transaction
+  if (extractedData.amount && extractedData.type) {
+    // Entries sent in a shared ledger go there, if the user may still record in it
+    const membership = extractedData.ledger_id
+      ? await getLedgerMembership(userId, extractedData.ledger_id)
+      : null;
+    if (extractedData.ledger_id && !hasRole(membership, "editor")) {
+      return generateLedgerAccessMessage(lang);
+    }
+    const splitting =
+      extractedData.type === "expense" &&
+      Boolean((extractedData.split_with || []).length || (extractedData.split_member_ids || []).length);
+    if (splitting && !membership) {
+      return generateSplitNeedsLedgerMessage(lang);
+    }
+
+    // The account it was paid from or into, when the message names one
+    const named = extractedData.account || extractedData.account_id;
+    const accounts = named ? await getAccounts(userId) : [];
+    const { account } = named
+      ? findAccount(accounts, extractedData.account_id, extractedData.account)
+      : { account: null };
+    const values = {
+      userId,
+      amount: extractedData.amount,
+      currency,
+      category: extractedData.category || "other",
+      notes: extractedData.notes || inputText,
+      type: extractedData.type,
+      date,
+      account_id: account ? account.id : null,
+      ledger_id: membership ? membership.ledger_id : null,
+    };
+
+    let transaction;
+    let sharing = null;
+    if (splitting) {
+      // Split between the user and the members named, in equal shares
+      const others = (await getLedgerMembers(membership.ledger_id)).filter((member) => member.id !== membership.id);
+      const pinned = others.filter((member) => (extractedData.split_member_ids || []).includes(member.id));
+      const { members, unmatched } = pinned.length
+        ? { members: pinned, unmatched: [] }
+        : matchMembers(others, extractedData.split_with);
+      if (unmatched.length) {
+        return memberClarification(filled, unmatched[0], membership, lang);
+      }
+      sharing = [membership, ...members.filter((member, index) => members.indexOf(member) === index)];
+      ({ transaction } = await saveSplitTransaction(
+        { ...values, paid_by_member_id: membership.id },
+        splitEqually(values.amount, sharing.map((member) => member.id)),
+        audit
+      ));
+    } else {
+      transaction = await saveTransaction(values, audit);
+    }
+
+    const warning = await getBudgetWarning(userId, transaction, lang);
+    const reply = [
+      sharing ? generateSplitResponseMessage(filled, sharing, lang) : generateResponseMessage(filled, lang),
+      // Users who don't keep accounts aren't told about them
+      named && !account && accounts.length && generateUnknownAccountMessage(extractedData.account, lang),
+      warning,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    return { reply, records: { transactions: [transaction.id] } };
+  }
+  return generateResponseMessage(extractedData, lang);
+}
+
+/**
+ * Handle "update_last", "delete_last" and "undo" against the entries saved
+ * earlier in the conversation. Transactions are edited in place; other
+ * entries (loans, recurring rules, budgets) are removed and saved again
+ * from the amended intent, which keeps their schedules consistent.
+ */
+async function processSessionIntent(userId, data, session, lang = "en", audit = null, defaults = {}) {
+  if (!session) return generateSessionMessage("no_session", null, lang);
+
+  if (data.intent === "undo") {
+    const action = popAction(session);
+    if (!action) return generateSessionMessage("nothing_to_undo", null, lang);
+
+    if (action.type === "create") {
+      const entry = findEntry(session, action.key);
+      if (entry && (await entryHasRepayments(userId, entry))) {
+        pushAction(session, action);
+        return generateSessionMessage("has_repayments", entry.intent, lang);
+      }
+      if (entry) {
+        await removeEntryRecords(userId, entry.records, audit);
+        removeEntry(session, entry.key);
+      }
+      return generateSessionMessage("undone_create", entry && entry.intent, lang);
+    }
+
+    if (action.type === "update") {
+      const current = findEntry(session, action.key);
+      if (current && (await entryHasRepayments(userId, current))) {
+        pushAction(session, action);
+        return generateSessionMessage("has_repayments", current.intent, lang);
+      }
+      const restored = current
+        ? await saveEntryIntent(userId, current, action.before.intent, lang, audit, defaults)
+        : action.before;
+      if (current) replaceEntry(session, restored);
+      return generateSessionMessage("undone_update", restored.intent, lang);
+    }
+
+    // Undoing a delete saves the entry again
+    const records = await saveIntentRecords(userId, action.entry.intent, lang, audit, defaults);
+    session.entries = [...session.entries, { ...action.entry, records }];
+    return generateSessionMessage("undone_delete", action.entry.intent, lang);
+  }
+
+  const entry = lastEntry(session);
+  if (!entry) return generateSessionMessage("nothing_saved", null, lang);
+  if (!entry.amendable) return generateSessionMessage("not_amendable", entry.intent, lang);
+  // Loans with repayments can't be removed or re-created without losing the repayments
+  if (await entryHasRepayments(userId, entry)) {
+    return generateSessionMessage("has_repayments", entry.intent, lang);
+  }
+
+  if (data.intent === "delete_last") {
+    await removeEntryRecords(userId, entry.records, audit);
+    removeEntry(session, entry.key);
+    pushAction(session, { type: "delete", entry });
+    return generateSessionMessage("deleted", entry.intent, lang);
+  }
+
+  const amended = amendIntent(entry.intent, data.changes || {});
+  if (JSON.stringify(amended) === JSON.stringify(entry.intent)) {
+    return generateSessionMessage("nothing_changed", entry.intent, lang);
+  }
+  const updated = await saveEntryIntent(userId, entry, amended, lang, audit, defaults);
+  replaceEntry(session, updated);
+  pushAction(session, { type: "update", key: entry.key, before: entry });
+
+  if (amended.category !== entry.intent.category && amended.intent === "transaction") {
+    await learnFromCorrection(userId, amended.notes, amended.category);
+  }
+  return generateSessionMessage("updated", amended.intent, lang);
+}
+
+/**
+ * Whether any loan an entry created has had repayments recorded against it
+ */
+async function entryHasRepayments(userId, entry) {
+  for (const loanId of entry.records.loans || []) {
+    if ((await getLoanRepayments(userId, loanId)).length) return true;
+  }
+  return false;
+}
+
+/**
+ * Make an entry's saved records match intent. Returns the updated entry.
+ */
+async function saveEntryIntent(userId, entry, intent, lang, audit = null, defaults = {}) {
+  // Split expenses are saved again so the shares follow the new amount
+  const split = (data) => Boolean((data.split_with || []).length || (data.split_member_ids || []).length);
+  if (intent.intent === "transaction" && !split(intent) && !split(entry.intent)) {
+    const { values } = validateTransactionInput(
+      {
+        amount: intent.amount,
+        type: intent.type,
+        date: intent.date,
+        category: intent.category,
+        currency: intent.currency,
+        notes: intent.notes,
+      },
+      { partial: true }
+    );
+    for (const transactionId of entry.records.transactions || []) {
+      await updateTransaction(userId, transactionId, values, audit);
+    }
+    return { ...entry, intent };
+  }
+
+  await removeEntryRecords(userId, entry.records, audit);
+  const records = await saveIntentRecords(userId, intent, lang, audit, defaults);
+  return { ...entry, intent, records };
+}
+
+/**
+ * Save an intent again (outside the conversation) and return the ids of
+ * the records it created
+ */
+async function saveIntentRecords(userId, intent, lang, audit = null, defaults = {}) {
+  const outcome = await processIntent(userId, intent, intent.notes, lang, null, audit, defaults);
+  return (typeof outcome === "object" && outcome.records) || {};
+}
+
+/**
+ * Delete the records an entry created. Loans go first, taking their
+ * transactions with them, so restoring a loan brings those back too.
+ */
+async function removeEntryRecords(userId, records, audit = null) {
+  for (const id of records.loans || []) await deleteLoan(userId, id, audit);
+  for (const id of records.transactions || []) await deleteTransaction(userId, id, audit);
+  for (const id of records.recurringRules || []) await deleteRecurringRule(userId, id);
+  for (const id of records.budgets || []) await deleteBudget(userId, id);
+  for (const id of records.goalContributions || []) await deleteGoalContribution(userId, id);
+}
+
+/**
+ * Fill in the derived schedule fields of a recurring rule: monthly and
+ * yearly rules remember the day of month they run on, and next_run_date is
+ * the first occurrence from the user's today (past occurrences are not
+ * back-filled)
+ */
+function scheduleRecurringRule(rule, today) {
+  const dayOfMonth =
+    rule.day_of_month ||
+    (["monthly", "yearly"].includes(rule.frequency) ? Number(rule.start_date.slice(8, 10)) : null);
+  const scheduled = { ...rule, day_of_month: dayOfMonth };
+
+  return {
+    ...scheduled,
+    next_run_date: nextOccurrenceFrom(scheduled, rule.start_date > today ? rule.start_date : today),
+  };
+}
+
+/**
+ * If a newly saved expense pushed its category past 80% or 100% of the
+ * month's budget, return a warning message for the reply
+ */
+async function getBudgetWarning(userId, transaction, lang = "en") {
+  if (transaction.type !== "expense") return null;
+
+  try {
+    const month = monthStart(transaction.date);
+    const { home_currency: homeCurrency } = await getUserSettings(userId);
+
+    // A budget in the expense's own currency, else the home-currency budget
+    const budgets = (await getBudgets(userId, month)).filter(
+      (b) => b.category === transaction.category
+    );
+    const budget =
+      budgets.find((b) => b.currency === transaction.currency) ||
+      budgets.find((b) => b.currency === homeCurrency);
+    if (!budget) return null;
+
+    const amount =
+      budget.currency === transaction.currency
+        ? Number(transaction.amount)
+        : await convertAmount(userId, transaction.amount, transaction.currency, budget.currency, transaction.date);
+    if (amount === null) return null;
+
+    const summary = await getTransactionSummary(userId, month, monthEnd(month), homeCurrency);
+    const [status] = buildBudgetStatus([budget], summary);
+    const threshold = crossedBudgetThreshold(
+      Number(budget.amount),
+      status.spent - amount,
+      status.spent
+    );
+
+    return threshold ? generateBudgetWarningMessage(status, threshold, lang) : null;
+  } catch (error) {
+    // A failed budget check should never fail the save itself
+    console.error("Error checking budget:", error);
+    return null;
+  }
+}
+
+function generateDraftMessage(draft, lang = "en") {
+  const items =
+    draft.mode === "receipt"
+      ? [describeReceipt(draft.data.receipt, lang)]
+      : draft.data.map((item) => describeIntent(item, lang));
+  const heading = lang === "bn" ? "📝 সেভ করার আগে নিশ্চিত করুন:" : "📝 Please confirm before I save:";
+  return localizeDigits(`${heading}\n${items.map((item) => `• ${item}`).join("\n")}`, lang);
+}
+
+function describeReceipt(receipt, lang = "en") {
+  if (lang === "bn") {
+    return `${receipt.date} তারিখে ${receipt.merchant}-এ ${receipt.currency} ${receipt.total} খরচ (${receipt.items.length}টি আইটেম)`;
+  }
+  return `expense of ${receipt.currency} ${receipt.total} at ${receipt.merchant} on ${receipt.date} (${receipt.items.length} items)`;
+}
+
+function describeIntent(data, lang = "en") {
+  const currency = data.currency || "BDT";
+  const category = categoryLabel(data.category, lang);
+
+  if (lang === "bn") {
+    switch (data.intent) {
+      case "new_loan":
+        return `${data.date} তারিখে ${data.lender_name}-এর কাছ থেকে ${currency} ${data.principal_amount} ঋণ`;
+      case "loan_repayment":
+        return `${data.date} তারিখে ${data.lender_name}-কে ${currency} ${data.amount} ঋণ পরিশোধ`;
+      case "new_lending":
+        return `${data.date} তারিখে ${data.borrower_name}-কে ${currency} ${data.principal_amount} ধার দেওয়া`;
+      case "lending_repayment":
+        return `${data.date} তারিখে ${data.borrower_name}-এর কাছ থেকে ${currency} ${data.amount} ফেরত`;
+      case "set_budget":
+        return `${data.month} মাসে ${category} বাজেট ${currency} ${data.amount}`;
+      case "recurring":
+        return `${data.start_date} থেকে ${BANGLA_FREQUENCIES[data.frequency]} ${category} ${data.type === "income" ? "আয়" : "খরচ"} ${currency} ${data.amount}`;
+      case "transfer":
+        return `${data.date} তারিখে ${data.from_account} থেকে ${data.to_account}-এ ${currency} ${data.amount} ট্রান্সফার`;
+      case "goal_contribution":
+        return `${data.date} তারিখে ${data.goal_name}-এ ${currency} ${data.amount} জমা`;
+      case "update_last":
+        return `শেষ এন্ট্রি বদলানো: ${describeChanges(data.changes)}`;
+      case "delete_last":
+        return "শেষ এন্ট্রি মুছে ফেলা";
+      case "undo":
+        return "শেষ পরিবর্তন আনডু";
+      default:
+        return `${data.date} তারিখে ${category} ${data.type === "income" ? "আয়" : "খরচ"} ${currency} ${data.amount}${data.notes ? ` (${data.notes})` : ""}`;
+    }
+  }
+
+  switch (data.intent) {
+    case "new_loan":
+      return `loan of ${currency} ${data.principal_amount} from ${data.lender_name} on ${data.date}`;
+    case "loan_repayment":
+      return `repayment of ${currency} ${data.amount} to ${data.lender_name} on ${data.date}`;
+    case "new_lending":
+      return `${currency} ${data.principal_amount} lent to ${data.borrower_name} on ${data.date}`;
+    case "lending_repayment":
+      return `${currency} ${data.amount} paid back by ${data.borrower_name} on ${data.date}`;
+    case "set_budget":
+      return `${category} budget of ${currency} ${data.amount} for ${data.month}`;
+    case "recurring":
+      return `${data.frequency} ${data.type} of ${currency} ${data.amount} for ${category} starting ${data.start_date}`;
+    case "transfer":
+      return `transfer of ${currency} ${data.amount} from ${data.from_account} to ${data.to_account} on ${data.date}`;
+    case "goal_contribution":
+      return `${currency} ${data.amount} toward ${data.goal_name} on ${data.date}`;
+    case "update_last":
+      return `change the last entry: ${describeChanges(data.changes)}`;
+    case "delete_last":
+      return "delete the last entry";
+    case "undo":
+      return "undo the last change";
+    default:
+      return `${data.type} of ${currency} ${data.amount} for ${category}${data.notes ? ` (${data.notes})` : ""} on ${data.date}`;
+  }
+}
+
+function describeChanges(changes = {}) {
+  return Object.entries(changes)
+    .map(([field, value]) => `${field} → ${value}`)
+    .join(", ");
+}
+
+const BANGLA_FREQUENCIES = {
+  daily: "প্রতিদিন",
+  weekly: "প্রতি সপ্তাহে",
+  monthly: "প্রতি মাসে",
+  yearly: "প্রতি বছর",
+};
+
+// Replies for items the model extracted without the details needed to save them
+const MISSING_DETAILS_MESSAGES = {
+  en: {
+    new_loan: "I couldn't extract the loan details. Please provide the loan amount and lender name.",
+    loan_repayment: "I couldn't extract the repayment details. Please provide the amount and which loan it's for.",
+    new_lending: "I couldn't extract the lending details. Please provide the amount and who you lent it to.",
+    lending_repayment: "I couldn't extract the repayment details. Please provide the amount and who paid you back.",
+    set_budget: "I couldn't extract the budget details. Please provide the category and the monthly limit.",
+    recurring: "I couldn't extract the recurring payment details. Please provide the amount and how often it repeats.",
+    transfer: "I couldn't extract the transfer details. Please provide the amount and which accounts it moved between.",
+    goal_contribution: "I couldn't extract the savings details. Please provide the amount and which goal it's for.",
+    transaction: "I couldn't extract the transaction details. Please provide the amount and specify if it's an expense or income.",
+  },
+  bn: {
+    new_loan: "ঋণের তথ্য বুঝতে পারিনি। ঋণের পরিমাণ আর কার কাছ থেকে নিয়েছেন তা বলুন।",
+    loan_repayment: "পরিশোধের তথ্য বুঝতে পারিনি। পরিমাণ আর কোন ঋণের জন্য তা বলুন।",
+    new_lending: "ধারের তথ্য বুঝতে পারিনি। পরিমাণ আর কাকে ধার দিয়েছেন তা বলুন।",
+    lending_repayment: "ফেরতের তথ্য বুঝতে পারিনি। পরিমাণ আর কে ফেরত দিয়েছে তা বলুন।",
+    set_budget: "বাজেটের তথ্য বুঝতে পারিনি। ক্যাটাগরি আর মাসিক সীমা বলুন।",
+    recurring: "নিয়মিত লেনদেনের তথ্য বুঝতে পারিনি। পরিমাণ আর কত দিন পরপর হয় তা বলুন।",
+    transfer: "ট্রান্সফারের তথ্য বুঝতে পারিনি। পরিমাণ আর কোন অ্যাকাউন্ট থেকে কোথায় গেছে তা বলুন।",
+    goal_contribution: "সঞ্চয়ের তথ্য বুঝতে পারিনি। পরিমাণ আর কোন লক্ষ্যের জন্য তা বলুন।",
+    transaction: "লেনদেনের তথ্য বুঝতে পারিনি। পরিমাণ আর এটা খরচ না আয় তা বলুন।",
+  },
+};
+
+// Replies to follow-ups that change earlier entries; {entry} is replaced
+// with a description of the entry
+const SESSION_MESSAGES = {
+  en: {
+    no_session: "I can only change an earlier entry within a conversation. Please send a sessionId.",
+    nothing_to_undo: "There is nothing to undo.",
+    nothing_saved: "Nothing has been saved in this conversation yet.",
+    not_amendable: "I can't change a repayment automatically ({entry}). Please fix it from the loan instead.",
+    nothing_changed: "Nothing to change: {entry}.",
+    has_repayments: "That loan already has repayments, so I can't change or remove it ({entry}).",
+    updated: "✏️ Updated: {entry}.",
+    deleted: "🗑️ Deleted: {entry}.",
+    undone_create: "↩️ Undone. Removed: {entry}.",
+    undone_update: "↩️ Undone. Back to: {entry}.",
+    undone_delete: "↩️ Undone. Restored: {entry}.",
+  },
+  bn: {
+    no_session: "আগের এন্ট্রি শুধু একই কথোপকথনের মধ্যে বদলানো যায়। sessionId পাঠান।",
+    nothing_to_undo: "আনডু করার মতো কিছু নেই।",
+    nothing_saved: "এই কথোপকথনে এখনো কিছু সেভ হয়নি।",
+    not_amendable: "পরিশোধ স্বয়ংক্রিয়ভাবে বদলানো যায় না ({entry})। ঋণ থেকে ঠিক করুন।",
+    nothing_changed: "বদলানোর কিছু নেই: {entry}।",
+    has_repayments: "এই ঋণে পরিশোধ হয়ে গেছে, তাই বদলানো বা মোছা যাচ্ছে না ({entry})।",
+    updated: "✏️ আপডেট হয়েছে: {entry}।",
+    deleted: "🗑️ মুছে ফেলা হয়েছে: {entry}।",
+    undone_create: "↩️ আনডু হয়েছে। মুছে ফেলা হয়েছে: {entry}।",
+    undone_update: "↩️ আনডু হয়েছে। আগের মতো: {entry}।",
+    undone_delete: "↩️ আনডু হয়েছে। ফিরিয়ে আনা হয়েছে: {entry}।",
+  },
+};
+
+function generateSessionMessage(kind, intent, lang = "en") {
+  const messages = SESSION_MESSAGES[lang] || SESSION_MESSAGES.en;
+  return messages[kind].replace("{entry}", intent ? describeIntent(intent, lang) : "");
+}
+
+// Replies when a name in a message fits several records or none, by kind
+// of record: the question ("suggest" when there are near matches to offer,
+// "missing" when there are none, or one for a reason of its own), a line
+// per candidate and what is still unsaved
+const CLARIFICATION_MESSAGES = {
+  en: {
+    loan: {
+      ambiguous: '🤔 "{name}" matches more than one loan. Which one did you mean?',
+      suggest: '🤔 I couldn\'t find a loan for "{name}". Did you mean one of these?',
+      missing: '🤔 I couldn\'t find a loan for "{name}".',
+      option: (c) =>
+        `${c.lender_name}: ${c.currency} ${c.remaining_balance.toFixed(2)} ${c.direction === "lent" ? "owed to you" : "remaining"} (since ${c.start_date})`,
+      pending: "Nothing has been recorded yet for {amount}.",
+    },
+    account: {
+      ambiguous: '🤔 "{name}" matches more than one account. Which one did you mean?',
+      suggest: '🤔 I couldn\'t find an account called "{name}". Did you mean one of these?',
+      missing: '🤔 You don\'t have an account called "{name}" yet. Please add it first.',
+      same_account: "🤔 A transfer needs two different accounts. Which account did the money go to?",
+      option: (c) => `${c.name} (${c.currency})`,
+      pending: "Nothing has been recorded yet for {amount}.",
+    },
+    member: {
+      ambiguous: '🤔 "{name}" matches more than one member of the ledger. Who did you mean?',
+      suggest: '🤔 I couldn\'t find a member called "{name}". Did you mean one of these?',
+      missing: '🤔 Nobody called "{name}" is in this ledger yet. Please add them as a member first.',
+      option: (c) => c.name,
+      pending: "Nothing has been recorded yet for {amount}.",
+    },
+    goal: {
+      ambiguous: '🤔 "{name}" matches more than one goal. Which one did you mean?',
+      suggest: '🤔 I couldn\'t find a goal called "{name}". Did you mean one of these?',
+      missing: '🤔 You don\'t have a goal called "{name}" yet. Please create it first.',
+      option: (c) => `${c.name} (${c.currency} ${c.target_amount})`,
+      pending: "Nothing has been added yet for {amount}.",
+    },
+    transactions: {
+      missing: "🔎 I couldn't find any matching transactions{range}.",
+    },
+  },
+  bn: {
+    loan: {
+      ambiguous: '🤔 "{name}" একাধিক ঋণের সাথে মেলে। কোনটি বোঝাচ্ছেন?',
+      suggest: '🤔 "{name}" নামে কোনো ঋণ পাইনি। এগুলোর কোনোটি কি?',
+      missing: '🤔 "{name}" নামে কোনো ঋণ পাইনি।',
+      option: (c) =>
+        `${c.lender_name}: ${c.currency} ${c.remaining_balance.toFixed(2)} ${c.direction === "lent" ? "পাওনা" : "বাকি"} (${c.start_date} থেকে)`,
+      pending: "{amount} এখনও সেভ করা হয়নি।",
+    },
+    account: {
+      ambiguous: '🤔 "{name}" একাধিক অ্যাকাউন্টের সাথে মেলে। কোনটি বোঝাচ্ছেন?',
+      suggest: '🤔 "{name}" নামে কোনো অ্যাকাউন্ট পাইনি। এগুলোর কোনোটি কি?',
+      missing: '🤔 "{name}" নামে কোনো অ্যাকাউন্ট নেই। আগে অ্যাকাউন্টটি যোগ করুন।',
+      same_account: "🤔 একই অ্যাকাউন্টে ট্রান্সফার করা যায় না। টাকা কোন অ্যাকাউন্টে গেছে?",
+      option: (c) => `${c.name} (${c.currency})`,
+      pending: "{amount} এখনও সেভ করা হয়নি।",
+    },
+    member: {
+      ambiguous: '🤔 "{name}" লেজারের একাধিক সদস্যের সাথে মেলে। কাকে বোঝাচ্ছেন?',
+      suggest: '🤔 "{name}" নামে কোনো সদস্য পাইনি। এদের কেউ কি?',
+      missing: '🤔 লেজারে "{name}" নামে কেউ নেই। আগে তাকে সদস্য হিসেবে যোগ করুন।',
+      option: (c) => c.name,
+      pending: "{amount} এখনও সেভ করা হয়নি।",
+    },
+    goal: {
+      ambiguous: '🤔 "{name}" একাধিক লক্ষ্যের সাথে মেলে। কোনটি বোঝাচ্ছেন?',
+      suggest: '🤔 "{name}" নামে কোনো লক্ষ্য পাইনি। এগুলোর কোনোটি কি?',
+      missing: '🤔 "{name}" নামে কোনো লক্ষ্য নেই। আগে লক্ষ্যটি তৈরি করুন।',
+      option: (c) => `${c.name} (${c.currency} ${c.target_amount})`,
+      pending: "{amount} এখনও জমা করা হয়নি।",
+    },
+    transactions: {
+      missing: "🔎{range} কোনো মিলে যাওয়া লেনদেন পাওয়া যায়নি।",
+    },
+  },
+};
+
+// How fields that failed the checks are named in replies
+const FIELD_LABELS = {
+  en: {
+    amount: "amount",
+    principal_amount: "amount",
+    date: "date",
+    due_date: "due date",
+    start_date: "start date",
+    end_date: "end date",
+    month: "month",
+    currency: "currency",
+    type: "type",
+    frequency: "frequency",
+    interest_rate: "interest rate",
+    tenure_months: "tenure",
+    monthly_installment: "installment",
+    category: "category",
+    from_account: "account it came from",
+    to_account: "account it went to",
+    goal_name: "goal",
+    period: "period",
+  },
+  bn: {
+    amount: "পরিমাণ",
+    principal_amount: "পরিমাণ",
+    date: "তারিখ",
+    due_date: "ফেরতের তারিখ",
+    start_date: "শুরুর তারিখ",
+    end_date: "শেষের তারিখ",
+    month: "মাস",
+    currency: "মুদ্রা",
+    type: "ধরন",
+    frequency: "কত দিন পরপর",
+    interest_rate: "সুদের হার",
+    tenure_months: "মেয়াদ",
+    monthly_installment: "কিস্তি",
+    category: "ক্যাটাগরি",
+    from_account: "যে অ্যাকাউন্ট থেকে",
+    to_account: "যে অ্যাকাউন্টে",
+    goal_name: "লক্ষ্য",
+    period: "সময়কাল",
+  },
+};
+
+function generateInvalidIntentMessage(data, errors, lang = "en") {
+  const fields = [...new Set(errors.map((error) => error.field.replace(/^changes\./, "")))];
+  // A missing amount gets the usual "please provide the amount" reply
+  if (fields.some((field) => field === "amount" || field === "principal_amount") && data.intent !== "update_last") {
+    return generateMissingDetailsMessage(data.intent, lang);
+  }
+  // A bare "kal" is asked about rather than guessed
+  const values = data.intent === "update_last" ? data.changes || {} : data;
+  if (fields.some((field) => field.endsWith("date") && isAmbiguousDay(values[field]))) {
+    return lang === "bn"
+      ? "🤔 \"কাল\" মানে গতকাল না আগামীকাল? দিনটি বলে আবার পাঠান; কিছু সেভ করা হয়নি।"
+      : "🤔 Did \"kal\" mean yesterday (gotokal) or tomorrow (agamikal)? Nothing was saved; please send it again with the day.";
+  }
+
+  const labels = FIELD_LABELS[lang] || FIELD_LABELS.en;
+  const names = fields.map((field) => labels[field] || field.replace(/_/g, " ")).join(", ");
+  return lang === "bn"
+    ? `⚠️ সেভ করিনি: ${names} ঠিক বোঝা যায়নি। আবার পরিষ্কার করে বলুন।`
+    : `⚠️ I didn't save this: the ${names} didn't look right. Please send it again with a clear ${names}.`;
+}
+
+function generateOutlierMessage(data, warning, lang = "en") {
+  const currency = data.currency || "BDT";
+  const category = warning.category ? categoryLabel(warning.category, lang) : null;
+  if (lang === "bn") {
+    const kind = data.type === "income" ? "আয়ের" : "খরচের";
+    return `🤔 ${currency} ${data.amount} আপনার সাধারণ ${category ? `${category} ` : ""}${kind} (প্রায় ${currency} ${warning.typical}) চেয়ে অনেক বেশি। সেভ করার আগে ড্রাফটটি নিশ্চিত করুন।`;
+  }
+  const kind = data.type === "income" ? "receive" : "spend";
+  return `🤔 ${currency} ${data.amount} is far more than you usually ${kind}${category ? ` on ${category}` : ""} (about ${currency} ${warning.typical}). Please confirm the draft before I save it.`;
+}
+
+function generateMissingDetailsMessage(intent, lang = "en") {
+  const messages = MISSING_DETAILS_MESSAGES[lang] || MISSING_DETAILS_MESSAGES.en;
+  return messages[intent] || messages.transaction;
+}
+
+/**
+ * The reply for a name that fits several records of a kind, or none (see
+ * CLARIFICATION_MESSAGES). clarification is { name, reason, candidates };
+ * data is the unsaved entry ({ amount, currency }) or, for transactions,
+ * the { range } searched.
+ */
+function generateClarificationMessage(kind, data, { name = "", reason, candidates = [] }, lang = "en") {
+  const messages = (CLARIFICATION_MESSAGES[lang] || CLARIFICATION_MESSAGES.en)[kind];
+  const question = messages[reason] || (candidates.length ? messages.suggest : messages.missing);
+  const fill = (template) =>
+    template
+      .replace("{name}", () => name)
+      .replace("{amount}", () => `${data.currency} ${data.amount}`)
+      .replace("{range}", () => data.range || "");
+
+  return [
+    fill(question),
+    ...candidates.map((candidate) => `• ${messages.option(candidate)}`),
+    messages.pending && fill(messages.pending),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function generateFailureMessage(data, lang = "en") {
+  const amount = data.amount || data.principal_amount;
+  const currency = data.currency || "BDT";
+  if (lang === "bn") {
+    return `⚠️ ${amount ? `${currency} ${amount} ` : ""}সেভ করা যায়নি। আবার চেষ্টা করুন।`;
+  }
+  const what = data.intent === "transaction" ? data.type || "transaction" : data.intent.replace(/_/g, " ");
+  return `⚠️ Failed to record ${what}${amount ? ` of ${currency} ${amount}` : ""}. Please try again.`;
+}
+
+function generateResponseMessage(data, lang = "en") {
+  if (!data.amount || !data.type) {
+    return generateMissingDetailsMessage("transaction", lang);
+  }
+
+  const emoji = data.type === "expense" ? "💸" : "💰";
+  const category = categoryLabel(data.category || "other", lang);
+  const notes = data.notes ? ` (${data.notes})` : "";
+
+  if (lang === "bn") {
+    const action = data.type === "expense" ? "খরচ" : "আয়";
+    return `${emoji} ${action} সেভ হয়েছে: ${data.date || "আজ"} তারিখে ${category}${notes} ${data.currency || "BDT"} ${data.amount}`;
+  }
+
+  const action =
+    data.type === "expense" ? "recorded expense" : "recorded income";
+
+  return `${emoji} Successfully ${action}: ${data.currency || "BDT"} ${
+    data.amount
+  } for ${category}${notes} on ${data.date || "today"}`;
+}
+
+function generateReceiptResponseMessage(receipt, entries, lang = "en") {
+  const bn = lang === "bn";
+  if (!receipt.total) {
+    return bn
+      ? "রসিদের মোট টাকা পড়তে পারিনি। আরও পরিষ্কার ছবি দিন অথবা লিখে জানান।"
+      : "I couldn't read the total on this receipt. Please try a clearer photo or enter it as text.";
+  }
+
+  let msg = bn
+    ? `🧾 রসিদ সেভ হয়েছে: ${receipt.date} তারিখে ${receipt.merchant}-এ ${receipt.currency} ${receipt.total}`
+    : `🧾 Receipt recorded: ${receipt.currency} ${receipt.total} at ${receipt.merchant} on ${receipt.date}`;
+  if (entries.length > 1) {
+    msg += ` (${entries
+      .map((entry) => `${categoryLabel(entry.category, lang)} ${entry.amount}`)
+      .join(", ")})`;
+  }
+  if (receipt.items.length) {
+    msg += bn
+      ? ` — ${receipt.items.length}টি আইটেম পড়া হয়েছে`
+      : ` — ${receipt.items.length} item${receipt.items.length === 1 ? "" : "s"} read`;
+  }
+  return msg;
+}
+
+/**
+ * Pick the category holding the largest share of a receipt's line items
+ */
+function dominantReceiptCategory(receipt) {
+  const [largest] = splitReceiptByCategory(receipt).sort(
+    (a, b) => b.amount - a.amount
+  );
+  return largest ? largest.category : "shopping";
+}
+
+/**
+ * Group receipt line items by category. Any difference between the line
+ * items and the receipt total (tax, service charge, discounts) is spread
+ * over the groups in proportion to their amounts, so the saved amounts
+ * always add up to the total and none goes negative.
+ */
+function splitReceiptByCategory(receipt) {
+  const totals = {};
+  receipt.items.forEach((item) => {
+    totals[item.category] = (totals[item.category] || 0) + item.amount;
+  });
+
+  const groups = Object.entries(totals).map(([category, amount]) => ({
+    category,
+    amount,
+  }));
+
+  const itemsTotal = groups.reduce((sum, group) => sum + group.amount, 0);
+  const totalCents = Math.round(receipt.total * 100);
+  if (groups.length === 0 || itemsTotal <= 0 || totalCents <= 0) {
+    return [{ category: groups.length ? groups[0].category : "shopping", amount: receipt.total }];
+  }
+
+  // Shares are whole cents; the cents lost to rounding go to the largest group
+  const shares = groups.map((group) => ({
+    category: group.category,
+    cents: Math.floor((totalCents * group.amount) / itemsTotal),
+  }));
+  const largest = shares.reduce((a, b) => (b.cents > a.cents ? b : a));
+  largest.cents += totalCents - shares.reduce((sum, share) => sum + share.cents, 0);
+
+  return shares.map((share) => ({ category: share.category, amount: share.cents / 100 }));
+}
+
+function generateBudgetResponseMessage(budget, lang = "en") {
+  const category = categoryLabel(budget.category, lang);
+  if (lang === "bn") {
+    return `📊 বাজেট ঠিক হয়েছে: ${budget.month.slice(0, 7)} মাসে ${category} ${budget.currency} ${budget.amount}`;
+  }
+  return `📊 Budget set: ${budget.currency} ${budget.amount} for ${category} in ${budget.month.slice(0, 7)}`;
+}
+
+function generateBudgetWarningMessage(status, threshold, lang = "en") {
+  const category = categoryLabel(status.category, lang);
+  const percent = Math.round(status.percentUsed);
+
+  if (lang === "bn") {
+    const figures = `${status.currency} ${status.amount}-এর মধ্যে ${status.spent} খরচ`;
+    if (threshold >= 100) {
+      return `🚨 এই মাসের ${category} বাজেট পার হয়ে গেছে: ${figures} (${percent}%)।`;
+    }
+    return `⚠️ খেয়াল করুন: ${category} বাজেটের ${percent}% খরচ হয়ে গেছে (${figures})।`;
+  }
+
+  const figures = `${status.currency} ${status.spent} of ${status.amount} spent`;
+  if (threshold >= 100) {
+    return `🚨 You've gone over your ${category} budget for this month: ${figures} (${percent}%).`;
+  }
+  return `⚠️ Heads up: you've used ${percent}% of your ${category} budget (${figures}).`;
+}
+
+function generateRecurringResponseMessage(rule, lang = "en") {
+  const category = categoryLabel(rule.category, lang);
+
+  if (lang === "bn") {
+    const every = rule.frequency === "monthly"
+      ? `প্রতি মাসের ${rule.day_of_month} তারিখে`
+      : BANGLA_FREQUENCIES[rule.frequency];
+    const kind = rule.type === "income" ? "আয়" : "খরচ";
+    return `🔁 নিয়মিত ${kind} যোগ হয়েছে: ${every} ${category} ${rule.currency} ${rule.amount}। পরের এন্ট্রি ${rule.next_run_date} তারিখে।`;
+  }
+
+  const every = {
+    daily: "every day",
+    weekly: "every week",
+    monthly: `every month on day ${rule.day_of_month}`,
+    yearly: "every year",
+  }[rule.frequency];
+  const kind = rule.type === "income" ? "income" : "expense";
+  return `🔁 Recurring ${kind} set up: ${rule.currency} ${rule.amount} for ${category} ${every}. Next entry on ${rule.next_run_date}.`;
+}
+
+function generateQueryAnswerMessage(answer, lang = "en") {
+  const { metric, totals = {}, filters } = answer;
+  const bn = lang === "bn";
+  const range = bn
+    ? answer.startDate && answer.endDate
+      ? ` ${answer.startDate} থেকে ${answer.endDate} পর্যন্ত`
+      : answer.startDate
+        ? ` ${answer.startDate} থেকে`
+        : ""
+    : answer.startDate && answer.endDate
+      ? ` between ${answer.startDate} and ${answer.endDate}`
+      : answer.startDate
+        ? ` since ${answer.startDate}`
+        : "";
+  const topic = filters.search || (filters.category && categoryLabel(filters.category, lang));
+  const subject = topic ? (bn ? ` ${topic}-এ` : ` on ${topic}`) : "";
+  const amounts = (values) =>
+    Object.entries(values)
+      .map(([currency, amount]) => `${currency} ${amount}`)
+      .join(bn ? " ও " : " and ");
+  const nothingFound = generateClarificationMessage("transactions", { range }, { reason: "missing" }, lang);
+
+  if (metric === "recent_transactions") {
+    if (!answer.transactions.length) return nothingFound;
+    const heading = bn ? `🔎${range} আপনার সাম্প্রতিক লেনদেন:` : `🔎 Your latest matching transactions${range}:`;
+    return `${heading}\n${answer.transactions
+      .map((t) => bn
+        ? `• ${t.date}: ${categoryLabel(t.category, lang)} ${t.type === "income" ? "আয়" : "খরচ"} ${t.currency} ${t.amount}${t.notes ? ` (${t.notes})` : ""}`
+        : `• ${t.date}: ${t.currency} ${t.amount} ${t.type} for ${t.category}${t.notes ? ` (${t.notes})` : ""}`)
+      .join("\n")}`;
+  }
+
+  if (metric === "loan_balance") {
+    const name = filters.lender_name;
+    if (!answer.loans.length) {
+      return bn
+        ? `🏦 ${name ? `${name}-এর সাথে ` : ""}কোনো চলতি ঋণ নেই।`
+        : `🏦 You have no active loans${name ? ` with ${name}` : ""}.`;
+    }
+
+    const parts = [];
+    const borrowed = answer.loans.filter((loan) => loan.direction !== "lent").length;
+    const owedToYou = Object.keys(answer.receivables).length > 0;
+    if (bn) {
+      if (borrowed) parts.push(`${name ? `${name}-কে ` : ""}আপনার এখনও ${amounts(totals)} দেওয়া বাকি (${borrowed}টি ঋণ)`);
+      if (owedToYou) parts.push(`${name || "অন্যদের"} কাছে আপনার ${amounts(answer.receivables)} পাওনা`);
+      return `🏦 ${parts.join(", আর ")}।`;
+    }
+    if (borrowed) {
+      parts.push(`you still owe ${amounts(totals)}${name ? ` to ${name}` : ""} across ${borrowed} active loan${borrowed === 1 ? "" : "s"}`);
+    }
+    if (owedToYou) {
+      parts.push(`${name || "others"} owe${name ? "s" : ""} you ${amounts(answer.receivables)}`);
+    }
+    const sentence = parts.join(", and ");
+    return `🏦 ${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`;
+  }
+
+  if (Object.keys(totals).length === 0) {
+    return nothingFound;
+  }
+
+  if (metric === "category_breakdown") {
+    const heading = bn ? `📊${range} ক্যাটাগরি অনুযায়ী খরচ:` : `📊 Your spending by category${range}:`;
+    return `${heading}\n${Object.entries(totals)
+      .map(([currency, categories]) =>
+        Object.entries(categories)
+          .map(([category, amount]) => `• ${categoryLabel(category, lang)}: ${currency} ${amount}`)
+          .join("\n")
+      )
+      .join("\n")}`;
+  }
+
+  if (metric === "transaction_count") {
+    const count = Object.values(totals).reduce((sum, n) => sum + n, 0);
+    return bn
+      ? `🔎${range}${subject} আপনার ${count}টি লেনদেন আছে।`
+      : `🔎 You have ${count} transaction${count === 1 ? "" : "s"}${subject}${range}.`;
+  }
+
+  // Several currencies: also give the combined figure in the home currency
+  const combined =
+    answer.home && Object.keys(totals).length > 1
+      ? bn
+        ? ` (মোট প্রায় ${answer.home.currency} ${answer.home.value})`
+        : ` (about ${answer.home.currency} ${answer.home.value} in total)`
+      : "";
+
+  if (bn) {
+    if (metric === "total_income") return `💰${range}${subject} আপনি পেয়েছেন ${amounts(totals)}${combined}।`;
+    if (metric === "net") return `📊${range}${subject} আপনার নিট ব্যালেন্স ${amounts(totals)}${combined}।`;
+    return `💸${range}${subject} আপনি খরচ করেছেন ${amounts(totals)}${combined}।`;
+  }
+  if (metric === "total_income") return `💰 You received ${amounts(totals)}${combined}${subject}${range}.`;
+  if (metric === "net") return `📊 Your net balance${subject}${range} is ${amounts(totals)}${combined}.`;
+  return `💸 You spent ${amounts(totals)}${combined}${subject}${range}.`;
+}
+
+function generateLoanResponseMessage(data, loan = {}, lang = "en") {
+  const currency = data.currency || "BDT";
+  const tenure = loan.tenure_months || data.tenure_months;
+  const installment = loan.monthly_installment && Number(loan.monthly_installment).toFixed(2);
+
+  if (lang === "bn") {
+    let msg = `🏦 ঋণ সেভ হয়েছে: ${data.date || "আজ"} তারিখে ${data.lender_name}-এর কাছ থেকে ${currency} ${data.principal_amount}`;
+    if (data.interest_rate) msg += `, ${data.interest_rate}% ${loan.interest_method === "flat" ? "ফ্ল্যাট " : ""}সুদে`;
+    if (tenure) msg += `, ${tenure} মাসের জন্য`;
+    if (installment) {
+      msg += `। মাসিক কিস্তি: ${currency} ${installment}`;
+      if (loan.next_installment_date) msg += `, প্রথম কিস্তি ${loan.next_installment_date} তারিখে`;
+    }
+    return msg;
+  }
+
+  const type = data.loan_type === "personal" ? "personal loan" : "bank loan";
+  let msg = `🏦 Loan recorded: ${currency} ${data.principal_amount} ${type} from ${data.lender_name}`;
+  if (data.interest_rate) {
+    msg += ` at ${data.interest_rate}% ${loan.interest_method === "flat" ? "flat " : ""}interest`;
+  }
+  if (tenure) msg += ` for ${tenure} months`;
+  msg += ` on ${data.date || "today"}`;
+  if (installment) {
+    msg += `. Monthly installment: ${currency} ${installment}`;
+    if (loan.next_installment_date) msg += `, first due ${loan.next_installment_date}`;
+  }
+  return msg;
+}
+
+function generateRepaymentResponseMessage(data, result, lang = "en") {
+  const currency = data.currency || "BDT";
+  const bn = lang === "bn";
+
+  if (result.loan) {
+    const remaining = `${result.loan.currency} ${Number(result.loan.remaining_balance).toFixed(2)}`;
+    const paidOff = result.loan.status === "paid_off";
+    if (bn) {
+      const split = result.split
+        ? ` (আসল ${result.split.principal.toFixed(2)}, সুদ ${result.split.interest.toFixed(2)})`
+        : "";
+      const statusMsg = paidOff ? "🎉 এই ঋণ পুরোপুরি শোধ হয়ে গেছে!" : `বাকি আছে: ${remaining}`;
+      return `💰 পরিশোধ সেভ হয়েছে: ${data.lender_name}-কে ${currency} ${data.amount}${split}। ${statusMsg}`;
+    }
+    const statusMsg = paidOff ? "🎉 This loan is now fully paid off!" : `Remaining balance: ${remaining}`;
+    const split = result.split
+      ? ` (principal ${result.split.principal.toFixed(2)}, interest ${result.split.interest.toFixed(2)})`
+      : "";
+    return `💰 Repayment recorded: ${currency} ${data.amount} to ${data.lender_name}${split}. ${statusMsg}`;
+  }
+  return bn
+    ? `💰 ${data.lender_name}-কে ${currency} ${data.amount} পরিশোধ খরচ হিসেবে সেভ হয়েছে (কোনো চলতি ঋণ মেলেনি)।`
+    : `💰 Repayment of ${currency} ${data.amount} to ${data.lender_name} recorded as expense (no matching active loan found).`;
+}
+
+function generateLoanRateMessage({ from, to }, name, lang = "en") {
+  return lang === "bn"
+    ? `⚠️ ${from} থেকে ${to}-এ বিনিময় হার জানা নেই, তাই ${name}-এর ঋণে কিছু সেভ করা হয়নি।`
+    : `⚠️ I don't have an exchange rate from ${from} to ${to}, so nothing was recorded for the loan with ${name}.`;
+}
+
+function generateTransferResponseMessage(data, from, to, lang = "en") {
+  const currency = data.currency || from.currency;
+  if (lang === "bn") {
+    return `🔁 ট্রান্সফার সেভ হয়েছে: ${data.date || "আজ"} তারিখে ${from.name} থেকে ${to.name}-এ ${currency} ${data.amount}`;
+  }
+  return `🔁 Transfer recorded: ${currency} ${data.amount} from ${from.name} to ${to.name} on ${data.date || "today"}`;
+}
+
+function generateGoalContributionMessage(data, goal, lang = "en") {
+  const added = `${data.currency || goal.currency} ${data.amount}`;
+  const percent = Math.round(goal.percentComplete);
+
+  if (lang === "bn") {
+    const progress = `🎯 ${goal.name}-এ ${added} জমা হয়েছে: ${goal.currency} ${goal.target_amount}-এর মধ্যে ${goal.saved} জমেছে (${percent}%)।`;
+    const next = goal.status === "achieved"
+      ? "🎉 লক্ষ্য পূরণ হয়েছে!"
+      : goal.status === "overdue"
+        ? `সময়সীমা (${goal.deadline}) পেরিয়ে গেছে; আরও ${goal.currency} ${goal.remaining} বাকি।`
+        : goal.requiredMonthly
+          ? `${goal.deadline}-এর মধ্যে পৌঁছাতে মাসে ${goal.currency} ${goal.requiredMonthly} করে জমাতে হবে।`
+          : `আরও ${goal.currency} ${goal.remaining} বাকি।`;
+    return `${progress} ${next}`;
+  }
+
+  const progress = `🎯 Added ${added} to ${goal.name}: ${goal.currency} ${goal.saved} of ${goal.target_amount} saved (${percent}%).`;
+  const next = goal.status === "achieved"
+    ? "🎉 Goal reached!"
+    : goal.status === "overdue"
+      ? `The deadline (${goal.deadline}) has passed; ${goal.currency} ${goal.remaining} to go.`
+      : goal.requiredMonthly
+        ? `Save ${goal.currency} ${goal.requiredMonthly} a month to reach it by ${goal.deadline}.`
+        : `${goal.currency} ${goal.remaining} to go.`;
+  return `${progress} ${next}`;
+}
+
+function generateGoalRateMessage(data, goal, lang = "en") {
+  return lang === "bn"
+    ? `⚠️ ${data.currency} থেকে ${goal.currency}-এ বিনিময় হার জানা নেই, তাই ${goal.name}-এ কিছু জমা করা হয়নি।`
+    : `⚠️ I don't have an exchange rate from ${data.currency} to ${goal.currency}, so nothing was added to ${goal.name}.`;
+}
+
+function generateUnknownAccountMessage(name, lang = "en") {
+  return lang === "bn"
+    ? `ℹ️ "${name}" অ্যাকাউন্টটি চিনতে পারিনি, তাই কোনো অ্যাকাউন্টের সাথে যুক্ত করা হয়নি।`
+    : `ℹ️ I couldn't tell which account "${name}" is, so this isn't linked to one.`;
+}
+
+function generateSplitResponseMessage(data, sharing, lang = "en") {
+  const currency = data.currency || "BDT";
+  const share = Math.round((data.amount / sharing.length) * 100) / 100;
+  const names = sharing.slice(1).map((member) => member.name);
+  const category = categoryLabel(data.category || "other", lang);
+
+  if (lang === "bn") {
+    return `🧾 ${category}-এর ${currency} ${data.amount} আপনি ও ${names.join(", ")}-এর মধ্যে ভাগ হয়েছে: প্রত্যেকে ${currency} ${share}`;
+  }
+  const people = names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0];
+  return `🧾 Split ${currency} ${data.amount} for ${category} between you and ${people}: ${currency} ${share} each`;
+}
+
+function generateSplitNeedsLedgerMessage(lang = "en") {
+  return lang === "bn"
+    ? "ℹ️ খরচ ভাগ করতে একটি শেয়ার করা লেজার থেকে মেসেজ পাঠান। কিছু সেভ করা হয়নি।"
+    : "ℹ️ To split an expense, send the message in a shared ledger. Nothing was recorded.";
+}
+
+function generateLedgerAccessMessage(lang = "en") {
+  return lang === "bn"
+    ? "⛔ এই লেজারে আপনি কিছু যোগ করতে পারবেন না। কিছু সেভ করা হয়নি।"
+    : "⛔ You can't record entries in this ledger. Nothing was recorded.";
+}
+
+function generateLendingResponseMessage(data, lang = "en") {
+  const currency = data.currency || "BDT";
+  if (lang === "bn") {
+    let msg = `🤝 সেভ হয়েছে: ${data.date || "আজ"} তারিখে ${data.borrower_name}-কে ${currency} ${data.principal_amount} ধার দিয়েছেন`;
+    if (data.due_date) msg += `, ফেরত পাওয়ার কথা ${data.due_date} তারিখে`;
+    return msg;
+  }
+  let msg = `🤝 Recorded: you lent ${currency} ${data.principal_amount} to ${data.borrower_name} on ${data.date || "today"}`;
+  if (data.due_date) msg += `, expected back by ${data.due_date}`;
+  return msg;
+}
+
+function generateCollectionResponseMessage(data, result, lang = "en") {
+  const currency = data.currency || "BDT";
+  const bn = lang === "bn";
+
+  if (result.loan) {
+    const remaining = `${result.loan.currency} ${Number(result.loan.remaining_balance).toFixed(2)}`;
+    const paidOff = result.loan.status === "paid_off";
+    if (bn) {
+      const statusMsg = paidOff
+        ? `🎉 ${data.borrower_name} পুরো টাকা ফেরত দিয়েছে!`
+        : `${data.borrower_name}-এর কাছে এখনও ${remaining} পাওনা`;
+      return `💵 ${data.borrower_name}-এর কাছ থেকে ${currency} ${data.amount} পেয়েছেন। ${statusMsg}`;
+    }
+    const statusMsg = paidOff
+      ? `🎉 ${data.borrower_name} has paid you back in full!`
+      : `${data.borrower_name} still owes you ${remaining}`;
+    return `💵 Received ${currency} ${data.amount} from ${data.borrower_name}. ${statusMsg}`;
+  }
+  return bn
+    ? `💵 ${data.borrower_name}-এর কাছ থেকে ${currency} ${data.amount} আয় হিসেবে সেভ হয়েছে (কোনো ধার মেলেনি)।`
+    : `💵 Received ${currency} ${data.amount} from ${data.borrower_name}, recorded as income (no matching money lent found).`;
+}
+
+// Submit feedback
+app.post("/api/feedback", forbidOtherUsers, async (req, res) => {
+  try {
+    const { userName, userEmail, rating, comment } = req.body;
+    const { userId } = req;
+
+    if (!rating || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: "rating must be between 1 and 5" });
+    }
+
+    await saveFeedback({
+      userId,
+      userName,
+      userEmail: userEmail || req.user.email,
+      rating,
+      comment,
+    });
+    res.json({ success: true, message: "Feedback submitted successfully" });
+  } catch (error) {
+    console.error("Error saving feedback:", error);
+    res.status(500).json({ error: "Failed to save feedback" });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Backend server running on http://localhost:${PORT}`);
+  console.log(`📊 Ready to process expense tracking requests`);
+  console.log(
+    `🤖 Extraction: ${chatProvider.model ? `${chatProvider.model} (rules as fallback)` : "rules only"}; ` +
+      `speech: ${speechProvider.model || "off"}`
+  );
+
+  // Load the shared exchange rates from the local rates file
+  try {
+    const rates = loadExchangeRatesFile();
+    saveExchangeRates(rates, null, "file")
+      .then((saved) => console.log(`💱 Loaded ${saved.length} exchange rates`))
+      .catch((error) => console.error("Failed to load exchange rates:", error.message));
+  } catch (error) {
+    console.error("Failed to read exchange rates file:", error.message);
+  }
+
+  // Materialize recurring transactions and loan installments
+  if (process.env.SCHEDULER_ENABLED !== "false") {
+    startScheduler({
+      intervalMinutes: Number(process.env.SCHEDULER_INTERVAL_MINUTES) || 60,
+    });
+  }
 });
@@ -0,0 +1,78 @@
+import { CANDIDATE_THRESHOLD, MATCH_THRESHOLD, scoreNameMatch } from "./loans.js";
+
+/**
+ * Accounts money is kept in (cash, bank, bKash...) and matching the
+ * account a message names ("paid by bKash", "from bank to cash")
+ */
+
+export const ACCOUNT_TYPES = ["cash", "bank", "mobile_wallet", "credit_card", "other"];
+
+// Words that name a kind of account rather than one account
+export const ACCOUNT_TYPE_WORDS = {
+  cash: ["cash", "hand cash", "nogod taka", "ক্যাশ", "নগদ টাকা"],
+  bank: ["bank", "bank account", "ব্যাংক"],
+  mobile_wallet: ["bkash", "bikash", "nagad", "rocket", "upay", "mobile wallet", "বিকাশ", "রকেট"],
+  credit_card: ["card", "credit card", "কার্ড", "ক্রেডিট কার্ড"],
+};
+
+/**
+ * The account type a name such as "bank" or "বিকাশ" refers to, or null
+ */
+export function accountTypeFromName(name) {
+  const text = String(name || "").trim().toLowerCase();
+  const type = Object.keys(ACCOUNT_TYPE_WORDS).find((key) => ACCOUNT_TYPE_WORDS[key].includes(text));
+  return type || null;
+}
+
+/**
+ * Pick the account a name refers to, like matchLoan: { account, score }
+ * for a confident, unambiguous match, else { account: null, reason,
+ * candidates }. An account's own name wins; a word for a kind of account
+ * ("bank", "cash") picks the user's only account of that kind.
+ */
+export function matchAccount(accounts, name) {
+  const exact = accounts.find((account) => scoreNameMatch(name, account.name) === 1);
+  if (exact) return { account: exact, score: 1 };
+
+  const type = accountTypeFromName(name);
+  const ofType = accounts.filter((account) => account.type === type);
+  if (ofType.length === 1) return { account: ofType[0], score: MATCH_THRESHOLD };
+  if (ofType.length > 1) {
+    return {
+      account: null,
+      reason: "ambiguous",
+      candidates: ofType.map((account) => ({ account, score: MATCH_THRESHOLD })),
+    };
+  }
+
+  const ranked = accounts
+    .map((account) => ({ account, score: scoreNameMatch(name, account.name) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = ranked;
+  if (best && best.score >= MATCH_THRESHOLD && (!runnerUp || runnerUp.score < best.score)) {
+    return best;
+  }
+
+  const candidates = ranked.filter((match) => match.score >= CANDIDATE_THRESHOLD);
+  return {
+    account: null,
+    reason: candidates.length ? "ambiguous" : "no_match",
+    candidates: candidates.length ? candidates : ranked,
+  };
+}
+
+/**
+ * Add each account's balance and transaction count (rows of
+ * account_balances) to the account rows
+ */
+export function withBalances(accounts, balances) {
+  const byId = new Map(balances.map((row) => [row.account_id, row]));
+  return accounts.map((account) => {
+    const row = byId.get(account.id);
+    return {
+      ...account,
+      balance: Number(row ? row.balance : account.opening_balance),
+      transaction_count: Number(row ? row.transaction_count : 0),
+    };
+  });
+}
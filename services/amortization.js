@@ -0,0 +1,174 @@
+import { advanceDate } from "./recurrence.js";
+
+/**
+ * Loan amortization: installment amounts, repayment schedules, and
+ * allocating payments to the schedule (interest first, then principal).
+ * All amounts are rounded to 2 decimals; the last installment absorbs rounding.
+ */
+
+export const INTEREST_METHODS = ["reducing", "flat"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Monthly installment for a loan.
+ * reducing: standard EMI on the declining balance, P·r·(1+r)^n / ((1+r)^n − 1)
+ * flat: interest on the original principal for the whole term, spread evenly
+ */
+export function calculateInstallment(principal, annualRate, months, method = "reducing") {
+  const rate = Number(annualRate) / 12 / 100;
+
+  if (method === "flat") {
+    return round((principal + principal * rate * months) / months);
+  }
+  if (rate === 0) {
+    return round(principal / months);
+  }
+  const growth = Math.pow(1 + rate, months);
+  return round((principal * rate * growth) / (growth - 1));
+}
+
+/**
+ * Number of months needed to repay a loan with a given installment, or
+ * null if the installment never covers the interest. The small tolerance
+ * stops a rounded-down installment from adding a whole extra month.
+ */
+export function calculateTenure(principal, annualRate, installment, method = "reducing") {
+  const rate = Number(annualRate) / 12 / 100;
+
+  if (method === "flat") {
+    // installment · n = P + P·r·n
+    const perMonth = installment - principal * rate;
+    return perMonth > 0 ? Math.ceil(principal / perMonth - 0.001) : null;
+  }
+  if (rate === 0) {
+    return Math.ceil(principal / installment);
+  }
+  if (installment <= principal * rate) return null;
+  return Math.ceil(-Math.log(1 - (rate * principal) / installment) / Math.log(1 + rate) - 0.001);
+}
+
+/**
+ * Build the repayment schedule for a loan. The first installment is due one
+ * month after startDate. Returns rows of { installment_number, due_date,
+ * amount_due, principal_due, interest_due, opening_balance, closing_balance }.
+ */
+export function buildSchedule({ principal, annualRate = 0, months, method = "reducing", startDate, installment }) {
+  const rate = Number(annualRate) / 12 / 100;
+  const amount = installment || calculateInstallment(principal, annualRate, months, method);
+  const dayOfMonth = Number(startDate.slice(8, 10));
+  const flatInterest = round(principal * rate);
+
+  const rows = [];
+  let balance = principal;
+  let dueDate = startDate;
+
+  for (let n = 1; n <= months && balance > 0; n++) {
+    dueDate = advanceDate(dueDate, "monthly", { dayOfMonth });
+
+    const interest = method === "flat" ? flatInterest : round(balance * rate);
+    let principalPart = round(amount - interest);
+    if (n === months || principalPart > balance) {
+      principalPart = round(balance);
+    }
+
+    rows.push({
+      installment_number: n,
+      due_date: dueDate,
+      amount_due: round(principalPart + interest),
+      principal_due: principalPart,
+      interest_due: interest,
+      opening_balance: round(balance),
+      closing_balance: round(balance - principalPart),
+    });
+    balance = round(balance - principalPart);
+  }
+
+  return rows;
+}
+
+/**
+ * Allocate a payment across unpaid installments in due order, paying each
+ * installment's interest before its principal. Returns the installment
+ * updates, the interest/principal split and any amount left over.
+ */
+export function allocatePayment(installments, amount, paidDate) {
+  let left = round(amount);
+  let interest = 0;
+  let principal = 0;
+  const updates = [];
+
+  const pending = installments
+    .filter((row) => row.status !== "paid")
+    .sort((a, b) => a.installment_number - b.installment_number);
+
+  for (const row of pending) {
+    if (left <= 0) break;
+
+    const interestOwed = round(Number(row.interest_due) - Number(row.interest_paid || 0));
+    const interestPart = Math.min(left, interestOwed);
+    left = round(left - interestPart);
+
+    const principalOwed = round(Number(row.principal_due) - Number(row.principal_paid || 0));
+    const principalPart = Math.min(left, principalOwed);
+    left = round(left - principalPart);
+
+    if (interestPart === 0 && principalPart === 0) continue;
+
+    const interestPaid = round(Number(row.interest_paid || 0) + interestPart);
+    const principalPaid = round(Number(row.principal_paid || 0) + principalPart);
+    const fullyPaid = interestPaid >= Number(row.interest_due) && principalPaid >= Number(row.principal_due);
+
+    updates.push({
+      id: row.id,
+      interest_paid: interestPaid,
+      principal_paid: principalPaid,
+      status: fullyPaid ? "paid" : "partial",
+      paid_date: fullyPaid ? paidDate : row.paid_date || null,
+    });
+    interest = round(interest + interestPart);
+    principal = round(principal + principalPart);
+  }
+
+  return { updates, interest, principal, unallocated: left };
+}
+
+/**
+ * Current position of a loan from its schedule (installments with any
+ * payments applied): outstanding principal, interest accrued on
+ * installments already due, overdue installments and the next one due
+ */
+export function summarizeSchedule(installments, today = new Date().toISOString().split("T")[0]) {
+  let principalOutstanding = 0;
+  let interestAccrued = 0;
+  let overdueCount = 0;
+  let overdueAmount = 0;
+  let nextDue = null;
+
+  installments
+    .slice()
+    .sort((a, b) => a.installment_number - b.installment_number)
+    .forEach((row) => {
+      const principalOwed = Number(row.principal_due) - Number(row.principal_paid || 0);
+      const interestOwed = Number(row.interest_due) - Number(row.interest_paid || 0);
+      principalOutstanding += principalOwed;
+
+      if (row.status === "paid") return;
+      if (row.due_date <= today) interestAccrued += interestOwed;
+      if (row.due_date < today) {
+        overdueCount++;
+        overdueAmount += principalOwed + interestOwed;
+      }
+      if (!nextDue && row.due_date >= today) nextDue = row;
+    });
+
+  return {
+    principalOutstanding: round(principalOutstanding),
+    interestAccrued: round(interestAccrued),
+    remainingBalance: round(principalOutstanding + interestAccrued),
+    overdueCount,
+    overdueAmount: round(overdueAmount),
+    nextDue,
+    paidOff: installments.length > 0 && installments.every((row) => row.status === "paid"),
+  };
+}
@@ -0,0 +1,76 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Audit trail: where changes to transactions and loans come from. The
+ * database logs every write to them (see record_audit in the migrations);
+ * the server describes its writes with a change context sent along with
+ * each request.
+ */
+
+export const AUDIT_SOURCES = ["voice", "text", "receipt", "manual", "import", "scheduler", "undo", "api", "system"];
+
+export const AUDITED_TABLES = ["transactions", "loans", "loan_installments", "loan_repayments"];
+
+// Most operations one undo request reverts
+export const MAX_UNDO_COUNT = 20;
+
+/**
+ * Context of a change the user made through the REST API
+ */
+export function manualContext(userId) {
+  return { source: "manual", actorId: userId };
+}
+
+/**
+ * Context of the changes saved from a chat message: the mode it was sent
+ * in (text, voice or receipt) and what the user typed or said. Voice
+ * messages keep the transcription; the raw audio isn't stored. Everything
+ * the message saves is one operation, undone together.
+ */
+export function messageContext(userId, mode, inputText) {
+  return {
+    source: mode,
+    actorId: userId,
+    inputText: mode === "text" ? inputText : null,
+    transcription: mode === "voice" ? inputText : null,
+    operationId: randomUUID(),
+  };
+}
+
+// Proxies in front of the database reject header lines over 8 KB
+const MAX_HEADER_LENGTH = 6000;
+// Input kept when a context is too long for the header
+const MAX_INPUT_LENGTH = 1000;
+
+/**
+ * Encode a change context ({ source, actorId, inputText, transcription,
+ * extracted, operationId }) for the X-Audit-Context header: base64 JSON,
+ * so Bangla input survives the trip in a header. Writes sent without a
+ * context are logged with the "system" source. A context too long for a
+ * header loses what was extracted first, then the end of the input.
+ */
+export function encodeAuditContext(context) {
+  const { source, actorId, inputText, transcription, extracted, operationId } = context || {};
+  const body = {
+    source: AUDIT_SOURCES.includes(source) ? source : "system",
+    actor_id: actorId || null,
+    input_text: inputText || null,
+    transcription: transcription || null,
+    extracted: extracted || null,
+    operation_id: operationId || null,
+  };
+  const encode = (value) => Buffer.from(JSON.stringify(value), "utf8").toString("base64");
+
+  const encoded = encode(body);
+  if (encoded.length <= MAX_HEADER_LENGTH) return encoded;
+
+  const trimmed = encode({ ...body, extracted: null });
+  if (trimmed.length <= MAX_HEADER_LENGTH) return trimmed;
+
+  return encode({
+    ...body,
+    extracted: null,
+    input_text: body.input_text && body.input_text.slice(0, MAX_INPUT_LENGTH),
+    transcription: body.transcription && body.transcription.slice(0, MAX_INPUT_LENGTH),
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * Budget calculations: status per budget and overspend alert thresholds
+ */
+
+export const BUDGET_ALERT_THRESHOLDS = [100, 80];
+
+/**
+ * First day of the month for a YYYY-MM or YYYY-MM-DD string
+ */
+export function monthStart(value) {
+  return `${value.slice(0, 7)}-01`;
+}
+
+/**
+ * Last day of the month for a YYYY-MM or YYYY-MM-DD string
+ */
+export function monthEnd(value) {
+  const [year, month] = value.slice(0, 7).split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().split("T")[0];
+}
+
+/**
+ * Combine budgets with a transaction summary for the same month into
+ * spent vs. limit figures. Budgets in the home currency count spending in
+ * every currency (converted); other budgets only count their own currency.
+ */
+export function buildBudgetStatus(budgets, summary) {
+  return budgets.map((budget) => {
+    const totals =
+      summary.home && summary.home.currency === budget.currency
+        ? summary.home
+        : summary.currencies[budget.currency];
+    const spent = totals?.byCategory[budget.category]?.expense || 0;
+    const limit = Number(budget.amount);
+
+    return {
+      ...budget,
+      spent,
+      remaining: limit - spent,
+      percentUsed: Math.round((spent / limit) * 10000) / 100,
+      status: spent >= limit ? "exceeded" : spent >= limit * 0.8 ? "warning" : "ok",
+    };
+  });
+}
+
+/**
+ * Return the highest threshold (percent of limit) crossed by moving from
+ * spentBefore to spentAfter, or null if none was crossed
+ */
+export function crossedBudgetThreshold(limit, spentBefore, spentAfter) {
+  return (
+    BUDGET_ALERT_THRESHOLDS.find(
+      (threshold) =>
+        spentBefore < (limit * threshold) / 100 &&
+        spentAfter >= (limit * threshold) / 100
+    ) || null
+  );
+}
@@ -0,0 +1,139 @@
+import { scoreNameMatch } from "./loans.js";
+
+/**
+ * Transaction categories: the built-in set, each user's own categories
+ * (optionally nested under another category) and category rules learned
+ * from the user's corrections
+ */
+
+export const BUILT_IN_CATEGORIES = [
+  "shopping",
+  "housing",
+  "food",
+  "transportation",
+  "entertainment",
+  "healthcare",
+  "education",
+  "loan",
+  "loan_repayment",
+  "other",
+];
+
+// Loan categories are set by the loan intents, not chosen for spending
+const LOAN_CATEGORIES = ["loan", "loan_repayment"];
+
+// A learned rule applies when its pattern matches the notes this well (0–1)
+const RULE_MATCH_THRESHOLD = 0.85;
+// Words that say nothing about what the money was spent on
+const RULE_STOP_WORDS = new Set([
+  "a", "an", "the", "to", "at", "for", "from", "of", "on", "in", "with", "via", "and", "my",
+  "paid", "pay", "payment", "spent", "spend", "bought", "buy", "got", "received",
+  "bill", "tk", "taka", "bdt", "usd", "dollars", "today", "yesterday",
+]);
+const RULE_MAX_WORDS = 4;
+
+/**
+ * The stored code for a category name: "Mobile Recharge" → "mobile_recharge"
+ */
+export function categorySlug(name) {
+  return String(name || "")
+    .normalize("NFKC")
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Every category code a user can file a transaction under, built-in first.
+ * options.forSpending leaves out the loan categories (for budgets and
+ * recurring entries).
+ */
+export function categoryNames(customCategories = [], options = {}) {
+  const builtIn = options.forSpending
+    ? BUILT_IN_CATEGORIES.filter((name) => !LOAN_CATEGORIES.includes(name))
+    : BUILT_IN_CATEGORIES;
+  return [...builtIn, ...customCategories.map((category) => category.name)];
+}
+
+/**
+ * Lines describing the user's own categories for a model prompt, e.g.
+ * `- "streaming": Streaming (under "entertainment")`
+ */
+export function describeCustomCategories(customCategories = []) {
+  return customCategories
+    .map((category) => {
+      const parent = category.parent ? ` (under "${category.parent}")` : "";
+      return `- "${category.name}": ${category.label}${parent}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Built-in and custom categories as one flat list, each with the codes
+ * of its sub-categories
+ */
+export function listCategories(customCategories = []) {
+  const all = [
+    ...BUILT_IN_CATEGORIES.map((name) => ({ name, label: name, parent: null, icon: null, built_in: true })),
+    ...customCategories.map((category) => ({ ...category, built_in: false })),
+  ];
+  return all.map((category) => ({
+    ...category,
+    children: all.filter((child) => child.parent === category.name).map((child) => child.name),
+  }));
+}
+
+/**
+ * The part of a transaction's notes a learned rule is keyed on: the
+ * lower-cased words that name the merchant or purpose, without amounts
+ * and filler words ("Paid 1100 for Netflix" → "netflix").
+ * Returns null when nothing is left.
+ */
+export function ruleKey(notes) {
+  const words = String(notes || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((word) => word && !RULE_STOP_WORDS.has(word));
+  return words.length ? words.slice(0, RULE_MAX_WORDS).join(" ") : null;
+}
+
+/**
+ * The learned rule for some notes, or null. An exact key wins; otherwise
+ * the closest pattern above the threshold, then the rule confirmed most
+ * often, then the most recently updated, so the same notes always get
+ * the same category.
+ */
+export function matchCategoryRule(rules, notes) {
+  const key = ruleKey(notes);
+  if (!key || !rules.length) return null;
+
+  const exact = rules.find((rule) => rule.pattern === key);
+  if (exact) return exact;
+
+  const ranked = rules
+    .map((rule) => ({ rule, score: scoreNameMatch(rule.pattern, key) }))
+    .filter((match) => match.score >= RULE_MATCH_THRESHOLD)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.rule.hits - a.rule.hits ||
+        String(b.rule.updated_at).localeCompare(String(a.rule.updated_at))
+    );
+  return ranked.length ? ranked[0].rule : null;
+}
+
+/**
+ * Re-categorise extracted transaction and recurring intents whose notes
+ * match a learned rule. Returns new intents; others are left as they were.
+ */
+export function applyCategoryRules(items, rules) {
+  if (!rules.length) return items;
+  return items.map((item) => {
+    if (item.intent !== "transaction" && item.intent !== "recurring") return item;
+    const rule = matchCategoryRule(rules, item.notes);
+    return rule ? { ...item, category: rule.category } : item;
+  });
+}
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_RATES_FILE = path.join(__dirname, "../data/exchange-rates.json");
+
+// Symbols and words people use for currencies, mapped to ISO 4217 codes
+const CURRENCY_ALIASES = {
+  "৳": "BDT",
+  tk: "BDT",
+  taka: "BDT",
+  "টাকা": "BDT",
+  $: "USD",
+  usd: "USD",
+  dollar: "USD",
+  dollars: "USD",
+  "ডলার": "USD",
+  "€": "EUR",
+  euro: "EUR",
+  euros: "EUR",
+  "£": "GBP",
+  pound: "GBP",
+  pounds: "GBP",
+  "₹": "INR",
+  rupee: "INR",
+  rupees: "INR",
+  rs: "INR",
+  riyal: "SAR",
+  riyals: "SAR",
+  dirham: "AED",
+  dirhams: "AED",
+  ringgit: "MYR",
+};
+
+/**
+ * Turn a currency code, symbol or word ("$", "taka", "৳", "dollars") into
+ * an ISO code. Unrecognised values fall back to `fallback`.
+ */
+export function normalizeCurrency(value, fallback = "BDT") {
+  if (!value || typeof value !== "string") return fallback;
+
+  const trimmed = value.trim();
+  const alias = CURRENCY_ALIASES[trimmed.toLowerCase().replace(/\.$/, "")];
+  if (alias) return alias;
+
+  return /^[A-Za-z]{3}$/.test(trimmed) ? trimmed.toUpperCase() : fallback;
+}
+
+/**
+ * Read the local exchange-rate file into exchange_rates rows
+ * ({ currency, rate_date, units_per_usd }). Works offline.
+ */
+export function loadExchangeRatesFile(filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  const { rates = [] } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  return rates.flatMap(({ date, rates: byCurrency }) =>
+    Object.entries(byCurrency).map(([currency, unitsPerUsd]) => ({
+      currency: currency.toUpperCase(),
+      rate_date: date,
+      units_per_usd: unitsPerUsd,
+    }))
+  );
+}
@@ -0,0 +1,241 @@
+import { resolvePeriod } from "./summary.js";
+
+/**
+ * Calendar dates in the user's timezone and relative dates ("yesterday",
+ * "last Friday", "3 days ago", "গতকাল") and periods ("last month")
+ * resolved without a model.
+ * Dates are plain YYYY-MM-DD strings; arithmetic on them is done in UTC.
+ */
+
+export const DEFAULT_TIMEZONE = "Asia/Dhaka";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Weekday names by getUTCDay() index: English, Banglish and Bangla
+// ("sun", "sat" and "mon" are left out as they are also ordinary words)
+const WEEKDAYS = [
+  ["sunday", "robibar", "রবিবার"],
+  ["monday", "sombar", "shombar", "সোমবার"],
+  ["tuesday", "tue", "tues", "mongolbar", "মঙ্গলবার"],
+  ["wednesday", "budhbar", "budhbaar", "বুধবার"],
+  ["thursday", "thu", "thur", "thurs", "brihospotibar", "bishudbar", "বৃহস্পতিবার"],
+  ["friday", "fri", "shukrobar", "sukrobar", "শুক্রবার"],
+  ["saturday", "shonibar", "sonibar", "শনিবার"],
+];
+
+// A word on its own, also in Bangla script where \b doesn't apply
+function word(pattern) {
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${pattern})(?![\\p{L}\\p{M}])`, "iu");
+}
+
+// Fixed offsets in days; longer phrases are tried first. A bare "kal"
+// (কাল) is yesterday or tomorrow depending on the verb, so it isn't one.
+const RELATIVE_DAYS = [
+  [word("day before yesterday|porshu din|গত পরশু"), -2],
+  [word("day after tomorrow"), 2],
+  [word("yesterday|gotokal|gotokaal|গতকাল|গতকালকে"), -1],
+  [word("tomorrow|agamikal|আগামীকাল"), 1],
+  [word("today|tonight|this morning|this evening|aj|aaj|ajke|aajke|আজ|আজকে"), 0],
+  [word("next week"), 7],
+  [word("last week|goto shoptah|গত সপ্তাহে"), -7],
+];
+
+const COUNTED = [
+  [word("(\\d+) days? ago|(\\d+) din age|(\\d+) দিন আগে"), -1],
+  [word("(\\d+) weeks? ago|(\\d+) shoptah age|(\\d+) সপ্তাহ আগে"), -7],
+  [word("in (\\d+) days?|(\\d+) days? (?:later|after)|(\\d+) din pore|(\\d+) দিন পরে"), 1],
+  [word("in (\\d+) weeks?|(\\d+) weeks? (?:later|after)"), 7],
+];
+
+const AMBIGUOUS_DAY = word("kal|kalke|kaal|কাল|কালকে");
+
+// Named periods as [pattern, period, offset]: the period containing today
+// (0) or the one before it (-1); weeks start on Monday
+const NAMED_PERIODS = [
+  [word("last month|previous month|goto mash|গত মাসে|গত মাস"), "month", -1],
+  [word("this month|current month|ei mash|এই মাসে|এই মাস"), "month", 0],
+  [word("last week|previous week|goto shoptah|গত সপ্তাহে|গত সপ্তাহ"), "week", -1],
+  [word("this week|ei shoptah|এই সপ্তাহে|এই সপ্তাহ"), "week", 0],
+  [word("last year|previous year|goto bochor|গত বছরে|গত বছর"), "year", -1],
+  [word("this year|ei bochor|এই বছরে|এই বছর"), "year", 0],
+];
+
+// "last 7 days", "past 3 months", "goto 10 din": up to and including today
+const RECENT_PERIOD = word(
+  "(?:last|past|goto|গত) (\\d+) (days?|weeks?|months?|din|দিন|shoptah|সপ্তাহ|mash|মাস)"
+);
+// Month names by index: English and Bangla ("may" and "mar" are ordinary
+// words, so May needs an "in")
+const MONTHS = [
+  ["january", "jan", "জানুয়ারি", "জানুয়ারী"],
+  ["february", "feb", "ফেব্রুয়ারি", "ফেব্রুয়ারী"],
+  ["march", "মার্চ"],
+  ["april", "apr", "এপ্রিল"],
+  ["in may", "মে মাসে"],
+  ["june", "jun", "জুন"],
+  ["july", "jul", "জুলাই"],
+  ["august", "aug", "আগস্ট"],
+  ["september", "sep", "sept", "সেপ্টেম্বর"],
+  ["october", "oct", "অক্টোবর"],
+  ["november", "nov", "নভেম্বর"],
+  ["december", "dec", "ডিসেম্বর"],
+];
+const MONTH_NAME_PATTERN = word(`(${MONTHS.flat().join("|")})(?:,?\\s+(\\d{4}))?`);
+
+const EXPLICIT_MONTH = /(?<!\d)(\d{4}-(?:0[1-9]|1[0-2]))(?![\d-])/;
+const EXPLICIT_DATE = /(?<!\d)(\d{4}-\d{2}-\d{2})(?!\d)/;
+
+const WEEKDAY_PATTERN = word(
+  `(?:(last|this|next|on|goto|গত|আগামী)\\s+)?(${WEEKDAYS.flat().join("|")})`
+);
+
+export function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split("T")[0];
+}
+
+/**
+ * Today's date where the user is (an IANA timezone such as "Asia/Dhaka")
+ */
+export function localToday(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+}
+
+/**
+ * The date a relative expression in text refers to, counted from today,
+ * or null when there is none. A bare weekday ("on Friday") is the most
+ * recent one up to today; "last Friday" is strictly before today and
+ * "next Friday" strictly after it.
+ */
+export function findRelativeDate(text, today) {
+  const value = String(text || "").normalize("NFC");
+
+  for (const [pattern, sign] of COUNTED) {
+    const match = value.match(pattern);
+    if (match) return addDays(today, sign * Number(match.slice(1).find(Boolean)));
+  }
+
+  const weekday = value.match(WEEKDAY_PATTERN);
+  if (weekday) {
+    const modifier = (weekday[1] || "").toLowerCase();
+    const target = WEEKDAYS.findIndex((names) => names.includes(weekday[2].toLowerCase()));
+    const current = new Date(`${today}T00:00:00Z`).getUTCDay();
+    if (modifier === "next" || modifier === "আগামী") {
+      return addDays(today, (target - current + 7) % 7 || 7);
+    }
+    const back = (current - target + 7) % 7;
+    return addDays(today, -(modifier === "last" || modifier === "goto" || modifier === "গত" ? back || 7 : back));
+  }
+
+  const relative = RELATIVE_DAYS.find(([pattern]) => pattern.test(value));
+  return relative ? addDays(today, relative[1]) : null;
+}
+
+/**
+ * Whether text says "kal" (কাল) on its own, which can mean yesterday or
+ * tomorrow
+ */
+export function isAmbiguousDay(text) {
+  return AMBIGUOUS_DAY.test(String(text || "").normalize("NFC"));
+}
+
+/**
+ * The dates a period in text covers, as { startDate, endDate }, or null:
+ * "last month", "this week", "last 7 days", "2025-03", "October" (the
+ * latest one up to today, unless a year is given) or a single day
+ * ("yesterday", "last Friday", "2025-03-14"). Counted from today.
+ */
+export function findPeriod(text, today) {
+  const value = String(text || "").normalize("NFC");
+
+  const named = NAMED_PERIODS.find(([pattern]) => pattern.test(value));
+  if (named) {
+    const current = resolvePeriod({ period: named[1], date: today });
+    const { startDate, endDate } = named[2] ? current.previous : current;
+    return { startDate, endDate };
+  }
+
+  const recent = value.match(RECENT_PERIOD);
+  if (recent) {
+    const count = Number(recent[1]);
+    const unit = recent[2].toLowerCase();
+    if (/^(?:day|din|দিন)/.test(unit)) return { startDate: addDays(today, 1 - count), endDate: today };
+    if (/^(?:week|shoptah|সপ্তাহ)/.test(unit)) return { startDate: addDays(today, 1 - 7 * count), endDate: today };
+    // The same day `count` months back (or that month's last day), exclusive
+    const [year, month, day] = today.split("-").map(Number);
+    const lastDay = new Date(Date.UTC(year, month - count, 0)).getUTCDate();
+    const before = new Date(Date.UTC(year, month - 1 - count, Math.min(day, lastDay))).toISOString().split("T")[0];
+    return { startDate: addDays(before, 1), endDate: today };
+  }
+
+  const date = value.match(EXPLICIT_DATE);
+  const explicitMonth = !date && value.match(EXPLICIT_MONTH);
+  if (explicitMonth) {
+    const { startDate, endDate } = resolvePeriod({ period: "month", date: `${explicitMonth[1]}-01` });
+    return { startDate, endDate };
+  }
+
+  const monthName = !date && value.match(MONTH_NAME_PATTERN);
+  if (monthName) {
+    const index = MONTHS.findIndex((names) => names.includes(monthName[1].toLowerCase()));
+    const [year, month] = today.split("-").map(Number);
+    const monthYear = monthName[2] ? Number(monthName[2]) : index < month ? year : year - 1;
+    const { startDate, endDate } = resolvePeriod({
+      period: "month",
+      date: `${monthYear}-${String(index + 1).padStart(2, "0")}-01`,
+    });
+    return { startDate, endDate };
+  }
+
+  const day = date ? (isValidDate(date[1]) ? date[1] : null) : findRelativeDate(value, today);
+  return day ? { startDate: day, endDate: day } : null;
+}
+
+/**
+ * A calendar date from a YYYY-MM-DD string or a relative expression, or null
+ */
+export function resolveDate(value, today) {
+  if (value === null || value === undefined || value === "") return null;
+  if (isValidDate(String(value).trim())) return String(value).trim();
+  return findRelativeDate(value, today);
+}
+
+/**
+ * A YYYY-MM month from "YYYY-MM", "this month", "next month" or "last
+ * month", or null
+ */
+export function resolveMonth(value, today) {
+  const text = String(value || "").trim().toLowerCase();
+  if (MONTH_PATTERN.test(text)) return text;
+
+  const [year, month] = today.split("-").map(Number);
+  let offset;
+  if (/\b(?:next|agami)\b|আগামী/.test(text)) offset = 1;
+  else if (/\b(?:last|previous|goto)\b|গত/.test(text)) offset = -1;
+  else if (/\b(?:this|current)\b|এই/.test(text)) offset = 0;
+  else return null;
+  return new Date(Date.UTC(year, month - 1 + offset, 1)).toISOString().slice(0, 7);
+}
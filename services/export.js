@@ -0,0 +1,301 @@
+import ExcelJS from "exceljs";
+import fs from "fs";
+import PDFDocument from "pdfkit";
+
+/**
+ * Ledger exports: transactions and loans as CSV or XLSX, and a monthly
+ * PDF statement. Rows are written as they arrive, so exports of any size
+ * are streamed rather than built in memory.
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+export const EXPORT_DATASETS = ["transactions", "loans"];
+
+export const TRANSACTION_COLUMNS = [
+  { key: "date", header: "Date", width: 12 },
+  { key: "type", header: "Type", width: 10 },
+  { key: "category", header: "Category", width: 18 },
+  { key: "amount", header: "Amount", width: 14, numeric: true },
+  { key: "currency", header: "Currency", width: 10 },
+  { key: "notes", header: "Notes", width: 40 },
+  { key: "account_id", header: "Account ID", width: 38 },
+  { key: "to_account_id", header: "To account ID", width: 38 },
+  { key: "loan_id", header: "Loan ID", width: 38 },
+  { key: "id", header: "ID", width: 38 },
+];
+
+export const LOAN_COLUMNS = [
+  { key: "lender_name", header: "Counterparty", width: 24 },
+  { key: "direction", header: "Direction", width: 10 },
+  { key: "principal_amount", header: "Principal", width: 14, numeric: true },
+  { key: "currency", header: "Currency", width: 10 },
+  { key: "interest_rate", header: "Interest rate (%)", width: 16, numeric: true },
+  { key: "interest_method", header: "Interest method", width: 16 },
+  { key: "tenure_months", header: "Tenure (months)", width: 16, numeric: true },
+  { key: "monthly_installment", header: "Installment", width: 14, numeric: true },
+  { key: "start_date", header: "Start date", width: 12 },
+  { key: "due_date", header: "Due date", width: 12 },
+  { key: "remaining_balance", header: "Remaining", width: 14, numeric: true },
+  { key: "status", header: "Status", width: 10 },
+  { key: "id", header: "ID", width: 38 },
+];
+
+/**
+ * Quote a CSV cell when needed. Text starting with =, +, - or @ is
+ * prefixed with ' so spreadsheet apps don't run it as a formula.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(columns, row) {
+  return columns.map((column) => csvCell(row[column.key])).join(",") + "\r\n";
+}
+
+// Respect backpressure so a slow client doesn't buffer the whole export
+function write(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : new Promise((resolve) => stream.once("drain", resolve));
+}
+
+/**
+ * Write rows as CSV. pages is an async iterable of row arrays.
+ * A byte order mark is written first so Excel reads Bangla text correctly.
+ */
+export async function writeCsv(stream, columns, pages) {
+  await write(stream, "\uFEFF" + columns.map((column) => csvCell(column.header)).join(",") + "\r\n");
+  for await (const rows of pages) {
+    if (rows.length) await write(stream, rows.map((row) => csvLine(columns, row)).join(""));
+  }
+  stream.end();
+}
+
+/**
+ * Write an XLSX workbook with one worksheet per entry of sheets
+ * ({ name, columns, pages }, pages as for writeCsv)
+ */
+export async function writeXlsx(stream, sheets) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+
+  for (const { name, columns, pages } of sheets) {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(({ key, header, width, numeric }) => ({
+      key,
+      header,
+      width,
+      style: numeric ? { numFmt: "#,##0.00" } : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const rows of pages) {
+      rows.forEach((row) => {
+        const values = {};
+        columns.forEach(({ key, numeric }) => {
+          const value = row[key];
+          values[key] = numeric && value !== null && value !== undefined ? Number(value) : value;
+        });
+        sheet.addRow(values).commit();
+      });
+    }
+    sheet.commit();
+  }
+
+  await workbook.commit();
+}
+
+// The built-in PDF fonts only cover Latin text; REPORT_FONT can point to a
+// TTF/OTF font (e.g. Noto Sans Bengali) for notes written in Bangla
+const REPORT_FONT = process.env.REPORT_FONT;
+
+function formatMoney(amount, currency) {
+  const value = Number(amount).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return currency ? `${currency} ${value}` : value;
+}
+
+function monthName(month) {
+  const [year, number] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, number - 1, 1)).toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Write a monthly statement PDF. statement holds { month (YYYY-MM),
+ * homeCurrency, summary (from getTransactionSummary), transactions
+ * (oldest first), loans (active loans), positions (from
+ * summarizeLoanPositions), name }.
+ */
+export function writeMonthlyStatement(stream, statement) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
+  const regular = REPORT_FONT && fs.existsSync(REPORT_FONT) ? "Report" : "Helvetica";
+  const bold = regular === "Report" ? "Report" : "Helvetica-Bold";
+  if (regular === "Report") doc.registerFont("Report", REPORT_FONT);
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  };
+
+  const heading = (text) => {
+    ensureSpace(60);
+    doc.moveDown(1).font(bold).fontSize(13).text(text, left, doc.y).moveDown(0.4);
+  };
+
+  // A row of cells; widths are fractions of the page width, numbers right-aligned
+  const tableRow = (cells, widths, options = {}) => {
+    ensureSpace(18);
+    const y = doc.y;
+    let x = left;
+    doc.font(options.bold ? bold : regular).fontSize(9);
+    cells.forEach((cell, index) => {
+      const cellWidth = widths[index] * width;
+      doc.text(String(cell ?? ""), x + 2, y, {
+        width: cellWidth - 4,
+        align: options.align?.[index] || "left",
+        ellipsis: true,
+        lineBreak: false,
+      });
+      x += cellWidth;
+    });
+    doc.y = y + 15;
+    if (options.bold) {
+      doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).lineWidth(0.5).stroke("#999999");
+    }
+  };
+
+  const { month, homeCurrency, summary, transactions, loans, positions } = statement;
+
+  doc.font(bold).fontSize(18).text("Monthly Statement", left, doc.y);
+  doc.font(regular).fontSize(11).fillColor("#444444").text(monthName(month));
+  if (statement.name) doc.text(statement.name);
+  doc.fontSize(9).text(`Generated ${new Date().toISOString().slice(0, 16).replace("T", " ")} UTC`).fillColor("black");
+
+  // Totals, converted into the home currency and per original currency
+  heading(`Totals (${homeCurrency})`);
+  const home = summary.home || { totalIncome: 0, totalExpense: 0, balance: 0, transactionCount: 0, byCategory: {} };
+  const totalWidths = [0.5, 0.5];
+  const totalAlign = { align: ["left", "right"] };
+  tableRow(["Income", formatMoney(home.totalIncome, homeCurrency)], totalWidths, totalAlign);
+  tableRow(["Expenses", formatMoney(home.totalExpense, homeCurrency)], totalWidths, totalAlign);
+  tableRow(["Net", formatMoney(home.balance, homeCurrency)], totalWidths, { ...totalAlign, bold: true });
+  tableRow(["Transactions", home.transactionCount], totalWidths, totalAlign);
+  if (home.unconvertedCount) {
+    doc.font(regular).fontSize(8).fillColor("#aa0000")
+      .text(`${home.unconvertedCount} transaction(s) have no exchange rate and are left out of these totals.`, left, doc.y)
+      .fillColor("black");
+  }
+
+  const currencies = Object.keys(summary.currencies);
+  if (currencies.length > 1 || (currencies.length === 1 && currencies[0] !== homeCurrency)) {
+    heading("By currency");
+    const widths = [0.2, 0.27, 0.27, 0.26];
+    const align = { align: ["left", "right", "right", "right"] };
+    tableRow(["Currency", "Income", "Expenses", "Net"], widths, { ...align, bold: true });
+    currencies.forEach((currency) => {
+      const totals = summary.currencies[currency];
+      tableRow(
+        [currency, formatMoney(totals.totalIncome), formatMoney(totals.totalExpense), formatMoney(totals.balance)],
+        widths,
+        align
+      );
+    });
+  }
+
+  heading(`Spending by category (${homeCurrency})`);
+  const categories = Object.entries(home.byCategory).sort((a, b) => b[1].expense - a[1].expense);
+  if (categories.length) {
+    const widths = [0.3, 0.22, 0.22, 0.13, 0.13];
+    const align = { align: ["left", "right", "right", "right", "right"] };
+    tableRow(["Category", "Expenses", "Income", "Share", "Count"], widths, { ...align, bold: true });
+    categories.forEach(([category, totals]) => {
+      const share = home.totalExpense ? Math.round((totals.expense / home.totalExpense) * 1000) / 10 : 0;
+      tableRow(
+        [category, formatMoney(totals.expense), formatMoney(totals.income), `${share}%`, totals.count],
+        widths,
+        align
+      );
+    });
+  } else {
+    doc.font(regular).fontSize(9).text("No transactions this month.", left, doc.y);
+  }
+
+  heading("Loan balances");
+  if (loans.length) {
+    const widths = [0.34, 0.2, 0.18, 0.28];
+    const align = { align: ["left", "left", "left", "right"] };
+    tableRow(["Counterparty", "Direction", "Started", "Remaining"], widths, { ...align, bold: true });
+    loans.forEach((loan) => {
+      tableRow(
+        [
+          loan.lender_name,
+          loan.direction === "lent" ? "Owed to you" : "You owe",
+          loan.start_date,
+          formatMoney(loan.remaining_balance, loan.currency),
+        ],
+        widths,
+        align
+      );
+    });
+    doc.moveDown(0.5);
+    Object.entries(positions.totals).forEach(([currency, totals]) => {
+      tableRow(
+        [`Net (${currency})`, `Receivable ${formatMoney(totals.receivable)}`, `Payable ${formatMoney(totals.payable)}`, formatMoney(totals.net, currency)],
+        [0.2, 0.27, 0.27, 0.26],
+        { align: ["left", "left", "left", "right"], bold: true }
+      );
+    });
+  } else {
+    doc.font(regular).fontSize(9).text("No active loans.", left, doc.y);
+  }
+
+  heading("Transactions");
+  if (transactions.length) {
+    const widths = [0.14, 0.18, 0.44, 0.24];
+    const align = { align: ["left", "left", "left", "right"] };
+    tableRow(["Date", "Category", "Notes", "Amount"], widths, { ...align, bold: true });
+    transactions.forEach((transaction) => {
+      const sign = { expense: "-", income: "+" }[transaction.type] || "";
+      tableRow(
+        [
+          transaction.date,
+          transaction.category,
+          transaction.notes || "",
+          `${sign}${formatMoney(transaction.amount, transaction.currency)}`,
+        ],
+        widths,
+        align
+      );
+    });
+  } else {
+    doc.font(regular).fontSize(9).text("No transactions this month.", left, doc.y);
+  }
+
+  // Page numbers
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(regular).fontSize(8).fillColor("#888888").text(
+      `Page ${index + 1} of ${range.count}`,
+      left,
+      doc.page.height - bottom + 15,
+      { width, align: "right", lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+}
@@ -0,0 +1,96 @@
+import { CANDIDATE_THRESHOLD, MATCH_THRESHOLD, scoreNameMatch } from "./loans.js";
+
+/**
+ * Savings goals: progress toward the target, the monthly saving needed to
+ * reach it by the deadline, and matching the goal a message names ("put
+ * 2000 toward my bike fund")
+ */
+
+export const GOAL_STATUSES = ["active", "archived"];
+
+// Words that name the goal kind rather than the goal ("my bike fund")
+const GOAL_WORDS = /\b(?:my|the|fund|goal|savings?|account)\b|ফান্ড|তহবিল/giu;
+
+/**
+ * Calendar months from today until a deadline, counting a part month as a
+ * whole one (at least 1 while the deadline hasn't passed, 0 after)
+ */
+export function monthsUntil(today, deadline) {
+  if (deadline < today) return 0;
+  const [fromYear, fromMonth, fromDay] = today.split("-").map(Number);
+  const [toYear, toMonth, toDay] = deadline.split("-").map(Number);
+  const months = (toYear - fromYear) * 12 + (toMonth - fromMonth) + (toDay > fromDay ? 1 : 0);
+  return Math.max(months, 1);
+}
+
+/**
+ * Add progress to goal rows from goal_totals (goal_id, saved,
+ * contribution_count, ...): saved, remaining, percentComplete,
+ * monthsLeft, requiredMonthly (what is still needed per month to make
+ * the deadline) and status: "achieved", "overdue", "on_track" or "behind"
+ * (against an even pace from the day the goal was created), or
+ * "in_progress" for goals without a deadline.
+ */
+export function withProgress(goals, totals, today) {
+  const byId = new Map(totals.map((row) => [row.goal_id, row]));
+  return goals.map((goal) => {
+    const row = byId.get(goal.id);
+    const target = Number(goal.target_amount);
+    const saved = Number(row ? row.saved : 0);
+    const remaining = Math.max(Math.round((target - saved) * 100) / 100, 0);
+    const monthsLeft = goal.deadline ? monthsUntil(today, goal.deadline) : null;
+
+    let status = "in_progress";
+    if (!remaining) status = "achieved";
+    else if (goal.deadline && goal.deadline < today) status = "overdue";
+    else if (goal.deadline) status = saved >= expectedSaving(goal, today) ? "on_track" : "behind";
+
+    return {
+      ...goal,
+      saved,
+      remaining,
+      percentComplete: Math.round((saved / target) * 10000) / 100,
+      contributionCount: Number(row ? row.contribution_count : 0),
+      lastContributionDate: (row && row.last_contribution_date) || null,
+      monthsLeft,
+      requiredMonthly: remaining && monthsLeft ? Math.ceil((remaining * 100) / monthsLeft) / 100 : null,
+      status,
+    };
+  });
+}
+
+/**
+ * What should have been saved by today to reach the target on the
+ * deadline at an even pace from the day the goal was created
+ */
+function expectedSaving(goal, today) {
+  const start = Date.parse(String(goal.created_at).slice(0, 10));
+  const end = Date.parse(goal.deadline);
+  const now = Date.parse(today);
+  if (!(end > start)) return Number(goal.target_amount);
+  return (Number(goal.target_amount) * Math.min(Math.max(now - start, 0), end - start)) / (end - start);
+}
+
+/**
+ * Pick the goal a name refers to, like matchAccount: { goal, score } for
+ * a confident, unambiguous match, else { goal: null, reason, candidates }.
+ * Words like "fund" or "goal" are ignored, so "my bike fund" finds "Bike".
+ */
+export function matchGoal(goals, name) {
+  const bare = (value) => String(value || "").replace(GOAL_WORDS, " ").replace(/\s+/g, " ").trim();
+  const score = (goal) =>
+    Math.max(scoreNameMatch(name, goal.name), bare(name) ? scoreNameMatch(bare(name), bare(goal.name) || goal.name) : 0);
+
+  const ranked = goals.map((goal) => ({ goal, score: score(goal) })).sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = ranked;
+  if (best && best.score >= MATCH_THRESHOLD && (!runnerUp || runnerUp.score < best.score)) {
+    return best;
+  }
+
+  const candidates = ranked.filter((match) => match.score >= CANDIDATE_THRESHOLD);
+  return {
+    goal: null,
+    reason: candidates.length ? "ambiguous" : "no_match",
+    candidates: candidates.length ? candidates : ranked,
+  };
+}
@@ -0,0 +1,421 @@
+import { normalizeCurrency } from "./currency.js";
+import { scoreNameMatch } from "./loans.js";
+
+/**
+ * Statement import: parse CSV, OFX/QFX and bKash/Nagad exports into
+ * transaction rows, guess categories from descriptions and flag rows
+ * that are already in the ledger
+ */
+
+export const IMPORT_FORMATS = ["csv", "ofx", "bkash", "nagad"];
+
+// Header names recognised for each field when no column mapping is given
+const COLUMN_ALIASES = {
+  date: ["date", "transaction date", "txn date", "trx date", "posting date", "value date", "date & time", "date time", "time"],
+  amount: ["amount", "transaction amount", "txn amount", "trx amount", "amount (bdt)", "amount(bdt)"],
+  debit: ["debit", "withdrawal", "withdrawals", "debit amount", "paid out", "dr", "money out"],
+  credit: ["credit", "deposit", "deposits", "credit amount", "paid in", "cr", "money in"],
+  description: ["description", "details", "narration", "particulars", "memo", "remarks", "payee", "name", "reference", "counterparty", "sender/receiver", "to/from"],
+  type: ["type", "transaction type", "txn type", "trx type", "dr/cr", "debit/credit"],
+  currency: ["currency", "ccy"],
+  reference: ["transaction id", "trx id", "txn id", "trxid", "reference no", "ref no", "id"],
+};
+
+// Mobile wallet exports are in BDT and name the direction in a type column
+const WALLET_PRESETS = {
+  bkash: { currency: "BDT", dateOrder: "DMY" },
+  nagad: { currency: "BDT", dateOrder: "DMY" },
+};
+
+// Words in a type column that mark money coming in or going out
+const INCOME_TYPE_WORDS = ["credit", "cr", "deposit", "cash in", "received", "receive money", "add money", "refund", "cashback", "salary", "remittance", "interest"];
+const EXPENSE_TYPE_WORDS = ["debit", "dr", "withdrawal", "cash out", "send money", "payment", "make payment", "pay bill", "mobile recharge", "purchase", "charge", "fee"];
+
+// Keyword rules tried before asking the model (lower-cased whole words)
+const CATEGORY_KEYWORDS = {
+  food: ["breakfast", "lunch", "dinner", "snacks", "restaurant", "cafe", "coffee", "food", "pizza", "burger", "kfc", "foodpanda", "pathao food", "grocery", "bazar", "shwapno", "meena bazar", "agora", "unimart"],
+  transportation: ["rickshaw", "uber", "pathao", "obhai", "fuel", "petrol", "octane", "cng", "bus", "train", "railway", "parking", "toll", "biman", "us-bangla", "novoair"],
+  housing: ["rent", "desco", "dpdc", "electricity", "wasa", "titas", "gas bill", "water bill", "internet", "broadband", "link3"],
+  healthcare: ["pharmacy", "hospital", "clinic", "doctor", "medical", "diagnostic", "lazz pharma"],
+  education: ["school", "college", "university", "tuition", "course", "udemy", "coursera", "book"],
+  entertainment: ["netflix", "spotify", "cinema", "movie", "steam", "playstation", "youtube", "hoichoi", "chorki"],
+  shopping: ["daraz", "amazon", "aarong", "bata", "apex", "mall", "store", "shop", "evaly", "chaldal"],
+  loan_repayment: ["loan", "emi", "installment", "instalment"],
+};
+
+// Duplicates: same amount and date, notes at least this similar
+const DUPLICATE_NOTES_THRESHOLD = 0.5;
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, comma/semicolon/tab
+ * delimiter detected from the first line)
+ */
+export function parseCsv(text) {
+  const content = String(text).replace(/^﻿/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+
+  return rows;
+}
+
+// Currency written next to an amount: "Tk. 300", "BDT 1,500", "৳1,000"
+const CURRENCY_TOKEN = /(?:tk|taka|bdt)\.?|৳/gi;
+
+/**
+ * Parse an amount such as "1,250.00", "1.250,00", "(500)", "Tk. 300",
+ * "৳1,000", "200 Dr". Returns a signed number (negative for "(x)", "-x"
+ * or a Dr suffix) or null.
+ */
+export function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(text)) sign = -1;
+
+  text = text
+    .replace(/\b(dr|cr)\.?$/i, "")
+    .replace(CURRENCY_TOKEN, "")
+    .replace(/[^0-9.,\-]/g, "");
+  if (text.startsWith("-")) {
+    sign = -sign;
+    text = text.slice(1);
+  }
+
+  // A comma after the last dot is a decimal comma ("1.250,00", "12,50")
+  // unless it groups thousands ("1,500", "1,00,000")
+  const decimalComma =
+    text.lastIndexOf(",") > text.lastIndexOf(".") && (text.includes(".") || !/,\d{3}$/.test(text));
+  if (decimalComma) text = text.replace(/\./g, "").replace(",", ".");
+  else if (!text.includes(",") && /\..*\./.test(text)) text = text.replace(/\./g, "");
+  else text = text.replace(/,/g, "");
+
+  // Whatever is left must be a plain number: "Rs. 300" leaves ".300"
+  if (!/^\d+(\.\d*)?$/.test(text)) return null;
+  return sign * Number(text);
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Parse a statement date into YYYY-MM-DD. dateOrder ("DMY", "MDY" or
+ * "YMD") settles dates like 03/04/2025; by default day-first is assumed
+ * unless the numbers rule it out.
+ */
+export function parseStatementDate(value, dateOrder) {
+  const text = String(value || "").trim().toLowerCase();
+  const pad = (n) => String(n).padStart(2, "0");
+  const build = (year, month, day) => {
+    const y = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+    const date = new Date(Date.UTC(y, Number(month) - 1, Number(day)));
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)
+      ? `${y}-${pad(month)}-${pad(day)}`
+      : null;
+  };
+
+  // 2025-01-31, 2025/01/31, 20250131 (OFX), optionally followed by a time
+  let match = text.match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/);
+  if (match) return build(match[1], match[2], match[3]);
+
+  // 31-Jan-2025, 31 Jan 2025
+  match = text.match(/^(\d{1,2})[-/ ]([a-z]{3})[a-z]*[-/ ,]+(\d{2,4})/);
+  if (match && MONTHS.includes(match[2])) return build(match[3], MONTHS.indexOf(match[2]) + 1, match[1]);
+
+  // Jan 31, 2025
+  match = text.match(/^([a-z]{3})[a-z]* (\d{1,2}),? (\d{2,4})/);
+  if (match && MONTHS.includes(match[1])) return build(match[3], MONTHS.indexOf(match[1]) + 1, match[2]);
+
+  // 31/01/2025 or 01/31/2025
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    const [, first, second, year] = match;
+    const monthFirst = dateOrder === "MDY" || (dateOrder !== "DMY" && Number(first) <= 12 && Number(second) > 12);
+    return monthFirst ? build(year, first, second) : build(year, second, first);
+  }
+
+  return null;
+}
+
+function findColumn(headers, field, mapping) {
+  if (mapping[field] !== undefined && mapping[field] !== null && mapping[field] !== "") {
+    const wanted = String(mapping[field]).trim().toLowerCase();
+    const byName = headers.indexOf(wanted);
+    if (byName !== -1) return byName;
+    // A column number (0-based) is accepted as well
+    return /^\d+$/.test(wanted) && Number(wanted) < headers.length ? Number(wanted) : -1;
+  }
+  return headers.findIndex((header) => COLUMN_ALIASES[field].includes(header));
+}
+
+// Whether lower-cased text contains one of the words as a whole word (or
+// its plural), so "emi" doesn't match "premium"
+function hasWord(text, words) {
+  return words.some((word) => new RegExp(`(^|[^a-z])${word}s?([^a-z]|$)`).test(text));
+}
+
+function directionFromText(text) {
+  const value = String(text || "").toLowerCase();
+  if (!value) return null;
+  if (hasWord(value, INCOME_TYPE_WORDS)) return "income";
+  if (hasWord(value, EXPENSE_TYPE_WORDS)) return "expense";
+  return null;
+}
+
+/**
+ * Turn CSV text into statement rows using a column mapping
+ * ({ date, amount, debit, credit, description, type, currency, reference }
+ * as header names or column numbers; dateOrder; currency). Fields left
+ * out are found by their usual header names.
+ *
+ * Returns { rows, errors } where rows are { line, date, amount, type,
+ * currency, notes, reference } and errors list the lines that were skipped.
+ */
+export function parseCsvStatement(text, mapping = {}, defaultCurrency = "BDT") {
+  const allRows = parseCsv(text);
+  if (!allRows.length) return { rows: [], errors: [{ line: 1, message: "The file is empty" }] };
+
+  // Exports often start with a title or account details; the header is
+  // the first row naming the date column
+  const wantedDate = mapping.date !== undefined ? String(mapping.date).trim().toLowerCase() : null;
+  const headerIndex = Math.max(
+    0,
+    allRows.slice(0, 20).findIndex((row) =>
+      row.some((cell) => {
+        const name = cell.toLowerCase();
+        return wantedDate ? name === wantedDate : COLUMN_ALIASES.date.includes(name);
+      })
+    )
+  );
+  const headers = allRows[headerIndex].map((header) => header.toLowerCase());
+  const dataRows = allRows.slice(headerIndex + 1);
+  const column = {};
+  Object.keys(COLUMN_ALIASES).forEach((field) => {
+    column[field] = findColumn(headers, field, mapping);
+  });
+
+  const errors = [];
+  if (column.date === -1) errors.push({ line: 1, message: "No date column found; set mapping.date" });
+  if (column.amount === -1 && column.debit === -1 && column.credit === -1) {
+    errors.push({ line: 1, message: "No amount, debit or credit column found; set mapping.amount" });
+  }
+  if (errors.length) return { rows: [], errors };
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    // Counts non-empty rows, which matches the file unless it has blank lines
+    const line = headerIndex + index + 2;
+    const cell = (field) => (column[field] === -1 ? "" : cells[column[field]] || "");
+
+    const date = parseStatementDate(cell("date"), mapping.dateOrder);
+    if (!date) {
+      errors.push({ line, message: `Unreadable date "${cell("date")}"` });
+      return;
+    }
+
+    const debit = parseAmount(cell("debit"));
+    const credit = parseAmount(cell("credit"));
+    let signed = parseAmount(cell("amount"));
+    if (signed === null) {
+      if (debit) signed = -Math.abs(debit);
+      else if (credit) signed = Math.abs(credit);
+    }
+    if (!signed) {
+      errors.push({ line, message: "No amount" });
+      return;
+    }
+
+    const notes = cell("description");
+    // An explicit type column wins over the sign, which many wallets don't use
+    const type = directionFromText(cell("type")) || (signed < 0 ? "expense" : "income");
+
+    rows.push({
+      line,
+      date,
+      amount: Math.abs(signed),
+      type,
+      currency: normalizeCurrency(cell("currency") || mapping.currency, defaultCurrency),
+      notes: [cell("type"), notes].filter(Boolean).join(" — ") || null,
+      reference: cell("reference") || null,
+    });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Parse an OFX/QFX statement (SGML or XML flavour) into statement rows
+ */
+export function parseOfxStatement(text, defaultCurrency = "BDT") {
+  const content = String(text);
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+    return match ? match[1].trim() : "";
+  };
+
+  const currency = normalizeCurrency(tag(content, "CURDEF"), defaultCurrency);
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const rows = [];
+  const errors = [];
+  blocks.forEach((block, index) => {
+    const date = parseStatementDate(tag(block, "DTPOSTED"));
+    const signed = parseAmount(tag(block, "TRNAMT"));
+    if (!date || !signed) {
+      errors.push({ line: index + 1, message: "Transaction without a date or amount" });
+      return;
+    }
+
+    rows.push({
+      line: index + 1,
+      date,
+      amount: Math.abs(signed),
+      type: signed < 0 ? "expense" : "income",
+      currency: normalizeCurrency(tag(block, "CURRENCY") || tag(block, "ORIGCURRENCY"), currency),
+      notes: [tag(block, "NAME"), tag(block, "MEMO")].filter(Boolean).join(" — ") || null,
+      reference: tag(block, "FITID") || null,
+    });
+  });
+
+  if (!blocks.length) errors.push({ line: 1, message: "No transactions found in the OFX file" });
+  return { rows, errors };
+}
+
+/**
+ * Parse an uploaded statement in any supported format
+ */
+export function parseStatement(text, format, mapping = {}, defaultCurrency = "BDT") {
+  if (format === "ofx") return parseOfxStatement(text, defaultCurrency);
+
+  const preset = WALLET_PRESETS[format] || {};
+  return parseCsvStatement(text, { ...preset, ...mapping }, defaultCurrency);
+}
+
+/**
+ * Guess the format from the file name and contents
+ */
+export function detectStatementFormat(text, filename = "") {
+  if (/\.(ofx|qfx)$/i.test(filename) || /<OFX>/i.test(String(text).slice(0, 2000))) return "ofx";
+  const head = String(text).slice(0, 500).toLowerCase();
+  if (head.includes("bkash")) return "bkash";
+  if (head.includes("nagad")) return "nagad";
+  return "csv";
+}
+
+/**
+ * Category for a statement description from keyword rules, or null when
+ * no rule applies
+ */
+export function categorizeByKeywords(notes) {
+  const text = String(notes || "").toLowerCase();
+  if (!text) return null;
+  const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) => hasWord(text, keywords));
+  return match ? match[0] : null;
+}
+
+/**
+ * Mark rows that are already in the ledger or repeated within the file.
+ * existing is the user's transactions over the statement's dates. A row is
+ * a duplicate when an existing transaction has the same type, currency,
+ * amount and date and similar (or missing) notes; each existing
+ * transaction can only match one row.
+ */
+export function markDuplicates(rows, existing) {
+  const used = new Set();
+  const seenReferences = new Set();
+
+  return rows.map((row) => {
+    if (row.reference && seenReferences.has(row.reference)) {
+      return { ...row, duplicate: true, duplicateOf: null };
+    }
+    if (row.reference) seenReferences.add(row.reference);
+
+    const match = existing.find((transaction) => {
+      if (used.has(transaction.id)) return false;
+      if (transaction.date !== row.date || transaction.type !== row.type) return false;
+      if (transaction.currency !== row.currency || Number(transaction.amount) !== row.amount) return false;
+      if (!transaction.notes || !row.notes) return true;
+      return (
+        scoreNameMatch(transaction.notes, row.notes) >= DUPLICATE_NOTES_THRESHOLD ||
+        scoreNameMatch(row.notes, transaction.notes) >= DUPLICATE_NOTES_THRESHOLD
+      );
+    });
+
+    if (!match) return { ...row, duplicate: false, duplicateOf: null };
+    used.add(match.id);
+    return { ...row, duplicate: true, duplicateOf: match.id };
+  });
+}
+
+/**
+ * Apply the user's review ({ line, include, category } per changed row)
+ * to previewed rows. Returns { rows, errors }; errors name lines that
+ * aren't in the preview.
+ */
+export function applyImportReview(rows, changes) {
+  const byLine = new Map(rows.map((row) => [row.line, { ...row }]));
+  const errors = [];
+
+  changes.forEach((change) => {
+    const row = byLine.get(change.line);
+    if (!row) {
+      errors.push({ field: "rows", message: `Line ${change.line} is not in this import` });
+      return;
+    }
+    if (change.include !== undefined) row.include = change.include;
+    if (change.category !== undefined) row.category = change.category;
+  });
+
+  return { rows: [...byLine.values()], errors };
+}
+
+/**
+ * Counts for an import preview
+ */
+export function summarizeImport(rows) {
+  return {
+    total: rows.length,
+    included: rows.filter((row) => row.include).length,
+    duplicates: rows.filter((row) => row.duplicate).length,
+  };
+}
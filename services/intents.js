@@ -0,0 +1,257 @@
+import { categoryNames } from "./categories.js";
+import { findPeriod, isAmbiguousDay, resolveDate, resolveMonth } from "./dates.js";
+import { parseAmount } from "./importer.js";
+import { toAsciiDigits } from "./language.js";
+import { RECURRENCE_FREQUENCIES } from "./recurrence.js";
+
+/**
+ * Checks on extracted intents before anything is saved. Model output is
+ * not trusted: amounts are coerced to numbers and range-checked, relative
+ * dates are resolved against the user's today, unknown categories become
+ * "other" and enum fields are checked. Amounts far above what the user
+ * usually records are flagged for confirmation.
+ */
+
+// Anything above this is a misread, not a real amount
+export const MAX_AMOUNT = 1e12;
+
+// An amount is unusual above OUTLIER_FACTOR times the typical (median)
+// amount, once there are at least OUTLIER_MIN_HISTORY earlier ones
+const OUTLIER_FACTOR = 10;
+const OUTLIER_MIN_HISTORY = 5;
+// How much of the user's history the usual amounts are taken from
+export const AMOUNT_HISTORY_DAYS = 180;
+export const AMOUNT_HISTORY_LIMIT = 1000;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const INTEREST_METHODS = ["reducing", "flat"];
+
+// The amount field of each intent
+const AMOUNT_FIELDS = {
+  transaction: "amount",
+  new_loan: "principal_amount",
+  loan_repayment: "amount",
+  new_lending: "principal_amount",
+  lending_repayment: "amount",
+  set_budget: "amount",
+  recurring: "amount",
+  transfer: "amount",
+  goal_contribution: "amount",
+};
+
+// Date fields that must be present, and ones that may be empty
+const REQUIRED_DATES = {
+  transaction: ["date"],
+  new_loan: ["date"],
+  loan_repayment: ["date"],
+  new_lending: ["date"],
+  lending_repayment: ["date"],
+  recurring: ["start_date"],
+  transfer: ["date"],
+  goal_contribution: ["date"],
+};
+const OPTIONAL_DATES = {
+  new_lending: ["due_date"],
+  recurring: ["end_date"],
+  query: ["start_date", "end_date"],
+};
+
+function toAmount(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return null;
+  return parseAmount(toAsciiDigits(value));
+}
+
+function checkAmount(value, field, errors, { optional = false } = {}) {
+  if (optional && (value === null || value === undefined || value === "")) return null;
+  const amount = toAmount(value);
+  if (amount === null || !Number.isFinite(amount) || amount <= 0) {
+    errors.push({ field, message: `${field} must be a positive number` });
+    return null;
+  }
+  if (amount > MAX_AMOUNT) {
+    errors.push({ field, message: `${field} is too large` });
+    return null;
+  }
+  return Math.round(amount * 100) / 100;
+}
+
+function checkDate(value, field, today, errors, { optional = false } = {}) {
+  if (optional && (value === null || value === undefined || value === "")) return null;
+  const date = resolveDate(value, today);
+  if (!date && isAmbiguousDay(value)) {
+    errors.push({ field, message: `${field} "kal" can be yesterday or tomorrow` });
+  } else if (!date) {
+    errors.push({ field, message: `${field} must be a date (YYYY-MM-DD) or a relative date such as "yesterday"` });
+  }
+  return date;
+}
+
+/**
+ * Check an extracted intent (as filled in by normalizeIntent) and return
+ * { values, errors } like the request validators: values is the intent
+ * with clean types, errors a list of { field, message }.
+ * options.today is the user's local date; options.categories their own
+ * categories.
+ */
+export function validateIntent(intent, { today, categories = [] } = {}) {
+  const values = { ...intent };
+  const errors = [];
+  const kind = intent.intent;
+
+  if (kind === "update_last") {
+    const changes = { ...(intent.changes || {}) };
+    if (changes.amount !== undefined) changes.amount = checkAmount(changes.amount, "changes.amount", errors);
+    if (changes.date !== undefined) changes.date = checkDate(changes.date, "changes.date", today, errors);
+    if (changes.category !== undefined && !categoryNames(categories).includes(changes.category)) {
+      errors.push({ field: "changes.category", message: "changes.category is not a known category" });
+    }
+    return { values: { ...values, changes }, errors };
+  }
+
+  const amountField = AMOUNT_FIELDS[kind];
+  if (amountField) values[amountField] = checkAmount(intent[amountField], amountField, errors);
+
+  (REQUIRED_DATES[kind] || []).forEach((field) => {
+    values[field] = checkDate(intent[field] || today, field, today, errors);
+  });
+  (OPTIONAL_DATES[kind] || []).forEach((field) => {
+    values[field] = checkDate(intent[field], field, today, errors, { optional: true });
+  });
+
+  if ("currency" in intent && !CURRENCY_PATTERN.test(String(intent.currency))) {
+    errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+  }
+
+  if ("type" in intent && !["expense", "income"].includes(intent.type)) {
+    errors.push({ field: "type", message: "type must be expense or income" });
+  }
+
+  // Categories the model made up are filed under "other"
+  if (kind === "transaction") {
+    values.category = categoryNames(categories).includes(intent.category) ? intent.category : "other";
+  }
+  if (kind === "set_budget" || kind === "recurring") {
+    const allowed = categoryNames(categories, { forSpending: true });
+    if (kind === "recurring") allowed.push("loan_repayment");
+    values.category = allowed.includes(intent.category) ? intent.category : "other";
+  }
+
+  if (kind === "set_budget") {
+    values.month = resolveMonth(intent.month, today);
+    if (!values.month) errors.push({ field: "month", message: "month must be in YYYY-MM format" });
+  }
+
+  if (kind === "new_loan") {
+    const rate = Number(intent.interest_rate || 0);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      errors.push({ field: "interest_rate", message: "interest_rate must be between 0 and 100" });
+    } else {
+      values.interest_rate = rate;
+    }
+    if (!INTEREST_METHODS.includes(intent.interest_method)) values.interest_method = "reducing";
+
+    if (intent.tenure_months !== null && intent.tenure_months !== undefined) {
+      const tenure = Number(intent.tenure_months);
+      if (!Number.isInteger(tenure) || tenure < 1 || tenure > 600) {
+        errors.push({ field: "tenure_months", message: "tenure_months must be a whole number of months (1-600)" });
+      } else {
+        values.tenure_months = tenure;
+      }
+    }
+    values.monthly_installment = checkAmount(intent.monthly_installment, "monthly_installment", errors, {
+      optional: true,
+    });
+  }
+
+  if (kind === "recurring") {
+    if (!RECURRENCE_FREQUENCIES.includes(intent.frequency)) {
+      errors.push({ field: "frequency", message: `frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}` });
+    }
+    if (values.end_date && values.start_date && values.end_date < values.start_date) {
+      errors.push({ field: "end_date", message: "end_date must not be before start_date" });
+    }
+  }
+
+  if (kind === "new_lending" && values.due_date && values.date && values.due_date < values.date) {
+    errors.push({ field: "due_date", message: "due_date must not be before date" });
+  }
+
+  if (kind === "transfer") {
+    ["from_account", "to_account"].forEach((field) => {
+      if (!intent[field] && !intent[`${field}_id`]) {
+        errors.push({ field, message: `${field} must name one of the user's accounts` });
+      }
+    });
+  }
+
+  if (kind === "goal_contribution" && !intent.goal_name && !intent.goal_id) {
+    errors.push({ field: "goal_name", message: "goal_name must name one of the user's goals" });
+  }
+
+  if (kind === "query") {
+    // The period asked about ("last month") is worked out here, not by the model
+    if (intent.period) {
+      const range = findPeriod(toAsciiDigits(String(intent.period)), today);
+      if (range) {
+        values.start_date = range.startDate;
+        values.end_date = range.endDate;
+      } else {
+        errors.push({ field: "period", message: 'period must be a period such as "last month" or "last 7 days"' });
+      }
+    }
+    if (values.start_date && values.end_date && values.end_date < values.start_date) {
+      errors.push({ field: "end_date", message: "end_date must not be before start_date" });
+    }
+  }
+
+  return { values, errors };
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Group a user's recent transactions ({ type, category, currency, amount })
+ * into sorted amount lists per type and currency, overall and per category
+ */
+export function summarizeAmountHistory(transactions) {
+  const history = {};
+  const add = (key, amount) => {
+    (history[key] = history[key] || []).push(amount);
+  };
+  transactions.forEach(({ type, category, currency, amount }) => {
+    add(`${type}:${currency}`, Number(amount));
+    add(`${type}:${currency}:${category}`, Number(amount));
+  });
+  Object.values(history).forEach((amounts) => amounts.sort((a, b) => a - b));
+  return history;
+}
+
+/**
+ * A warning { field, message, typical, category } when a transaction or
+ * recurring intent's amount is far above the user's usual amounts for its
+ * category (or for its type, with too little category history), else null
+ */
+export function findOutlier(intent, history) {
+  if (intent.intent !== "transaction" && intent.intent !== "recurring") return null;
+
+  const byCategory = history[`${intent.type}:${intent.currency}:${intent.category}`] || [];
+  const byType = history[`${intent.type}:${intent.currency}`] || [];
+  const [amounts, category] =
+    byCategory.length >= OUTLIER_MIN_HISTORY ? [byCategory, intent.category] : [byType, null];
+  if (amounts.length < OUTLIER_MIN_HISTORY) return null;
+
+  const typical = median(amounts);
+  const largest = amounts[amounts.length - 1];
+  if (intent.amount <= typical * OUTLIER_FACTOR || intent.amount <= largest) return null;
+
+  return {
+    field: "amount",
+    message: `amount is more than ${OUTLIER_FACTOR} times the usual ${category || intent.type} amount`,
+    typical,
+    category,
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Language support for Bangla and Banglish (Bangla written in Latin letters):
+ * language detection, number words and digits, and reply helpers
+ */
+
+export const LANGUAGES = ["en", "bn"];
+// Stored preference: a fixed language, or "auto" to follow each message
+export const LANGUAGE_PREFERENCES = ["auto", ...LANGUAGES];
+
+const BANGLA_SCRIPT = /[ঀ-৿]/;
+const BANGLA_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// Common Banglish words; two or more in a message mark it as Bangla
+const BANGLISH_MARKERS = new Set([
+  "taka", "khoroch", "khorch", "holo", "hoise", "hoyeche", "dilam", "dilo", "disi", "korlam",
+  "kinlam", "kinechi", "kinsi", "aj", "ajke", "kal", "kalke", "gotokal", "bazar", "theke",
+  "jonno", "koto", "pelam", "paisi", "pailam", "bhara", "vara", "beton", "mash", "ami",
+  "amar", "amake", "ke", "ta", "diye", "nilam", "niyechi", "dhar", "ferot",
+]);
+
+// Bangla number words from 1 to 99 (each is irregular)
+const BANGLA_NUMBER_WORDS = [
+  "এক", "দুই", "তিন", "চার", "পাঁচ", "ছয়", "সাত", "আট", "নয়", "দশ",
+  "এগারো", "বারো", "তেরো", "চৌদ্দ", "পনেরো", "ষোলো", "সতেরো", "আঠারো", "উনিশ", "বিশ",
+  "একুশ", "বাইশ", "তেইশ", "চব্বিশ", "পঁচিশ", "ছাব্বিশ", "সাতাশ", "আটাশ", "উনত্রিশ", "ত্রিশ",
+  "একত্রিশ", "বত্রিশ", "তেত্রিশ", "চৌত্রিশ", "পঁয়ত্রিশ", "ছত্রিশ", "সাঁইত্রিশ", "আটত্রিশ", "উনচল্লিশ", "চল্লিশ",
+  "একচল্লিশ", "বিয়াল্লিশ", "তেতাল্লিশ", "চুয়াল্লিশ", "পঁয়তাল্লিশ", "ছেচল্লিশ", "সাতচল্লিশ", "আটচল্লিশ", "উনপঞ্চাশ", "পঞ্চাশ",
+  "একান্ন", "বাহান্ন", "তিপ্পান্ন", "চুয়ান্ন", "পঞ্চান্ন", "ছাপ্পান্ন", "সাতান্ন", "আটান্ন", "উনষাট", "ষাট",
+  "একষট্টি", "বাষট্টি", "তেষট্টি", "চৌষট্টি", "পঁয়ষট্টি", "ছেষট্টি", "সাতষট্টি", "আটষট্টি", "উনসত্তর", "সত্তর",
+  "একাত্তর", "বাহাত্তর", "তিয়াত্তর", "চুয়াত্তর", "পঁচাত্তর", "ছিয়াত্তর", "সাতাত্তর", "আটাত্তর", "উনআশি", "আশি",
+  "একাশি", "বিরাশি", "তিরাশি", "চুরাশি", "পঁচাশি", "ছিয়াশি", "সাতাশি", "আটাশি", "উননব্বই", "নব্বই",
+  "একানব্বই", "বিরানব্বই", "তিরানব্বই", "চুরানব্বই", "পঁচানব্বই", "ছিয়ানব্বই", "সাতানব্বই", "আটানব্বই", "নিরানব্বই",
+];
+
+const BANGLA_UNITS = new Map([
+  ...BANGLA_NUMBER_WORDS.map((word, index) => [word, index + 1]),
+  ["দুয়ে", 2], ["ছ", 6], ["দেড়", 1.5], ["আড়াই", 2.5],
+].map(([word, value]) => [word.normalize("NFC"), value]));
+
+// Banglish number words are only read as numbers before a multiplier
+// ("pach hajar"), since several are also English words ("at", "tin", "char")
+const BANGLISH_UNITS = new Map([
+  ["ek", 1], ["dui", 2], ["tin", 3], ["teen", 3], ["char", 4], ["pach", 5], ["panch", 5],
+  ["choy", 6], ["chhoy", 6], ["sat", 7], ["saat", 7], ["at", 8], ["aat", 8], ["noy", 9],
+  ["dosh", 10], ["bish", 20], ["pochish", 25], ["tirish", 30], ["chollish", 40], ["ponchash", 50],
+  ["der", 1.5], ["dedh", 1.5], ["arai", 2.5], ["arhai", 2.5],
+]);
+
+// "সাড়ে তিন হাজার" is 3500, "পৌনে দুই লাখ" is 175000
+const MODIFIERS = new Map([
+  ["সাড়ে", 0.5], ["সোয়া", 0.25], ["পৌনে", -0.25], ["sare", 0.5], ["saare", 0.5], ["shoa", 0.25], ["poune", -0.25],
+].map(([word, value]) => [word.normalize("NFC"), value]));
+
+const HUNDRED_WORDS = ["শো", "শ", "শত", "sho", "shoto", "hundred"];
+const MULTIPLIERS = new Map([
+  ...HUNDRED_WORDS.map((word) => [word, 100]),
+  ["হাজার", 1000], ["লাখ", 100000], ["লক্ষ", 100000], ["কোটি", 10000000],
+  ["thousand", 1000], ["hajar", 1000], ["hazar", 1000], ["k", 1000],
+  ["lakh", 100000], ["lakhs", 100000], ["lac", 100000], ["lacs", 100000],
+  ["crore", 10000000], ["crores", 10000000], ["koti", 10000000],
+].map(([word, value]) => [word.normalize("NFC"), value]));
+
+// Category names shown in Bangla replies (stored categories stay in English)
+const BANGLA_CATEGORY_LABELS = {
+  shopping: "কেনাকাটা",
+  housing: "বাসস্থান",
+  food: "খাবার",
+  transportation: "যাতায়াত",
+  entertainment: "বিনোদন",
+  healthcare: "চিকিৎসা",
+  education: "শিক্ষা",
+  loan: "ঋণ",
+  loan_repayment: "ঋণ পরিশোধ",
+  loan_given: "ধার দেওয়া",
+  loan_collection: "ধার ফেরত",
+  other: "অন্যান্য",
+};
+
+/**
+ * Guess whether a message is Bangla ("bn", including Banglish) or English ("en")
+ */
+export function detectLanguage(text) {
+  const value = String(text || "");
+  if (BANGLA_SCRIPT.test(value)) return "bn";
+
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  const markers = words.filter((word) => BANGLISH_MARKERS.has(word)).length;
+  return markers >= 2 ? "bn" : "en";
+}
+
+/**
+ * The language to reply in: an explicit request, else the user's stored
+ * preference, else the language the speech was recognised as, else
+ * whatever the message itself is written in
+ */
+export function resolveLanguage({ requested, preference, detected, text } = {}) {
+  if (LANGUAGES.includes(requested)) return requested;
+  if (LANGUAGES.includes(preference)) return preference;
+  if (LANGUAGES.includes(detected)) return detected;
+  return detectLanguage(text);
+}
+
+/**
+ * A category name for a reply in the given language
+ */
+export function categoryLabel(category, lang) {
+  return (lang === "bn" && BANGLA_CATEGORY_LABELS[category]) || category;
+}
+
+/**
+ * Replace Bangla digits with ASCII digits
+ */
+export function toAsciiDigits(text) {
+  return String(text).replace(/[০-৯]/g, (digit) => String(BANGLA_DIGITS.indexOf(digit)));
+}
+
+/**
+ * Write ASCII digits as Bangla digits when replying in Bangla
+ */
+export function localizeDigits(text, lang) {
+  if (lang !== "bn") return text;
+  return String(text).replace(/[0-9]/g, (digit) => BANGLA_DIGITS[Number(digit)]);
+}
+
+// Split "পাঁচশো" / "pachsho" into a unit and a hundred suffix
+function splitHundreds(word, units) {
+  for (const suffix of HUNDRED_WORDS) {
+    if (word.length > suffix.length && word.endsWith(suffix)) {
+      const unit = units.get(word.slice(0, -suffix.length));
+      if (unit !== undefined) return unit * 100;
+    }
+  }
+  return undefined;
+}
+
+function classifyToken(raw, next) {
+  const word = raw.toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(word)) return { kind: "number", value: Number(word), word: false };
+
+  const shorthand = word.match(/^(\d+(?:\.\d+)?)(k|lakh|lac|crore)$/);
+  if (shorthand) {
+    return { kind: "number", value: Number(shorthand[1]) * MULTIPLIERS.get(shorthand[2]), word: true };
+  }
+
+  if (MULTIPLIERS.has(word) && word !== "k") return { kind: "multiplier", value: MULTIPLIERS.get(word) };
+  if (MODIFIERS.has(word)) return { kind: "modifier", value: MODIFIERS.get(word) };
+  if (BANGLA_UNITS.has(word)) return { kind: "number", value: BANGLA_UNITS.get(word), word: true };
+
+  const hundreds = splitHundreds(word, BANGLA_UNITS) ?? splitHundreds(word, BANGLISH_UNITS);
+  if (hundreds !== undefined) return { kind: "number", value: hundreds, word: true };
+
+  if (BANGLISH_UNITS.has(word) && next && MULTIPLIERS.has(next.toLowerCase()) && next.toLowerCase() !== "k") {
+    return { kind: "number", value: BANGLISH_UNITS.get(word), word: true };
+  }
+  return null;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Trailing punctuation ("হাজার," / "lakh.") ends a number but is kept
+function splitPunctuation(raw) {
+  const [, core, punctuation] = raw.match(/^(.*?)([,.;:!?।]*)$/u);
+  return { core, punctuation };
+}
+
+/**
+ * Read the number starting at words[start]. Returns { value, length,
+ * punctuation } or null when the words there aren't a spelled-out amount
+ * (plain digits on their own are left alone).
+ */
+function readNumber(words, start) {
+  let total = 0;
+  let current = 0;
+  let modifier = 0;
+  let hasWord = false;
+  let length = 0;
+  let punctuation = "";
+
+  for (let j = start; j < words.length; j++) {
+    const { core, punctuation: after } = splitPunctuation(words[j]);
+    const next = j + 1 < words.length ? splitPunctuation(words[j + 1]).core : undefined;
+    const token = core ? classifyToken(core, next) : null;
+    if (!token) break;
+
+    if (token.kind === "number") {
+      // Two bare numbers in a row are separate amounts
+      if (current !== 0) break;
+      current = token.value + modifier;
+      modifier = 0;
+      hasWord = hasWord || token.word;
+    } else if (token.kind === "modifier") {
+      if (current !== 0 || modifier !== 0) break;
+      modifier = token.value;
+    } else {
+      const base = current || 1;
+      if (token.value === 100) {
+        current = base * 100;
+      } else {
+        total += base * token.value;
+        current = 0;
+      }
+      hasWord = true;
+    }
+
+    length = j - start + 1;
+    punctuation = after;
+    if (after) break;
+  }
+
+  const value = total + current;
+  if (!length || !hasWord || modifier !== 0 || value <= 0) return null;
+  return { value, length, punctuation };
+}
+
+/**
+ * Rewrite spelled-out and Bangla-digit amounts as plain numbers, e.g.
+ * "পাঁচশো" → "500", "দেড় হাজার" → "1500", "2.5 lakh" → "250000",
+ * "sare tin hajar" → "3500". Everything else is left as it was.
+ */
+export function normalizeNumberWords(text) {
+  // Words at even indexes, the whitespace between them at odd ones
+  const parts = toAsciiDigits(String(text || "").normalize("NFC")).split(/(\s+)/);
+  const words = parts.filter((_, index) => index % 2 === 0);
+  let result = "";
+
+  for (let i = 0; i < words.length; ) {
+    const number = readNumber(words, i);
+    const length = number ? number.length : 1;
+    result += number ? formatNumber(number.value) + number.punctuation : words[i];
+    // Keep the whitespace that followed the last word used
+    result += parts[(i + length) * 2 - 1] || "";
+    i += length;
+  }
+
+  return result;
+}
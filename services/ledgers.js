@@ -0,0 +1,103 @@
+import { CANDIDATE_THRESHOLD, MATCH_THRESHOLD, scoreNameMatch } from "./loans.js";
+
+/**
+ * Shared ledgers: member roles, splitting an expense between members and
+ * working out who should pay whom to settle up
+ */
+
+export const LEDGER_ROLES = ["owner", "editor", "viewer"];
+
+const ROLE_RANK = { viewer: 0, editor: 1, owner: 2 };
+
+/**
+ * Whether a member (a ledger_members row, or null for non-members) has at
+ * least the given role
+ */
+export function hasRole(member, role) {
+  return Boolean(member) && ROLE_RANK[member.role] >= ROLE_RANK[role];
+}
+
+/**
+ * Split an amount into equal shares, one per member id. Shares are whole
+ * cents; the cents left over go to the first members.
+ * Returns [{ member_id, amount }].
+ */
+export function splitEqually(amount, memberIds) {
+  const cents = Math.round(Number(amount) * 100);
+  const share = Math.floor(cents / memberIds.length);
+  const leftover = cents - share * memberIds.length;
+  return memberIds.map((memberId, index) => ({
+    member_id: memberId,
+    amount: (share + (index < leftover ? 1 : 0)) / 100,
+  }));
+}
+
+/**
+ * Find the members a list of names refers to, like matchAccount: each name
+ * needs a confident, unambiguous match. Returns { members, unmatched }
+ * where unmatched lists { name, reason, candidates } for the rest.
+ */
+export function matchMembers(members, names) {
+  const matched = [];
+  const unmatched = [];
+
+  for (const name of names) {
+    const ranked = members
+      .map((member) => ({ member, score: scoreNameMatch(name, member.name) }))
+      .sort((a, b) => b.score - a.score);
+    const [best, runnerUp] = ranked;
+
+    if (best && best.score >= MATCH_THRESHOLD && (!runnerUp || runnerUp.score < best.score)) {
+      matched.push(best.member);
+      continue;
+    }
+
+    const candidates = ranked.filter((match) => match.score >= CANDIDATE_THRESHOLD);
+    unmatched.push({
+      name,
+      reason: candidates.length ? "ambiguous" : "no_match",
+      candidates: candidates.length ? candidates : ranked,
+    });
+  }
+
+  return { members: matched, unmatched };
+}
+
+/**
+ * Payments that settle every balance (rows of ledger_balances: member_id,
+ * currency, balance), per currency. The member who owes the most pays the
+ * one owed the most until everyone is square, which keeps the number of
+ * payments small. Returns [{ from_member_id, to_member_id, amount, currency }].
+ */
+export function settleUp(balances) {
+  const byCurrency = {};
+  for (const row of balances) {
+    const cents = Math.round(Number(row.balance) * 100);
+    if (!cents) continue;
+    if (!byCurrency[row.currency]) byCurrency[row.currency] = [];
+    byCurrency[row.currency].push({ memberId: row.member_id, cents });
+  }
+
+  const payments = [];
+  for (const [currency, rows] of Object.entries(byCurrency)) {
+    const debtors = rows.filter((row) => row.cents < 0).sort((a, b) => a.cents - b.cents);
+    const creditors = rows.filter((row) => row.cents > 0).sort((a, b) => b.cents - a.cents);
+
+    let d = 0;
+    let c = 0;
+    while (d < debtors.length && c < creditors.length) {
+      const cents = Math.min(-debtors[d].cents, creditors[c].cents);
+      payments.push({
+        from_member_id: debtors[d].memberId,
+        to_member_id: creditors[c].memberId,
+        amount: cents / 100,
+        currency,
+      });
+      debtors[d].cents += cents;
+      creditors[c].cents -= cents;
+      if (!debtors[d].cents) d++;
+      if (!creditors[c].cents) c++;
+    }
+  }
+  return payments;
+}
@@ -0,0 +1,174 @@
+/**
+ * Loan positions: what the user owes (borrowed) and is owed (lent),
+ * netted per counterparty
+ */
+
+export const LOAN_DIRECTIONS = ["borrowed", "lent"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Net position per counterparty and currency across active loans.
+ * `net` is positive when the counterparty owes the user overall.
+ * Names are matched case-insensitively; the first spelling seen is kept.
+ *
+ * Returns { counterparties: [{ name, currency, receivable, payable, net, loans }],
+ *           totals: { [currency]: { receivable, payable, net } } }
+ */
+export function summarizeLoanPositions(loans) {
+  const byKey = {};
+  const totals = {};
+
+  loans
+    .filter((loan) => loan.status === "active")
+    .forEach((loan) => {
+      const key = `${loan.lender_name.trim().toLowerCase()}|${loan.currency}`;
+      if (!byKey[key]) {
+        byKey[key] = {
+          name: loan.lender_name.trim(),
+          currency: loan.currency,
+          receivable: 0,
+          payable: 0,
+          net: 0,
+          loans: 0,
+        };
+      }
+      if (!totals[loan.currency]) {
+        totals[loan.currency] = { receivable: 0, payable: 0, net: 0 };
+      }
+      const position = byKey[key];
+      const total = totals[loan.currency];
+      const side = loan.direction === "lent" ? "receivable" : "payable";
+      const balance = Number(loan.remaining_balance);
+
+      position[side] = round(position[side] + balance);
+      position.net = round(position.receivable - position.payable);
+      position.loans++;
+      total[side] = round(total[side] + balance);
+      total.net = round(total.receivable - total.payable);
+    });
+
+  return {
+    counterparties: Object.values(byKey).sort((a, b) => Math.abs(b.net) - Math.abs(a.net)),
+    totals,
+  };
+}
+
+// Matching a spoken or typed name against loan counterparties (scores are 0–1)
+export const MATCH_THRESHOLD = 0.75; // picked without asking
+export const CANDIDATE_THRESHOLD = 0.5; // offered as a candidate
+const AMBIGUITY_MARGIN = 0.1; // a runner-up this close makes the match ambiguous
+const MAX_CANDIDATES = 5;
+
+// Common romanisations of the same sound, e.g. "Raheem"/"Rahim", "Shafiq"/"Safik"
+const TRANSLITERATIONS = [
+  [/ee|ea|ie|y/g, "i"],
+  [/oo|ou/g, "u"],
+  [/ph/g, "f"],
+  [/([kgtdbcjs])h/g, "$1"],
+  [/q|ck|c/g, "k"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/(.)\1+/g, "$1"],
+];
+
+function normalizeName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function phoneticKey(token) {
+  const spelled = TRANSLITERATIONS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), token);
+  // Vowels vary most between spellings; keep only the first letter's
+  return spelled.charAt(0) + spelled.slice(1).replace(/[aeiou]/g, "");
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  let score = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const keyA = phoneticKey(a);
+  if (keyA.length >= 2 && keyA === phoneticKey(b)) score = Math.max(score, 0.9);
+  if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) score = Math.max(score, 0.8);
+  return score;
+}
+
+/**
+ * Confidence (0–1) that `query` refers to the counterparty `name`.
+ * Every word of the query must match some word of the name; names with
+ * extra words score slightly lower, so "Bank" is a weak match for every bank.
+ */
+export function scoreNameMatch(query, name) {
+  const queryTokens = normalizeName(query);
+  const nameTokens = normalizeName(name);
+  if (!queryTokens.length || !nameTokens.length) return 0;
+  if (queryTokens.join(" ") === nameTokens.join(" ")) return 1;
+
+  const matched = new Set();
+  const total = queryTokens.reduce((sum, token) => {
+    let best = 0;
+    let bestIndex = -1;
+    nameTokens.forEach((nameToken, index) => {
+      const similarity = tokenSimilarity(token, nameToken);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (best >= CANDIDATE_THRESHOLD) matched.add(bestIndex);
+    return sum + best;
+  }, 0);
+
+  const coverage = matched.size / nameTokens.length;
+  return round((total / queryTokens.length) * (0.85 + 0.15 * coverage));
+}
+
+/**
+ * Pick the loan a name refers to. Returns { loan, score } for a confident,
+ * unambiguous match; otherwise { loan: null, reason, candidates } where
+ * reason is "ambiguous" (several close matches) or "no_match", and
+ * candidates are the loans worth offering, best first.
+ */
+export function matchLoan(loans, name) {
+  const ranked = loans
+    .map((loan) => ({ loan, score: scoreNameMatch(name, loan.lender_name) }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+  if (
+    best &&
+    best.score >= MATCH_THRESHOLD &&
+    (!runnerUp || best.score - runnerUp.score >= AMBIGUITY_MARGIN)
+  ) {
+    return best;
+  }
+
+  const candidates = ranked.filter((match) => match.score >= CANDIDATE_THRESHOLD);
+  return {
+    loan: null,
+    reason: candidates.length ? "ambiguous" : "no_match",
+    // With nothing close, offer every loan so the user can pick
+    candidates: (candidates.length ? candidates : ranked).slice(0, MAX_CANDIDATES),
+  };
+}
@@ -1,24 +1,35 @@
-import dotenv from "dotenv";
 import fs from "fs";
-import OpenAI from "openai";
 import path from "path";
 import { fileURLToPath } from "url";
+import { categoryNames, describeCustomCategories } from "./categories.js";
+import { normalizeCurrency } from "./currency.js";
+import { resolveDate } from "./dates.js";
+import { MAX_AMOUNT } from "./intents.js";
+import { normalizeNumberWords } from "./language.js";
+import { chatProvider, speechProvider } from "./providers.js";
+import { extractWithRules } from "./rules.js";
 
-// Load environment variables
-dotenv.config();
+/**
+ * Extraction, categorisation, receipt and transcription prompts. The
+ * models behind them come from providers.js; without a language model,
+ * or when a model call fails, messages are read by the rule-based
+ * extractor instead.
+ */
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Whisper reports the detected language by name
+const WHISPER_LANGUAGES = { english: "en", bengali: "bn" };
 
 /**
- * Transcribe audio using OpenAI Whisper API
+ * Transcribe audio with the configured speech provider (Whisper by default).
+ * options.language ("en" or "bn") fixes the spoken language; without it
+ * the language is detected. Returns { text, language }.
  */
 export async function transcribeAudio(
   audioBuffer,
-  originalFilename = "audio.webm"
+  originalFilename = "audio.webm",
+  options = {}
 ) {
   try {
     // Create a temporary file
@@ -33,17 +44,17 @@ export async function transcribeAudio(
     );
     fs.writeFileSync(tempFilePath, audioBuffer);
 
-    // Transcribe using Whisper
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: "whisper-1",
-      language: "en", // You can make this dynamic or auto-detect
+    const transcription = await speechProvider.transcribe(fs.createReadStream(tempFilePath), {
+      language: options.language,
     });
 
     // Clean up temp file
     fs.unlinkSync(tempFilePath);
 
-    return transcription.text;
+    return {
+      text: transcription.text,
+      language: options.language || WHISPER_LANGUAGES[transcription.language] || transcription.language,
+    };
   } catch (error) {
     console.error("Transcription error:", error);
     throw new Error("Failed to transcribe audio: " + error.message);
@@ -51,34 +62,124 @@ export async function transcribeAudio(
 }
 
 /**
- * Extract expense/income data from text using OpenAI Chat API
+ * Extract expense/income data from text with the configured language model,
+ * falling back to the rule-based extractor when there is none or the call fails.
+ * Returns an array of intents, since one message can describe several entries.
+ * options.defaultCurrency (the user's home currency) is used when no currency is mentioned;
+ * options.categories (the user's own categories) are offered next to the built-in ones;
+ * options.context (recent turns and saved entries of the conversation) lets
+ * follow-ups such as "actually make that 250" amend the last entry;
+ * options.today (the user's local date) is the default date;
+ * options.accounts (the user's accounts) are the names payments and transfers can refer to;
+ * options.goals (the user's active savings goals) are the names contributions can refer to.
+ * Relative dates are passed on as written, for validateIntent to resolve.
  */
-export async function extractExpenseData(text, userId) {
-  try {
-    // Get current date
-    const today = new Date().toISOString().split("T")[0];
+export async function extractExpenseData(text, userId, options = {}) {
+  const defaultCurrency = options.defaultCurrency || "BDT";
+  const today = options.today || new Date().toISOString().split("T")[0];
+  const customCategories = options.categories || [];
+  const accounts = options.accounts || [];
+  const goals = options.goals || [];
+  const quoted = (names) => names.map((name) => `"${name}"`).join(" | ");
+  const allCategories = quoted(categoryNames(customCategories));
+  const spendingCategories = quoted(categoryNames(customCategories, { forSpending: true }));
+
+  if (!chatProvider.completeJson) {
+    return normalizeItems(extractWithRules(text, { ...options, today }), text, defaultCurrency, today);
+  }
 
+  try {
     const systemPrompt = `You are an AI assistant for an expense and loan tracking application.
 Your job is to extract structured financial data from user input.
 
 IMPORTANT: Today's date is ${today}. Use this as the default date unless the user specifies a different date.
 
-First, determine the user's INTENT from these three options:
+DATES: Don't calculate dates the user gives relative to today. Copy their words into the date field instead
+("yesterday", "last Friday", "3 days ago", "next week", "গতকাল"); they are converted to calendar dates for you.
+Write dates the user states in full as "YYYY-MM-DD".
+
+CURRENCY: Always use ISO 4217 codes. "$"/"dollars" is USD, "taka"/"tk"/"৳" is BDT, "₹"/"rupees" is INR, "€" is EUR, "£" is GBP.
+If the user doesn't mention a currency, use "${defaultCurrency}".
+
+LANGUAGE: The user may write or speak in English, Bangla (বাংলা) or Banglish (Bangla in Latin letters, e.g. "aj bazar e 500 taka khoroch holo").
+Understand all three. Spelled-out amounts have already been converted to digits. Keep every field value in the formats below
+(intent, category, type and frequency are always the English codes); "notes" may stay in the user's own words.
+Common words: khoroch/খরচ = spent, dilam/দিলাম = paid or gave, pelam/পেলাম = received, dhar/ধার = loan, ferot/ফেরত = paid back,
+bazar/বাজার = groceries (food), bhara/ভাড়া = rent or fare, beton/বেতন = salary, aj/আজ = today, gotokal/গতকাল = yesterday,
+agamikal/আগামীকাল = tomorrow. A bare kal/কাল can mean yesterday or tomorrow: write "yesterday" or "tomorrow" when the verb makes
+it clear ("kal 500 taka dilam" = paid, so yesterday), otherwise copy "kal" into the date field.
+Write names of people and banks in Latin letters ("রহিম" → "Rahim") so they match earlier entries.
+${customCategories.length ? `
+CATEGORIES: Besides the general categories, the user has their own. Prefer one of these whenever it fits
+(a sub-category over its parent, e.g. a Netflix payment goes in the user's "streaming" rather than "entertainment"):
+${describeCustomCategories(customCategories)}
+` : ""}
+ACCOUNTS: "account" is where the money was paid from or into, as the user says it ("bKash", "cash", "bank", "card"), or null when not mentioned.
+${accounts.length ? `The user's accounts are: ${accounts.map((account) => `"${account.name}" (${account.type.replace("_", " ")})`).join(", ")}. Use these names when they fit.
+` : ""}
+GOALS: Money the user sets aside toward something they are saving for ("put 2000 toward my bike fund", "saved 5000 for Eid shopping",
+"bike fund e 2000 rakhlam") is a "goal_contribution", not an expense; "goal_name" is the goal as the user says it.
+${goals.length ? `The user's savings goals are: ${goals.map((goal) => `"${goal.name}"`).join(", ")}. Use these names when they fit.
+` : ""}
+SPLITS: When the user shared an expense with other people ("split with Rafi and Nila", "divided the bill between me, Rafi and Nila",
+"Rafi ar Nila-r sathe bhag korlam"), "split_with" lists the other people's names (never the user), and "amount" is the whole bill the
+user paid. It is one entry, not one per person. Otherwise "split_with" is [].
+
+A single message can contain SEVERAL entries (e.g. "spent 200 on lunch, 50 on rickshaw and got 3000 salary").
+Split the message into one item per entry and determine the INTENT of each item from these options:
 1. "transaction" — a regular expense or income (e.g. "spent 200 on food", "received salary 50000")
 2. "new_loan" — the user is taking a loan from a bank or borrowing from someone (e.g. "took 50000 loan from BRAC Bank", "borrowed 5000 from Rahim")
 3. "loan_repayment" — the user is paying back an installment or amount for an existing loan (e.g. "paid 2000 installment for BRAC Bank loan", "repaid 5000 to Rahim")
-
-Then return the appropriate JSON based on the intent:
+4. "new_lending" — the user is lending money to someone who will pay it back (e.g. "gave 3000 to Karim, he'll return next week", "lent 10000 to my cousin")
+5. "lending_repayment" — someone the user lent to is paying the user back (e.g. "Karim returned 1500", "got back 10000 from my cousin")
+6. "set_budget" — the user is setting a monthly spending limit for a category (e.g. "set food budget to 8000 this month")
+7. "recurring" — a payment or income that repeats on a schedule (e.g. "my rent is 15000 every month on the 1st", "Netflix 1100 monthly", "salary 50000 every month on the 25th")
+8. "query" — the user is ASKING about their records, not recording anything (e.g. "how much did I spend on food last month?", "how much do I still owe BRAC Bank?", "how much does Karim owe me?")
+9. "update_last" — the user is CORRECTING the entry they just saved (e.g. "actually make that 250", "no, that was yesterday", "it was for food, not shopping")
+10. "delete_last" — the user wants the entry they just saved removed (e.g. "delete that", "remove the last one")
+11. "undo" — the user wants their last change reversed, whatever it was (e.g. "undo", "undo that")
+12. "transfer" — the user moved their own money between two of their accounts; it is neither income nor expense (e.g. "moved 5000 from bank to cash", "withdrew 2000 from bKash", "sent 1000 from Dutch-Bangla to bKash")
+13. "goal_contribution" — the user put money toward one of their savings goals (e.g. "put 2000 toward my bike fund", "added 1000 to the emergency fund")
+${options.context ? `
+CONVERSATION: This message continues a conversation. A correction of something already saved is "update_last", never a new entry.
+${options.context}
+` : `
+There is no earlier conversation, so "update_last", "delete_last" and "undo" only apply when the user clearly asks to change their last entry.
+`}
+Always return a JSON object of the form {"intents": [ ...items ]}, where each item uses the format for its intent:
 
 FOR "transaction" intent:
 {
   "intent": "transaction",
   "amount": number,
   "currency": "BDT",
-  "category": "shopping" | "housing" | "food" | "transportation" | "entertainment" | "healthcare" | "education" | "loan" | "loan_repayment" | "other",
+  "category": ${allCategories},
   "notes": "string",
   "type": "expense" or "income",
-  "date": "YYYY-MM-DD"
+  "date": "YYYY-MM-DD" or relative words,
+  "account": "string" or null,
+  "split_with": ["string"]
+}
+
+FOR "transfer" intent:
+{
+  "intent": "transfer",
+  "amount": number,
+  "currency": "BDT",
+  "from_account": "string (the account the money left)",
+  "to_account": "string (the account the money went to; cash for a withdrawal)",
+  "date": "YYYY-MM-DD" or relative words,
+  "notes": "string"
+}
+
+FOR "goal_contribution" intent:
+{
+  "intent": "goal_contribution",
+  "goal_name": "string (the goal the money went toward)",
+  "amount": number,
+  "currency": "BDT",
+  "date": "YYYY-MM-DD" or relative words,
+  "notes": "string"
 }
 
 FOR "new_loan" intent:
@@ -88,10 +189,11 @@ FOR "new_loan" intent:
   "loan_type": "bank" or "personal",
   "principal_amount": number,
   "interest_rate": number (annual %, default 0),
+  "interest_method": "reducing" or "flat" (flat only if the user says the rate is flat, default "reducing"),
   "tenure_months": number or null,
   "monthly_installment": number or null,
   "currency": "BDT",
-  "date": "YYYY-MM-DD",
+  "date": "YYYY-MM-DD" or relative words,
   "notes": "string"
 }
 
@@ -101,89 +203,508 @@ FOR "loan_repayment" intent:
   "lender_name": "string (who the loan is from)",
   "amount": number,
   "currency": "BDT",
-  "date": "YYYY-MM-DD",
+  "date": "YYYY-MM-DD" or relative words,
+  "notes": "string"
+}
+
+FOR "new_lending" intent:
+{
+  "intent": "new_lending",
+  "borrower_name": "string (who the money was lent to)",
+  "principal_amount": number,
+  "currency": "BDT",
+  "date": "YYYY-MM-DD" or relative words,
+  "due_date": "YYYY-MM-DD" or relative words, or null (when it is expected back, if mentioned),
   "notes": "string"
 }
 
+FOR "lending_repayment" intent:
+{
+  "intent": "lending_repayment",
+  "borrower_name": "string (who is paying the user back)",
+  "amount": number,
+  "currency": "BDT",
+  "date": "YYYY-MM-DD" or relative words,
+  "notes": "string"
+}
+
+FOR "set_budget" intent:
+{
+  "intent": "set_budget",
+  "category": ${spendingCategories},
+  "amount": number (the monthly limit),
+  "currency": "BDT",
+  "month": "YYYY-MM"
+}
+
+FOR "recurring" intent:
+{
+  "intent": "recurring",
+  "amount": number,
+  "currency": "BDT",
+  "category": ${spendingCategories} | "loan_repayment",
+  "notes": "string",
+  "type": "expense" or "income",
+  "frequency": "daily" | "weekly" | "monthly" | "yearly",
+  "day_of_month": number (1-31) or null,
+  "start_date": "YYYY-MM-DD" or relative words,
+  "end_date": "YYYY-MM-DD" or null
+}
+
+FOR "query" intent:
+{
+  "intent": "query",
+  "metric": "total_expense" | "total_income" | "net" | "transaction_count" | "category_breakdown" | "loan_balance" | "recent_transactions",
+  "category": ${allCategories} | null,
+  "search": "string (a merchant or keyword to look for in notes, e.g. Netflix)" or null,
+  "lender_name": "string (the lender or borrower, for loan questions)" or null,
+  "period": "string (the time the question asks about, in the user's words, e.g. "last month", "this week", "last 7 days", "in October")" or null,
+  "start_date": "YYYY-MM-DD" or null,
+  "end_date": "YYYY-MM-DD" or null,
+  "question": "string (the user's question)"
+}
+Don't work out the dates of a period: copy it into "period" and it is converted for you. Only fill start_date and end_date
+with dates the user states in full.
+
+FOR "update_last" intent (include only what changes):
+{
+  "intent": "update_last",
+  "changes": {
+    "amount": number,
+    "currency": "BDT",
+    "category": "string",
+    "notes": "string",
+    "type": "expense" or "income",
+    "date": "YYYY-MM-DD" or relative words,
+    "name": "string (the lender or borrower, for loans)"
+  }
+}
+
+FOR "delete_last" and "undo" intents:
+{"intent": "delete_last"} or {"intent": "undo"}
+
 Examples:
 Input: "Spent 200 on shopping today"
-Output: {"intent": "transaction", "amount": 200, "currency": "BDT", "category": "shopping", "notes": "shopping", "type": "expense", "date": "${today}"}
+Output: {"intents": [{"intent": "transaction", "amount": 200, "currency": "BDT", "category": "shopping", "notes": "shopping", "type": "expense", "date": "${today}"}]}
 
 Input: "Received 5000 from Mehdi"
-Output: {"intent": "transaction", "amount": 5000, "currency": "BDT", "category": "other", "notes": "from Mehdi", "type": "income", "date": "${today}"}
+Output: {"intents": [{"intent": "transaction", "amount": 5000, "currency": "BDT", "category": "other", "notes": "from Mehdi", "type": "income", "date": "${today}"}]}
 
 Input: "I took a 50000 BDT loan from BRAC Bank at 12% interest for 2 years"
-Output: {"intent": "new_loan", "lender_name": "BRAC Bank", "loan_type": "bank", "principal_amount": 50000, "interest_rate": 12, "tenure_months": 24, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "Loan from BRAC Bank"}
+Output: {"intents": [{"intent": "new_loan", "lender_name": "BRAC Bank", "loan_type": "bank", "principal_amount": 50000, "interest_rate": 12, "tenure_months": 24, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "Loan from BRAC Bank"}]}
 
 Input: "Borrowed 5000 from Rahim, will pay back next month"
-Output: {"intent": "new_loan", "lender_name": "Rahim", "loan_type": "personal", "principal_amount": 5000, "interest_rate": 0, "tenure_months": 1, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "Borrowed from Rahim"}
+Output: {"intents": [{"intent": "new_loan", "lender_name": "Rahim", "loan_type": "personal", "principal_amount": 5000, "interest_rate": 0, "tenure_months": 1, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "Borrowed from Rahim"}]}
 
 Input: "Paid 2000 installment for BRAC Bank loan"
-Output: {"intent": "loan_repayment", "lender_name": "BRAC Bank", "amount": 2000, "currency": "BDT", "date": "${today}", "notes": "Loan installment to BRAC Bank"}
+Output: {"intents": [{"intent": "loan_repayment", "lender_name": "BRAC Bank", "amount": 2000, "currency": "BDT", "date": "${today}", "notes": "Loan installment to BRAC Bank"}]}
 
 Input: "Repaid 5000 to Rahim"
-Output: {"intent": "loan_repayment", "lender_name": "Rahim", "amount": 5000, "currency": "BDT", "date": "${today}", "notes": "Repayment to Rahim"}
+Output: {"intents": [{"intent": "loan_repayment", "lender_name": "Rahim", "amount": 5000, "currency": "BDT", "date": "${today}", "notes": "Repayment to Rahim"}]}
+
+Input: "Gave 3000 to Karim, he'll return next week"
+Output: {"intents": [{"intent": "new_lending", "borrower_name": "Karim", "principal_amount": 3000, "currency": "BDT", "date": "${today}", "due_date": "next week", "notes": "Lent to Karim"}]}
+
+Input: "Karim returned 1500"
+Output: {"intents": [{"intent": "lending_repayment", "borrower_name": "Karim", "amount": 1500, "currency": "BDT", "date": "${today}", "notes": "Karim paid back"}]}
+
+Input: "Set food budget to 8000 this month"
+Output: {"intents": [{"intent": "set_budget", "category": "food", "amount": 8000, "currency": "BDT", "month": "${today.slice(0, 7)}"}]}
+
+Input: "My rent is 15000 every month on the 1st"
+Output: {"intents": [{"intent": "recurring", "amount": 15000, "currency": "BDT", "category": "housing", "notes": "Rent", "type": "expense", "frequency": "monthly", "day_of_month": 1, "start_date": "${today}", "end_date": null}]}
+
+Input: "Paid 1200 for groceries by bKash"
+Output: {"intents": [{"intent": "transaction", "amount": 1200, "currency": "BDT", "category": "food", "notes": "groceries", "type": "expense", "date": "${today}", "account": "bKash"}]}
+
+Input: "Paid 1200 for dinner, split with Rafi and Nila"
+Output: {"intents": [{"intent": "transaction", "amount": 1200, "currency": "BDT", "category": "food", "notes": "dinner", "type": "expense", "date": "${today}", "account": null, "split_with": ["Rafi", "Nila"]}]}
+
+Input: "Moved 5000 from bank to cash"
+Output: {"intents": [{"intent": "transfer", "amount": 5000, "currency": "BDT", "from_account": "bank", "to_account": "cash", "date": "${today}", "notes": "Moved from bank to cash"}]}
+
+Input: "Put 2000 toward my bike fund"
+Output: {"intents": [{"intent": "goal_contribution", "goal_name": "bike fund", "amount": 2000, "currency": "BDT", "date": "${today}", "notes": "Saved for bike"}]}
+
+Input: "How much did I spend on food this month?"
+Output: {"intents": [{"intent": "query", "metric": "total_expense", "category": "food", "search": null, "lender_name": null, "period": "this month", "start_date": null, "end_date": null, "question": "How much did I spend on food this month?"}]}
+
+Input: "How much do I still owe BRAC Bank?"
+Output: {"intents": [{"intent": "query", "metric": "loan_balance", "category": null, "search": null, "lender_name": "BRAC Bank", "period": null, "start_date": null, "end_date": null, "question": "How much do I still owe BRAC Bank?"}]}
+
+Input: "aj bazar e 500 taka khoroch holo"
+Output: {"intents": [{"intent": "transaction", "amount": 500, "currency": "BDT", "category": "food", "notes": "bazar", "type": "expense", "date": "${today}"}]}
+
+Input: "রহিমের কাছ থেকে 1500 টাকা ধার নিলাম"
+Output: {"intents": [{"intent": "new_loan", "lender_name": "Rahim", "loan_type": "personal", "principal_amount": 1500, "interest_rate": 0, "tenure_months": null, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "রহিমের কাছ থেকে ধার"}]}
+
+Input: "Spent 200 on lunch, 50 on rickshaw and got 3000 salary"
+Output: {"intents": [{"intent": "transaction", "amount": 200, "currency": "BDT", "category": "food", "notes": "lunch", "type": "expense", "date": "${today}"}, {"intent": "transaction", "amount": 50, "currency": "BDT", "category": "transportation", "notes": "rickshaw", "type": "expense", "date": "${today}"}, {"intent": "transaction", "amount": 3000, "currency": "BDT", "category": "other", "notes": "salary", "type": "income", "date": "${today}"}]}
+
+Input: "Borrowed 2000 from Karim and paid 1000 installment to BRAC Bank"
+Output: {"intents": [{"intent": "new_loan", "lender_name": "Karim", "loan_type": "personal", "principal_amount": 2000, "interest_rate": 0, "tenure_months": null, "monthly_installment": null, "currency": "BDT", "date": "${today}", "notes": "Borrowed from Karim"}, {"intent": "loan_repayment", "lender_name": "BRAC Bank", "amount": 1000, "currency": "BDT", "date": "${today}", "notes": "Loan installment to BRAC Bank"}]}
+
+Input: "actually make that 250" (after saving an expense of 200)
+Output: {"intents": [{"intent": "update_last", "changes": {"amount": 250}}]}
+
+Input: "no, that was yesterday"
+Output: {"intents": [{"intent": "update_last", "changes": {"date": "yesterday"}}]}
+
+Input: "undo"
+Output: {"intents": [{"intent": "undo"}]}
 
 Input: "Spent 300 yesterday"
-Output: {"intent": "transaction", "amount": 300, "currency": "BDT", "category": "other", "notes": "Spent 300 yesterday", "type": "expense", "date": "calculate yesterday's date based on ${today}"}
+Output: {"intents": [{"intent": "transaction", "amount": 300, "currency": "BDT", "category": "other", "notes": "Spent 300 yesterday", "type": "expense", "date": "yesterday"}]}
 
 If the input is unclear or missing critical info, make reasonable assumptions based on context.
-When in doubt between transaction and loan, default to "transaction".`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Fast and cost-effective
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: text },
-      ],
-      temperature: 0.3,
-      response_format: { type: "json_object" },
-    });
+When in doubt between transaction and loan, default to "transaction". Money given as a gift or payment is a "transaction", not "new_lending".
+Only use "query" for questions; a question never records anything.
+Never merge separate amounts into one item.`;
 
-    const responseText = completion.choices[0].message.content;
-    const parsedData = JSON.parse(responseText);
-
-    const intent = parsedData.intent || "transaction";
-    const defaultDate = new Date().toISOString().split("T")[0];
-
-    if (intent === "new_loan") {
-      return {
-        intent: "new_loan",
-        lender_name: parsedData.lender_name || "Unknown",
-        loan_type: parsedData.loan_type === "personal" ? "personal" : "bank",
-        principal_amount: parsedData.principal_amount || 0,
-        interest_rate: parsedData.interest_rate || 0,
-        tenure_months: parsedData.tenure_months || null,
-        monthly_installment: parsedData.monthly_installment || null,
-        currency: parsedData.currency || "BDT",
-        date: parsedData.date || defaultDate,
-        notes: parsedData.notes || text,
-      };
+    let parsedData;
+    try {
+      parsedData = await chatProvider.completeJson({
+        system: systemPrompt,
+        // "দেড় হাজার" / "pach hajar" reach the model as plain numbers
+        user: normalizeNumberWords(text),
+        temperature: 0.3,
+      });
+    } catch (error) {
+      const items = extractWithRules(text, { ...options, today });
+      if (!items.length) throw error;
+      console.error("Model extraction failed, using the rule-based extractor:", error.message);
+      return normalizeItems(items, text, defaultCurrency, today);
     }
 
-    if (intent === "loan_repayment") {
-      return {
-        intent: "loan_repayment",
-        lender_name: parsedData.lender_name || "Unknown",
-        amount: parsedData.amount || 0,
-        currency: parsedData.currency || "BDT",
-        date: parsedData.date || defaultDate,
-        notes: parsedData.notes || text,
-      };
-    }
+    // Accept a bare single-intent object as well as the {"intents": [...]} wrapper
+    const items = Array.isArray(parsedData.intents)
+      ? parsedData.intents
+      : [parsedData];
+
+    return normalizeItems(items, text, defaultCurrency, today);
+  } catch (error) {
+    console.error("Extraction error:", error);
+    throw new Error("Failed to extract expense data: " + error.message);
+  }
+}
+
+function normalizeItems(items, text, defaultCurrency, today) {
+  const objects = items.filter((item) => item && typeof item === "object");
+  if (objects.length === 0) {
+    return [normalizeIntent({}, text, defaultCurrency, today)];
+  }
+  return objects.map((item) => normalizeIntent(item, text, defaultCurrency, today));
+}
+
+/**
+ * Fill in defaults for a single intent returned by the model
+ * (also used for intents edited by the client before confirmation).
+ * Values are not checked here; see validateIntent.
+ */
+export function normalizeIntent(parsedData, text, defaultCurrency = "BDT", today = null) {
+  const intent = parsedData.intent || "transaction";
+  const defaultDate = today || new Date().toISOString().split("T")[0];
+
+  if (intent === "new_loan") {
+    return {
+      intent: "new_loan",
+      lender_name: parsedData.lender_name || "Unknown",
+      loan_type: parsedData.loan_type === "personal" ? "personal" : "bank",
+      principal_amount: parsedData.principal_amount || 0,
+      interest_rate: parsedData.interest_rate || 0,
+      interest_method: parsedData.interest_method === "flat" ? "flat" : "reducing",
+      tenure_months: parsedData.tenure_months || null,
+      monthly_installment: parsedData.monthly_installment || null,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      date: parsedData.date || defaultDate,
+      notes: parsedData.notes || text,
+    };
+  }
 
-    // Default: transaction (backward compatible)
+  if (intent === "loan_repayment") {
     return {
-      intent: "transaction",
+      intent: "loan_repayment",
+      lender_name: parsedData.lender_name || "Unknown",
       amount: parsedData.amount || 0,
-      currency: parsedData.currency || "BDT",
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      date: parsedData.date || defaultDate,
+      notes: parsedData.notes || text,
+      // Set by the client to pin a specific loan (e.g. after a clarification)
+      loan_id: parsedData.loan_id || null,
+    };
+  }
+
+  if (intent === "new_lending") {
+    return {
+      intent: "new_lending",
+      borrower_name: parsedData.borrower_name || "Unknown",
+      principal_amount: parsedData.principal_amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      date: parsedData.date || defaultDate,
+      due_date: parsedData.due_date || null,
+      notes: parsedData.notes || text,
+    };
+  }
+
+  if (intent === "lending_repayment") {
+    return {
+      intent: "lending_repayment",
+      borrower_name: parsedData.borrower_name || "Unknown",
+      amount: parsedData.amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      date: parsedData.date || defaultDate,
+      notes: parsedData.notes || text,
+      loan_id: parsedData.loan_id || null,
+    };
+  }
+
+  if (intent === "set_budget") {
+    return {
+      intent: "set_budget",
+      category: parsedData.category || "other",
+      amount: parsedData.amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      month: parsedData.month || defaultDate.slice(0, 7),
+    };
+  }
+
+  if (intent === "recurring") {
+    const dayOfMonth = Number(parsedData.day_of_month);
+    return {
+      intent: "recurring",
+      amount: parsedData.amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
       category: parsedData.category || "other",
       notes: parsedData.notes || text,
       type: parsedData.type === "income" ? "income" : "expense",
+      frequency: ["daily", "weekly", "monthly", "yearly"].includes(parsedData.frequency)
+        ? parsedData.frequency
+        : "monthly",
+      day_of_month: Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : null,
+      start_date: parsedData.start_date || defaultDate,
+      end_date: parsedData.end_date || null,
+    };
+  }
+
+  if (intent === "transfer") {
+    return {
+      intent: "transfer",
+      amount: parsedData.amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      from_account: parsedData.from_account || null,
+      to_account: parsedData.to_account || null,
       date: parsedData.date || defaultDate,
+      notes: parsedData.notes || text,
+      // Set by the client to pin specific accounts (e.g. after a clarification)
+      from_account_id: parsedData.from_account_id || null,
+      to_account_id: parsedData.to_account_id || null,
+    };
+  }
+
+  if (intent === "goal_contribution") {
+    return {
+      intent: "goal_contribution",
+      goal_name: parsedData.goal_name ? String(parsedData.goal_name).trim() : null,
+      amount: parsedData.amount || 0,
+      currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+      date: parsedData.date || defaultDate,
+      notes: parsedData.notes || text,
+      // Set by the client to pin a specific goal (e.g. after a clarification)
+      goal_id: parsedData.goal_id || null,
+    };
+  }
+
+  if (intent === "update_last") {
+    return { intent: "update_last", changes: normalizeChanges(parsedData.changes || {}, defaultCurrency) };
+  }
+
+  if (intent === "delete_last" || intent === "undo") {
+    return { intent };
+  }
+
+  if (intent === "query") {
+    return {
+      intent: "query",
+      metric: parsedData.metric || "total_expense",
+      category: parsedData.category || null,
+      search: parsedData.search || null,
+      lender_name: parsedData.lender_name || null,
+      period: parsedData.period || null,
+      start_date: parsedData.start_date || null,
+      end_date: parsedData.end_date || null,
+      question: parsedData.question || text,
     };
+  }
+
+  // Default: transaction (backward compatible)
+  return {
+    intent: "transaction",
+    amount: parsedData.amount || 0,
+    currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+    category: parsedData.category || "other",
+    notes: parsedData.notes || text,
+    type: parsedData.type === "income" ? "income" : "expense",
+    date: parsedData.date || defaultDate,
+    account: parsedData.account || null,
+    account_id: parsedData.account_id || null,
+    split_with: Array.isArray(parsedData.split_with)
+      ? parsedData.split_with.map((name) => String(name).trim()).filter(Boolean)
+      : [],
+    // Set by the client to pin split members (e.g. after a clarification) or the ledger
+    split_member_ids: Array.isArray(parsedData.split_member_ids) ? parsedData.split_member_ids : [],
+    ledger_id: parsedData.ledger_id || null,
+  };
+}
+
+/**
+ * Keep the update_last changes that were given, in their stored form
+ * (amount and date are checked by validateIntent)
+ */
+function normalizeChanges(changes, defaultCurrency) {
+  const normalized = {};
+  if (changes.amount !== undefined && changes.amount !== null && changes.amount !== "") {
+    normalized.amount = changes.amount;
+  }
+  if (changes.currency) normalized.currency = normalizeCurrency(changes.currency, defaultCurrency);
+  if (changes.category) normalized.category = String(changes.category).trim().toLowerCase();
+  if (changes.notes) normalized.notes = String(changes.notes);
+  if (changes.type === "expense" || changes.type === "income") normalized.type = changes.type;
+  if (changes.date) normalized.date = String(changes.date);
+  if (changes.name) normalized.name = String(changes.name).trim();
+  return normalized;
+}
+
+/**
+ * Pick a category for each bank statement line. Takes [{ notes, type }]
+ * and the user's own categories, and returns one category per line, in
+ * order ("other" when unsure).
+ */
+export async function categorizeTransactions(lines, customCategories = []) {
+  if (!lines.length) return [];
+  if (!chatProvider.completeJson) return lines.map(() => "other");
+
+  try {
+    const names = categoryNames(customCategories);
+    const systemPrompt = `You are an AI assistant for an expense tracking application.
+You will receive numbered bank or mobile wallet statement lines. Pick the best category for each one.
+
+Categories: ${names.join(", ")}.
+"loan" is money borrowed, "loan_repayment" is an installment or repayment of a loan. Use "other" when unsure.
+${customCategories.length ? `The user's own categories (prefer these when they fit):\n${describeCustomCategories(customCategories)}\n` : ""}
+Return JSON in this format:
+{"categories": [{"index": number, "category": "string"}]}`;
+
+    const list = lines
+      .map((line, index) => `${index}. [${line.type}] ${line.notes || "(no description)"}`)
+      .join("\n");
+
+    const parsedData = await chatProvider.completeJson({ system: systemPrompt, user: list, temperature: 0.1 });
+    const categories = lines.map(() => "other");
+    (Array.isArray(parsedData.categories) ? parsedData.categories : []).forEach((item) => {
+      if (categories[item.index] !== undefined && names.includes(item.category)) {
+        categories[item.index] = item.category;
+      }
+    });
+    return categories;
   } catch (error) {
-    console.error("OpenAI extraction error:", error);
-    throw new Error("Failed to extract expense data: " + error.message);
+    console.error("Categorization error:", error);
+    throw new Error("Failed to categorize transactions: " + error.message);
+  }
+}
+
+/**
+ * Extract receipt data (merchant, date, total, line items) from a receipt image or PDF
+ */
+export async function extractReceiptData(
+  fileBuffer,
+  mimeType,
+  originalFilename = "receipt",
+  defaultCurrency = "BDT",
+  today = new Date().toISOString().split("T")[0]
+) {
+  try {
+    if (!chatProvider.completeJson) {
+      throw new Error("reading receipts needs a language model (set LLM_PROVIDER)");
+    }
+
+    const systemPrompt = `You are an AI assistant for an expense tracking application.
+Your job is to read a shop receipt or bill and extract structured data from it.
+
+IMPORTANT: Today's date is ${today}. Use this as the date if the receipt does not show one.
+
+Return JSON in this format:
+{
+  "merchant": "string (shop or business name)",
+  "date": "YYYY-MM-DD",
+  "total": number (the final amount paid, including tax and discounts),
+  "currency": "BDT",
+  "items": [
+    {
+      "description": "string",
+      "quantity": number,
+      "unit_price": number or null,
+      "amount": number (line total),
+      "category": "shopping" | "housing" | "food" | "transportation" | "entertainment" | "healthcare" | "education" | "other"
+    }
+  ]
+}
+
+Use ISO currency codes (BDT, USD, EUR, ...); "৳" and "Tk" are BDT. Default to "${defaultCurrency}" if no currency is visible.
+If a line item is unreadable, skip it rather than guessing. If no line items can be read, return an empty "items" array.`;
+
+    const content =
+      mimeType === "application/pdf"
+        ? {
+            type: "file",
+            file: {
+              filename: originalFilename,
+              file_data: `data:${mimeType};base64,${fileBuffer.toString("base64")}`,
+            },
+          }
+        : {
+            type: "image_url",
+            image_url: {
+              url: `data:${mimeType};base64,${fileBuffer.toString("base64")}`,
+            },
+          };
+
+    const parsedData = await chatProvider.completeJson({
+      system: systemPrompt,
+      user: [{ type: "text", text: "Extract the data from this receipt." }, content],
+      temperature: 0.1,
+    });
+
+    return normalizeReceipt(parsedData, defaultCurrency, today);
+  } catch (error) {
+    console.error("Receipt extraction error:", error);
+    throw new Error("Failed to extract receipt data: " + error.message);
   }
 }
+
+/**
+ * Fill in defaults for receipt data returned by the model
+ * (also used for receipts edited by the client before confirmation)
+ */
+export function normalizeReceipt(parsedData, defaultCurrency = "BDT", today = null) {
+  const defaultDate = today || new Date().toISOString().split("T")[0];
+  const items = (Array.isArray(parsedData.items) ? parsedData.items : [])
+    .filter((item) => item && Number(item.amount) > 0 && Number(item.amount) <= MAX_AMOUNT)
+    .map((item) => ({
+      description: item.description || "Item",
+      quantity: Number(item.quantity) || 1,
+      unit_price: item.unit_price != null ? Number(item.unit_price) : null,
+      amount: Number(item.amount),
+      category: categoryNames().includes(item.category) ? item.category : "other",
+    }));
+
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    intent: "receipt",
+    merchant: parsedData.merchant || "Unknown merchant",
+    date: resolveDate(parsedData.date, defaultDate) || defaultDate,
+    total: Number(parsedData.total) > 0 && Number(parsedData.total) <= MAX_AMOUNT ? Number(parsedData.total) : itemsTotal,
+    currency: normalizeCurrency(parsedData.currency, defaultCurrency),
+    items,
+  };
+}
@@ -0,0 +1,96 @@
+import dotenv from "dotenv";
+import OpenAI from "openai";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Model providers for extraction and transcription. "openai" talks to the
+ * OpenAI API, or to any OpenAI-compatible server (Ollama, llama.cpp,
+ * whisper servers) through a base URL. "rules" has no language model and
+ * leaves extraction to the rule-based extractor; "none" has no speech
+ * recognition. Chosen with LLM_PROVIDER and SPEECH_PROVIDER.
+ */
+
+function createOpenAIClient(baseURL, apiKey) {
+  return new OpenAI({
+    // Local servers ignore the key, but the client requires one
+    apiKey: apiKey || process.env.OPENAI_API_KEY || "local",
+    ...(baseURL ? { baseURL } : {}),
+  });
+}
+
+/**
+ * A chat model provider: { name, model, completeJson }. completeJson({
+ * system, user, temperature }) returns the model's reply parsed as JSON
+ * (user may be text or a list of content parts); it is null for "rules".
+ */
+export function createChatProvider(kind) {
+  if (kind === "rules") return { name: "rules", model: null, completeJson: null };
+  if (kind !== "openai") throw new Error(`Unknown LLM provider "${kind}"`);
+
+  const client = createOpenAIClient(process.env.LLM_BASE_URL, process.env.LLM_API_KEY);
+  const model = process.env.LLM_MODEL || "gpt-4o-mini";
+
+  return {
+    name: "openai",
+    model,
+    async completeJson({ system, user, temperature = 0.3 }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user },
+        ],
+        temperature,
+        response_format: { type: "json_object" },
+      });
+      return JSON.parse(completion.choices[0].message.content);
+    },
+  };
+}
+
+/**
+ * A speech provider: { name, model, transcribe }. transcribe(file, {
+ * language }) takes a readable stream of the audio and returns the
+ * recognised { text, language } (language as reported by the server).
+ */
+export function createSpeechProvider(kind) {
+  if (kind === "none") {
+    return {
+      name: "none",
+      model: null,
+      async transcribe() {
+        throw new Error("No speech provider is configured (set SPEECH_PROVIDER)");
+      },
+    };
+  }
+  if (kind !== "openai") throw new Error(`Unknown speech provider "${kind}"`);
+
+  const client = createOpenAIClient(process.env.SPEECH_BASE_URL, process.env.SPEECH_API_KEY);
+  const model = process.env.SPEECH_MODEL || "whisper-1";
+
+  return {
+    name: "openai",
+    model,
+    async transcribe(file, options = {}) {
+      const transcription = await client.audio.transcriptions.create({
+        file,
+        model,
+        ...(options.language ? { language: options.language } : {}),
+        // verbose_json includes the detected language
+        response_format: "verbose_json",
+      });
+      return { text: transcription.text, language: transcription.language };
+    },
+  };
+}
+
+// Without an API key or a local server there is no model to call
+export const chatProvider = createChatProvider(
+  process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL ? "openai" : "rules")
+);
+
+export const speechProvider = createSpeechProvider(
+  process.env.SPEECH_PROVIDER || (process.env.OPENAI_API_KEY || process.env.SPEECH_BASE_URL ? "openai" : "none")
+);
@@ -0,0 +1,171 @@
+import {
+  getLoans,
+  getTransactionSummary,
+  getTransactions,
+  getUserSettings,
+} from "./supabase.js";
+
+export const QUERY_METRICS = [
+  "total_expense",
+  "total_income",
+  "net",
+  "transaction_count",
+  "category_breakdown",
+  "loan_balance",
+  "recent_transactions",
+];
+
+// Cap on rows scanned when a keyword filter forces a row-level query
+const MAX_SCANNED_ROWS = 2000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Answer a structured ledger question (as produced by the "query" intent).
+ * Read-only: nothing is saved. Amounts are reported per currency.
+ *
+ * Returns { metric, startDate, endDate, filters, totals, ... } where totals
+ * maps currency to the figure asked for; `home` holds the same figure
+ * converted into the user's home currency when it can be computed.
+ */
+export async function runLedgerQuery(userId, query) {
+  const { start_date: startDate, end_date: endDate } = query;
+  const metric = QUERY_METRICS.includes(query.metric) ? query.metric : "total_expense";
+  const base = {
+    metric,
+    startDate,
+    endDate,
+    filters: { category: query.category, search: query.search, lender_name: query.lender_name },
+  };
+
+  if (metric === "loan_balance") {
+    return { ...base, ...(await loanBalances(userId, query.lender_name)) };
+  }
+
+  if (metric === "recent_transactions") {
+    const { transactions } = await getTransactions(userId, {
+      startDate,
+      endDate,
+      category: query.category || undefined,
+      search: query.search || undefined,
+      limit: 10,
+    });
+    return { ...base, transactions };
+  }
+
+  const { home_currency: homeCurrency } = await getUserSettings(userId);
+
+  // A keyword filter can't be answered from the aggregates, so sum the matching rows
+  const summary = query.search
+    ? await summarizeMatchingTransactions(userId, query)
+    : await getTransactionSummary(userId, startDate, endDate, homeCurrency);
+
+  const figureFor = (figures) => {
+    const scope = query.category
+      ? figures.byCategory[query.category] || { expense: 0, income: 0, count: 0 }
+      : { expense: figures.totalExpense, income: figures.totalIncome, count: figures.transactionCount };
+
+    if (metric === "category_breakdown") {
+      return Object.fromEntries(
+        Object.entries(figures.byCategory)
+          .filter(([, category]) => category.expense > 0)
+          .sort(([, a], [, b]) => b.expense - a.expense)
+          .map(([name, category]) => [name, round(category.expense)])
+      );
+    }
+    if (metric === "total_income") return round(scope.income);
+    if (metric === "net") return round(scope.income - scope.expense);
+    if (metric === "transaction_count") return scope.count;
+    return round(scope.expense);
+  };
+
+  const totals = {};
+  Object.entries(summary.currencies).forEach(([currency, figures]) => {
+    totals[currency] = figureFor(figures);
+  });
+
+  const result = { ...base, totals };
+  if (summary.home && metric !== "transaction_count") {
+    result.home = { currency: homeCurrency, value: figureFor(summary.home) };
+  }
+  return result;
+}
+
+async function loanBalances(userId, lenderName) {
+  const needle = (lenderName || "").toLowerCase();
+  const loans = (await getLoans(userId)).filter(
+    (loan) =>
+      loan.status === "active" &&
+      (!needle || loan.lender_name.toLowerCase().includes(needle))
+  );
+
+  // totals is what the user owes; receivables is what others owe the user
+  const totals = {};
+  const receivables = {};
+  loans.forEach((loan) => {
+    const bucket = loan.direction === "lent" ? receivables : totals;
+    bucket[loan.currency] = round((bucket[loan.currency] || 0) + Number(loan.remaining_balance));
+  });
+
+  return {
+    totals,
+    receivables,
+    loans: loans.map((loan) => ({
+      id: loan.id,
+      lender_name: loan.lender_name,
+      direction: loan.direction,
+      remaining_balance: Number(loan.remaining_balance),
+      currency: loan.currency,
+    })),
+  };
+}
+
+/**
+ * Build a summary-shaped result from the individual transactions whose
+ * notes match query.search
+ */
+async function summarizeMatchingTransactions(userId, query) {
+  const summary = { currencies: {} };
+  let cursor;
+  let scanned = 0;
+
+  do {
+    const page = await getTransactions(userId, {
+      startDate: query.start_date,
+      endDate: query.end_date,
+      search: query.search,
+      limit: 500,
+      cursor,
+    });
+
+    // Transfers between the user's own accounts are neither spent nor earned
+    page.transactions.filter((transaction) => transaction.type !== "transfer").forEach((transaction) => {
+      if (!summary.currencies[transaction.currency]) {
+        summary.currencies[transaction.currency] = {
+          totalExpense: 0,
+          totalIncome: 0,
+          transactionCount: 0,
+          byCategory: {},
+        };
+      }
+      const figures = summary.currencies[transaction.currency];
+      const amount = Number(transaction.amount);
+      const category = (figures.byCategory[transaction.category] ||= { expense: 0, income: 0, count: 0 });
+
+      figures.transactionCount++;
+      category.count++;
+      if (transaction.type === "expense") {
+        figures.totalExpense += amount;
+        category.expense += amount;
+      } else if (transaction.type === "income") {
+        figures.totalIncome += amount;
+        category.income += amount;
+      }
+    });
+
+    scanned += page.transactions.length;
+    cursor = page.nextCursor;
+  } while (cursor && scanned < MAX_SCANNED_ROWS);
+
+  return summary;
+}
@@ -0,0 +1,80 @@
+/**
+ * Date arithmetic for recurring rules and loan installments.
+ * All dates are plain YYYY-MM-DD strings handled in UTC.
+ */
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+function toDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Date in the given month (0-based, may overflow into other years) on
+ * dayOfMonth, clamped to the month's last day (e.g. the 31st in February)
+ */
+function clampedDate(year, month, dayOfMonth) {
+  const normalized = new Date(Date.UTC(year, month, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+  return formatDate(new Date(Date.UTC(y, m, Math.min(dayOfMonth, daysInMonth(y, m)))));
+}
+
+/**
+ * The occurrence after `date` for a rule repeating every `interval` periods.
+ * Monthly and yearly rules keep their dayOfMonth (default: the day of `date`).
+ */
+export function advanceDate(date, frequency, { interval = 1, dayOfMonth } = {}) {
+  const current = toDate(date);
+  const day = dayOfMonth || current.getUTCDate();
+
+  switch (frequency) {
+    case "daily":
+      current.setUTCDate(current.getUTCDate() + interval);
+      return formatDate(current);
+    case "weekly":
+      current.setUTCDate(current.getUTCDate() + 7 * interval);
+      return formatDate(current);
+    case "monthly":
+      return clampedDate(current.getUTCFullYear(), current.getUTCMonth() + interval, day);
+    case "yearly":
+      return clampedDate(current.getUTCFullYear() + interval, current.getUTCMonth(), day);
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+}
+
+/**
+ * The first occurrence on or after startDate. Monthly rules with a
+ * dayOfMonth run on that day, starting next month if it has already passed.
+ */
+export function firstOccurrence(startDate, frequency, { dayOfMonth } = {}) {
+  if (frequency !== "monthly" || !dayOfMonth) return startDate;
+
+  const start = toDate(startDate);
+  const candidate = clampedDate(start.getUTCFullYear(), start.getUTCMonth(), dayOfMonth);
+  return candidate >= startDate
+    ? candidate
+    : clampedDate(start.getUTCFullYear(), start.getUTCMonth() + 1, dayOfMonth);
+}
+
+/**
+ * The first occurrence of a rule (database row shape) on or after fromDate,
+ * keeping the rule's phase, e.g. a weekly rule stays on its start weekday
+ */
+export function nextOccurrenceFrom(rule, fromDate) {
+  const options = { interval: rule.interval_count || 1, dayOfMonth: rule.day_of_month };
+  let date = firstOccurrence(rule.start_date, rule.frequency, options);
+  while (date < fromDate) {
+    date = advanceDate(date, rule.frequency, options);
+  }
+  return date;
+}
@@ -0,0 +1,502 @@
+import { ACCOUNT_TYPE_WORDS } from "./accounts.js";
+import { categoryNames } from "./categories.js";
+import { normalizeCurrency } from "./currency.js";
+import { findPeriod, findRelativeDate, isAmbiguousDay, resolveMonth } from "./dates.js";
+import { categorizeByKeywords } from "./importer.js";
+import { normalizeNumberWords } from "./language.js";
+
+/**
+ * A rule-based extractor for common English, Bangla and Banglish
+ * phrasings ("spent 200 on lunch", "borrowed 5000 from Rahim", "aj bazar e
+ * 500 taka khoroch holo"). It needs no model, so it is the stand-in when no
+ * LLM is configured and the fallback when a model call fails. Returns
+ * intents in the same raw form as the model; anything it can't read is
+ * left out.
+ */
+
+// Clauses are split on these; a clause without an amount joins the one before
+const CLAUSE_SEPARATOR = /\s*(?:[,;।]|\band then\b|\band\b|\bthen\b|\baar\b|\bebong\b|এবং)\s*/i;
+
+const NUMBER = /\d+(?:,\d{3})*(?:\.\d+)?/g;
+// Numbers followed by these are rates, days of the month or durations
+const NOT_AN_AMOUNT = /^\s*(?:%|st\b|nd\b|rd\b|th\b|years?\b|months?\b|days?\b|weeks?\b|bochor\b|mash\b)/i;
+const CURRENCY = /(৳|\$|€|£|₹|টাকা|ডলার|\b(?:bdt|tk|taka|usd|dollars?|eur|euros?|gbp|pounds?|inr|rupees?|rs)\b)/i;
+
+const UNDO = /^(?:please\s+)?(?:undo|undo (?:that|it|the last one)|আনডু)[.!]?$/i;
+const DELETE_LAST = /^(?:please\s+)?(?:delete|remove|cancel|erase)\s+(?:that|it|this|the last(?: one| entry)?)\b|^(?:muche dao|bad dao|মুছে দাও|বাদ দাও)/i;
+const UPDATE_LAST = /^(?:actually|no,?|sorry,?|make (?:that|it)|change (?:that|it)|it was|that was|(?:it|that) should be|na,?|না,?)\b/i;
+const QUESTION = /^(?:how much|how many|what(?:'s| is| did| was)|koto|কত)\b|\?$/i;
+
+const DATE = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+const BUDGET = /\bbudget\b|বাজেট/i;
+const FREQUENCIES = [
+  ["daily", /\b(?:every day|each day|daily|per day|protidin)\b|প্রতিদিন/i],
+  ["weekly", /\b(?:every week|each week|weekly|per week|a week)\b|প্রতি সপ্তাহে/i],
+  ["yearly", /\b(?:every year|each year|yearly|annually|per year|a year)\b|প্রতি বছর/i],
+  ["monthly", /\b(?:every month|each month|monthly|per month|a month|protimash|proti mash)\b|প্রতি মাসে/i],
+];
+const NEW_LOAN = /\b(?:borrow(?:ed)?|took (?:a |an )?.*\bloan|loan from|dhar (?:nilam|niyechi|nisi))\b|ধার নিলাম|ধার নিয়েছি/i;
+const LOAN_REPAYMENT = /\b(?:repaid|repay|paid back|installment|instalment|emi|ferot dilam|shodh)\b|ফেরত দিলাম|শোধ/i;
+const NEW_LENDING = /\b(?:lent|lend|loaned|dhar dilam)\b|ধার দিলাম|\bgave\b.*\b(?:return|pay (?:it |me )?back)\b/i;
+const LENDING_REPAYMENT = /\b(?:returned|paid me back|got back|gave back|ferot dilo|ferot pelam)\b|ফেরত দিল|ফেরত পেলাম/i;
+// Moving money between the user's own accounts; a withdrawal goes to cash
+// and a deposit comes from it when the other side isn't named
+const TRANSFER = /\b(?:moved?|transferr?(?:ed)?|sent|send|withdrew|withdraw|withdrawn|cash(?:ed)? out|deposit(?:ed)?|taka tullam|tullam|joma dilam)\b|তুললাম|জমা দিলাম|ট্রান্সফার/i;
+const WITHDRAWAL = /\b(?:withdrew|withdraw|withdrawn|cash(?:ed)? out|tullam)\b|তুললাম/i;
+const DEPOSIT = /\b(?:deposit(?:ed)?|joma dilam)\b|জমা দিলাম/i;
+// "put 2000 toward my bike fund", "saved 5000 for Eid shopping", "bike fund e 2000 rakhlam", "ঈদের জন্য 5000 জমালাম"
+const SAVE_FOR_GOAL = /\b(?:put|putting|sav(?:e|ed|ing)|set aside|add(?:ed)?|towards?|rakhlam|rekhechi|jomalam|jomaisi)\b|জমালাম|জমিয়েছি|জমা রাখলাম|রাখলাম/i;
+const GOAL_NAME_PATTERNS = [
+  /\btowards?\s+(.+)$/i,
+  /\b(?:to|into)\s+((?:my\s+|the\s+|our\s+)?(?:[\p{L}\p{M}'-]+\s+){0,3}(?:fund|goal|savings))\b/iu,
+  /\bsav(?:e|ed|ing)\b.*?\bfor\s+(.+)$/i,
+  /^(.+?\s*(?:fund|goal|ফান্ড|তহবিল))(?:-?e|-?te|ে|এ)?\s/iu,
+  /^(.+?)\s+(?:jonno|জন্য)\s/iu,
+];
+// Words around an account name that say which side of a payment it is on
+const FROM_ACCOUNT = { before: /\b(?:from|out of)\s+(?:my\s+|the\s+)?$/i, after: /^\s*(?:theke|থেকে)/i };
+const TO_ACCOUNT = { before: /\b(?:to|into)\s+(?:my\s+|the\s+)?$/i, after: /^\s*(?:e|te|-e|এ|তে)(?![\p{L}\p{M}])/iu };
+const ACCOUNT_PHRASE = /\b(?:by|via|with|using|from|through|in|into|to|on|out of)\s+(?:my\s+|the\s+)?$/i;
+// "split with Rafi and Nila", "Rafi ar Nila-r sathe bhag korlam", "রফি আর নীলার সাথে ভাগ করলাম"
+const SPLIT = /\b(?:split|shared?|divided?)\s+(?:it\s+|the bill\s+|equally\s+|evenly\s+)*(?:with|between|among)\s+(.+)$/i;
+const SPLIT_BANGLA = /^(.+?)\s*(?:-?r|-?er|এর|র)?\s+(?:sathe|shathe|সাথে|সঙ্গে)\s+(?:bhag|ভাগ)(?:\s+(?:kor(?:lam|echi)|kore|কর(?:লাম|েছি)|করে))?/iu;
+const NAME_SEPARATOR = /\s*(?:,|&|\band\b|\baar\b|\bar\b|আর|ও|এবং)\s*/i;
+const SELF_WORDS = new Set(["me", "myself", "i", "us", "ami", "amar", "আমি", "আমার"]);
+const INCOME = /\b(?:received|got|earned|salary|income|bonus|refund|pelam|paisi|pailam|beton)\b|পেলাম|বেতন/i;
+
+// Words that end a name ("from Rahim for 2 years" → "Rahim")
+const NAME_STOP_WORDS = new Set([
+  "at", "for", "with", "on", "in", "loan", "will", "and", "yesterday", "today", "installment",
+  "instalment", "emi", "he", "she", "they", "who", "taka", "tk", "bdt", "to", "from", "of",
+  "theke", "ke", "kache", "returned", "paid", "gave", "got", "interest", "as", "by", "last", "this",
+  "how", "much", "does", "do", "did", "still",
+]);
+// Words dropped from the notes of a transaction
+const FILLER_WORDS = new Set([
+  "i", "spent", "spend", "paid", "pay", "bought", "buy", "got", "received", "on", "for", "at",
+  "a", "an", "the", "of", "is", "was", "today", "yesterday", "my", "aj", "ajke", "kal", "gotokal", "holo",
+  "khoroch", "khorch", "dilam", "pelam", "korlam", "e", "te", "er", "jonno", "hoise", "hoyeche",
+]);
+
+function findAmount(text) {
+  const withoutDates = text.replace(new RegExp(DATE.source, "g"), " ");
+  for (const match of withoutDates.matchAll(NUMBER)) {
+    if (!NOT_AN_AMOUNT.test(withoutDates.slice(match.index + match[0].length))) {
+      return Number(match[0].replace(/,/g, ""));
+    }
+  }
+  return null;
+}
+
+function findCurrency(text, defaultCurrency) {
+  const match = text.match(CURRENCY);
+  return match ? normalizeCurrency(match[1], defaultCurrency) : defaultCurrency;
+}
+
+// A bare "kal" is kept as it is, for the checks to ask which day it was
+function findDate(text, today) {
+  const explicit = text.match(DATE);
+  if (explicit) return explicit[1];
+  return findRelativeDate(text, today) || (isAmbiguousDay(text) ? "kal" : today);
+}
+
+// When an entry happened: a date after today ("he'll return next week") is
+// when money is due, not when the entry happened
+function entryDate(mentioned, today) {
+  return isAmbiguousDay(mentioned) || mentioned <= today ? mentioned : today;
+}
+
+// Names are kept as written, except all-lowercase ones which are capitalised
+function formatName(words) {
+  const name = words.join(" ");
+  return name === name.toLowerCase() ? name.replace(/\b\p{L}/gu, (letter) => letter.toUpperCase()) : name;
+}
+
+/**
+ * The name after one of the given words ("from BRAC Bank" → "BRAC Bank"),
+ * or null
+ */
+function nameAfter(text, words) {
+  const tokens = text.split(/\s+/);
+  const start = tokens.findIndex((token) => words.includes(token.toLowerCase()));
+  if (start === -1) return null;
+
+  const name = [];
+  for (const token of tokens.slice(start + 1)) {
+    const word = token.replace(/[^\p{L}\p{N}&.'-]/gu, "").replace(/\.$/, "");
+    if (!word || NAME_STOP_WORDS.has(word.toLowerCase()) || /^\d/.test(word)) break;
+    name.push(word.replace(/'s$/i, ""));
+    // "to Karim, he'll return": punctuation ends the name
+    if (name.length === 4 || /[,;:!?]$/.test(token)) break;
+  }
+  return name.length ? formatName(name) : null;
+}
+
+// The words before the verb: "Karim returned 1500" → "Karim"
+function nameBefore(text, pattern) {
+  const index = text.search(pattern);
+  if (index <= 0) return null;
+  const words = text
+    .slice(0, index)
+    .split(/\s+/)
+    .map((word) => word.replace(/[^\p{L}\p{M}&.'-]/gu, "").replace(/(?:ের|এর)$/u, ""))
+    .filter((word) => word && !NAME_STOP_WORDS.has(word.toLowerCase()));
+  return words.length ? formatName(words.slice(-3)) : null;
+}
+
+/**
+ * A category named in the text (the user's own before the built-in ones,
+ * longer names first), then keyword rules, else null
+ */
+function findCategory(text, customCategories, options = {}) {
+  const lower = text.toLowerCase();
+  const candidates = [
+    ...customCategories.flatMap((category) => [
+      { name: category.name, word: category.label },
+      { name: category.name, word: category.name.replace(/_/g, " ") },
+    ]),
+    ...categoryNames([], options).map((name) => ({ name, word: name.replace(/_/g, " ") })),
+  ].sort((a, b) => b.word.length - a.word.length);
+
+  const named = candidates.find(({ word }) =>
+    new RegExp(`(^|[^\\p{L}])${word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}([^\\p{L}]|$)`, "u").test(lower)
+  );
+  if (named) return named.name;
+  const keyword = categorizeByKeywords(lower);
+  return keyword === "loan_repayment" && options.forSpending ? null : keyword;
+}
+
+/**
+ * Accounts named in the text, in order: the user's own account names and
+ * words for kinds of account ("bank", "bKash", "cash"). Each mention is
+ * { name, role, phrase } where role is "from", "to" or null and phrase is
+ * the name with the words around it ("by bKash", "bank theke").
+ */
+function findAccounts(text, accounts) {
+  const names = [...accounts.map((account) => account.name), ...Object.values(ACCOUNT_TYPE_WORDS).flat()]
+    .sort((a, b) => b.length - a.length);
+  const mentions = [];
+  const taken = [];
+
+  names.forEach((name) => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}])`, "giu");
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.some(([from, to]) => start < to && end > from)) continue;
+      taken.push([start, end]);
+
+      const before = text.slice(0, start);
+      const after = text.slice(end);
+      const role =
+        FROM_ACCOUNT.before.test(before) || FROM_ACCOUNT.after.test(after)
+          ? "from"
+          : TO_ACCOUNT.before.test(before) || TO_ACCOUNT.after.test(after)
+            ? "to"
+            : null;
+      const lead = before.match(ACCOUNT_PHRASE);
+      const tail = after.match(/^\s*(?:diye|দিয়ে|theke|থেকে|e|te|-e|এ|তে)(?![\p{L}\p{M}])/iu);
+      mentions.push({
+        name: accounts.find((account) => account.name.toLowerCase() === match[0].toLowerCase())?.name || match[0],
+        role,
+        index: start,
+        phrase: `${lead ? lead[0] : ""}${match[0]}${tail ? tail[0] : ""}`,
+      });
+    }
+  });
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// "moved 5000 from bank to cash", "withdrew 2000 from bKash", "bank theke 5000 taka tullam"
+function extractTransfer(clause, mentions, { amount, currency, date }) {
+  let from = mentions.find((mention) => mention.role === "from");
+  let to = mentions.find((mention) => mention.role === "to" && mention !== from);
+  const others = mentions.filter((mention) => mention !== from && mention !== to);
+  if (!from && others.length) from = others.shift();
+  if (!to && others.length) to = others.shift();
+
+  const fromName = from ? from.name : DEPOSIT.test(clause) ? "cash" : null;
+  const toName = to ? to.name : WITHDRAWAL.test(clause) ? "cash" : null;
+  if (!fromName || !toName) return null;
+
+  return {
+    intent: "transfer",
+    amount,
+    currency,
+    from_account: fromName,
+    to_account: toName,
+    date,
+    notes: clause,
+  };
+}
+
+// What a transaction was for, without the amount, currency and filler words
+function describeNotes(clause) {
+  const words = clause
+    .replace(CURRENCY, " ")
+    .replace(/\d+(?:,\d{3})*(?:\.\d+)?/g, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/[^\p{L}\p{M}\p{N}&'-]/gu, ""))
+    .filter((word) => word && !FILLER_WORDS.has(word.toLowerCase()));
+  return words.length ? words.join(" ") : clause.trim();
+}
+
+/**
+ * The people an expense was split with ("split with Rafi and Nila") and
+ * the phrase naming them, or null
+ */
+function findSplit(clause) {
+  const english = clause.match(SPLIT);
+  const match = english || clause.split(/[,;]\s*/).pop().match(SPLIT_BANGLA);
+  if (!match) return null;
+
+  const names = match[1]
+    .replace(/\s+(?:equally|evenly)\b.*$/i, "")
+    .split(NAME_SEPARATOR)
+    .map((name) => name.replace(/[^\p{L}\p{M}\s'-]/gu, "").replace(/(?:-r|-er)$/i, "").trim())
+    .filter((name) => name && !SELF_WORDS.has(name.toLowerCase()))
+    .map((name) => formatName(name.split(/\s+/)));
+  return names.length ? { names, phrase: match[0] } : null;
+}
+
+/**
+ * The savings goal money was put toward: one of the user's goals named in
+ * the clause, else the words a goal phrase points at ("toward my bike
+ * fund" → "Bike Fund"), or null
+ */
+function findGoal(clause, goals) {
+  const known = goals
+    .map((goal) => goal.name)
+    .sort((a, b) => b.length - a.length)
+    .find((name) => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}])`, "iu").test(clause);
+    });
+  if (known) return known;
+
+  for (const pattern of GOAL_NAME_PATTERNS) {
+    const match = clause.match(pattern);
+    if (!match) continue;
+    const words = [];
+    for (const token of match[1].split(/\s+/)) {
+      const word = token.replace(/[^\p{L}\p{M}\p{N}&'-]/gu, "");
+      if (!word || /^\d/.test(word) || NAME_STOP_WORDS.has(word.toLowerCase())) break;
+      if (!words.length && (FILLER_WORDS.has(word.toLowerCase()) || ["our", "my"].includes(word.toLowerCase()))) continue;
+      words.push(word);
+      if (words.length === 4 || /[,;:!?]$/.test(token)) break;
+    }
+    // "Eid er jonno", "ঈদের জন্য": the possessive ending isn't part of the name
+    const last = words.length ? words.pop().replace(/(?:ের|এর)$/u, "") : "";
+    if (last && !["er", "r"].includes(last.toLowerCase())) words.push(last);
+    if (words.length) return formatName(words);
+  }
+  return null;
+}
+
+function extractLoan(clause, defaultCurrency, today) {
+  const lender = nameAfter(clause, ["from", "theke"]) || nameBefore(clause, /\s(?:er|এর)?\s*(?:kache|কাছ)/i) || "Unknown";
+  const rate = clause.match(/(\d+(?:\.\d+)?)\s*%/);
+  const tenure = clause.match(/(\d+)\s*(years?|months?)/i);
+  const months = tenure ? Number(tenure[1]) * (/^year/i.test(tenure[2]) ? 12 : 1) : null;
+  return {
+    intent: "new_loan",
+    lender_name: lender,
+    loan_type: /\bbank\b|ব্যাংক/i.test(lender) || /\bbank\b/i.test(clause) ? "bank" : "personal",
+    principal_amount: findAmount(clause),
+    interest_rate: rate ? Number(rate[1]) : 0,
+    interest_method: /\bflat\b/i.test(clause) ? "flat" : "reducing",
+    tenure_months: months || (/\bnext month\b/i.test(clause) ? 1 : null),
+    monthly_installment: null,
+    currency: findCurrency(clause, defaultCurrency),
+    date: entryDate(findDate(clause, today), today),
+    notes: clause,
+  };
+}
+
+function extractClause(clause, { defaultCurrency, customCategories, accounts, goals, today }) {
+  const amount = findAmount(clause);
+  const currency = findCurrency(clause, defaultCurrency);
+  const mentioned = findDate(clause, today);
+  const date = entryDate(mentioned, today);
+
+  if (BUDGET.test(clause)) {
+    return {
+      intent: "set_budget",
+      category: findCategory(clause, customCategories, { forSpending: true }) || "other",
+      amount,
+      currency,
+      month: resolveMonth(/\bnext month\b/i.test(clause) ? "next month" : "this month", today),
+    };
+  }
+
+  const frequency = FREQUENCIES.find(([, pattern]) => pattern.test(clause));
+  if (frequency) {
+    const day = clause.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/i);
+    const isLoan = LOAN_REPAYMENT.test(clause);
+    return {
+      intent: "recurring",
+      amount,
+      currency,
+      category: isLoan ? "loan_repayment" : findCategory(clause, customCategories, { forSpending: true }) || "other",
+      notes: describeNotes(clause.replace(frequency[1], " ").replace(/\bon the \d{1,2}(?:st|nd|rd|th)\b/i, " ")),
+      type: INCOME.test(clause) && !isLoan ? "income" : "expense",
+      frequency: frequency[0],
+      day_of_month: day && Number(day[1]) <= 31 ? Number(day[1]) : null,
+      start_date: date,
+      end_date: null,
+    };
+  }
+
+  const goal = SAVE_FOR_GOAL.test(clause) ? findGoal(clause, goals) : null;
+  if (goal) {
+    return {
+      intent: "goal_contribution",
+      goal_name: goal,
+      amount,
+      currency,
+      date,
+      notes: clause,
+    };
+  }
+
+  const mentions = findAccounts(clause, accounts);
+  if (TRANSFER.test(clause) || mentions.length >= 2) {
+    const transfer = extractTransfer(clause, mentions, { amount, currency, date });
+    if (transfer) return transfer;
+  }
+
+  if (LENDING_REPAYMENT.test(clause)) {
+    return {
+      intent: "lending_repayment",
+      borrower_name: nameAfter(clause, ["from"]) || nameBefore(clause, LENDING_REPAYMENT) || "Unknown",
+      amount,
+      currency,
+      date,
+      notes: clause,
+    };
+  }
+
+  if (NEW_LENDING.test(clause)) {
+    return {
+      intent: "new_lending",
+      borrower_name: nameAfter(clause, ["to", "ke"]) || nameBefore(clause, /\s(?:ke|কে)\s/i) || "Unknown",
+      principal_amount: amount,
+      currency,
+      date,
+      due_date: mentioned > today ? mentioned : null,
+      notes: clause,
+    };
+  }
+
+  if (NEW_LOAN.test(clause)) return extractLoan(clause, defaultCurrency, today);
+
+  if (LOAN_REPAYMENT.test(clause)) {
+    return {
+      intent: "loan_repayment",
+      lender_name: nameAfter(clause, ["to", "for", "ke"]) || nameBefore(clause, /\s(?:ke|কে)\s/i) || "Unknown",
+      amount,
+      currency,
+      date,
+      notes: clause,
+    };
+  }
+
+  const type = INCOME.test(clause) ? "income" : "expense";
+  // "paid by bKash", "split with Rafi": accounts and people are left out of the notes
+  const [account] = mentions;
+  const split = type === "expense" ? findSplit(clause) : null;
+  let purpose = split ? clause.replace(split.phrase, " ") : clause;
+  if (account) purpose = purpose.replace(account.phrase, " ");
+  return {
+    intent: "transaction",
+    amount,
+    currency,
+    category: findCategory(purpose, customCategories) || "other",
+    notes: describeNotes(purpose),
+    type,
+    date,
+    account: account ? account.name : null,
+    split_with: split ? split.names : [],
+  };
+}
+
+// "actually make that 250", "no, that was yesterday", "it was for food"
+function extractChanges(text, customCategories, today) {
+  const changes = {};
+  const amount = findAmount(text);
+  if (amount) changes.amount = amount;
+  if (CURRENCY.test(text)) changes.currency = findCurrency(text, null);
+  if (DATE.test(text) || findRelativeDate(text, today) || isAmbiguousDay(text)) changes.date = findDate(text, today);
+  const category = findCategory(text.replace(/\bnot\b.*$/i, ""), customCategories);
+  if (category) changes.category = category;
+  if (/\bincome\b/i.test(text)) changes.type = "income";
+  if (/\bexpense\b/i.test(text)) changes.type = "expense";
+  return changes;
+}
+
+function extractQuery(text, customCategories, today) {
+  const lower = text.toLowerCase();
+  // "how much does Karim owe me" names the borrower first
+  const lender = /\bowes? me\b/i.test(text)
+    ? nameBefore(text, /\bowes?\b/i)
+    : nameAfter(text.replace(/\?$/, ""), ["owe", "to"]);
+  const metric = /\bowe\b|\bloan\b|\bdebt\b|ধার|ঋণ/.test(lower)
+    ? "loan_balance"
+    : /\b(?:earn|earned|income|received|got)\b/.test(lower)
+      ? "total_income"
+      : /\bhow many\b/.test(lower)
+        ? "transaction_count"
+        : "total_expense";
+
+  const period = findPeriod(text, today);
+
+  return {
+    intent: "query",
+    metric,
+    category: metric === "loan_balance" ? null : findCategory(text, customCategories),
+    search: null,
+    lender_name: metric === "loan_balance" ? lender : null,
+    start_date: period ? period.startDate : null,
+    end_date: period ? period.endDate : null,
+    question: text,
+  };
+}
+
+/**
+ * Extract intents from a message without a model. options.defaultCurrency
+ * is used when no currency is mentioned, options.categories (the user's
+ * own categories), options.accounts (their accounts) and options.goals
+ * (their savings goals) are matched by name and relative dates count from
+ * options.today (the user's local date). Returns [] when nothing in the message could be read.
+ */
+export function extractWithRules(text, options = {}) {
+  const defaultCurrency = options.defaultCurrency || "BDT";
+  const customCategories = options.categories || [];
+  const accounts = options.accounts || [];
+  const goals = options.goals || [];
+  const today = options.today || new Date().toISOString().split("T")[0];
+  const message = normalizeNumberWords(text).trim().replace(/\s+/g, " ");
+  if (!message) return [];
+
+  if (UNDO.test(message)) return [{ intent: "undo" }];
+  if (DELETE_LAST.test(message)) return [{ intent: "delete_last" }];
+  if (UPDATE_LAST.test(message)) {
+    const changes = extractChanges(message, customCategories, today);
+    return Object.keys(changes).length ? [{ intent: "update_last", changes }] : [];
+  }
+  if (QUESTION.test(message)) return [extractQuery(message, customCategories, today)];
+
+  // One clause per amount; clauses without one belong to the clause before
+  const clauses = [];
+  message.split(CLAUSE_SEPARATOR).forEach((part) => {
+    if (!part) return;
+    if (findAmount(part) !== null || !clauses.length) clauses.push(part);
+    else clauses[clauses.length - 1] += `, ${part}`;
+  });
+
+  return clauses
+    .filter((clause) => findAmount(clause))
+    .map((clause) => extractClause(clause, { defaultCurrency, customCategories, accounts, goals, today }));
+}
@@ -0,0 +1,141 @@
+import { advanceDate } from "./recurrence.js";
+import {
+  claimLoanInstallment,
+  claimRecurringRuleRun,
+  deleteExpiredDrafts,
+  deleteExpiredIdempotencyKeys,
+  getDueLoanInstallments,
+  getDueRecurringRules,
+  recordLoanRepayment,
+  refreshLoanBalances,
+  saveTransaction,
+} from "./supabase.js";
+import { sessionStore } from "./sessions.js";
+
+// Upper bound on missed occurrences caught up per rule in one run
+const MAX_CATCH_UP = 366;
+
+// Change context of everything the scheduler records
+const SCHEDULER_CONTEXT = { source: "scheduler" };
+
+let running = false;
+
+/**
+ * Materialize every recurring transaction and loan installment due on or
+ * before `today`, catching up on any occurrences missed while the server
+ * was down, accrue interest on scheduled loans and clear out expired
+ * drafts, conversation sessions and idempotency keys
+ */
+export async function runScheduledJobs(today = new Date().toISOString().split("T")[0]) {
+  const transactions = await materializeRecurringRules(today);
+  // Accrue interest first so installments are capped at the real balance
+  const refreshedLoans = await refreshLoanBalances(today);
+  const installments = await processLoanInstallments(today);
+  const expiredDrafts = await deleteExpiredDrafts();
+  const expiredSessions = await sessionStore.deleteExpired();
+  const expiredIdempotencyKeys = await deleteExpiredIdempotencyKeys();
+  return { transactions, installments, refreshedLoans, expiredDrafts, expiredSessions, expiredIdempotencyKeys };
+}
+
+async function materializeRecurringRules(today) {
+  const rules = await getDueRecurringRules(today);
+  let created = 0;
+
+  for (const dueRule of rules) {
+    let rule = dueRule;
+    try {
+      for (let i = 0; rule && rule.active && rule.next_run_date <= today && i < MAX_CATCH_UP; i++) {
+        const runDate = rule.next_run_date;
+        const nextRunDate = advanceDate(runDate, rule.frequency, {
+          interval: rule.interval_count,
+          dayOfMonth: rule.day_of_month,
+        });
+
+        // Claim first so concurrent runs never record the same occurrence twice
+        const claimed = await claimRecurringRuleRun(rule, nextRunDate);
+        if (!claimed) break;
+
+        if (!rule.end_date || runDate <= rule.end_date) {
+          await saveTransaction({
+            userId: rule.user_id,
+            amount: rule.amount,
+            currency: rule.currency,
+            category: rule.category,
+            notes: rule.notes,
+            type: rule.type,
+            date: runDate,
+            recurringRuleId: rule.id,
+          }, SCHEDULER_CONTEXT);
+          created++;
+        }
+        rule = claimed;
+      }
+    } catch (error) {
+      console.error(`Error running recurring rule ${dueRule.id}:`, error);
+    }
+  }
+
+  return created;
+}
+
+async function processLoanInstallments(today) {
+  const loans = await getDueLoanInstallments(today);
+  let recorded = 0;
+
+  for (const dueLoan of loans) {
+    let loan = dueLoan;
+    try {
+      for (let i = 0; loan && loan.status === "active" && loan.next_installment_date <= today && i < MAX_CATCH_UP; i++) {
+        const dueDate = loan.next_installment_date;
+        const nextDate = advanceDate(dueDate, "monthly", {
+          dayOfMonth: Number(loan.start_date.slice(8, 10)),
+        });
+
+        const claimed = await claimLoanInstallment(loan, nextDate);
+        if (!claimed) break;
+
+        const amount = Math.min(Number(loan.monthly_installment), Number(loan.remaining_balance));
+        const result = await recordLoanRepayment(
+          loan.user_id,
+          loan.lender_name,
+          amount,
+          dueDate,
+          loan.currency,
+          { loanId: loan.id, source: "scheduler", audit: SCHEDULER_CONTEXT }
+        );
+        recorded++;
+        loan = result.loan;
+      }
+    } catch (error) {
+      console.error(`Error recording installment for loan ${dueLoan.id}:`, error);
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Run the scheduled jobs now and then every `intervalMinutes`.
+ * Returns the interval timer.
+ */
+export function startScheduler({ intervalMinutes = 60 } = {}) {
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { transactions, installments } = await runScheduledJobs();
+      if (transactions || installments) {
+        console.log(
+          `⏰ Scheduler recorded ${transactions} recurring transaction(s) and ${installments} loan installment(s)`
+        );
+      }
+    } catch (error) {
+      console.error("Scheduler run failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+}
@@ -0,0 +1,211 @@
+import {
+  deleteExpiredChatSessions,
+  getChatSession,
+  saveChatSession,
+} from "./supabase.js";
+
+/**
+ * Conversation sessions: the recent turns of a chat and the entries saved
+ * in it, so follow-ups like "actually make that 250" or "undo" can change
+ * what was just recorded. Sessions live in memory (development) or in
+ * Supabase (production) and expire after SESSION_TTL_MINUTES of inactivity.
+ */
+
+export const SESSION_INTENTS = ["update_last", "delete_last", "undo"];
+
+const SESSION_TTL_MINUTES = Number(process.env.SESSION_TTL_MINUTES) || 30;
+const MAX_TURNS = 6;
+const MAX_ENTRIES = 10;
+const MAX_ACTIONS = 10;
+
+// Intents whose saved records can be changed or removed afterwards.
+// Repayments also move a loan's balance, so they are only undone by hand.
+const AMENDABLE_INTENTS = [
+  "transaction",
+  "transfer",
+  "new_loan",
+  "new_lending",
+  "recurring",
+  "set_budget",
+  "goal_contribution",
+];
+
+// Generic change names the model uses, per intent field
+const CHANGE_FIELDS = {
+  new_loan: { amount: "principal_amount", name: "lender_name" },
+  new_lending: { amount: "principal_amount", name: "borrower_name" },
+  recurring: { date: "start_date" },
+  goal_contribution: { name: "goal_name" },
+};
+
+function createMemoryStore() {
+  const sessions = new Map();
+  const key = (userId, sessionId) => `${userId}:${sessionId}`;
+
+  return {
+    async get(userId, sessionId) {
+      const stored = sessions.get(key(userId, sessionId));
+      if (!stored || stored.expiresAt <= Date.now()) return null;
+      return structuredClone(stored.session);
+    },
+    async save(session) {
+      sessions.set(key(session.userId, session.sessionId), {
+        session: structuredClone(session),
+        expiresAt: Date.now() + SESSION_TTL_MINUTES * 60 * 1000,
+      });
+    },
+    async deleteExpired() {
+      let removed = 0;
+      for (const [id, stored] of sessions) {
+        if (stored.expiresAt <= Date.now()) {
+          sessions.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+function createSupabaseStore() {
+  return {
+    get: getChatSession,
+    save: (session) =>
+      saveChatSession(session, new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000).toISOString()),
+    deleteExpired: deleteExpiredChatSessions,
+  };
+}
+
+/**
+ * A session store: "memory" or "supabase". Each has get(userId,
+ * sessionId), save(session) and deleteExpired().
+ */
+export function createSessionStore(kind) {
+  if (kind === "memory") return createMemoryStore();
+  if (kind === "supabase") return createSupabaseStore();
+  throw new Error(`Unknown session store "${kind}"`);
+}
+
+export const sessionStore = createSessionStore(
+  process.env.SESSION_STORE || (process.env.NODE_ENV === "production" ? "supabase" : "memory")
+);
+
+/**
+ * The user's session with this id, or a new one. Without a sessionId
+ * there is no session (null) and follow-ups can't refer back.
+ */
+export async function loadSession(userId, sessionId) {
+  if (!sessionId) return null;
+  const session = await sessionStore.get(userId, String(sessionId));
+  return session || { userId, sessionId: String(sessionId), turns: [], entries: [], actions: [], nextKey: 1 };
+}
+
+/**
+ * Store a session (a no-op without one); this also extends its expiry
+ */
+export async function saveSession(session) {
+  if (session) await sessionStore.save(session);
+}
+
+/**
+ * Remember a message and the reply to it
+ */
+export function recordTurn(session, text, reply) {
+  if (!session) return;
+  session.turns = [...session.turns, { text, reply, at: new Date().toISOString() }].slice(-MAX_TURNS);
+}
+
+/**
+ * Remember an entry saved in this session: the intent it came from and
+ * the ids of the records it created ({ transactions, loans,
+ * recurringRules, budgets, goalContributions }). Returns the entry.
+ */
+export function addEntry(session, intent, records) {
+  const entry = {
+    key: session.nextKey++,
+    intent,
+    records,
+    amendable: AMENDABLE_INTENTS.includes(intent.intent),
+  };
+  session.entries = [...session.entries, entry].slice(-MAX_ENTRIES);
+  pushAction(session, { type: "create", key: entry.key });
+  return entry;
+}
+
+/**
+ * The most recently saved entry still in the session, or null
+ */
+export function lastEntry(session) {
+  return session.entries[session.entries.length - 1] || null;
+}
+
+/**
+ * Find an entry by its key, or null
+ */
+export function findEntry(session, key) {
+  return session.entries.find((entry) => entry.key === key) || null;
+}
+
+/**
+ * Replace an entry (same key), e.g. after its records were recreated
+ */
+export function replaceEntry(session, entry) {
+  session.entries = session.entries.map((existing) => (existing.key === entry.key ? entry : existing));
+}
+
+/**
+ * Forget an entry
+ */
+export function removeEntry(session, key) {
+  session.entries = session.entries.filter((entry) => entry.key !== key);
+}
+
+/**
+ * Record an action that "undo" can reverse:
+ * { type: "create", key } | { type: "update", key, before } | { type: "delete", entry }
+ */
+export function pushAction(session, action) {
+  session.actions = [...session.actions, action].slice(-MAX_ACTIONS);
+}
+
+/**
+ * Take the most recent action off the undo stack, or null
+ */
+export function popAction(session) {
+  return session.actions.pop() || null;
+}
+
+/**
+ * Apply update_last changes ({ amount, currency, category, notes, date,
+ * type, name, ... }) to a saved intent. Generic names are mapped to the
+ * intent's own fields (amount → principal_amount for loans, name →
+ * lender_name or borrower_name); fields the intent doesn't have are ignored.
+ */
+export function amendIntent(intent, changes) {
+  const fields = CHANGE_FIELDS[intent.intent] || {};
+  const amended = { ...intent };
+  Object.entries(changes).forEach(([change, value]) => {
+    const field = fields[change] || change;
+    if (value !== null && value !== undefined && field !== "intent" && field in intent) {
+      amended[field] = value;
+    }
+  });
+  return amended;
+}
+
+/**
+ * Recent turns and saved entries as text for the extraction prompt, or ""
+ * for a new or missing session. describe turns an intent into a phrase.
+ */
+export function describeSessionContext(session, describe) {
+  if (!session || (!session.turns.length && !session.entries.length)) return "";
+
+  const turns = session.turns.map((turn) => `User: ${turn.text}\nAssistant: ${turn.reply}`).join("\n");
+  const entries = session.entries.map((entry) => `- ${describe(entry.intent)}`).join("\n");
+  return [
+    turns && `Recent messages:\n${turns}`,
+    entries && `Entries saved in this conversation (most recent last):\n${entries}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
@@ -0,0 +1,165 @@
+/**
+ * Period and comparison helpers for the summary endpoint.
+ * All dates are plain YYYY-MM-DD strings handled in UTC.
+ */
+
+export const SUMMARY_PERIODS = ["day", "week", "month", "year", "custom"];
+
+// Longest range a daily time series may cover
+export const MAX_DAILY_POINTS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function addDays(value, days) {
+  return formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+}
+
+export function daysBetween(startDate, endDate) {
+  return Math.round((toDate(endDate) - toDate(startDate)) / DAY_MS) + 1;
+}
+
+/**
+ * Resolve a named period (containing `date`, default today) or a custom
+ * range into { startDate, endDate, previous: { startDate, endDate }, interval }.
+ * The previous period is the one of equal length immediately before.
+ * Weeks start on Monday.
+ */
+export function resolvePeriod({ period = "month", date, startDate, endDate } = {}) {
+  const anchor = toDate(date || formatDate(new Date()));
+  let start;
+  let end;
+  let previous;
+
+  switch (period) {
+    case "day":
+      start = end = formatDate(anchor);
+      previous = { startDate: addDays(start, -1), endDate: addDays(start, -1) };
+      break;
+
+    case "week": {
+      const offset = (anchor.getUTCDay() + 6) % 7;
+      start = addDays(formatDate(anchor), -offset);
+      end = addDays(start, 6);
+      previous = { startDate: addDays(start, -7), endDate: addDays(start, -1) };
+      break;
+    }
+
+    case "month": {
+      const year = anchor.getUTCFullYear();
+      const month = anchor.getUTCMonth();
+      start = formatDate(new Date(Date.UTC(year, month, 1)));
+      end = formatDate(new Date(Date.UTC(year, month + 1, 0)));
+      previous = {
+        startDate: formatDate(new Date(Date.UTC(year, month - 1, 1))),
+        endDate: formatDate(new Date(Date.UTC(year, month, 0))),
+      };
+      break;
+    }
+
+    case "year": {
+      const year = anchor.getUTCFullYear();
+      start = `${year}-01-01`;
+      end = `${year}-12-31`;
+      previous = { startDate: `${year - 1}-01-01`, endDate: `${year - 1}-12-31` };
+      break;
+    }
+
+    case "custom": {
+      start = startDate;
+      end = endDate;
+      const length = daysBetween(start, end);
+      previous = { startDate: addDays(start, -length), endDate: addDays(start, -1) };
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown period: ${period}`);
+  }
+
+  return {
+    period,
+    startDate: start,
+    endDate: end,
+    previous,
+    interval: daysBetween(start, end) > 92 ? "month" : "day",
+  };
+}
+
+/**
+ * Percent change from previous to current, or null when there is no baseline
+ */
+export function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+}
+
+/**
+ * Compare per-currency totals of two summaries
+ */
+export function compareSummaries(current, previous) {
+  const currencies = new Set([
+    ...Object.keys(current.currencies),
+    ...Object.keys(previous.currencies),
+  ]);
+  const empty = { totalExpense: 0, totalIncome: 0, balance: 0 };
+
+  const comparison = {};
+  currencies.forEach((currency) => {
+    const cur = current.currencies[currency] || empty;
+    const prev = previous.currencies[currency] || empty;
+    comparison[currency] = {
+      previousExpense: prev.totalExpense,
+      previousIncome: prev.totalIncome,
+      previousBalance: prev.balance,
+      expenseChange: percentChange(cur.totalExpense, prev.totalExpense),
+      incomeChange: percentChange(cur.totalIncome, prev.totalIncome),
+      balanceChange: percentChange(cur.balance, prev.balance),
+    };
+  });
+  return comparison;
+}
+
+/**
+ * Expand aggregated time-series rows into a gap-free series per currency,
+ * with one point per day or month between startDate and endDate
+ */
+export function fillTimeSeries(rows, startDate, endDate, interval) {
+  const buckets = [];
+  if (interval === "month") {
+    const cursor = toDate(startDate);
+    cursor.setUTCDate(1);
+    while (formatDate(cursor) <= endDate) {
+      buckets.push(formatDate(cursor));
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+  } else {
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+      buckets.push(day);
+    }
+  }
+
+  const series = {};
+  rows.forEach((row) => {
+    if (!series[row.currency]) {
+      series[row.currency] = Object.fromEntries(
+        buckets.map((bucket) => [bucket, { period: bucket, expense: 0, income: 0 }])
+      );
+    }
+    const point = series[row.currency][row.bucket];
+    if (point && (row.type === "expense" || row.type === "income")) {
+      point[row.type] += Number(row.total_amount);
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(series).map(([currency, points]) => [currency, Object.values(points)])
+  );
+}
@@ -1,5 +1,16 @@
 import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
+import {
+  allocatePayment,
+  buildSchedule,
+  calculateInstallment,
+  calculateTenure,
+  summarizeSchedule,
+} from "./amortization.js";
+import { encodeAuditContext } from "./audit.js";
+import { DEFAULT_TIMEZONE } from "./dates.js";
+import { matchLoan } from "./loans.js";
+import { advanceDate } from "./recurrence.js";
 
 // Load environment variables
 dotenv.config();
@@ -13,23 +24,51 @@ if (!supabaseUrl || !supabaseServiceKey) {
 
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
+// Header that tells the database where a write came from (see services/audit.js)
+const AUDIT_HEADER = "X-Audit-Context";
+
+/**
+ * Verify a Supabase access token and return the user it belongs to
+ */
+export async function getUserFromToken(accessToken) {
+  const { data, error } = await supabase.auth.getUser(accessToken);
+
+  if (error) {
+    console.error("Error verifying access token:", error.message);
+    return null;
+  }
+  return data.user;
+}
+
 /**
- * Save a transaction to the database
+ * Save a transaction to the database and return the saved row. `audit`
+ * is the change context logged with it (see services/audit.js).
  */
-export async function saveTransaction(data) {
+export async function saveTransaction(data, audit = null) {
   try {
-    const { error } = await supabase.from("transactions").insert({
-      user_id: data.userId,
-      amount: data.amount,
-      currency: data.currency,
-      category: data.category,
-      notes: data.notes,
-      type: data.type,
-      date: data.date,
-    });
+    const { data: transaction, error } = await supabase
+      .from("transactions")
+      .insert({
+        user_id: data.userId,
+        amount: data.amount,
+        currency: data.currency,
+        category: data.category,
+        notes: data.notes,
+        type: data.type,
+        date: data.date,
+        recurring_rule_id: data.recurringRuleId || null,
+        import_batch_id: data.importBatchId || null,
+        account_id: data.account_id || null,
+        to_account_id: data.to_account_id || null,
+        to_amount: data.to_amount || null,
+        ledger_id: data.ledger_id || null,
+      })
+      .select()
+      .single()
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
 
     if (error) throw error;
-    return { success: true };
+    return transaction;
   } catch (error) {
     console.error("Error saving transaction:", error);
     throw error;
@@ -37,20 +76,73 @@ export async function saveTransaction(data) {
 }
 
 /**
- * Get all transactions for a user
+ * Get a page of transactions for a user, newest first.
+ *
+ * Supported filters: limit, cursor ({ date, created_at, id } of the last row
+ * of the previous page), startDate, endDate, type, category, currency,
+ * minAmount, maxAmount, search (case-insensitive match on notes) and
+ * deleted (list deleted transactions, which are otherwise left out).
+ * With filters.ledgerId the page is a shared ledger's transactions, recorded
+ * by any member and each with its `transaction_splits`, instead of the user's own.
+ * Returns { transactions, nextCursor } where nextCursor is null on the last page.
  */
-export async function getTransactions(userId, limit = 100) {
+export async function getTransactions(userId, filters = {}) {
   try {
-    const { data, error } = await supabase
-      .from("transactions")
-      .select("*")
-      .eq("user_id", userId)
+    const limit = filters.limit || 100;
+
+    let query = filters.ledgerId
+      ? supabase
+          .from("transactions")
+          .select("*, transaction_splits(member_id, amount)")
+          .eq("ledger_id", filters.ledgerId)
+      : supabase
+          .from("transactions")
+          .select("*")
+          .eq("user_id", userId);
+
+    query = filters.deleted ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+    if (filters.startDate) query = query.gte("date", filters.startDate);
+    if (filters.endDate) query = query.lte("date", filters.endDate);
+    if (filters.type) query = query.eq("type", filters.type);
+    if (filters.category) query = query.eq("category", filters.category);
+    if (filters.currency) query = query.eq("currency", filters.currency);
+    if (filters.minAmount !== undefined) query = query.gte("amount", filters.minAmount);
+    if (filters.maxAmount !== undefined) query = query.lte("amount", filters.maxAmount);
+    if (filters.search) {
+      query = query.ilike("notes", `%${filters.search.replace(/[\\%_]/g, "\\$&")}%`);
+    }
+
+    // Keyset pagination on (date, created_at, id), all descending
+    if (filters.cursor) {
+      const { date, created_at: createdAt, id } = filters.cursor;
+      query = query.or(
+        [
+          `date.lt.${date}`,
+          `and(date.eq.${date},created_at.lt."${createdAt}")`,
+          `and(date.eq.${date},created_at.eq."${createdAt}",id.lt.${id})`,
+        ].join(",")
+      );
+    }
+
+    const { data, error } = await query
       .order("date", { ascending: false })
       .order("created_at", { ascending: false })
-      .limit(limit);
+      .order("id", { ascending: false })
+      .limit(limit + 1);
 
     if (error) throw error;
-    return data || [];
+
+    const rows = data || [];
+    const transactions = rows.slice(0, limit);
+    const last = transactions[transactions.length - 1];
+
+    return {
+      transactions,
+      nextCursor:
+        rows.length > limit
+          ? { date: last.date, created_at: last.created_at, id: last.id }
+          : null,
+    };
   } catch (error) {
     console.error("Error fetching transactions:", error);
     throw error;
@@ -58,17 +150,71 @@ export async function getTransactions(userId, limit = 100) {
 }
 
 /**
- * Delete a transaction
+ * Get a single transaction owned by the user, or null. Deleted
+ * transactions are only found with options.deleted (and then only they are).
  */
-export async function deleteTransaction(transactionId) {
+export async function getTransaction(userId, transactionId, options = {}) {
   try {
-    const { error } = await supabase
+    let query = supabase
       .from("transactions")
-      .delete()
-      .eq("id", transactionId);
+      .select("*")
+      .eq("id", transactionId)
+      .eq("user_id", userId);
+
+    query = options.deleted ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+    const { data, error } = await query.maybeSingle();
 
     if (error) throw error;
-    return { success: true };
+    return data;
+  } catch (error) {
+    console.error("Error fetching transaction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a transaction owned by the user.
+ * Returns the updated row, or null if the user has no such transaction.
+ */
+export async function updateTransaction(userId, transactionId, updates, audit = null) {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .update(updates)
+      .eq("id", transactionId)
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .select()
+      .maybeSingle()
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating transaction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a transaction owned by the user. The row is kept, marked with
+ * deleted_at, so it can be restored.
+ * Returns the deleted row, or null if the user has no such transaction.
+ */
+export async function deleteTransaction(userId, transactionId, audit = null) {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({ deleted_at: new Date().toISOString() })
+      .eq("id", transactionId)
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .select()
+      .maybeSingle()
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
   } catch (error) {
     console.error("Error deleting transaction:", error);
     throw error;
@@ -76,32 +222,106 @@ export async function deleteTransaction(transactionId) {
 }
 
 /**
- * Save a new loan to the database
+ * Restore a deleted transaction owned by the user.
+ * Returns the restored row, or null if the user has no such deleted transaction.
  */
-export async function saveLoan(data) {
+export async function restoreTransaction(userId, transactionId, audit = null) {
   try {
-    const { data: loan, error } = await supabase
-      .from("loans")
-      .insert({
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({ deleted_at: null })
+      .eq("id", transactionId)
+      .eq("user_id", userId)
+      .not("deleted_at", "is", null)
+      .select()
+      .maybeSingle()
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error restoring transaction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new loan to the database. direction "lent" records money the user
+ * lent out, with lender_name holding the borrower. When the term is known
+ * (tenure or installment), the missing one is computed and an amortization
+ * schedule is stored in loan_installments.
+ *
+ * `transaction` (optional, saveTransaction fields without userId) records
+ * the money borrowed or lent, linked to the loan. Everything is saved in
+ * one database transaction, logged with the `audit` change context.
+ * Returns { loan, transaction }.
+ */
+export async function saveLoan(data, transaction = null, audit = null) {
+  try {
+    const principal = Number(data.principal_amount);
+    const annualRate = Number(data.interest_rate) || 0;
+    const method = data.interest_method === "flat" ? "flat" : "reducing";
+
+    let tenureMonths = data.tenure_months || null;
+    let installment = data.monthly_installment || null;
+    if (!tenureMonths && installment) {
+      tenureMonths = calculateTenure(principal, annualRate, installment, method);
+    }
+    if (tenureMonths && !installment) {
+      installment = calculateInstallment(principal, annualRate, tenureMonths, method);
+    }
+
+    const schedule = tenureMonths
+      ? buildSchedule({
+          principal,
+          annualRate,
+          months: tenureMonths,
+          method,
+          startDate: data.date,
+          installment: data.monthly_installment || undefined,
+        })
+      : [];
+
+    const { data: saved, error } = await supabase.rpc("create_loan", {
+      p_loan: {
         user_id: data.userId,
         lender_name: data.lender_name,
+        direction: data.direction === "lent" ? "lent" : "borrowed",
         loan_type: data.loan_type,
-        principal_amount: data.principal_amount,
-        interest_rate: data.interest_rate || 0,
-        tenure_months: data.tenure_months || null,
-        monthly_installment: data.monthly_installment || null,
+        principal_amount: principal,
+        interest_rate: annualRate,
+        interest_method: method,
+        tenure_months: tenureMonths,
+        monthly_installment: installment,
         total_paid: 0,
-        remaining_balance: data.principal_amount,
+        remaining_balance: principal,
         currency: data.currency || "BDT",
         status: "active",
         start_date: data.date,
+        next_installment_date: schedule.length
+          ? schedule[0].due_date
+          : installment
+            ? advanceDate(data.date, "monthly")
+            : null,
+        // Only installments the user stated on their own loans are paid automatically
+        auto_repay: data.direction !== "lent" && Boolean(data.monthly_installment),
+        due_date: data.due_date || null,
         notes: data.notes || null,
-      })
-      .select()
-      .single();
+      },
+      p_installments: schedule,
+      p_transaction: transaction && {
+        amount: transaction.amount,
+        currency: transaction.currency,
+        category: transaction.category,
+        notes: transaction.notes,
+        type: transaction.type,
+        date: transaction.date,
+        account_id: transaction.account_id || null,
+      },
+    }).setHeader(AUDIT_HEADER, encodeAuditContext(audit));
 
     if (error) throw error;
-    return loan;
+    return saved;
   } catch (error) {
     console.error("Error saving loan:", error);
     throw error;
@@ -109,105 +329,357 @@ export async function saveLoan(data) {
 }
 
 /**
- * Get all loans for a user
+ * Get a single loan owned by the user, or null. Deleted loans are only
+ * found with options.deleted (and then only they are).
  */
-export async function getLoans(userId) {
+export async function getLoan(userId, loanId, options = {}) {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from("loans")
       .select("*")
+      .eq("id", loanId)
+      .eq("user_id", userId);
+
+    query = options.deleted ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+    const { data, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching loan:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the repayments recorded against a loan owned by the user, newest first
+ */
+export async function getLoanRepayments(userId, loanId) {
+  try {
+    const { data, error } = await supabase
+      .from("loan_repayments")
+      .select("*")
+      .eq("loan_id", loanId)
       .eq("user_id", userId)
+      .order("date", { ascending: false })
       .order("created_at", { ascending: false });
 
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error("Error fetching loans:", error);
+    console.error("Error fetching loan repayments:", error);
     throw error;
   }
 }
 
 /**
- * Delete a loan
+ * Get a loan's amortization schedule in installment order (empty if it has none)
  */
-export async function deleteLoan(loanId) {
+export async function getLoanInstallments(loanId) {
   try {
-    const { error } = await supabase
+    const { data, error } = await supabase
+      .from("loan_installments")
+      .select("*")
+      .eq("loan_id", loanId)
+      .order("installment_number", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching loan installments:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a loan owned by the user together with its schedule, or null
+ */
+export async function getLoanSchedule(userId, loanId) {
+  try {
+    const loan = await getLoan(userId, loanId);
+    if (!loan) return null;
+
+    return { loan, installments: await getLoanInstallments(loan.id) };
+  } catch (error) {
+    console.error("Error fetching loan schedule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Recompute remaining_balance (principal plus interest accrued to date)
+ * for every active loan with a schedule. Run daily so interest accrues
+ * as installments fall due. Returns the number of loans updated.
+ */
+export async function refreshLoanBalances(today = new Date().toISOString().split("T")[0]) {
+  try {
+    const { data: loans, error } = await supabase
       .from("loans")
-      .delete()
-      .eq("id", loanId);
+      .select("*, loan_installments(*)")
+      .eq("status", "active")
+      .is("deleted_at", null);
 
     if (error) throw error;
-    return { success: true };
+
+    let updated = 0;
+    for (const loan of loans || []) {
+      if (!loan.loan_installments.length) continue;
+
+      const position = summarizeSchedule(loan.loan_installments, today);
+      if (position.remainingBalance === Number(loan.remaining_balance)) continue;
+
+      const { error: updateError } = await supabase
+        .from("loans")
+        .update({ remaining_balance: position.remainingBalance })
+        .eq("id", loan.id)
+        .setHeader(AUDIT_HEADER, encodeAuditContext({ source: "scheduler" }));
+
+      if (updateError) throw updateError;
+      updated++;
+    }
+    return updated;
+  } catch (error) {
+    console.error("Error refreshing loan balances:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get all loans for a user, optionally only one direction ("borrowed" or
+ * "lent"). Deleted loans are left out, or only listed with options.deleted.
+ */
+export async function getLoans(userId, options = {}) {
+  try {
+    let query = supabase
+      .from("loans")
+      .select("*")
+      .eq("user_id", userId);
+
+    query = options.deleted ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+    if (options.direction) query = query.eq("direction", options.direction);
+
+    const { data, error } = await query.order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching loans:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a loan owned by the user, together with the transactions linked
+ * to it (the money borrowed or lent and every payment). Like transactions,
+ * the loan is kept, marked deleted, with its schedule and repayment history.
+ * Returns the deleted row, or null if the user has no such loan.
+ */
+export async function deleteLoan(userId, loanId, audit = null) {
+  try {
+    const { data, error } = await supabase
+      .rpc("delete_loan", { p_user_id: userId, p_loan_id: loanId })
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
   } catch (error) {
     console.error("Error deleting loan:", error);
     throw error;
   }
 }
 
+/**
+ * Restore a deleted loan owned by the user, with the transactions that
+ * were deleted with it.
+ * Returns the restored row, or null if the user has no such deleted loan.
+ */
+export async function restoreLoan(userId, loanId, audit = null) {
+  try {
+    const { data, error } = await supabase
+      .rpc("restore_loan", { p_user_id: userId, p_loan_id: loanId })
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error restoring loan:", error);
+    throw error;
+  }
+}
+
+// Times a payment is worked out again when other payments keep changing the loan
+const LOAN_PAYMENT_ATTEMPTS = 3;
+
+// How a payment on a loan is booked, by loan direction
+const LOAN_PAYMENT_ENTRIES = {
+  borrowed: { category: "loan_repayment", type: "expense", notes: (name) => `Loan repayment to ${name}` },
+  lent: { category: "loan_collection", type: "income", notes: (name) => `Loan collected from ${name}` },
+};
+
 /**
  * Record a loan repayment: find matching loan, update balance, save transaction
+ * and add it to the loan's repayment history. The writes happen in one
+ * database transaction, and concurrent payments on a loan apply one after
+ * the other.
+ *
+ * The lender name is matched fuzzily (see matchLoan). When the match is not
+ * confident, nothing is saved and the result carries a `clarification` with
+ * candidate loans; retry with options.loanId set to the one the user picked.
+ * A payment in another currency is converted to the loan's; when no
+ * exchange rate is known, nothing is saved and the result carries
+ * `missingRate` ({ from, to }).
+ * options.source records where the payment came from (chat, api, scheduler),
+ * and options.audit is the change context the writes are logged with.
+ */
+export async function recordLoanRepayment(userId, lenderName, amount, date, currency, options = {}) {
+  return recordLoanPayment("borrowed", userId, lenderName, amount, date, currency, options);
+}
+
+/**
+ * Record money paid back by someone the user lent to; the same as
+ * recordLoanRepayment, but booked as income.
  */
-export async function recordLoanRepayment(userId, lenderName, amount, date, currency) {
+export async function recordLoanCollection(userId, borrowerName, amount, date, currency, options = {}) {
+  return recordLoanPayment("lent", userId, borrowerName, amount, date, currency, options);
+}
+
+async function recordLoanPayment(direction, userId, counterparty, amount, date, currency, options) {
+  const entry = LOAN_PAYMENT_ENTRIES[direction];
+
   try {
-    // Find active loan matching lender name (case-insensitive)
-    const { data: loans, error: findError } = await supabase
+    // Active loans in this direction: the chosen one, or all of them to match against
+    let loanQuery = supabase
       .from("loans")
       .select("*")
       .eq("user_id", userId)
       .eq("status", "active")
-      .ilike("lender_name", `%${lenderName}%`);
+      .eq("direction", direction)
+      .is("deleted_at", null);
+
+    if (options.loanId) loanQuery = loanQuery.eq("id", options.loanId);
+
+    const { data: loans, error: findError } = await loanQuery;
 
     if (findError) throw findError;
 
-    if (!loans || loans.length === 0) {
-      // No matching loan found — still save as expense transaction
-      await saveTransaction({
+    if (options.loanId && !loans.length) {
+      return { loan: null, message: "Loan not found or already paid off. Nothing was recorded." };
+    }
+
+    if (!loans.length) {
+      // No loans at all in this direction — still save the transaction
+      const transaction = await saveTransaction({
         userId,
         amount,
         currency: currency || "BDT",
-        category: "loan_repayment",
-        notes: `Loan repayment to ${lenderName} (no matching loan found)`,
-        type: "expense",
+        category: entry.category,
+        notes: `${entry.notes(counterparty)} (no matching loan found)`,
+        type: entry.type,
         date,
-      });
-      return { loan: null, message: `No active loan found for "${lenderName}". Recorded as expense.` };
+      }, options.audit);
+      return {
+        loan: null,
+        transaction,
+        message: `No active loan found for "${counterparty}". Recorded as ${entry.type}.`,
+      };
     }
 
-    const loan = loans[0];
-    const newTotalPaid = Number(loan.total_paid) + Number(amount);
-    const newRemaining = Number(loan.remaining_balance) - Number(amount);
-    const newStatus = newRemaining <= 0 ? "paid_off" : "active";
+    const match = options.loanId ? { loan: loans[0] } : matchLoan(loans, counterparty);
+    if (!match.loan) {
+      return {
+        loan: null,
+        clarification: {
+          reason: match.reason,
+          candidates: match.candidates.map(({ loan: candidate, score }) => ({
+            id: candidate.id,
+            lender_name: candidate.lender_name,
+            direction: candidate.direction,
+            remaining_balance: Number(candidate.remaining_balance),
+            currency: candidate.currency,
+            start_date: candidate.start_date,
+            score,
+          })),
+        },
+        message: `Not sure which loan "${counterparty}" refers to. Nothing was recorded.`,
+      };
+    }
 
-    // Update loan
-    const { error: updateError } = await supabase
-      .from("loans")
-      .update({
-        total_paid: newTotalPaid,
-        remaining_balance: Math.max(0, newRemaining),
-        status: newStatus,
-      })
-      .eq("id", loan.id);
-
-    if (updateError) throw updateError;
-
-    // Save as expense transaction
-    await saveTransaction({
-      userId,
-      amount,
-      currency: currency || "BDT",
-      category: "loan_repayment",
-      notes: `Loan repayment to ${loan.lender_name}`,
-      type: "expense",
-      date,
-    });
+    let loan = match.loan;
 
-    return {
-      loan: { ...loan, total_paid: newTotalPaid, remaining_balance: Math.max(0, newRemaining), status: newStatus },
-      message: newStatus === "paid_off"
-        ? `Loan from ${loan.lender_name} fully paid off!`
-        : `Repayment recorded. Remaining: ${Math.max(0, newRemaining).toFixed(2)} ${loan.currency}`,
-    };
+    // A payment in another currency pays off what it is worth in the loan's
+    // currency at the date's exchange rate
+    const paidCurrency = currency || loan.currency;
+    let loanAmount = Number(amount);
+    if (paidCurrency !== loan.currency) {
+      const converted = await convertAmount(userId, amount, paidCurrency, loan.currency, date);
+      if (converted === null) {
+        return {
+          loan: null,
+          missingRate: { from: paidCurrency, to: loan.currency },
+          message: `No exchange rate from ${paidCurrency} to ${loan.currency}. Nothing was recorded.`,
+        };
+      }
+      loanAmount = Math.round(converted * 100) / 100;
+    }
+
+    for (let attempt = 0; attempt < LOAN_PAYMENT_ATTEMPTS; attempt++) {
+      if (attempt) {
+        // Another payment changed the loan since it was read; start again from the new state
+        loan = await getLoan(userId, loan.id);
+        if (!loan || loan.status !== "active") {
+          return { loan: null, message: "Loan not found or already paid off. Nothing was recorded." };
+        }
+      }
+
+      const { updates, installmentUpdates, split } = planLoanPayment(
+        loan,
+        await getLoanInstallments(loan.id),
+        loanAmount,
+        date
+      );
+
+      const { data: applied, error: applyError } = await supabase.rpc("apply_loan_payment", {
+        p_user_id: userId,
+        p_loan_id: loan.id,
+        p_expected_total_paid: Number(loan.total_paid || 0),
+        p_loan: updates,
+        p_installments: installmentUpdates,
+        p_transaction: {
+          amount,
+          currency: paidCurrency,
+          category: entry.category,
+          notes: split
+            ? `${entry.notes(loan.lender_name)} (principal ${split.principal}, interest ${split.interest})`
+            : entry.notes(loan.lender_name),
+          type: entry.type,
+          date,
+        },
+        p_repayment: {
+          amount: loanAmount,
+          principal_amount: split ? split.principal : loanAmount,
+          interest_amount: split ? split.interest : 0,
+          currency: loan.currency,
+          date,
+          source: options.source || "chat",
+        },
+      }).setHeader(AUDIT_HEADER, encodeAuditContext(options.audit));
+
+      if (applyError) throw applyError;
+      if (!applied) continue;
+
+      return {
+        loan: applied.loan,
+        matchScore: match.score,
+        split,
+        repayment: applied.repayment,
+        transaction: applied.transaction,
+        message: applied.loan.status === "paid_off"
+          ? `Loan ${direction === "lent" ? "to" : "from"} ${loan.lender_name} fully paid off!`
+          : `Repayment recorded. Remaining: ${Number(applied.loan.remaining_balance).toFixed(2)} ${loan.currency}`,
+      };
+    }
+
+    throw new Error(`Loan ${loan.id} kept changing while recording a payment`);
   } catch (error) {
     console.error("Error recording loan repayment:", error);
     throw error;
@@ -215,57 +687,132 @@ export async function recordLoanRepayment(userId, lenderName, amount, date, curr
 }
 
 /**
- * Get transaction summary for a user (total expenses, income, by category, etc.)
+ * Work out how a payment changes a loan as read: the loan's new totals,
+ * balance and status, the installment rows it pays (interest before
+ * principal, oldest first) and the interest/principal split, which is null
+ * for loans without a schedule
  */
-export async function getTransactionSummary(userId, startDate, endDate) {
-  try {
-    let query = supabase
-      .from("transactions")
-      .select("amount, type, category, currency")
-      .eq("user_id", userId);
+function planLoanPayment(loan, installments, amount, date) {
+  const newTotalPaid = Number(loan.total_paid || 0) + Number(amount);
 
-    if (startDate) {
-      query = query.gte("date", startDate);
-    }
-    if (endDate) {
-      query = query.lte("date", endDate);
-    }
+  if (!installments.length) {
+    // No schedule: the whole payment reduces the balance
+    const newRemaining = Number(loan.remaining_balance) - Number(amount);
+    return {
+      updates: {
+        total_paid: newTotalPaid,
+        principal_paid: Number(loan.principal_paid || 0) + Number(amount),
+        remaining_balance: Math.max(0, newRemaining),
+        status: newRemaining <= 0 ? "paid_off" : "active",
+      },
+      installmentUpdates: [],
+      split: null,
+    };
+  }
 
-    const { data, error } = await query;
+  const allocation = allocatePayment(installments, amount, date);
+  const applied = installments.map((row) => ({
+    ...row,
+    ...allocation.updates.find((update) => update.id === row.id),
+  }));
+  const position = summarizeSchedule(applied);
 
-    if (error) throw error;
+  // Anything beyond the schedule is an overpayment and counts as principal
+  const split = {
+    interest: allocation.interest,
+    principal: allocation.principal + allocation.unallocated,
+  };
+  return {
+    updates: {
+      total_paid: newTotalPaid,
+      principal_paid: Number(loan.principal_paid || 0) + split.principal,
+      interest_paid: Number(loan.interest_paid || 0) + split.interest,
+      remaining_balance: position.remainingBalance,
+      status: position.paidOff ? "paid_off" : "active",
+    },
+    installmentUpdates: allocation.updates,
+    split,
+  };
+}
 
-    // Calculate summary
-    const summary = {
-      totalExpense: 0,
-      totalIncome: 0,
-      byCategory: {},
-      transactions: data || [],
-    };
+function emptyTotals() {
+  return {
+    totalExpense: 0,
+    totalIncome: 0,
+    balance: 0,
+    transactionCount: 0,
+    byCategory: {},
+  };
+}
 
-    (data || []).forEach((transaction) => {
-      if (transaction.type === "expense") {
-        summary.totalExpense += transaction.amount;
-      } else if (transaction.type === "income") {
-        summary.totalIncome += transaction.amount;
-      }
+/**
+ * Add one aggregated (category, type) row to a totals object
+ */
+function addSummaryRow(totals, row) {
+  const amount = Number(row.total_amount);
 
-      // Category breakdown
-      if (!summary.byCategory[transaction.category]) {
-        summary.byCategory[transaction.category] = {
-          expense: 0,
-          income: 0,
-        };
-      }
+  if (!totals.byCategory[row.category]) {
+    totals.byCategory[row.category] = { expense: 0, income: 0, count: 0 };
+  }
+
+  if (row.type === "expense") {
+    totals.totalExpense += amount;
+    totals.byCategory[row.category].expense += amount;
+  } else if (row.type === "income") {
+    totals.totalIncome += amount;
+    totals.byCategory[row.category].income += amount;
+  }
+  totals.transactionCount += Number(row.transaction_count);
+  totals.byCategory[row.category].count += Number(row.transaction_count);
+  totals.balance = totals.totalIncome - totals.totalExpense;
+}
+
+/**
+ * Get transaction summary for a user between two dates (inclusive).
+ * Aggregation runs in the database; totals are kept separate per currency:
+ * { currencies: { BDT: { totalExpense, totalIncome, balance, transactionCount, byCategory } } }
+ *
+ * When homeCurrency is given, `home` holds the same totals with every
+ * transaction converted at its date's exchange rate, plus unconvertedCount
+ * for transactions with no known rate.
+ */
+export async function getTransactionSummary(userId, startDate, endDate, homeCurrency) {
+  try {
+    const [native, home] = await Promise.all([
+      supabase.rpc("summarize_transactions", {
+        p_user_id: userId,
+        p_start_date: startDate || null,
+        p_end_date: endDate || null,
+      }),
+      homeCurrency
+        ? supabase.rpc("summarize_transactions_home", {
+            p_user_id: userId,
+            p_home_currency: homeCurrency,
+            p_start_date: startDate || null,
+            p_end_date: endDate || null,
+          })
+        : { data: null, error: null },
+    ]);
+
+    if (native.error) throw native.error;
+    if (home.error) throw home.error;
 
-      if (transaction.type === "expense") {
-        summary.byCategory[transaction.category].expense += transaction.amount;
-      } else {
-        summary.byCategory[transaction.category].income += transaction.amount;
+    const summary = { startDate, endDate, currencies: {} };
+
+    (native.data || []).forEach((row) => {
+      if (!summary.currencies[row.currency]) {
+        summary.currencies[row.currency] = emptyTotals();
       }
+      addSummaryRow(summary.currencies[row.currency], row);
     });
 
-    summary.balance = summary.totalIncome - summary.totalExpense;
+    if (homeCurrency) {
+      summary.home = { currency: homeCurrency, ...emptyTotals(), unconvertedCount: 0 };
+      (home.data || []).forEach((row) => {
+        addSummaryRow(summary.home, row);
+        summary.home.unconvertedCount += Number(row.unconverted_count);
+      });
+    }
 
     return summary;
   } catch (error) {
@@ -274,6 +821,1754 @@ export async function getTransactionSummary(userId, startDate, endDate) {
   }
 }
 
+/**
+ * Get expense/income totals per day or month (interval) for charting.
+ * With homeCurrency, amounts are converted and reported in that currency.
+ */
+export async function getTransactionTimeSeries(userId, startDate, endDate, interval = "day", homeCurrency) {
+  try {
+    const { data, error } = homeCurrency
+      ? await supabase.rpc("transaction_time_series_home", {
+          p_user_id: userId,
+          p_home_currency: homeCurrency,
+          p_start_date: startDate,
+          p_end_date: endDate,
+          p_interval: interval,
+        })
+      : await supabase.rpc("transaction_time_series", {
+          p_user_id: userId,
+          p_start_date: startDate,
+          p_end_date: endDate,
+          p_interval: interval,
+        });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching transaction time series:", error);
+    throw error;
+  }
+}
+
+/**
+ * Convert an amount between currencies at a date's exchange rate.
+ * Returns null when no rate is known for either currency.
+ */
+export async function convertAmount(userId, amount, fromCurrency, toCurrency, date) {
+  try {
+    const { data, error } = await supabase.rpc("convert_amount", {
+      p_user_id: userId,
+      p_amount: amount,
+      p_from: fromCurrency,
+      p_to: toCurrency,
+      p_date: date,
+    });
+
+    if (error) throw error;
+    return data === null ? null : Number(data);
+  } catch (error) {
+    console.error("Error converting amount:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's settings, with defaults for users who never saved any
+ */
+export async function getUserSettings(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("user_settings")
+      .select("*")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data || { user_id: userId, home_currency: "BDT", language: "auto", timezone: DEFAULT_TIMEZONE };
+  } catch (error) {
+    console.error("Error fetching user settings:", error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update a user's settings
+ */
+export async function updateUserSettings(userId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("user_settings")
+      .upsert({ user_id: userId, ...updates }, { onConflict: "user_id" })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating user settings:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the exchange rates visible to a user (shared and their own), newest first
+ */
+export async function getExchangeRates(userId, currency) {
+  try {
+    let query = supabase
+      .from("exchange_rates")
+      .select("*")
+      .or(`user_id.is.null,user_id.eq.${userId}`);
+
+    if (currency) {
+      query = query.eq("currency", currency);
+    }
+
+    const { data, error } = await query
+      .order("rate_date", { ascending: false })
+      .order("currency", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save exchange rates ({ currency, rate_date, units_per_usd }). Without a
+ * userId they are stored as shared rates.
+ */
+export async function saveExchangeRates(rates, userId = null, source = "manual") {
+  try {
+    const { data, error } = await supabase
+      .from("exchange_rates")
+      .upsert(
+        rates.map((rate) => ({ ...rate, user_id: userId, source })),
+        { onConflict: "user_id,currency,rate_date" }
+      )
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error saving exchange rates:", error);
+    throw error;
+  }
+}
+
+/**
+ * Create or replace the budget for a category, month and currency
+ */
+export async function saveBudget(data) {
+  try {
+    const { data: budget, error } = await supabase
+      .from("budgets")
+      .upsert(
+        {
+          user_id: data.userId,
+          category: data.category,
+          month: data.month,
+          currency: data.currency || "BDT",
+          amount: data.amount,
+        },
+        { onConflict: "user_id,category,month,currency" }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return budget;
+  } catch (error) {
+    console.error("Error saving budget:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's budgets, optionally only those for one month (YYYY-MM-01)
+ */
+export async function getBudgets(userId, month) {
+  try {
+    let query = supabase.from("budgets").select("*").eq("user_id", userId);
+
+    if (month) {
+      query = query.eq("month", month);
+    }
+
+    const { data, error } = await query
+      .order("month", { ascending: false })
+      .order("category", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching budgets:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a budget owned by the user.
+ * Returns the updated row, or null if the user has no such budget.
+ */
+export async function updateBudget(userId, budgetId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("budgets")
+      .update(updates)
+      .eq("id", budgetId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating budget:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a budget owned by the user.
+ * Returns the deleted row, or null if the user has no such budget.
+ */
+export async function deleteBudget(userId, budgetId) {
+  try {
+    const { data, error } = await supabase
+      .from("budgets")
+      .delete()
+      .eq("id", budgetId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's own categories, by name
+ */
+export async function getCategories(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("categories")
+      .select("*")
+      .eq("user_id", userId)
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new custom category and return it
+ */
+export async function saveCategory(data) {
+  try {
+    const { data: category, error } = await supabase
+      .from("categories")
+      .insert({
+        user_id: data.userId,
+        name: data.name,
+        label: data.label,
+        parent: data.parent || null,
+        icon: data.icon || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return category;
+  } catch (error) {
+    console.error("Error saving category:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a custom category owned by the user.
+ * Returns the updated row, or null if the user has no such category.
+ */
+export async function updateCategory(userId, categoryId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("categories")
+      .update(updates)
+      .eq("id", categoryId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating category:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom category owned by the user. Its sub-categories move to
+ * the top level and rules learned for it are dropped; transactions keep
+ * the category name. Returns the deleted row, or null.
+ */
+export async function deleteCategory(userId, categoryId) {
+  try {
+    const { data, error } = await supabase
+      .from("categories")
+      .delete()
+      .eq("id", categoryId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const [children, rules] = await Promise.all([
+      supabase.from("categories").update({ parent: null }).eq("user_id", userId).eq("parent", data.name),
+      supabase.from("category_rules").delete().eq("user_id", userId).eq("category", data.name),
+    ]);
+    if (children.error) throw children.error;
+    if (rules.error) throw rules.error;
+
+    return data;
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the category rules learned for the user, most confirmed first
+ */
+export async function getCategoryRules(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("category_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .order("hits", { ascending: false })
+      .order("updated_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching category rules:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remember that notes matching pattern belong in category. Confirming the
+ * same category again counts another hit; a different category replaces
+ * the rule. Returns the saved rule.
+ */
+export async function learnCategoryRule(userId, pattern, category) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from("category_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("pattern", pattern)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    const { data, error } = await supabase
+      .from("category_rules")
+      .upsert(
+        {
+          user_id: userId,
+          pattern,
+          category,
+          hits: existing && existing.category === category ? existing.hits + 1 : 1,
+        },
+        { onConflict: "user_id,pattern" }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error learning category rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Forget a learned category rule.
+ * Returns the deleted rule, or null if the user has no such rule.
+ */
+export async function deleteCategoryRule(userId, ruleId) {
+  try {
+    const { data, error } = await supabase
+      .from("category_rules")
+      .delete()
+      .eq("id", ruleId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting category rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's accounts, by name
+ */
+export async function getAccounts(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("accounts")
+      .select("*")
+      .eq("user_id", userId)
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching accounts:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new account and return it
+ */
+export async function saveAccount(data) {
+  try {
+    const { data: account, error } = await supabase
+      .from("accounts")
+      .insert({
+        user_id: data.userId,
+        name: data.name,
+        type: data.type,
+        currency: data.currency,
+        opening_balance: data.opening_balance || 0,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return account;
+  } catch (error) {
+    console.error("Error saving account:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update an account owned by the user.
+ * Returns the updated row, or null if the user has no such account.
+ */
+export async function updateAccount(userId, accountId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("accounts")
+      .update(updates)
+      .eq("id", accountId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating account:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an account owned by the user (the caller checks it has no
+ * transactions). Returns the deleted row, null if the user has no such
+ * account, or false while deleted transactions, which can still be
+ * restored, are linked to it.
+ */
+export async function deleteAccount(userId, accountId) {
+  try {
+    const { data, error } = await supabase
+      .from("accounts")
+      .delete()
+      .eq("id", accountId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    // Foreign key violation: a deleted transaction still points at the account
+    if (error && error.code === "23503") return false;
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    throw error;
+  }
+}
+
+/**
+ * Current balance and transaction count of each of the user's accounts:
+ * [{ account_id, balance, transaction_count }]
+ */
+export async function getAccountBalances(userId) {
+  try {
+    const { data, error } = await supabase.rpc("account_balances", { p_user_id: userId });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching account balances:", error);
+    throw error;
+  }
+}
+
+/**
+ * An account's transactions, newest first, each with the change to the
+ * account (`change`) and the running balance after it (`balance`).
+ * Filters: startDate, endDate.
+ */
+export async function getAccountLedger(userId, accountId, filters = {}) {
+  try {
+    const { data, error } = await supabase.rpc("account_ledger", {
+      p_user_id: userId,
+      p_account_id: accountId,
+      p_start_date: filters.startDate || null,
+      p_end_date: filters.endDate || null,
+    });
+
+    if (error) throw error;
+    return (data || []).map((row) => ({ ...row, change: Number(row.change), balance: Number(row.balance) }));
+  } catch (error) {
+    console.error("Error fetching account ledger:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's savings goals, by name. options.status limits them to
+ * "active" or "archived" goals.
+ */
+export async function getGoals(userId, options = {}) {
+  try {
+    let query = supabase
+      .from("savings_goals")
+      .select("*")
+      .eq("user_id", userId)
+      .order("name", { ascending: true });
+
+    if (options.status) query = query.eq("status", options.status);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching goals:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of the user's goals, or null
+ */
+export async function getGoal(userId, goalId) {
+  try {
+    const { data, error } = await supabase
+      .from("savings_goals")
+      .select("*")
+      .eq("id", goalId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching goal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new goal and return it
+ */
+export async function saveGoal(data) {
+  try {
+    const { data: goal, error } = await supabase
+      .from("savings_goals")
+      .insert({
+        user_id: data.userId,
+        name: data.name,
+        target_amount: data.target_amount,
+        currency: data.currency,
+        deadline: data.deadline || null,
+        notes: data.notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return goal;
+  } catch (error) {
+    console.error("Error saving goal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a goal owned by the user.
+ * Returns the updated row, or null if the user has no such goal.
+ */
+export async function updateGoal(userId, goalId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("savings_goals")
+      .update(updates)
+      .eq("id", goalId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating goal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a goal owned by the user, with its contributions.
+ * Returns the deleted row, or null.
+ */
+export async function deleteGoal(userId, goalId) {
+  try {
+    const { data, error } = await supabase
+      .from("savings_goals")
+      .delete()
+      .eq("id", goalId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting goal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Amount saved toward each of the user's goals: [{ goal_id, saved,
+ * contribution_count, first_contribution_date, last_contribution_date }]
+ */
+export async function getGoalTotals(userId) {
+  try {
+    const { data, error } = await supabase.rpc("goal_totals", { p_user_id: userId });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching goal totals:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a goal's contributions, newest first
+ */
+export async function getGoalContributions(userId, goalId) {
+  try {
+    const { data, error } = await supabase
+      .from("goal_contributions")
+      .select("*")
+      .eq("goal_id", goalId)
+      .eq("user_id", userId)
+      .order("date", { ascending: false })
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching goal contributions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Record money put toward a goal (amount in the goal's currency) and
+ * return it
+ */
+export async function saveGoalContribution(data) {
+  try {
+    const { data: contribution, error } = await supabase
+      .from("goal_contributions")
+      .insert({
+        goal_id: data.goalId,
+        user_id: data.userId,
+        amount: data.amount,
+        date: data.date,
+        notes: data.notes || null,
+        source: data.source || "manual",
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return contribution;
+  } catch (error) {
+    console.error("Error saving goal contribution:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a contribution owned by the user. Returns the deleted row, or null.
+ */
+export async function deleteGoalContribution(userId, contributionId) {
+  try {
+    const { data, error } = await supabase
+      .from("goal_contributions")
+      .delete()
+      .eq("id", contributionId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting goal contribution:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the shared ledgers the user is a member of, each with the user's `role`
+ */
+export async function getLedgers(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_members")
+      .select("role, ledger:ledgers(*)")
+      .eq("user_id", userId);
+
+    if (error) throw error;
+    return (data || [])
+      .map((row) => ({ ...row.ledger, role: row.role }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error("Error fetching ledgers:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's membership of a ledger, with the ledger itself under
+ * `ledger`, or null if they aren't a member
+ */
+export async function getLedgerMembership(userId, ledgerId) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_members")
+      .select("*, ledger:ledgers(*)")
+      .eq("ledger_id", ledgerId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching ledger membership:", error);
+    throw error;
+  }
+}
+
+/**
+ * Create a ledger with the user as its owner (named memberName in it).
+ * Returns { ledger, member }.
+ */
+export async function saveLedger(data) {
+  try {
+    const { data: saved, error } = await supabase.rpc("create_ledger", {
+      p_user_id: data.userId,
+      p_name: data.name,
+      p_currency: data.currency,
+      p_member_name: data.memberName,
+    });
+
+    if (error) throw error;
+    return saved;
+  } catch (error) {
+    console.error("Error saving ledger:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a ledger (the caller checks the user owns it). Returns the updated row, or null.
+ */
+export async function updateLedger(ledgerId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("ledgers")
+      .update(updates)
+      .eq("id", ledgerId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating ledger:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a ledger with its members, splits and settlements (the caller
+ * checks the user owns it). Its transactions stay with the members who
+ * recorded them. Returns the deleted row, or null.
+ */
+export async function deleteLedger(ledgerId, audit = null) {
+  try {
+    const { data, error } = await supabase
+      .rpc("delete_ledger", { p_ledger_id: ledgerId })
+      .setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting ledger:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the members of a ledger, owners first
+ */
+export async function getLedgerMembers(ledgerId) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_members")
+      .select("*")
+      .eq("ledger_id", ledgerId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    const rank = { owner: 0, editor: 1, viewer: 2 };
+    return (data || []).sort((a, b) => rank[a.role] - rank[b.role]);
+  } catch (error) {
+    console.error("Error fetching ledger members:", error);
+    throw error;
+  }
+}
+
+/**
+ * Add a member to a ledger and return the saved row
+ */
+export async function saveLedgerMember(data) {
+  try {
+    const { data: member, error } = await supabase
+      .from("ledger_members")
+      .insert({
+        ledger_id: data.ledgerId,
+        user_id: data.user_id || null,
+        name: data.name,
+        role: data.role,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return member;
+  } catch (error) {
+    console.error("Error saving ledger member:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a member of a ledger. Returns the updated row, or null if the
+ * ledger has no such member.
+ */
+export async function updateLedgerMember(ledgerId, memberId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_members")
+      .update(updates)
+      .eq("id", memberId)
+      .eq("ledger_id", ledgerId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating ledger member:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from a ledger (the caller checks they have no splits or
+ * settlements). Returns the deleted row, null, or false while deleted
+ * transactions, which can still be restored, are split with or paid by them.
+ */
+export async function deleteLedgerMember(ledgerId, memberId) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_members")
+      .delete()
+      .eq("id", memberId)
+      .eq("ledger_id", ledgerId)
+      .select()
+      .maybeSingle();
+
+    // Foreign key violation: a deleted transaction still points at the member
+    if (error && error.code === "23503") return false;
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error removing ledger member:", error);
+    throw error;
+  }
+}
+
+/**
+ * Deleted transactions of a ledger that a member paid or has a share of:
+ * [{ id, date, amount, currency, notes }]
+ */
+export async function getDeletedMemberTransactions(ledgerId, memberId) {
+  try {
+    const { data, error } = await supabase
+      .from("transactions")
+      .select("id, date, amount, currency, notes, paid_by_member_id, transaction_splits(member_id)")
+      .eq("ledger_id", ledgerId)
+      .not("deleted_at", "is", null)
+      .order("date", { ascending: false });
+
+    if (error) throw error;
+    return (data || [])
+      .filter(
+        (row) =>
+          row.paid_by_member_id === memberId ||
+          (row.transaction_splits || []).some((split) => split.member_id === memberId)
+      )
+      .map(({ id, date, amount, currency, notes }) => ({ id, date, amount, currency, notes }));
+  } catch (error) {
+    console.error("Error fetching deleted member transactions:", error);
+    throw error;
+  }
+}
+
+/**
+ * The id of the user with an email address, or null
+ */
+export async function findUserIdByEmail(email) {
+  try {
+    const { data, error } = await supabase.rpc("find_user_id_by_email", { p_email: email });
+
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    console.error("Error looking up user by email:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save an expense in a shared ledger split between members, in one
+ * database transaction. `splits` are [{ member_id, amount }].
+ * Returns { transaction, splits }.
+ */
+export async function saveSplitTransaction(data, splits, audit = null) {
+  try {
+    const { data: saved, error } = await supabase.rpc("create_split_transaction", {
+      p_transaction: {
+        user_id: data.userId,
+        amount: data.amount,
+        currency: data.currency,
+        category: data.category,
+        notes: data.notes,
+        type: data.type,
+        date: data.date,
+        account_id: data.account_id || null,
+        ledger_id: data.ledger_id,
+        paid_by_member_id: data.paid_by_member_id,
+      },
+      p_splits: splits,
+    }).setHeader(AUDIT_HEADER, encodeAuditContext(audit));
+
+    if (error) throw error;
+    return saved;
+  } catch (error) {
+    console.error("Error saving split transaction:", error);
+    throw error;
+  }
+}
+
+/**
+ * What each member of a ledger is owed (positive) or owes (negative):
+ * [{ member_id, currency, balance }]
+ */
+export async function getLedgerBalances(ledgerId) {
+  try {
+    const { data, error } = await supabase.rpc("ledger_balances", { p_ledger_id: ledgerId });
+
+    if (error) throw error;
+    return (data || []).map((row) => ({ ...row, balance: Number(row.balance) }));
+  } catch (error) {
+    console.error("Error fetching ledger balances:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the settlements recorded in a ledger, newest first
+ */
+export async function getLedgerSettlements(ledgerId) {
+  try {
+    const { data, error } = await supabase
+      .from("ledger_settlements")
+      .select("*")
+      .eq("ledger_id", ledgerId)
+      .order("date", { ascending: false })
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching ledger settlements:", error);
+    throw error;
+  }
+}
+
+/**
+ * Record a payment between two members of a ledger and return the saved row
+ */
+export async function saveLedgerSettlement(data) {
+  try {
+    const { data: settlement, error } = await supabase
+      .from("ledger_settlements")
+      .insert({
+        ledger_id: data.ledgerId,
+        from_member_id: data.from_member_id,
+        to_member_id: data.to_member_id,
+        amount: data.amount,
+        currency: data.currency,
+        date: data.date,
+        notes: data.notes || null,
+        recorded_by: data.userId,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return settlement;
+  } catch (error) {
+    console.error("Error saving ledger settlement:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a recurring rule
+ */
+export async function saveRecurringRule(data) {
+  try {
+    const { data: rule, error } = await supabase
+      .from("recurring_rules")
+      .insert({
+        user_id: data.userId,
+        type: data.type,
+        amount: data.amount,
+        currency: data.currency || "BDT",
+        category: data.category,
+        notes: data.notes || null,
+        frequency: data.frequency,
+        interval_count: data.interval_count || 1,
+        day_of_month: data.day_of_month || null,
+        start_date: data.start_date,
+        end_date: data.end_date || null,
+        next_run_date: data.next_run_date,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return rule;
+  } catch (error) {
+    console.error("Error saving recurring rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get all recurring rules for a user
+ */
+export async function getRecurringRules(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .order("next_run_date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching recurring rules:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a recurring rule owned by the user, or null
+ */
+export async function getRecurringRule(userId, ruleId) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .select("*")
+      .eq("id", ruleId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching recurring rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a recurring rule owned by the user.
+ * Returns the updated row, or null if the user has no such rule.
+ */
+export async function updateRecurringRule(userId, ruleId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .update(updates)
+      .eq("id", ruleId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating recurring rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a recurring rule owned by the user.
+ * Returns the deleted row, or null if the user has no such rule.
+ */
+export async function deleteRecurringRule(userId, ruleId) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .delete()
+      .eq("id", ruleId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting recurring rule:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get active recurring rules (all users) with an occurrence due on or before a date
+ */
+export async function getDueRecurringRules(date) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .select("*")
+      .eq("active", true)
+      .lte("next_run_date", date)
+      .order("next_run_date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching due recurring rules:", error);
+    throw error;
+  }
+}
+
+/**
+ * Move a rule past its current occurrence. The update only applies if
+ * next_run_date is still the value we read, so when several server
+ * instances run the scheduler exactly one of them claims each occurrence.
+ * Returns the updated rule, or null if another run got there first.
+ */
+export async function claimRecurringRuleRun(rule, nextRunDate) {
+  try {
+    const { data, error } = await supabase
+      .from("recurring_rules")
+      .update({
+        next_run_date: nextRunDate,
+        last_run_date: rule.next_run_date,
+        active: !rule.end_date || nextRunDate <= rule.end_date,
+      })
+      .eq("id", rule.id)
+      .eq("next_run_date", rule.next_run_date)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error claiming recurring rule run:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get active auto-repaying loans (all users) with an installment due on or before a date
+ */
+export async function getDueLoanInstallments(date) {
+  try {
+    const { data, error } = await supabase
+      .from("loans")
+      .select("*")
+      .eq("status", "active")
+      .eq("auto_repay", true)
+      .is("deleted_at", null)
+      .not("monthly_installment", "is", null)
+      .lte("next_installment_date", date)
+      .order("next_installment_date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching due loan installments:", error);
+    throw error;
+  }
+}
+
+/**
+ * Move a loan's next installment date forward; same claiming rules as
+ * claimRecurringRuleRun. Returns the updated loan, or null.
+ */
+export async function claimLoanInstallment(loan, nextInstallmentDate) {
+  try {
+    const { data, error } = await supabase
+      .from("loans")
+      .update({ next_installment_date: nextInstallmentDate })
+      .eq("id", loan.id)
+      .eq("next_installment_date", loan.next_installment_date)
+      .select()
+      .maybeSingle()
+      .setHeader(AUDIT_HEADER, encodeAuditContext({ source: "scheduler" }));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error claiming loan installment:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a draft of extracted data awaiting confirmation
+ */
+export async function saveDraft(data) {
+  try {
+    const { data: draft, error } = await supabase
+      .from("drafts")
+      .insert({
+        user_id: data.userId,
+        mode: data.mode,
+        input_text: data.inputText || null,
+        session_id: data.sessionId || null,
+        data: data.data,
+        expires_at: data.expiresAt,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return draft;
+  } catch (error) {
+    console.error("Error saving draft:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a pending, unexpired draft owned by the user, or null
+ */
+export async function getDraft(userId, draftId) {
+  try {
+    const { data, error } = await supabase
+      .from("drafts")
+      .select("*")
+      .eq("id", draftId)
+      .eq("user_id", userId)
+      .eq("status", "pending")
+      .gt("expires_at", new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching draft:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the data of a pending, unexpired draft.
+ * Returns the updated draft, or null if there is no such draft.
+ */
+export async function updateDraftData(userId, draftId, draftData) {
+  try {
+    const { data, error } = await supabase
+      .from("drafts")
+      .update({ data: draftData })
+      .eq("id", draftId)
+      .eq("user_id", userId)
+      .eq("status", "pending")
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error updating draft:", error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a pending, unexpired draft as confirmed, storing its final data.
+ * Only one caller can claim a draft, so a double-tapped confirm saves once.
+ * Returns the claimed draft, or null.
+ */
+export async function claimDraft(userId, draftId, draftData) {
+  try {
+    const { data, error } = await supabase
+      .from("drafts")
+      .update({ status: "confirmed", data: draftData })
+      .eq("id", draftId)
+      .eq("user_id", userId)
+      .eq("status", "pending")
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error confirming draft:", error);
+    throw error;
+  }
+}
+
+/**
+ * Discard a pending draft owned by the user.
+ * Returns the deleted draft, or null if there is no such draft.
+ */
+export async function deleteDraft(userId, draftId) {
+  try {
+    const { data, error } = await supabase
+      .from("drafts")
+      .delete()
+      .eq("id", draftId)
+      .eq("user_id", userId)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error deleting draft:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove expired drafts (all users). Returns the number removed.
+ */
+export async function deleteExpiredDrafts() {
+  try {
+    const { data, error } = await supabase
+      .from("drafts")
+      .delete()
+      .lt("expires_at", new Date().toISOString())
+      .select("id");
+
+    if (error) throw error;
+    return (data || []).length;
+  } catch (error) {
+    console.error("Error deleting expired drafts:", error);
+    throw error;
+  }
+}
+
+/**
+ * Claim an idempotency key for a request ({ method, path, hash }) that is
+ * about to run. An expired claim on the same key is cleared first.
+ * Returns the new row, or null if the key is already taken.
+ */
+export async function claimIdempotencyKey(userId, key, request, expiresAt) {
+  try {
+    const { error: expiredError } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .eq("user_id", userId)
+      .eq("key", key)
+      .lt("expires_at", new Date().toISOString());
+
+    if (expiredError) throw expiredError;
+
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .insert({
+        user_id: userId,
+        key,
+        request_method: request.method,
+        request_path: request.path,
+        request_hash: request.hash,
+        expires_at: expiresAt,
+      })
+      .select()
+      .single();
+
+    // Unique violation: a request with this key already ran or is running
+    if (error && error.code === "23505") return null;
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error claiming idempotency key:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get an idempotency key row of the user, or null
+ */
+export async function getIdempotencyKey(userId, key) {
+  try {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("key", key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching idempotency key:", error);
+    throw error;
+  }
+}
+
+/**
+ * Store the response of the request that claimed an idempotency key
+ */
+export async function completeIdempotencyKey(userId, key, statusCode, response) {
+  try {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .update({ status_code: statusCode, response })
+      .eq("user_id", userId)
+      .eq("key", key);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("Error saving idempotent response:", error);
+    throw error;
+  }
+}
+
+/**
+ * Give up an idempotency key so the request can be retried
+ */
+export async function releaseIdempotencyKey(userId, key) {
+  try {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .eq("user_id", userId)
+      .eq("key", key);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("Error releasing idempotency key:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove expired idempotency keys (all users). Returns the number removed.
+ */
+export async function deleteExpiredIdempotencyKeys() {
+  try {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .lt("expires_at", new Date().toISOString())
+      .select("key");
+
+    if (error) throw error;
+    return (data || []).length;
+  } catch (error) {
+    console.error("Error deleting expired idempotency keys:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a parsed statement as an import batch awaiting review
+ */
+export async function saveImportBatch(data) {
+  try {
+    const { data: batch, error } = await supabase
+      .from("import_batches")
+      .insert({
+        user_id: data.userId,
+        format: data.format,
+        filename: data.filename || null,
+        rows: data.rows,
+        errors: data.errors || [],
+        row_count: data.rows.length,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return batch;
+  } catch (error) {
+    console.error("Error saving import batch:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get an import batch owned by the user, or null
+ */
+export async function getImportBatch(userId, batchId) {
+  try {
+    const { data, error } = await supabase
+      .from("import_batches")
+      .select("*")
+      .eq("id", batchId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error fetching import batch:", error);
+    throw error;
+  }
+}
+
+/**
+ * List the user's import batches, newest first (without their rows)
+ */
+export async function getImportBatches(userId) {
+  try {
+    const { data, error } = await supabase
+      .from("import_batches")
+      .select("id, format, filename, status, row_count, imported_count, created_at, committed_at, rolled_back_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching import batches:", error);
+    throw error;
+  }
+}
+
+/**
+ * Commit an import batch in preview: store the reviewed rows and save the
+ * included ones as transactions, in one database transaction (logged as
+ * one "import" operation). Only one caller can commit a batch, so a
+ * repeated commit imports once.
+ * Returns { batch, transactions }, or null if the batch isn't in preview.
+ */
+export async function commitImportBatch(userId, batchId, rows) {
+  try {
+    const { data, error } = await supabase
+      .rpc("commit_import_batch", { p_user_id: userId, p_batch_id: batchId, p_rows: rows })
+      .setHeader(AUDIT_HEADER, encodeAuditContext({ source: "import", actorId: userId }));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error committing import batch:", error);
+    throw error;
+  }
+}
+
+/**
+ * Undo an import: a committed batch is marked rolled back and its
+ * transactions deleted, together (they can be restored like any deleted
+ * transaction); a batch still in preview is simply discarded.
+ * Returns { batch, removed } or null if the user has no such batch
+ * (or it was already rolled back).
+ */
+export async function rollbackImportBatch(userId, batchId) {
+  try {
+    const { data, error } = await supabase
+      .rpc("rollback_import_batch", { p_user_id: userId, p_batch_id: batchId })
+      .setHeader(AUDIT_HEADER, encodeAuditContext({ source: "import", actorId: userId }));
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error rolling back import batch:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's audit log, newest first. Filters: table, recordId (the
+ * history of one transaction or loan), operationId and limit.
+ */
+export async function getAuditLog(userId, filters = {}) {
+  try {
+    let query = supabase
+      .from("audit_log")
+      .select("*")
+      .eq("user_id", userId);
+
+    if (filters.table) query = query.eq("table_name", filters.table);
+    if (filters.recordId) query = query.eq("record_id", filters.recordId);
+    if (filters.operationId) query = query.eq("operation_id", filters.operationId);
+
+    const { data, error } = await query
+      .order("id", { ascending: false })
+      .limit(filters.limit || 50);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    throw error;
+  }
+}
+
+/**
+ * Undo the user's last `count` operations, newest first (see undo_changes
+ * in the migrations). Returns { undone, conflict } where conflict is the
+ * id of an operation that couldn't be undone because its rows changed
+ * since, which stopped the undo there.
+ */
+export async function undoChanges(userId, count) {
+  try {
+    const { data, error } = await supabase.rpc("undo_changes", {
+      p_user_id: userId,
+      p_count: count,
+      p_context: { source: "undo", actor_id: userId },
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error("Error undoing changes:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get an unexpired conversation session's state, or null
+ */
+export async function getChatSession(userId, sessionId) {
+  try {
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .select("data")
+      .eq("user_id", userId)
+      .eq("session_id", sessionId)
+      .gt("expires_at", new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.data : null;
+  } catch (error) {
+    console.error("Error fetching chat session:", error);
+    throw error;
+  }
+}
+
+/**
+ * Store a conversation session's state, replacing what was there
+ */
+export async function saveChatSession(session, expiresAt) {
+  try {
+    const { error } = await supabase.from("chat_sessions").upsert(
+      {
+        user_id: session.userId,
+        session_id: session.sessionId,
+        data: session,
+        expires_at: expiresAt,
+      },
+      { onConflict: "user_id,session_id" }
+    );
+
+    if (error) throw error;
+  } catch (error) {
+    console.error("Error saving chat session:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove expired conversation sessions (all users). Returns the number removed.
+ */
+export async function deleteExpiredChatSessions() {
+  try {
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .delete()
+      .lt("expires_at", new Date().toISOString())
+      .select("id");
+
+    if (error) throw error;
+    return (data || []).length;
+  } catch (error) {
+    console.error("Error deleting expired chat sessions:", error);
+    throw error;
+  }
+}
+
 /**
  * Save user feedback to the database
  */
@@ -0,0 +1,1169 @@
+/**
+ * Input validation for manually entered data (request bodies and query strings).
+ * Validators return { values, errors } where errors is a list of
+ * { field, message } objects suitable for a 400 response.
+ */
+
+import { ACCOUNT_TYPES } from "./accounts.js";
+import { AUDITED_TABLES, MAX_UNDO_COUNT } from "./audit.js";
+import { categorySlug } from "./categories.js";
+import { isValidTimeZone } from "./dates.js";
+import { EXPORT_DATASETS, EXPORT_FORMATS } from "./export.js";
+import { GOAL_STATUSES } from "./goals.js";
+import { IMPORT_FORMATS } from "./importer.js";
+import { LANGUAGE_PREFERENCES } from "./language.js";
+import { LEDGER_ROLES } from "./ledgers.js";
+import { RECURRENCE_FREQUENCIES } from "./recurrence.js";
+import { MAX_DAILY_POINTS, SUMMARY_PERIODS, daysBetween } from "./summary.js";
+
+export const TRANSACTION_TYPES = ["expense", "income", "transfer"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+const TIMESTAMP_PATTERN = /^[0-9T:.+\- Z]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    !Number.isNaN(new Date(value).getTime())
+  );
+}
+
+function isValidMonth(value) {
+  return typeof value === "string" && MONTH_PATTERN.test(value);
+}
+
+function toNumber(value) {
+  if (value === "" || value === null || value === undefined) return NaN;
+  return Number(value);
+}
+
+/**
+ * Validate a transaction body for create (all required fields) or
+ * update (partial: only the fields present are checked)
+ */
+export function validateTransactionInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("amount") || !partial) {
+    const amount = toNumber(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      errors.push({ field: "amount", message: "amount must be a positive number" });
+    } else {
+      values.amount = Math.round(amount * 100) / 100;
+    }
+  }
+
+  if (has("type") || !partial) {
+    if (!TRANSACTION_TYPES.includes(input.type)) {
+      errors.push({ field: "type", message: `type must be one of: ${TRANSACTION_TYPES.join(", ")}` });
+    } else {
+      values.type = input.type;
+    }
+  }
+
+  if (has("date") || !partial) {
+    if (!has("date") && !partial) {
+      values.date = new Date().toISOString().split("T")[0];
+    } else if (!isValidDate(input.date)) {
+      errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+    } else {
+      values.date = input.date;
+    }
+  }
+
+  if (has("category") || !partial) {
+    const category = has("category") ? String(input.category).trim().toLowerCase() : "other";
+    if (!category || category.length > 50) {
+      errors.push({ field: "category", message: "category must be 1-50 characters" });
+    } else {
+      values.category = category;
+    }
+  }
+
+  if (has("currency") || !partial) {
+    const currency = has("currency") ? String(input.currency).trim() : defaultCurrency;
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+    } else {
+      values.currency = currency.toUpperCase();
+    }
+  }
+
+  if (has("notes")) {
+    values.notes = input.notes === null ? null : String(input.notes);
+  }
+
+  for (const [field, column] of [["accountId", "account_id"], ["toAccountId", "to_account_id"]]) {
+    if (!has(field)) continue;
+    if (input[field] !== null && !UUID_PATTERN.test(String(input[field]))) {
+      errors.push({ field, message: `${field} must be an account id or null` });
+    } else {
+      values[column] = input[field];
+    }
+  }
+
+  if (has("toAmount")) {
+    const toAmount = input.toAmount === null ? null : toNumber(input.toAmount);
+    if (toAmount !== null && (!Number.isFinite(toAmount) || toAmount <= 0)) {
+      errors.push({ field: "toAmount", message: "toAmount must be a positive number or null" });
+    } else {
+      values.to_amount = toAmount === null ? null : Math.round(toAmount * 100) / 100;
+    }
+  }
+
+  if (!partial) {
+    if (values.type === "transfer" && !has("category")) values.category = "transfer";
+    errors.push(...transferErrors(values));
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Check the account fields of a transaction row (after an update is
+ * applied): a transfer moves money between two different accounts, and
+ * only a transfer has a receiving account
+ */
+export function transferErrors(row) {
+  const errors = [];
+  if (row.type === "transfer") {
+    if (!row.account_id) errors.push({ field: "accountId", message: "accountId is required for a transfer" });
+    if (!row.to_account_id) errors.push({ field: "toAccountId", message: "toAccountId is required for a transfer" });
+    if (row.account_id && row.account_id === row.to_account_id) {
+      errors.push({ field: "toAccountId", message: "toAccountId must differ from accountId" });
+    }
+  } else if (row.to_account_id || row.to_amount) {
+    errors.push({ field: "toAccountId", message: "only a transfer has toAccountId and toAmount" });
+  }
+  return errors;
+}
+
+/**
+ * Validate an account body: name, type (one of ACCOUNT_TYPES), currency
+ * and openingBalance (may be negative, e.g. a credit card's debt).
+ * Values are returned in database column form.
+ */
+export function validateAccountInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = has("name") && input.name !== null ? String(input.name).trim() : "";
+    if (!name || name.length > 100) {
+      errors.push({ field: "name", message: "name must be 1-100 characters" });
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has("type") || !partial) {
+    if (!ACCOUNT_TYPES.includes(input.type)) {
+      errors.push({ field: "type", message: `type must be one of: ${ACCOUNT_TYPES.join(", ")}` });
+    } else {
+      values.type = input.type;
+    }
+  }
+
+  if (has("currency") || !partial) {
+    const currency = has("currency") ? String(input.currency).trim() : defaultCurrency;
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+    } else {
+      values.currency = currency.toUpperCase();
+    }
+  }
+
+  if (has("openingBalance") || !partial) {
+    const balance = has("openingBalance") ? toNumber(input.openingBalance) : 0;
+    if (!Number.isFinite(balance)) {
+      errors.push({ field: "openingBalance", message: "openingBalance must be a number" });
+    } else {
+      values.opening_balance = Math.round(balance * 100) / 100;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a shared ledger body: name and currency, plus on create
+ * memberName (how the owner appears in the ledger; optional)
+ */
+export function validateLedgerInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = has("name") && input.name !== null ? String(input.name).trim() : "";
+    if (!name || name.length > 100) {
+      errors.push({ field: "name", message: "name must be 1-100 characters" });
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has("currency") || !partial) {
+    const currency = has("currency") ? String(input.currency).trim() : defaultCurrency;
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+    } else {
+      values.currency = currency.toUpperCase();
+    }
+  }
+
+  if (!partial && has("memberName")) {
+    const memberName = input.memberName === null ? "" : String(input.memberName).trim();
+    if (!memberName || memberName.length > 100) {
+      errors.push({ field: "memberName", message: "memberName must be 1-100 characters" });
+    } else {
+      values.memberName = memberName;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a ledger member body: name (how messages refer to them, e.g.
+ * "split with Rafi"), role (one of LEDGER_ROLES, default editor) and, on
+ * create, the email of their account if they use the app
+ */
+export function validateLedgerMemberInput(input = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = has("name") && input.name !== null ? String(input.name).trim() : "";
+    if (!name || name.length > 100) {
+      errors.push({ field: "name", message: "name must be 1-100 characters" });
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has("role") || !partial) {
+    const role = has("role") ? input.role : "editor";
+    if (!LEDGER_ROLES.includes(role)) {
+      errors.push({ field: "role", message: `role must be one of: ${LEDGER_ROLES.join(", ")}` });
+    } else {
+      values.role = role;
+    }
+  }
+
+  if (!partial && has("email") && input.email !== null) {
+    const email = String(input.email).trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.push({ field: "email", message: "email must be an email address" });
+    } else {
+      values.email = email;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate how an expense of `amount` is split: paidBy (the member who
+ * paid; optional) and splits, the members sharing it as [{ memberId,
+ * amount }]. Amounts are either all left out (equal shares) or all given
+ * and add up to the expense. Returns values { paid_by_member_id, splits:
+ * [{ member_id, amount }] } with amount null for equal shares.
+ */
+export function validateSplitInput(input = {}, amount) {
+  const values = {};
+  const errors = [];
+
+  if (input.paidBy !== undefined) {
+    if (!UUID_PATTERN.test(String(input.paidBy))) {
+      errors.push({ field: "paidBy", message: "paidBy must be a member id" });
+    } else {
+      values.paid_by_member_id = input.paidBy;
+    }
+  }
+
+  if (!Array.isArray(input.splits) || !input.splits.length) {
+    errors.push({ field: "splits", message: "splits must list at least one member" });
+    return { values, errors };
+  }
+
+  const splits = [];
+  input.splits.forEach((split, index) => {
+    const memberId = split && split.memberId;
+    if (!UUID_PATTERN.test(String(memberId))) {
+      errors.push({ field: `splits[${index}].memberId`, message: "memberId must be a member id" });
+      return;
+    }
+    if (splits.some((existing) => existing.member_id === memberId)) {
+      errors.push({ field: `splits[${index}].memberId`, message: "each member can only appear once" });
+      return;
+    }
+    const share = split.amount === undefined ? null : toNumber(split.amount);
+    if (share !== null && (!Number.isFinite(share) || share < 0)) {
+      errors.push({ field: `splits[${index}].amount`, message: "amount must be zero or more" });
+      return;
+    }
+    splits.push({ member_id: memberId, amount: share === null ? null : Math.round(share * 100) / 100 });
+  });
+
+  const given = splits.filter((split) => split.amount !== null);
+  if (given.length && given.length !== splits.length) {
+    errors.push({ field: "splits", message: "give an amount for every member or for none" });
+  } else if (given.length && Number.isFinite(amount)) {
+    const total = Math.round(given.reduce((sum, split) => sum + split.amount * 100, 0));
+    if (total !== Math.round(amount * 100)) {
+      errors.push({ field: "splits", message: "split amounts must add up to the expense amount" });
+    }
+  }
+
+  values.splits = splits;
+  return { values, errors };
+}
+
+/**
+ * Validate a settlement between two ledger members: fromMemberId paid
+ * toMemberId amount in currency on date (default today), with optional notes
+ */
+export function validateSettlementInput(input = {}, { defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, column] of [["fromMemberId", "from_member_id"], ["toMemberId", "to_member_id"]]) {
+    if (!UUID_PATTERN.test(String(input[field]))) {
+      errors.push({ field, message: `${field} must be a member id` });
+    } else {
+      values[column] = input[field];
+    }
+  }
+  if (values.from_member_id && values.from_member_id === values.to_member_id) {
+    errors.push({ field: "toMemberId", message: "toMemberId must differ from fromMemberId" });
+  }
+
+  const amount = toNumber(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.push({ field: "amount", message: "amount must be a positive number" });
+  } else {
+    values.amount = Math.round(amount * 100) / 100;
+  }
+
+  const currency = input.currency !== undefined ? String(input.currency).trim() : defaultCurrency;
+  if (!CURRENCY_PATTERN.test(currency)) {
+    errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+  } else {
+    values.currency = currency.toUpperCase();
+  }
+
+  if (input.date === undefined) {
+    values.date = new Date().toISOString().split("T")[0];
+  } else if (!isValidDate(input.date)) {
+    errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+  } else {
+    values.date = input.date;
+  }
+
+  if (input.notes !== undefined && input.notes !== null) {
+    values.notes = String(input.notes);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a savings goal body: name, targetAmount, currency, deadline
+ * (YYYY-MM-DD or null), notes and status (one of GOAL_STATUSES).
+ * Values are returned in database column form.
+ */
+export function validateGoalInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = has("name") && input.name !== null ? String(input.name).trim() : "";
+    if (!name || name.length > 100) {
+      errors.push({ field: "name", message: "name must be 1-100 characters" });
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has("targetAmount") || !partial) {
+    const amount = toNumber(input.targetAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      errors.push({ field: "targetAmount", message: "targetAmount must be a positive number" });
+    } else {
+      values.target_amount = Math.round(amount * 100) / 100;
+    }
+  }
+
+  if (has("currency") || !partial) {
+    const currency = has("currency") ? String(input.currency).trim() : defaultCurrency;
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+    } else {
+      values.currency = currency.toUpperCase();
+    }
+  }
+
+  if (has("deadline")) {
+    if (input.deadline !== null && !isValidDate(input.deadline)) {
+      errors.push({ field: "deadline", message: "deadline must be in YYYY-MM-DD format or null" });
+    } else {
+      values.deadline = input.deadline;
+    }
+  }
+
+  if (has("notes")) {
+    values.notes = input.notes === null ? null : String(input.notes);
+  }
+
+  if (has("status")) {
+    if (!GOAL_STATUSES.includes(input.status)) {
+      errors.push({ field: "status", message: `status must be one of: ${GOAL_STATUSES.join(", ")}` });
+    } else {
+      values.status = input.status;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a goal contribution: amount in currency (default the goal's)
+ * on date (default today), with optional notes
+ */
+export function validateGoalContributionInput(input = {}, { defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const amount = toNumber(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.push({ field: "amount", message: "amount must be a positive number" });
+  } else {
+    values.amount = Math.round(amount * 100) / 100;
+  }
+
+  const currency = input.currency !== undefined ? String(input.currency).trim() : defaultCurrency;
+  if (!CURRENCY_PATTERN.test(currency)) {
+    errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+  } else {
+    values.currency = currency.toUpperCase();
+  }
+
+  if (input.date === undefined) {
+    values.date = new Date().toISOString().split("T")[0];
+  } else if (!isValidDate(input.date)) {
+    errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+  } else {
+    values.date = input.date;
+  }
+
+  if (input.notes !== undefined && input.notes !== null) {
+    values.notes = String(input.notes);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Encode the position after a row as an opaque pagination cursor
+ */
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.date, row.created_at, row.id])).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [date, createdAt, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (
+      !isValidDate(date) ||
+      !TIMESTAMP_PATTERN.test(createdAt) ||
+      !UUID_PATTERN.test(id)
+    ) {
+      return null;
+    }
+    return { date, created_at: createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate the query string of the transaction listing endpoint
+ */
+export function parseTransactionFilters(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  if (query.limit !== undefined) {
+    const limit = toNumber(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      errors.push({ field: "limit", message: "limit must be an integer between 1 and 500" });
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push({ field: "cursor", message: "cursor is invalid" });
+    } else {
+      filters.cursor = cursor;
+    }
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (query[field] === undefined) continue;
+    if (!isValidDate(query[field])) {
+      errors.push({ field, message: `${field} must be in YYYY-MM-DD format` });
+    } else {
+      filters[field] = query[field];
+    }
+  }
+
+  if (query.type !== undefined) {
+    if (!TRANSACTION_TYPES.includes(query.type)) {
+      errors.push({ field: "type", message: `type must be one of: ${TRANSACTION_TYPES.join(", ")}` });
+    } else {
+      filters.type = query.type;
+    }
+  }
+
+  if (query.category) filters.category = String(query.category).toLowerCase();
+  if (query.currency) filters.currency = String(query.currency).toUpperCase();
+
+  for (const field of ["minAmount", "maxAmount"]) {
+    if (query[field] === undefined) continue;
+    const amount = toNumber(query[field]);
+    if (!Number.isFinite(amount)) {
+      errors.push({ field, message: `${field} must be a number` });
+    } else {
+      filters[field] = amount;
+    }
+  }
+
+  if (query.search) filters.search = String(query.search).trim();
+
+  if (query.deleted !== undefined) {
+    if (!["true", "false"].includes(query.deleted)) {
+      errors.push({ field: "deleted", message: "deleted must be true or false" });
+    } else {
+      filters.deleted = query.deleted === "true";
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Validate the query string of the summary endpoint
+ */
+export function parseSummaryQuery(query = {}) {
+  const options = { period: query.period || "month" };
+  const errors = [];
+
+  if (!SUMMARY_PERIODS.includes(options.period)) {
+    errors.push({ field: "period", message: `period must be one of: ${SUMMARY_PERIODS.join(", ")}` });
+  }
+
+  if (query.date !== undefined) {
+    if (!isValidDate(query.date)) {
+      errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+    } else {
+      options.date = query.date;
+    }
+  }
+
+  if (options.period === "custom") {
+    for (const field of ["startDate", "endDate"]) {
+      if (!isValidDate(query[field])) {
+        errors.push({ field, message: `${field} is required for a custom period (YYYY-MM-DD)` });
+      } else {
+        options[field] = query[field];
+      }
+    }
+    if (options.startDate && options.endDate && options.startDate > options.endDate) {
+      errors.push({ field: "endDate", message: "endDate must not be before startDate" });
+    }
+  }
+
+  if (query.interval !== undefined) {
+    if (!["day", "month"].includes(query.interval)) {
+      errors.push({ field: "interval", message: "interval must be day or month" });
+    } else {
+      options.interval = query.interval;
+    }
+  }
+
+  if (
+    options.interval === "day" &&
+    options.startDate &&
+    options.endDate &&
+    options.startDate <= options.endDate &&
+    daysBetween(options.startDate, options.endDate) > MAX_DAILY_POINTS
+  ) {
+    errors.push({
+      field: "interval",
+      message: `interval=day covers at most ${MAX_DAILY_POINTS} days; use month for longer ranges`,
+    });
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Validate a budget body. Months are given as YYYY-MM and returned as the
+ * first day of the month (YYYY-MM-01), which is how budgets are stored.
+ */
+export function validateBudgetInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const has = (field) => input[field] !== undefined;
+
+  if (has("amount") || !partial) {
+    const amount = toNumber(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      errors.push({ field: "amount", message: "amount must be a positive number" });
+    } else {
+      values.amount = Math.round(amount * 100) / 100;
+    }
+  }
+
+  if (!partial) {
+    const category = has("category") ? String(input.category).trim().toLowerCase() : "";
+    if (!category || category.length > 50) {
+      errors.push({ field: "category", message: "category must be 1-50 characters" });
+    } else {
+      values.category = category;
+    }
+
+    const currency = has("currency") ? String(input.currency).trim() : defaultCurrency;
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+    } else {
+      values.currency = currency.toUpperCase();
+    }
+
+    const month = has("month") ? input.month : new Date().toISOString().slice(0, 7);
+    if (!isValidMonth(month)) {
+      errors.push({ field: "month", message: "month must be in YYYY-MM format" });
+    } else {
+      values.month = `${month}-01`;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate an optional ?month=YYYY-MM query parameter
+ */
+export function parseMonthQuery(query = {}, { defaultToCurrent = false } = {}) {
+  if (query.month === undefined) {
+    return {
+      month: defaultToCurrent ? `${new Date().toISOString().slice(0, 7)}-01` : null,
+      errors: [],
+    };
+  }
+  if (!isValidMonth(query.month)) {
+    return {
+      month: null,
+      errors: [{ field: "month", message: "month must be in YYYY-MM format" }],
+    };
+  }
+  return { month: `${query.month}-01`, errors: [] };
+}
+
+/**
+ * Parse export query parameters: format (csv or xlsx, default csv),
+ * dataset (transactions or loans, CSV only since a workbook holds both)
+ * and an optional startDate/endDate range
+ */
+export function parseExportQuery(query = {}) {
+  const options = {
+    format: query.format || "csv",
+    dataset: query.dataset || "transactions",
+  };
+  const errors = [];
+
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    errors.push({ field: "format", message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+  if (!EXPORT_DATASETS.includes(options.dataset)) {
+    errors.push({ field: "dataset", message: `dataset must be one of: ${EXPORT_DATASETS.join(", ")}` });
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (query[field] === undefined) continue;
+    if (!isValidDate(query[field])) {
+      errors.push({ field, message: `${field} must be in YYYY-MM-DD format` });
+    } else {
+      options[field] = query[field];
+    }
+  }
+  if (options.startDate && options.endDate && options.startDate > options.endDate) {
+    errors.push({ field: "endDate", message: "endDate must not be before startDate" });
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Validate a recurring rule body (camelCase fields) and return the values
+ * in database column form. On create, amount, type and frequency are
+ * required; startDate defaults to today.
+ */
+export function validateRecurringRuleInput(input = {}, { partial = false, defaultCurrency = "BDT" } = {}) {
+  const base = validateTransactionInput(
+    {
+      amount: input.amount,
+      type: input.type,
+      category: input.category,
+      currency: input.currency,
+      notes: input.notes,
+    },
+    { partial: true }
+  );
+  const values = { ...base.values };
+  const errors = base.errors.filter((error) => error.field !== null);
+
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial) {
+    if (!has("amount")) errors.push({ field: "amount", message: "amount is required" });
+    if (!has("type")) errors.push({ field: "type", message: "type is required" });
+    values.category = values.category || "other";
+    values.currency = values.currency || defaultCurrency;
+  }
+  if (values.type === "transfer") {
+    errors.push({ field: "type", message: "type must be expense or income" });
+  }
+
+  if (has("frequency") || !partial) {
+    if (!RECURRENCE_FREQUENCIES.includes(input.frequency)) {
+      errors.push({ field: "frequency", message: `frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}` });
+    } else {
+      values.frequency = input.frequency;
+    }
+  }
+
+  if (has("interval")) {
+    const interval = toNumber(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      errors.push({ field: "interval", message: "interval must be an integer between 1 and 365" });
+    } else {
+      values.interval_count = interval;
+    }
+  }
+
+  if (has("dayOfMonth")) {
+    const day = input.dayOfMonth === null ? null : toNumber(input.dayOfMonth);
+    if (day !== null && (!Number.isInteger(day) || day < 1 || day > 31)) {
+      errors.push({ field: "dayOfMonth", message: "dayOfMonth must be an integer between 1 and 31" });
+    } else {
+      values.day_of_month = day;
+    }
+  }
+
+  if (has("startDate") || !partial) {
+    const startDate = has("startDate") ? input.startDate : new Date().toISOString().split("T")[0];
+    if (!isValidDate(startDate)) {
+      errors.push({ field: "startDate", message: "startDate must be in YYYY-MM-DD format" });
+    } else {
+      values.start_date = startDate;
+    }
+  }
+
+  if (has("endDate")) {
+    if (input.endDate !== null && !isValidDate(input.endDate)) {
+      errors.push({ field: "endDate", message: "endDate must be in YYYY-MM-DD format" });
+    } else {
+      values.end_date = input.endDate;
+    }
+  }
+
+  if (values.start_date && values.end_date && values.end_date < values.start_date) {
+    errors.push({ field: "endDate", message: "endDate must not be before startDate" });
+  }
+
+  if (has("active")) {
+    if (typeof input.active !== "boolean") {
+      errors.push({ field: "active", message: "active must be true or false" });
+    } else {
+      values.active = input.active;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a custom category body: name (create only; stored as a code
+ * such as "mobile_recharge"), label, parent (the name of the category to
+ * nest under, or null) and icon. Whether the parent exists is checked by
+ * the caller.
+ */
+export function validateCategoryInput(input = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (partial) {
+    if (input.name !== undefined) {
+      errors.push({ field: "name", message: "name cannot be changed; edit label instead" });
+    }
+  } else {
+    const name = categorySlug(input.name);
+    if (!name || name.length > 50) {
+      errors.push({ field: "name", message: "name must be 1-50 letters or numbers" });
+    } else {
+      values.name = name;
+      values.label = String(input.name).trim();
+    }
+  }
+
+  if (input.label !== undefined) {
+    const label = String(input.label).trim();
+    if (!label || label.length > 100) {
+      errors.push({ field: "label", message: "label must be 1-100 characters" });
+    } else {
+      values.label = label;
+    }
+  }
+
+  if (input.parent !== undefined) {
+    const parent = input.parent === null ? null : categorySlug(input.parent);
+    if (parent === "") {
+      errors.push({ field: "parent", message: "parent must be a category name or null" });
+    } else {
+      values.parent = parent;
+    }
+  }
+
+  if (input.icon !== undefined) {
+    const icon = input.icon === null ? null : String(input.icon).trim();
+    if (icon !== null && (!icon || icon.length > 50)) {
+      errors.push({ field: "icon", message: "icon must be 1-50 characters or null" });
+    } else {
+      values.icon = icon;
+    }
+  }
+
+  if (partial && Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a user settings update (camelCase fields) and return the values
+ * in database column form
+ */
+export function validateUserSettingsInput(input = {}) {
+  const values = {};
+  const errors = [];
+
+  if (input.homeCurrency !== undefined) {
+    if (!CURRENCY_PATTERN.test(String(input.homeCurrency))) {
+      errors.push({ field: "homeCurrency", message: "homeCurrency must be a 3-letter ISO code" });
+    } else {
+      values.home_currency = String(input.homeCurrency).toUpperCase();
+    }
+  }
+
+  if (input.language !== undefined) {
+    if (!LANGUAGE_PREFERENCES.includes(input.language)) {
+      errors.push({ field: "language", message: `language must be one of: ${LANGUAGE_PREFERENCES.join(", ")}` });
+    } else {
+      values.language = input.language;
+    }
+  }
+
+  if (input.timezone !== undefined) {
+    if (!isValidTimeZone(input.timezone)) {
+      errors.push({ field: "timezone", message: "timezone must be an IANA timezone such as Asia/Dhaka" });
+    } else {
+      values.timezone = input.timezone;
+    }
+  }
+
+  if (Object.keys(values).length === 0 && errors.length === 0) {
+    errors.push({ field: null, message: "No updatable fields provided" });
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a manually entered exchange rate: { currency, unitsPerUsd, date }
+ */
+export function validateExchangeRateInput(input = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!CURRENCY_PATTERN.test(String(input.currency || ""))) {
+    errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+  } else {
+    values.currency = String(input.currency).toUpperCase();
+  }
+
+  const unitsPerUsd = toNumber(input.unitsPerUsd);
+  if (!Number.isFinite(unitsPerUsd) || unitsPerUsd <= 0) {
+    errors.push({ field: "unitsPerUsd", message: "unitsPerUsd must be a positive number" });
+  } else {
+    values.units_per_usd = unitsPerUsd;
+  }
+
+  const date = input.date === undefined ? new Date().toISOString().split("T")[0] : input.date;
+  if (!isValidDate(date)) {
+    errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+  } else {
+    values.rate_date = date;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate a repayment posted against a specific loan. The currency
+ * defaults to the loan's own.
+ */
+export function validateLoanRepaymentInput(input = {}, { defaultCurrency = "BDT" } = {}) {
+  const values = {};
+  const errors = [];
+
+  const amount = toNumber(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.push({ field: "amount", message: "amount must be a positive number" });
+  } else {
+    values.amount = amount;
+  }
+
+  const currency = input.currency === undefined ? defaultCurrency : input.currency;
+  if (!CURRENCY_PATTERN.test(String(currency || ""))) {
+    errors.push({ field: "currency", message: "currency must be a 3-letter ISO code" });
+  } else {
+    values.currency = String(currency).toUpperCase();
+  }
+
+  const date = input.date === undefined ? new Date().toISOString().split("T")[0] : input.date;
+  if (!isValidDate(date)) {
+    errors.push({ field: "date", message: "date must be in YYYY-MM-DD format" });
+  } else {
+    values.date = date;
+  }
+
+  return { values, errors };
+}
+
+const MAPPING_FIELDS = ["date", "amount", "debit", "credit", "description", "type", "currency", "reference"];
+const DATE_ORDERS = ["DMY", "MDY", "YMD"];
+
+/**
+ * Validate the form fields sent with a statement upload: format (optional,
+ * detected from the file when missing) and mapping (a JSON object naming
+ * the columns to read)
+ */
+export function validateImportInput(input = {}) {
+  const values = {};
+  const errors = [];
+
+  if (input.format !== undefined && input.format !== "") {
+    if (!IMPORT_FORMATS.includes(input.format)) {
+      errors.push({ field: "format", message: `format must be one of: ${IMPORT_FORMATS.join(", ")}` });
+    } else {
+      values.format = input.format;
+    }
+  }
+
+  values.mapping = {};
+  if (input.mapping !== undefined && input.mapping !== "") {
+    let mapping = input.mapping;
+    if (typeof mapping === "string") {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        mapping = null;
+      }
+    }
+
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      errors.push({ field: "mapping", message: "mapping must be a JSON object" });
+    } else {
+      MAPPING_FIELDS.forEach((field) => {
+        const column = mapping[field];
+        if (column === undefined || column === null) return;
+        if (typeof column !== "string" && !Number.isInteger(column)) {
+          errors.push({ field: `mapping.${field}`, message: `mapping.${field} must be a column name or number` });
+        } else {
+          values.mapping[field] = column;
+        }
+      });
+
+      if (mapping.dateOrder !== undefined) {
+        if (!DATE_ORDERS.includes(mapping.dateOrder)) {
+          errors.push({ field: "mapping.dateOrder", message: `mapping.dateOrder must be one of: ${DATE_ORDERS.join(", ")}` });
+        } else {
+          values.mapping.dateOrder = mapping.dateOrder;
+        }
+      }
+
+      if (mapping.currency !== undefined) {
+        if (!CURRENCY_PATTERN.test(String(mapping.currency))) {
+          errors.push({ field: "mapping.currency", message: "mapping.currency must be a 3-letter ISO code" });
+        } else {
+          values.mapping.currency = String(mapping.currency).toUpperCase();
+        }
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Validate the review of an import before it is committed: an optional
+ * list of { line, include, category } changes to the previewed rows
+ */
+export function validateImportCommitInput(input = {}) {
+  const values = { rows: [] };
+  const errors = [];
+
+  if (input.rows === undefined) return { values, errors };
+  if (!Array.isArray(input.rows)) {
+    errors.push({ field: "rows", message: "rows must be an array" });
+    return { values, errors };
+  }
+
+  input.rows.forEach((row, index) => {
+    if (!row || !Number.isInteger(row.line)) {
+      errors.push({ field: `rows[${index}].line`, message: "line must be an integer" });
+      return;
+    }
+    const change = { line: row.line };
+
+    if (row.include !== undefined) {
+      if (typeof row.include !== "boolean") {
+        errors.push({ field: `rows[${index}].include`, message: "include must be true or false" });
+      } else {
+        change.include = row.include;
+      }
+    }
+
+    if (row.category !== undefined) {
+      const category = String(row.category).trim().toLowerCase();
+      if (!category || category.length > 50) {
+        errors.push({ field: `rows[${index}].category`, message: "category must be 1-50 characters" });
+      } else {
+        change.category = category;
+      }
+    }
+
+    values.rows.push(change);
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Validate the query string of the audit log: table, recordId,
+ * operationId and limit (1-200, default 50)
+ */
+export function parseAuditQuery(query = {}) {
+  const filters = {};
+  const errors = [];
+
+  if (query.table !== undefined) {
+    if (!AUDITED_TABLES.includes(query.table)) {
+      errors.push({ field: "table", message: `table must be one of: ${AUDITED_TABLES.join(", ")}` });
+    } else {
+      filters.table = query.table;
+    }
+  }
+
+  for (const field of ["recordId", "operationId"]) {
+    if (query[field] === undefined) continue;
+    if (!UUID_PATTERN.test(String(query[field]))) {
+      errors.push({ field, message: `${field} must be a UUID` });
+    } else {
+      filters[field] = query[field];
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = toNumber(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      errors.push({ field: "limit", message: "limit must be an integer between 1 and 200" });
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Validate an undo request: count, the number of changes to undo
+ * (default 1)
+ */
+export function validateUndoInput(input = {}) {
+  const values = { count: 1 };
+  const errors = [];
+
+  if (input.count !== undefined) {
+    if (!Number.isInteger(input.count) || input.count < 1 || input.count > MAX_UNDO_COUNT) {
+      errors.push({ field: "count", message: `count must be an integer between 1 and ${MAX_UNDO_COUNT}` });
+    } else {
+      values.count = input.count;
+    }
+  }
+
+  return { values, errors };
+}
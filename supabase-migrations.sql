@@ -165,3 +165,2272 @@ CREATE POLICY "Users can insert their own feedback"
 
 COMMENT ON TABLE feedback IS 'Stores user feedback with star ratings and comments';
 
+
+-- =============================================
+-- TRANSACTION LISTING (pagination & search)
+-- =============================================
+
+-- Keyset pagination orders by (date, created_at, id) descending
+CREATE INDEX IF NOT EXISTS idx_transactions_user_page
+  ON transactions(user_id, date DESC, created_at DESC, id DESC);
+
+-- Free-text search over notes (ILIKE '%term%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_transactions_notes_trgm
+  ON transactions USING gin (notes gin_trgm_ops);
+
+-- =============================================
+-- SUMMARY AGGREGATIONS
+-- =============================================
+
+-- Totals per currency, category and type for a date range (both bounds optional)
+CREATE OR REPLACE FUNCTION summarize_transactions(
+  p_user_id UUID,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  currency VARCHAR,
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT t.currency, t.category, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND (p_start_date IS NULL OR t.date >= p_start_date)
+    AND (p_end_date IS NULL OR t.date <= p_end_date)
+  GROUP BY t.currency, t.category, t.type;
+$$;
+
+-- Totals per day or month for charts
+CREATE OR REPLACE FUNCTION transaction_time_series(
+  p_user_id UUID,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT DATE_TRUNC(p_interval, t.date)::DATE, t.currency, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+-- =============================================
+-- BUDGETS TABLE
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category VARCHAR(50) NOT NULL,
+  month DATE NOT NULL CHECK (EXTRACT(DAY FROM month) = 1),
+  currency VARCHAR(10) DEFAULT 'BDT',
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, category, month, currency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_user_month ON budgets(user_id, month);
+
+ALTER TABLE budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own budgets"
+  ON budgets FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own budgets"
+  ON budgets FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own budgets"
+  ON budgets FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own budgets"
+  ON budgets FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_budgets_updated_at
+  BEFORE UPDATE ON budgets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE budgets IS 'Monthly spending limits per category and currency';
+COMMENT ON COLUMN budgets.month IS 'First day of the month the budget applies to';
+
+-- =============================================
+-- RECURRING RULES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS recurring_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('expense', 'income')),
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(10) DEFAULT 'BDT',
+  category VARCHAR(50) NOT NULL,
+  notes TEXT,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+  interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+  day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  next_run_date DATE NOT NULL,
+  last_run_date DATE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_rules_user_id ON recurring_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_rules_due ON recurring_rules(next_run_date) WHERE active;
+
+ALTER TABLE recurring_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own recurring rules"
+  ON recurring_rules FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own recurring rules"
+  ON recurring_rules FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own recurring rules"
+  ON recurring_rules FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own recurring rules"
+  ON recurring_rules FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_recurring_rules_updated_at
+  BEFORE UPDATE ON recurring_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE recurring_rules IS 'Repeating transactions (rent, salary, subscriptions) materialized by the server scheduler';
+
+-- Link materialized occurrences back to their rule
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS recurring_rule_id UUID REFERENCES recurring_rules(id) ON DELETE SET NULL;
+
+-- Scheduled loan installments: loans with a monthly_installment are repaid
+-- automatically on next_installment_date
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS next_installment_date DATE;
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS auto_repay BOOLEAN NOT NULL DEFAULT TRUE;
+
+UPDATE loans
+SET next_installment_date = (start_date + INTERVAL '1 month')::DATE
+WHERE monthly_installment IS NOT NULL
+  AND next_installment_date IS NULL
+  AND status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_loans_next_installment
+  ON loans(next_installment_date) WHERE status = 'active' AND auto_repay;
+
+-- =============================================
+-- DRAFTS (confirm before saving)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  mode VARCHAR(20) NOT NULL,
+  input_text TEXT,
+  data JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_drafts_user_id ON drafts(user_id);
+CREATE INDEX IF NOT EXISTS idx_drafts_expires_at ON drafts(expires_at);
+
+ALTER TABLE drafts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own drafts"
+  ON drafts FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own drafts"
+  ON drafts FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own drafts"
+  ON drafts FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own drafts"
+  ON drafts FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_drafts_updated_at
+  BEFORE UPDATE ON drafts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE drafts IS 'Extracted entries awaiting user confirmation before they are saved';
+
+-- =============================================
+-- USER SETTINGS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  home_currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own settings"
+  ON user_settings FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own settings"
+  ON user_settings FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own settings"
+  ON user_settings FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_user_settings_updated_at
+  BEFORE UPDATE ON user_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE user_settings IS 'Per-user preferences such as the home currency';
+
+-- =============================================
+-- EXCHANGE RATES
+-- =============================================
+
+-- Rates are stored as units of a currency per 1 USD, so any pair converts
+-- through USD. Rows without a user_id are shared (loaded from the local
+-- rates file); users can add their own rates, which take precedence.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  currency VARCHAR(10) NOT NULL,
+  rate_date DATE NOT NULL,
+  units_per_usd NUMERIC(20, 8) NOT NULL CHECK (units_per_usd > 0),
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(currency, rate_date DESC);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view shared and their own exchange rates"
+  ON exchange_rates FOR SELECT
+  USING (user_id IS NULL OR auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own exchange rates"
+  ON exchange_rates FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own exchange rates"
+  ON exchange_rates FOR DELETE
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE exchange_rates IS 'Units of each currency per 1 USD by date; shared rows have no user_id';
+
+-- Units of p_currency per 1 USD on p_date: the latest rate on or before the
+-- date (the user's own rate wins on the same day), else the earliest known rate
+CREATE OR REPLACE FUNCTION exchange_rate(p_user_id UUID, p_currency VARCHAR, p_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(
+    (SELECT r.units_per_usd FROM exchange_rates r
+      WHERE r.currency = UPPER(p_currency)
+        AND (r.user_id = p_user_id OR r.user_id IS NULL)
+        AND r.rate_date <= p_date
+      ORDER BY r.rate_date DESC, r.user_id NULLS LAST
+      LIMIT 1),
+    (SELECT r.units_per_usd FROM exchange_rates r
+      WHERE r.currency = UPPER(p_currency)
+        AND (r.user_id = p_user_id OR r.user_id IS NULL)
+      ORDER BY r.rate_date ASC, r.user_id NULLS LAST
+      LIMIT 1)
+  );
+$$;
+
+-- Convert an amount between currencies at the rate of a date (NULL if a rate is missing)
+CREATE OR REPLACE FUNCTION convert_amount(
+  p_user_id UUID,
+  p_amount NUMERIC,
+  p_from VARCHAR,
+  p_to VARCHAR,
+  p_date DATE
+)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT CASE
+    WHEN UPPER(p_from) = UPPER(p_to) THEN p_amount
+    ELSE ROUND(
+      p_amount / exchange_rate(p_user_id, p_from, p_date) * exchange_rate(p_user_id, p_to, p_date),
+      2
+    )
+  END;
+$$;
+
+-- Totals per category and type converted into the home currency.
+-- Transactions that can't be converted (no rate) are counted separately.
+CREATE OR REPLACE FUNCTION summarize_transactions_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT,
+  unconverted_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    c.category,
+    c.type,
+    COALESCE(SUM(c.home_amount), 0),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE c.home_amount IS NULL)
+  FROM (
+    SELECT t.category, t.type,
+      convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date) AS home_amount
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND (p_start_date IS NULL OR t.date >= p_start_date)
+      AND (p_end_date IS NULL OR t.date <= p_end_date)
+  ) c
+  GROUP BY c.category, c.type;
+$$;
+
+-- Per day or month totals converted into the home currency
+CREATE OR REPLACE FUNCTION transaction_time_series_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    DATE_TRUNC(p_interval, t.date)::DATE,
+    UPPER(p_home_currency)::VARCHAR,
+    t.type,
+    COALESCE(SUM(convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date)), 0),
+    COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+-- =============================================
+-- LOAN AMORTIZATION
+-- =============================================
+
+-- reducing: EMI on the declining balance; flat: interest on the original principal
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS interest_method VARCHAR(20) NOT NULL DEFAULT 'reducing'
+  CHECK (interest_method IN ('reducing', 'flat'));
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS principal_paid NUMERIC(15, 2) NOT NULL DEFAULT 0;
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS interest_paid NUMERIC(15, 2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN loans.remaining_balance IS 'Outstanding principal plus interest accrued on installments already due';
+
+CREATE TABLE IF NOT EXISTS loan_installments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  loan_id UUID NOT NULL REFERENCES loans(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  installment_number INTEGER NOT NULL,
+  due_date DATE NOT NULL,
+  amount_due NUMERIC(15, 2) NOT NULL,
+  principal_due NUMERIC(15, 2) NOT NULL,
+  interest_due NUMERIC(15, 2) NOT NULL,
+  opening_balance NUMERIC(15, 2) NOT NULL,
+  closing_balance NUMERIC(15, 2) NOT NULL,
+  principal_paid NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  interest_paid NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'partial', 'paid')),
+  paid_date DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (loan_id, installment_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_installments_loan ON loan_installments(loan_id, installment_number);
+CREATE INDEX IF NOT EXISTS idx_loan_installments_due ON loan_installments(due_date) WHERE status <> 'paid';
+
+ALTER TABLE loan_installments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own loan installments"
+  ON loan_installments FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan installments"
+  ON loan_installments FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own loan installments"
+  ON loan_installments FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan installments"
+  ON loan_installments FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_loan_installments_updated_at
+  BEFORE UPDATE ON loan_installments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE loan_installments IS 'Amortization schedule of a loan with the interest and principal paid per installment';
+
+-- =============================================
+-- LENDING (RECEIVABLES)
+-- =============================================
+
+-- borrowed: the user owes lender_name; lent: lender_name owes the user
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS direction VARCHAR(10) NOT NULL DEFAULT 'borrowed'
+  CHECK (direction IN ('borrowed', 'lent'));
+-- When money lent is expected back, if the user said so
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS due_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_loans_user_direction ON loans(user_id, direction, status);
+
+COMMENT ON COLUMN loans.lender_name IS 'Counterparty: the lender for borrowed loans, the borrower for money lent';
+
+-- =============================================
+-- LOAN REPAYMENT HISTORY
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS loan_repayments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  loan_id UUID NOT NULL REFERENCES loans(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- The expense (or income, for money lent) recorded for this payment
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  principal_amount NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  interest_amount NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  date DATE NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'chat' CHECK (source IN ('chat', 'api', 'scheduler')),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_repayments_loan ON loan_repayments(loan_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_loan_repayments_transaction ON loan_repayments(transaction_id);
+
+ALTER TABLE loan_repayments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own loan repayments"
+  ON loan_repayments FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own loan repayments"
+  ON loan_repayments FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own loan repayments"
+  ON loan_repayments FOR DELETE
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE loan_repayments IS 'Payments made against a loan, each linked to the transaction it created';
+
+-- =============================================
+-- LANGUAGE PREFERENCE
+-- =============================================
+
+-- auto: reply in the language of each message; en/bn: always that language
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'auto'
+  CHECK (language IN ('auto', 'en', 'bn'));
+
+-- =============================================
+-- STATEMENT IMPORTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  format VARCHAR(20) NOT NULL CHECK (format IN ('csv', 'ofx', 'bkash', 'nagad')),
+  filename TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'preview' CHECK (status IN ('preview', 'committed', 'rolled_back')),
+  rows JSONB NOT NULL,
+  errors JSONB NOT NULL DEFAULT '[]',
+  row_count INTEGER NOT NULL DEFAULT 0,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  committed_at TIMESTAMPTZ,
+  rolled_back_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_id ON import_batches(user_id);
+
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own import batches"
+  ON import_batches FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own import batches"
+  ON import_batches FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own import batches"
+  ON import_batches FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own import batches"
+  ON import_batches FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_import_batches_updated_at
+  BEFORE UPDATE ON import_batches
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE import_batches IS 'Uploaded bank and wallet statements, previewed before their rows are saved as transactions';
+
+-- Transactions created by an import, so the whole batch can be rolled back
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_import_batch_id ON transactions(import_batch_id);
+
+-- Commit a previewed import: store the reviewed rows and save the included
+-- ones as transactions together, so a failed insert leaves the batch in
+-- preview. Only one caller can commit a batch. Returns { batch,
+-- transactions }, or NULL if the user has no such batch in preview.
+CREATE OR REPLACE FUNCTION commit_import_batch(p_user_id UUID, p_batch_id UUID, p_rows JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_batch import_batches;
+  v_transactions JSONB;
+BEGIN
+  UPDATE import_batches
+  SET status = 'committed', rows = p_rows, committed_at = NOW()
+  WHERE id = p_batch_id AND user_id = p_user_id AND status = 'preview'
+  RETURNING * INTO v_batch;
+
+  IF v_batch.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO transactions (user_id, amount, currency, category, notes, type, date, import_batch_id)
+    SELECT p_user_id, r.amount, r.currency, r.category, r.notes, r.type, r.date, p_batch_id
+    FROM jsonb_array_elements(p_rows) e
+    CROSS JOIN LATERAL jsonb_populate_record(NULL::transactions, e) r
+    WHERE (e->>'include')::BOOLEAN
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]') INTO v_transactions FROM inserted;
+
+  UPDATE import_batches SET imported_count = jsonb_array_length(v_transactions)
+  WHERE id = p_batch_id
+  RETURNING * INTO v_batch;
+
+  RETURN jsonb_build_object('batch', to_jsonb(v_batch), 'transactions', v_transactions);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION commit_import_batch(UUID, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION commit_import_batch(UUID, UUID, JSONB) TO service_role;
+
+-- =============================================
+-- CUSTOM CATEGORIES
+-- =============================================
+
+-- A user's own categories, used next to the built-in ones. parent names the
+-- category this one is nested under (built-in or custom).
+CREATE TABLE IF NOT EXISTS categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  parent VARCHAR(50),
+  icon VARCHAR(50),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_user_id ON categories(user_id);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own categories"
+  ON categories FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own categories"
+  ON categories FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own categories"
+  ON categories FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own categories"
+  ON categories FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_categories_updated_at
+  BEFORE UPDATE ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE categories IS 'User-defined transaction categories, optionally nested under another category';
+
+-- =============================================
+-- LEARNED CATEGORY RULES
+-- =============================================
+
+-- Learned when the user re-categorises a transaction: notes matching
+-- pattern (the merchant/purpose words of the notes) get category
+CREATE TABLE IF NOT EXISTS category_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  pattern TEXT NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_id ON category_rules(user_id);
+
+ALTER TABLE category_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own category rules"
+  ON category_rules FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own category rules"
+  ON category_rules FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own category rules"
+  ON category_rules FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own category rules"
+  ON category_rules FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_category_rules_updated_at
+  BEFORE UPDATE ON category_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE category_rules IS 'Categories learned from the user''s corrections, applied before asking the model';
+
+-- =============================================
+-- CONVERSATION SESSIONS
+-- =============================================
+
+-- Recent turns and saved entries per chat session (SESSION_STORE=supabase),
+-- so follow-up messages can amend or undo what was just recorded
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL,
+  data JSONB NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_expires_at ON chat_sessions(expires_at);
+
+ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own chat sessions"
+  ON chat_sessions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own chat sessions"
+  ON chat_sessions FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own chat sessions"
+  ON chat_sessions FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own chat sessions"
+  ON chat_sessions FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_chat_sessions_updated_at
+  BEFORE UPDATE ON chat_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE chat_sessions IS 'Conversation context for follow-up messages; expired rows are removed by the scheduler';
+
+-- The conversation a draft came from, so confirming it updates that session
+ALTER TABLE drafts ADD COLUMN IF NOT EXISTS session_id TEXT;
+
+-- =============================================
+-- USER TIMEZONE
+-- =============================================
+
+-- IANA timezone used to resolve "today" and relative dates ("yesterday",
+-- "last Friday") in messages
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Dhaka';
+
+-- =============================================
+-- ACCOUNTS AND TRANSFERS
+-- =============================================
+
+-- Where money is kept: cash, a bank account, a mobile wallet (bKash,
+-- Nagad) or a credit card. The balance is the opening balance plus the
+-- transactions paid from or into the account.
+CREATE TABLE IF NOT EXISTS accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('cash', 'bank', 'mobile_wallet', 'credit_card', 'other')),
+  currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  opening_balance NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user_id ON accounts(user_id);
+
+ALTER TABLE accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own accounts"
+  ON accounts FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own accounts"
+  ON accounts FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own accounts"
+  ON accounts FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own accounts"
+  ON accounts FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_accounts_updated_at
+  BEFORE UPDATE ON accounts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE accounts IS 'Cash, bank, mobile wallet and card accounts that transactions are paid from or into';
+
+-- The account a transaction was paid from (expense, transfer) or into
+-- (income). A transfer moves amount out of account_id and to_amount (the
+-- converted amount when omitted) into to_account_id; it is neither income
+-- nor expense. Accounts with transactions can't be deleted.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id UUID REFERENCES accounts(id) ON DELETE RESTRICT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS to_account_id UUID REFERENCES accounts(id) ON DELETE RESTRICT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS to_amount NUMERIC(15, 2) CHECK (to_amount > 0);
+CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_to_account_id ON transactions(to_account_id);
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+  CHECK (type IN ('expense', 'income', 'transfer'));
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_transfer_accounts_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_transfer_accounts_check
+  CHECK (
+    CASE WHEN type = 'transfer'
+      THEN account_id IS NOT NULL AND to_account_id IS NOT NULL AND account_id <> to_account_id
+      ELSE to_account_id IS NULL AND to_amount IS NULL
+    END
+  );
+
+-- Transfers only move money between the user's own accounts, so the
+-- summaries leave them out
+CREATE OR REPLACE VIEW transaction_summary AS
+SELECT
+  user_id,
+  DATE_TRUNC('month', date) as month,
+  type,
+  category,
+  currency,
+  SUM(amount) as total_amount,
+  COUNT(*) as transaction_count
+FROM transactions
+WHERE type <> 'transfer'
+GROUP BY user_id, DATE_TRUNC('month', date), type, category, currency;
+
+CREATE OR REPLACE FUNCTION summarize_transactions(
+  p_user_id UUID,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  currency VARCHAR,
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT t.currency, t.category, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND (p_start_date IS NULL OR t.date >= p_start_date)
+    AND (p_end_date IS NULL OR t.date <= p_end_date)
+  GROUP BY t.currency, t.category, t.type;
+$$;
+
+CREATE OR REPLACE FUNCTION transaction_time_series(
+  p_user_id UUID,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT DATE_TRUNC(p_interval, t.date)::DATE, t.currency, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+CREATE OR REPLACE FUNCTION summarize_transactions_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT,
+  unconverted_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    c.category,
+    c.type,
+    COALESCE(SUM(c.home_amount), 0),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE c.home_amount IS NULL)
+  FROM (
+    SELECT t.category, t.type,
+      convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date) AS home_amount
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND t.type <> 'transfer'
+      AND (p_start_date IS NULL OR t.date >= p_start_date)
+      AND (p_end_date IS NULL OR t.date <= p_end_date)
+  ) c
+  GROUP BY c.category, c.type;
+$$;
+
+CREATE OR REPLACE FUNCTION transaction_time_series_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    DATE_TRUNC(p_interval, t.date)::DATE,
+    UPPER(p_home_currency)::VARCHAR,
+    t.type,
+    COALESCE(SUM(convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date)), 0),
+    COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+-- How each transaction changes the balance of the accounts it touches, in
+-- the account's currency (converted at the transaction's date when the
+-- currencies differ, else taken as is): one row for the paying or receiving
+-- account, and one more for the receiving side of a transfer
+CREATE OR REPLACE FUNCTION account_entries(p_user_id UUID)
+RETURNS TABLE (
+  account_id UUID,
+  transaction_id UUID,
+  change NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.id, t.id,
+    CASE WHEN t.type = 'income' THEN 1 ELSE -1 END
+      * COALESCE(convert_amount(p_user_id, t.amount, t.currency, a.currency, t.date), t.amount)
+  FROM transactions t
+  JOIN accounts a ON a.id = t.account_id
+  WHERE t.user_id = p_user_id
+  UNION ALL
+  SELECT a.id, t.id,
+    COALESCE(t.to_amount, convert_amount(p_user_id, t.amount, t.currency, a.currency, t.date), t.amount)
+  FROM transactions t
+  JOIN accounts a ON a.id = t.to_account_id
+  WHERE t.user_id = p_user_id AND t.type = 'transfer';
+$$;
+
+-- Current balance and number of transactions of each of the user's accounts
+CREATE OR REPLACE FUNCTION account_balances(p_user_id UUID)
+RETURNS TABLE (
+  account_id UUID,
+  balance NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.id, a.opening_balance + COALESCE(SUM(e.change), 0), COUNT(e.transaction_id)
+  FROM accounts a
+  LEFT JOIN account_entries(p_user_id) e ON e.account_id = a.id
+  WHERE a.user_id = p_user_id
+  GROUP BY a.id, a.opening_balance;
+$$;
+
+-- An account's transactions, newest first, each with the change to the
+-- account and the running balance after it. The balance is counted over
+-- all of the account's history, so a date range only limits the rows.
+CREATE OR REPLACE FUNCTION account_ledger(
+  p_user_id UUID,
+  p_account_id UUID,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  date DATE,
+  type VARCHAR,
+  category VARCHAR,
+  notes TEXT,
+  amount NUMERIC,
+  currency VARCHAR,
+  account_id UUID,
+  to_account_id UUID,
+  to_amount NUMERIC,
+  created_at TIMESTAMPTZ,
+  change NUMERIC,
+  balance NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT r.id, r.date, r.type, r.category, r.notes, r.amount, r.currency,
+    r.account_id, r.to_account_id, r.to_amount, r.created_at, r.change, r.balance
+  FROM (
+    SELECT t.*, e.change,
+      a.opening_balance + SUM(e.change) OVER (ORDER BY t.date, t.created_at, t.id) AS balance
+    FROM account_entries(p_user_id) e
+    JOIN transactions t ON t.id = e.transaction_id
+    JOIN accounts a ON a.id = e.account_id
+    WHERE e.account_id = p_account_id AND a.user_id = p_user_id
+  ) r
+  WHERE (p_start_date IS NULL OR r.date >= p_start_date)
+    AND (p_end_date IS NULL OR r.date <= p_end_date)
+  ORDER BY r.date DESC, r.created_at DESC, r.id DESC;
+$$;
+
+-- =============================================
+-- ATOMIC LOAN WRITES
+-- =============================================
+
+-- The loan a transaction belongs to: the money borrowed or lent, and each
+-- payment. Deleting a loan deletes them with it.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS loan_id UUID REFERENCES loans(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_loan ON transactions(loan_id) WHERE loan_id IS NOT NULL;
+
+-- Link payments recorded before loan_id existed
+UPDATE transactions t
+SET loan_id = r.loan_id
+FROM loan_repayments r
+WHERE r.transaction_id = t.id
+  AND t.loan_id IS NULL;
+
+-- ...and the money borrowed or lent when each loan was taken out: saved
+-- on the loan's start date for its principal, with notes naming the other
+-- party ("Loan from Rahim", "Lent to Karim"). Loans that already have one
+-- are skipped, and a transaction is only linked when it is the one match
+-- for exactly one loan, so look-alike loans are left for the user.
+WITH matches AS (
+  SELECT t.id AS transaction_id, l.id AS loan_id,
+    COUNT(*) OVER (PARTITION BY t.id) AS loan_matches,
+    COUNT(*) OVER (PARTITION BY l.id) AS transaction_matches
+  FROM transactions t
+  JOIN loans l ON l.user_id = t.user_id
+    AND l.start_date = t.date
+    AND l.principal_amount = t.amount
+  WHERE t.loan_id IS NULL
+    AND ((l.direction = 'borrowed' AND t.type = 'income' AND t.category = 'loan'
+        AND LOWER(TRIM(t.notes)) = LOWER('Loan from ' || TRIM(l.lender_name)))
+      OR (l.direction = 'lent' AND t.type = 'expense' AND t.category = 'loan_given'
+        AND LOWER(TRIM(t.notes)) = LOWER('Lent to ' || TRIM(l.lender_name))))
+    AND NOT EXISTS (
+      SELECT 1 FROM transactions linked
+      WHERE linked.loan_id = l.id AND linked.category IN ('loan', 'loan_given')
+    )
+)
+UPDATE transactions t
+SET loan_id = m.loan_id
+FROM matches m
+WHERE t.id = m.transaction_id
+  AND m.loan_matches = 1
+  AND m.transaction_matches = 1;
+
+-- Save a loan, its amortization schedule and the transaction for the money
+-- borrowed or lent in one go. Returns { loan, transaction }.
+CREATE OR REPLACE FUNCTION create_loan(
+  p_loan JSONB,
+  p_installments JSONB DEFAULT '[]',
+  p_transaction JSONB DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_loan loans;
+  v_transaction transactions;
+BEGIN
+  INSERT INTO loans (
+    user_id, lender_name, direction, loan_type, principal_amount, interest_rate,
+    interest_method, tenure_months, monthly_installment, total_paid, remaining_balance,
+    currency, status, start_date, next_installment_date, auto_repay, due_date, notes
+  )
+  SELECT r.user_id, r.lender_name, r.direction, r.loan_type, r.principal_amount, r.interest_rate,
+    r.interest_method, r.tenure_months, r.monthly_installment, r.total_paid, r.remaining_balance,
+    r.currency, r.status, r.start_date, r.next_installment_date, r.auto_repay, r.due_date, r.notes
+  FROM jsonb_populate_record(NULL::loans, p_loan) r
+  RETURNING * INTO v_loan;
+
+  INSERT INTO loan_installments (
+    loan_id, user_id, installment_number, due_date, amount_due, principal_due,
+    interest_due, opening_balance, closing_balance
+  )
+  SELECT v_loan.id, v_loan.user_id, r.installment_number, r.due_date, r.amount_due, r.principal_due,
+    r.interest_due, r.opening_balance, r.closing_balance
+  FROM jsonb_populate_recordset(NULL::loan_installments, COALESCE(p_installments, '[]')) r;
+
+  IF p_transaction IS NOT NULL THEN
+    INSERT INTO transactions (user_id, amount, currency, category, notes, type, date, account_id, loan_id)
+    SELECT v_loan.user_id, r.amount, r.currency, r.category, r.notes, r.type, r.date, r.account_id, v_loan.id
+    FROM jsonb_populate_record(NULL::transactions, p_transaction) r
+    RETURNING * INTO v_transaction;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'loan', to_jsonb(v_loan),
+    'transaction', CASE WHEN v_transaction.id IS NULL THEN NULL ELSE to_jsonb(v_transaction) END
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_loan(JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_loan(JSONB, JSONB, JSONB) TO service_role;
+
+-- Apply a payment worked out from a loan as it was read: update the loan
+-- and its installments, and save the payment's transaction and repayment
+-- history row, all or nothing. The loan row is locked, and the payment only
+-- applies while the loan is active and total_paid is still
+-- p_expected_total_paid; otherwise another payment got there first and
+-- NULL is returned so the caller can work it out again.
+-- Returns { loan, transaction, repayment }.
+CREATE OR REPLACE FUNCTION apply_loan_payment(
+  p_user_id UUID,
+  p_loan_id UUID,
+  p_expected_total_paid NUMERIC,
+  p_loan JSONB,
+  p_installments JSONB,
+  p_transaction JSONB,
+  p_repayment JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_loan loans;
+  v_transaction transactions;
+  v_repayment loan_repayments;
+BEGIN
+  SELECT * INTO v_loan
+  FROM loans
+  WHERE id = p_loan_id AND user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_loan.status <> 'active'
+    OR COALESCE(v_loan.total_paid, 0) <> p_expected_total_paid THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE loans l
+  SET total_paid = r.total_paid,
+    principal_paid = COALESCE(r.principal_paid, l.principal_paid),
+    interest_paid = COALESCE(r.interest_paid, l.interest_paid),
+    remaining_balance = r.remaining_balance,
+    status = r.status
+  FROM jsonb_populate_record(NULL::loans, p_loan) r
+  WHERE l.id = p_loan_id
+  RETURNING l.* INTO v_loan;
+
+  UPDATE loan_installments i
+  SET interest_paid = r.interest_paid,
+    principal_paid = r.principal_paid,
+    status = r.status,
+    paid_date = r.paid_date
+  FROM jsonb_populate_recordset(NULL::loan_installments, COALESCE(p_installments, '[]')) r
+  WHERE i.id = r.id AND i.loan_id = p_loan_id;
+
+  INSERT INTO transactions (user_id, amount, currency, category, notes, type, date, account_id, loan_id)
+  SELECT p_user_id, r.amount, r.currency, r.category, r.notes, r.type, r.date, r.account_id, p_loan_id
+  FROM jsonb_populate_record(NULL::transactions, p_transaction) r
+  RETURNING * INTO v_transaction;
+
+  INSERT INTO loan_repayments (
+    loan_id, user_id, transaction_id, amount, principal_amount, interest_amount, currency, date, source
+  )
+  SELECT p_loan_id, p_user_id, v_transaction.id, r.amount, r.principal_amount, r.interest_amount,
+    r.currency, r.date, r.source
+  FROM jsonb_populate_record(NULL::loan_repayments, p_repayment) r
+  RETURNING * INTO v_repayment;
+
+  RETURN jsonb_build_object(
+    'loan', to_jsonb(v_loan),
+    'transaction', to_jsonb(v_transaction),
+    'repayment', to_jsonb(v_repayment)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_loan_payment(UUID, UUID, NUMERIC, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_loan_payment(UUID, UUID, NUMERIC, JSONB, JSONB, JSONB, JSONB) TO service_role;
+
+-- =============================================
+-- IDEMPOTENCY KEYS
+-- =============================================
+
+-- Responses to requests sent with an Idempotency-Key header, replayed when
+-- a client retries. status_code is NULL while the first request is running.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  key VARCHAR(255) NOT NULL,
+  request_method VARCHAR(10) NOT NULL,
+  request_path TEXT NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status_code INTEGER,
+  response JSONB,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own idempotency keys"
+  ON idempotency_keys FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses that let clients safely retry /api/process';
+
+-- =============================================
+-- SHARED LEDGERS AND SPLITS
+-- =============================================
+
+-- A ledger shared by a household; who can see and change it is set by
+-- each member's role
+CREATE TABLE IF NOT EXISTS ledgers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- owner: everything, including members; editor: record entries and
+-- settlements; viewer: read only. Members without a user_id (someone who
+-- doesn't use the app) can't sign in but take part in splits.
+CREATE TABLE IF NOT EXISTS ledger_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ledger_id UUID NOT NULL REFERENCES ledgers(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  name VARCHAR(100) NOT NULL,
+  role VARCHAR(10) NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (ledger_id, user_id),
+  UNIQUE (ledger_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_members_user ON ledger_members(user_id);
+
+CREATE TRIGGER update_ledgers_updated_at
+  BEFORE UPDATE ON ledgers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_ledger_members_updated_at
+  BEFORE UPDATE ON ledger_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- The role of a user in a ledger, or NULL if they aren't a member. Used by
+-- the policies below; SECURITY DEFINER so it reads ledger_members without
+-- going through that table's own policies. It only answers for the signed
+-- in user, so clients can't use it to look up other users' memberships.
+CREATE OR REPLACE FUNCTION ledger_role(p_ledger_id UUID, p_user_id UUID)
+RETURNS VARCHAR
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT role FROM ledger_members
+  WHERE ledger_id = p_ledger_id AND user_id = p_user_id AND p_user_id = auth.uid();
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_role(UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION ledger_role(UUID, UUID) TO authenticated, service_role;
+
+-- Shared entries: user_id stays the member who recorded the transaction;
+-- paid_by_member_id is who paid a split expense. Deleting a ledger keeps
+-- its transactions as their recorders' own (see delete_ledger).
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS ledger_id UUID REFERENCES ledgers(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS paid_by_member_id UUID REFERENCES ledger_members(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_ledger_date ON transactions(ledger_id, date DESC) WHERE ledger_id IS NOT NULL;
+
+-- Transfers between the user's own accounts stay out of shared ledgers
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_ledger_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_ledger_check
+  CHECK (
+    CASE WHEN ledger_id IS NULL
+      THEN paid_by_member_id IS NULL
+      ELSE type <> 'transfer'
+    END
+  );
+
+-- Each member's share of a split expense
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  ledger_id UUID NOT NULL REFERENCES ledgers(id) ON DELETE CASCADE,
+  member_id UUID NOT NULL REFERENCES ledger_members(id) ON DELETE RESTRICT,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (transaction_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_ledger ON transaction_splits(ledger_id);
+
+-- Money one member paid another to settle up
+CREATE TABLE IF NOT EXISTS ledger_settlements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ledger_id UUID NOT NULL REFERENCES ledgers(id) ON DELETE CASCADE,
+  from_member_id UUID NOT NULL REFERENCES ledger_members(id) ON DELETE RESTRICT,
+  to_member_id UUID NOT NULL REFERENCES ledger_members(id) ON DELETE RESTRICT,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  date DATE NOT NULL,
+  notes TEXT,
+  recorded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (from_member_id <> to_member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_settlements_ledger ON ledger_settlements(ledger_id, date DESC);
+
+ALTER TABLE ledgers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_settlements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their ledgers"
+  ON ledgers FOR SELECT
+  USING (ledger_role(id, auth.uid()) IS NOT NULL);
+
+CREATE POLICY "Users can create ledgers"
+  ON ledgers FOR INSERT
+  WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Owners can update their ledgers"
+  ON ledgers FOR UPDATE
+  USING (ledger_role(id, auth.uid()) = 'owner');
+
+CREATE POLICY "Owners can delete their ledgers"
+  ON ledgers FOR DELETE
+  USING (ledger_role(id, auth.uid()) = 'owner');
+
+CREATE POLICY "Members can view the members of their ledgers"
+  ON ledger_members FOR SELECT
+  USING (ledger_role(ledger_id, auth.uid()) IS NOT NULL);
+
+CREATE POLICY "Owners can add members"
+  ON ledger_members FOR INSERT
+  WITH CHECK (ledger_role(ledger_id, auth.uid()) = 'owner');
+
+CREATE POLICY "Owners can update members"
+  ON ledger_members FOR UPDATE
+  USING (ledger_role(ledger_id, auth.uid()) = 'owner');
+
+CREATE POLICY "Owners can remove members"
+  ON ledger_members FOR DELETE
+  USING (ledger_role(ledger_id, auth.uid()) = 'owner');
+
+-- Members see every transaction of their ledgers; only owners and editors
+-- record into one. Changing a transaction stays with whoever recorded it.
+CREATE POLICY "Members can view their ledgers' transactions"
+  ON transactions FOR SELECT
+  USING (ledger_id IS NOT NULL AND ledger_role(ledger_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Users can insert their own transactions" ON transactions;
+CREATE POLICY "Users can insert their own transactions"
+  ON transactions FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND (ledger_id IS NULL OR ledger_role(ledger_id, auth.uid()) IN ('owner', 'editor'))
+  );
+
+CREATE POLICY "Members can view their ledgers' splits"
+  ON transaction_splits FOR SELECT
+  USING (ledger_role(ledger_id, auth.uid()) IS NOT NULL);
+
+CREATE POLICY "Editors can split expenses"
+  ON transaction_splits FOR INSERT
+  WITH CHECK (ledger_role(ledger_id, auth.uid()) IN ('owner', 'editor'));
+
+CREATE POLICY "Members can view their ledgers' settlements"
+  ON ledger_settlements FOR SELECT
+  USING (ledger_role(ledger_id, auth.uid()) IS NOT NULL);
+
+CREATE POLICY "Editors can record settlements"
+  ON ledger_settlements FOR INSERT
+  WITH CHECK (auth.uid() = recorded_by AND ledger_role(ledger_id, auth.uid()) IN ('owner', 'editor'));
+
+COMMENT ON TABLE ledgers IS 'Ledgers shared by several users, e.g. a household';
+COMMENT ON TABLE ledger_members IS 'Members of a shared ledger and their roles';
+COMMENT ON TABLE transaction_splits IS 'Shares of a split expense owed by each ledger member';
+COMMENT ON TABLE ledger_settlements IS 'Payments between ledger members that settle split expenses';
+
+-- Create a ledger with the user as its owner. Returns { ledger, member }.
+CREATE OR REPLACE FUNCTION create_ledger(p_user_id UUID, p_name VARCHAR, p_currency VARCHAR, p_member_name VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_ledger ledgers;
+  v_member ledger_members;
+BEGIN
+  INSERT INTO ledgers (name, currency) VALUES (p_name, p_currency)
+  RETURNING * INTO v_ledger;
+
+  INSERT INTO ledger_members (ledger_id, user_id, name, role)
+  VALUES (v_ledger.id, p_user_id, p_member_name, 'owner')
+  RETURNING * INTO v_member;
+
+  RETURN jsonb_build_object('ledger', to_jsonb(v_ledger), 'member', to_jsonb(v_member));
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_ledger(UUID, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_ledger(UUID, VARCHAR, VARCHAR, VARCHAR) TO service_role;
+
+-- Save a split expense and each member's share together.
+-- Returns { transaction, splits }.
+CREATE OR REPLACE FUNCTION create_split_transaction(p_transaction JSONB, p_splits JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_transaction transactions;
+  v_splits JSONB;
+BEGIN
+  INSERT INTO transactions (
+    user_id, amount, currency, category, notes, type, date, account_id, ledger_id, paid_by_member_id
+  )
+  SELECT r.user_id, r.amount, r.currency, r.category, r.notes, r.type, r.date, r.account_id,
+    r.ledger_id, r.paid_by_member_id
+  FROM jsonb_populate_record(NULL::transactions, p_transaction) r
+  RETURNING * INTO v_transaction;
+
+  WITH inserted AS (
+    INSERT INTO transaction_splits (transaction_id, ledger_id, member_id, amount)
+    SELECT v_transaction.id, v_transaction.ledger_id, r.member_id, r.amount
+    FROM jsonb_populate_recordset(NULL::transaction_splits, p_splits) r
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(inserted)), '[]') INTO v_splits FROM inserted;
+
+  RETURN jsonb_build_object('transaction', to_jsonb(v_transaction), 'splits', v_splits);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_split_transaction(JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_split_transaction(JSONB, JSONB) TO service_role;
+
+-- What each member of a ledger is owed (positive) or owes (negative), per
+-- currency: the split expenses they paid, less their own shares, plus the
+-- settlements they paid, less the ones they received
+CREATE OR REPLACE FUNCTION ledger_balances(p_ledger_id UUID)
+RETURNS TABLE (
+  member_id UUID,
+  currency VARCHAR,
+  balance NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT e.member_id, e.currency, SUM(e.change)
+  FROM (
+    SELECT t.paid_by_member_id AS member_id, t.currency, s.amount AS change
+    FROM transaction_splits s
+    JOIN transactions t ON t.id = s.transaction_id
+    WHERE s.ledger_id = p_ledger_id
+    UNION ALL
+    SELECT s.member_id, t.currency, -s.amount
+    FROM transaction_splits s
+    JOIN transactions t ON t.id = s.transaction_id
+    WHERE s.ledger_id = p_ledger_id
+    UNION ALL
+    SELECT from_member_id, currency, amount
+    FROM ledger_settlements
+    WHERE ledger_id = p_ledger_id
+    UNION ALL
+    SELECT to_member_id, currency, -amount
+    FROM ledger_settlements
+    WHERE ledger_id = p_ledger_id
+  ) e
+  GROUP BY e.member_id, e.currency;
+$$;
+
+-- The id of the user with an email address, for adding them to a ledger.
+-- Only the server (service role) may look users up.
+CREATE OR REPLACE FUNCTION find_user_id_by_email(p_email TEXT)
+RETURNS UUID
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT id FROM auth.users WHERE LOWER(email) = LOWER(p_email) LIMIT 1;
+$$;
+
+REVOKE EXECUTE ON FUNCTION find_user_id_by_email(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_user_id_by_email(TEXT) TO service_role;
+
+-- Delete a ledger with its members, splits and settlements. Its
+-- transactions stay with the members who recorded them, as personal
+-- entries. Returns the deleted ledger, or NULL if there is none.
+CREATE OR REPLACE FUNCTION delete_ledger(p_ledger_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_ledger ledgers;
+BEGIN
+  UPDATE transactions SET ledger_id = NULL, paid_by_member_id = NULL
+  WHERE ledger_id = p_ledger_id;
+
+  DELETE FROM transaction_splits WHERE ledger_id = p_ledger_id;
+  DELETE FROM ledger_settlements WHERE ledger_id = p_ledger_id;
+  DELETE FROM ledgers WHERE id = p_ledger_id
+  RETURNING * INTO v_ledger;
+
+  IF v_ledger.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+  RETURN to_jsonb(v_ledger);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION delete_ledger(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_ledger(UUID) TO service_role;
+
+-- =============================================
+-- SAVINGS GOALS
+-- =============================================
+
+-- Something the user is saving toward (Eid shopping, a motorbike, an
+-- emergency fund). Progress is the sum of the contributions, in the goal's
+-- currency. Archived goals are kept but no longer matched by chat.
+CREATE TABLE IF NOT EXISTS savings_goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  target_amount NUMERIC(15, 2) NOT NULL CHECK (target_amount > 0),
+  currency VARCHAR(10) NOT NULL DEFAULT 'BDT',
+  deadline DATE,
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_savings_goals_user_id ON savings_goals(user_id);
+
+ALTER TABLE savings_goals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own goals"
+  ON savings_goals FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own goals"
+  ON savings_goals FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own goals"
+  ON savings_goals FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own goals"
+  ON savings_goals FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_savings_goals_updated_at
+  BEFORE UPDATE ON savings_goals
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE savings_goals IS 'Savings goals with a target amount and optional deadline';
+
+-- Money put toward a goal, in the goal's currency (amounts in another
+-- currency are converted when they are recorded)
+CREATE TABLE IF NOT EXISTS goal_contributions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  goal_id UUID NOT NULL REFERENCES savings_goals(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  date DATE NOT NULL DEFAULT CURRENT_DATE,
+  notes TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_goal_id ON goal_contributions(goal_id, date);
+CREATE INDEX IF NOT EXISTS idx_goal_contributions_user_id ON goal_contributions(user_id);
+
+ALTER TABLE goal_contributions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own goal contributions"
+  ON goal_contributions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own goal contributions"
+  ON goal_contributions FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own goal contributions"
+  ON goal_contributions FOR DELETE
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE goal_contributions IS 'Money put toward a savings goal';
+
+-- Amount saved, number of contributions and the first and last
+-- contribution date of each of the user's goals
+CREATE OR REPLACE FUNCTION goal_totals(p_user_id UUID)
+RETURNS TABLE (
+  goal_id UUID,
+  saved NUMERIC,
+  contribution_count BIGINT,
+  first_contribution_date DATE,
+  last_contribution_date DATE
+)
+LANGUAGE sql STABLE AS $$
+  SELECT g.id, COALESCE(SUM(c.amount), 0), COUNT(c.id), MIN(c.date), MAX(c.date)
+  FROM savings_goals g
+  LEFT JOIN goal_contributions c ON c.goal_id = g.id
+  WHERE g.user_id = p_user_id
+  GROUP BY g.id;
+$$;
+
+-- =============================================
+-- AUDIT TRAIL, SOFT DELETE AND UNDO
+-- =============================================
+
+-- Deleted transactions and loans are kept, hidden from listings, totals
+-- and balances, so they can be restored. Deleting a loan deletes its
+-- transactions with it, at the same moment.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE loans ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_deleted ON transactions(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_loans_deleted ON loans(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Every change to transactions, loans, loan installments and repayments:
+-- the row before and after, who made it and where it came from (a voice
+-- or text message with its input and what was extracted from it, the
+-- REST API, an import, the scheduler, an undo; "system" for writes the
+-- server didn't describe, such as changes made directly in the database).
+-- Changes made together, like a loan payment's loan, installment,
+-- transaction and repayment rows, share an operation id and are undone
+-- together.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  operation_id UUID NOT NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  table_name VARCHAR(40) NOT NULL,
+  record_id UUID NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore')),
+  before JSONB,
+  after JSONB,
+  source VARCHAR(20) NOT NULL DEFAULT 'system'
+    CHECK (source IN ('voice', 'text', 'receipt', 'manual', 'import', 'scheduler', 'undo', 'api', 'system')),
+  input_text TEXT,
+  transcription TEXT,
+  extracted JSONB,
+  undone_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(record_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_operation ON audit_log(operation_id);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own audit log"
+  ON audit_log FOR SELECT
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE audit_log IS 'History of every change to transactions and loans, used to restore and undo them';
+
+-- The context of the writes being made: set by a function for its own
+-- writes (audit.context), else sent by the server with the request in the
+-- X-Audit-Context header as base64-encoded JSON:
+-- { source, actor_id, input_text, transcription, extracted, operation_id }
+-- Only the server (service_role) can describe its writes; users writing
+-- through the API themselves are logged with the "api" source.
+CREATE OR REPLACE FUNCTION audit_context()
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_context TEXT := NULLIF(current_setting('audit.context', true), '');
+  v_header TEXT := NULLIF(current_setting('request.headers', true), '')::jsonb->>'x-audit-context';
+BEGIN
+  IF v_context IS NOT NULL THEN
+    RETURN v_context::jsonb;
+  END IF;
+  IF auth.role() = 'service_role' AND v_header IS NOT NULL THEN
+    RETURN convert_from(decode(v_header, 'base64'), 'UTF8')::jsonb;
+  END IF;
+  IF auth.role() IN ('anon', 'authenticated') THEN
+    RETURN jsonb_build_object('source', 'api', 'actor_id', auth.uid());
+  END IF;
+  RETURN '{}';
+END;
+$$;
+
+-- Log a change to an audited row. Writes in one database transaction are
+-- one operation unless the context names it (for operations the server
+-- makes in several requests). Users signed in themselves are always the
+-- actor; the context names it for the server.
+CREATE OR REPLACE FUNCTION record_audit()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+  v_context JSONB := audit_context();
+  v_before JSONB := CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END;
+  v_after JSONB := CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END;
+  v_row JSONB := COALESCE(v_after, v_before);
+  v_operation_id TEXT := NULLIF(current_setting('audit.operation_id', true), '');
+BEGIN
+  IF TG_OP = 'UPDATE' AND v_before - 'updated_at' = v_after - 'updated_at' THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_operation_id IS NULL THEN
+    v_operation_id := gen_random_uuid()::TEXT;
+    PERFORM set_config('audit.operation_id', v_operation_id, true);
+  END IF;
+
+  INSERT INTO audit_log (
+    operation_id, user_id, actor_id, table_name, record_id, action, before, after,
+    source, input_text, transcription, extracted
+  )
+  VALUES (
+    COALESCE(NULLIF(v_context->>'operation_id', ''), v_operation_id)::UUID,
+    (v_row->>'user_id')::UUID,
+    COALESCE(auth.uid(), NULLIF(v_context->>'actor_id', '')::UUID),
+    TG_TABLE_NAME,
+    (v_row->>'id')::UUID,
+    CASE
+      WHEN TG_OP = 'INSERT' THEN 'create'
+      WHEN TG_OP = 'DELETE' THEN 'delete'
+      WHEN v_before->>'deleted_at' IS NULL AND v_after->>'deleted_at' IS NOT NULL THEN 'delete'
+      WHEN v_before->>'deleted_at' IS NOT NULL AND v_after->>'deleted_at' IS NULL THEN 'restore'
+      ELSE 'update'
+    END,
+    v_before,
+    v_after,
+    COALESCE(v_context->>'source', 'system'),
+    v_context->>'input_text',
+    v_context->>'transcription',
+    v_context->'extracted'
+  );
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER audit_transactions
+  AFTER INSERT OR UPDATE OR DELETE ON transactions
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit();
+
+CREATE TRIGGER audit_loans
+  AFTER INSERT OR UPDATE OR DELETE ON loans
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit();
+
+-- A new loan's schedule isn't logged row by row; it is hidden and shown
+-- again with its loan
+CREATE TRIGGER audit_loan_installments
+  AFTER UPDATE OR DELETE ON loan_installments
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit();
+
+CREATE TRIGGER audit_loan_repayments
+  AFTER INSERT OR DELETE ON loan_repayments
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit();
+
+-- Soft-delete a loan and the transactions linked to it.
+-- Returns the loan, or NULL if the user has no such (undeleted) loan.
+CREATE OR REPLACE FUNCTION delete_loan(p_user_id UUID, p_loan_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_loan loans;
+BEGIN
+  UPDATE loans
+  SET deleted_at = NOW()
+  WHERE id = p_loan_id AND user_id = p_user_id AND deleted_at IS NULL
+  RETURNING * INTO v_loan;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE transactions
+  SET deleted_at = v_loan.deleted_at
+  WHERE loan_id = p_loan_id AND deleted_at IS NULL;
+
+  RETURN to_jsonb(v_loan);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION delete_loan(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_loan(UUID, UUID) TO service_role;
+
+-- Restore a deleted loan with the transactions deleted with it
+-- (transactions deleted on their own before stay deleted).
+-- Returns the loan, or NULL if the user has no such deleted loan.
+CREATE OR REPLACE FUNCTION restore_loan(p_user_id UUID, p_loan_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_loan loans;
+BEGIN
+  SELECT * INTO v_loan
+  FROM loans
+  WHERE id = p_loan_id AND user_id = p_user_id AND deleted_at IS NOT NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE transactions
+  SET deleted_at = NULL
+  WHERE loan_id = p_loan_id AND deleted_at = v_loan.deleted_at;
+
+  UPDATE loans
+  SET deleted_at = NULL
+  WHERE id = p_loan_id
+  RETURNING * INTO v_loan;
+
+  RETURN to_jsonb(v_loan);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION restore_loan(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION restore_loan(UUID, UUID) TO service_role;
+
+-- Roll back an import: a committed batch is marked rolled back and its
+-- transactions are deleted (soft) together; a batch still in preview is
+-- discarded. Returns { batch, removed }, or NULL if the user has no such
+-- batch (or it was already rolled back).
+CREATE OR REPLACE FUNCTION rollback_import_batch(p_user_id UUID, p_batch_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_batch import_batches;
+  v_removed INTEGER;
+BEGIN
+  DELETE FROM import_batches
+  WHERE id = p_batch_id AND user_id = p_user_id AND status = 'preview'
+  RETURNING * INTO v_batch;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object('batch', to_jsonb(v_batch), 'removed', 0);
+  END IF;
+
+  UPDATE import_batches
+  SET status = 'rolled_back', rolled_back_at = NOW()
+  WHERE id = p_batch_id AND user_id = p_user_id AND status = 'committed'
+  RETURNING * INTO v_batch;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE transactions
+  SET deleted_at = v_batch.rolled_back_at
+  WHERE user_id = p_user_id AND import_batch_id = p_batch_id AND deleted_at IS NULL;
+  GET DIAGNOSTICS v_removed = ROW_COUNT;
+
+  RETURN jsonb_build_object('batch', to_jsonb(v_batch), 'removed', v_removed);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION rollback_import_batch(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rollback_import_batch(UUID, UUID) TO service_role;
+
+-- Undo one operation: its changes are reverted newest first. Created
+-- transactions and loans are deleted (soft), a payment's repayment row is
+-- removed, and the columns an update or delete set are put back as they
+-- were, which also reverses a payment's loan balance and installments.
+-- Those columns must still hold what the operation wrote; if one changed
+-- since, nothing is undone and NULL is returned. A loan's balance and next
+-- installment date are kept up to date by the scheduler, so they aren't
+-- checked: the balance is moved back by what the operation changed it by.
+-- The reverting writes are logged as their own operation with p_context.
+-- Returns the changes reverted: [{ table_name, record_id, action }].
+CREATE OR REPLACE FUNCTION undo_operation(p_user_id UUID, p_operation_id UUID, p_context JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_scheduled CONSTANT TEXT[] := ARRAY['remaining_balance', 'next_installment_date'];
+  v_entry audit_log;
+  v_current JSONB;
+  v_changed TEXT[];
+  v_target JSONB;
+  v_columns TEXT;
+  v_reverted JSONB := '[]';
+BEGIN
+  PERFORM set_config('audit.context', p_context::TEXT, true);
+  PERFORM set_config('audit.operation_id', gen_random_uuid()::TEXT, true);
+
+  BEGIN
+    FOR v_entry IN
+      SELECT * FROM audit_log
+      WHERE operation_id = p_operation_id AND user_id = p_user_id AND undone_at IS NULL
+      ORDER BY id DESC
+    LOOP
+      EXECUTE format('SELECT to_jsonb(r) FROM %I r WHERE id = $1 FOR UPDATE', v_entry.table_name)
+        INTO v_current
+        USING v_entry.record_id;
+
+      IF v_entry.after IS NULL THEN
+        -- Deleted outright: insert it again
+        IF v_current IS NOT NULL THEN
+          RAISE EXCEPTION 'Row % was added again since', v_entry.record_id;
+        END IF;
+        EXECUTE format('INSERT INTO %I SELECT * FROM jsonb_populate_record(NULL::%I, $1)',
+          v_entry.table_name, v_entry.table_name)
+          USING v_entry.before;
+      ELSE
+        -- The columns the operation set (all of them for a new row)
+        SELECT COALESCE(array_agg(key), '{}') INTO v_changed
+        FROM jsonb_object_keys(v_entry.after) AS key
+        WHERE key NOT IN ('id', 'created_at', 'updated_at')
+          AND (v_entry.before IS NULL OR v_entry.before->key IS DISTINCT FROM v_entry.after->key);
+
+        IF v_current IS NULL OR EXISTS (
+          SELECT 1 FROM unnest(v_changed) AS key
+          WHERE NOT (v_entry.table_name = 'loans' AND key = ANY (v_scheduled))
+            AND v_current->key IS DISTINCT FROM v_entry.after->key
+        ) THEN
+          RAISE EXCEPTION 'Row % changed since', v_entry.record_id;
+        END IF;
+
+        IF v_entry.before IS NULL AND v_entry.table_name = 'loan_repayments' THEN
+          DELETE FROM loan_repayments WHERE id = v_entry.record_id;
+        ELSIF v_entry.before IS NULL THEN
+          EXECUTE format('UPDATE %I SET deleted_at = NOW() WHERE id = $1', v_entry.table_name)
+            USING v_entry.record_id;
+        ELSE
+          SELECT v_current || jsonb_object_agg(key, v_entry.before->key) INTO v_target
+          FROM unnest(v_changed) AS key;
+
+          IF v_entry.table_name = 'loans' AND 'remaining_balance' = ANY (v_changed) THEN
+            v_target := jsonb_set(v_target, '{remaining_balance}', to_jsonb(
+              (v_current->>'remaining_balance')::NUMERIC
+                + (v_entry.before->>'remaining_balance')::NUMERIC
+                - (v_entry.after->>'remaining_balance')::NUMERIC
+            ));
+          END IF;
+
+          SELECT string_agg(quote_ident(key), ', ') INTO v_columns FROM unnest(v_changed) AS key;
+          EXECUTE format('UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id = $2',
+            v_entry.table_name, v_columns, v_columns, v_entry.table_name)
+            USING v_target, v_entry.record_id;
+        END IF;
+      END IF;
+
+      v_reverted := v_reverted || jsonb_build_object(
+        'table_name', v_entry.table_name,
+        'record_id', v_entry.record_id,
+        'action', v_entry.action
+      );
+    END LOOP;
+  EXCEPTION WHEN raise_exception OR foreign_key_violation OR unique_violation OR check_violation THEN
+    RETURN NULL;
+  END;
+
+  -- An undone import is rolled back like rollback_import_batch does, so
+  -- the batch doesn't stay committed with its transactions deleted
+  UPDATE import_batches
+  SET status = 'rolled_back', rolled_back_at = NOW()
+  WHERE user_id = p_user_id AND status = 'committed' AND id IN (
+    SELECT (after->>'import_batch_id')::UUID
+    FROM audit_log
+    WHERE operation_id = p_operation_id AND table_name = 'transactions' AND action = 'create'
+  );
+
+  UPDATE audit_log
+  SET undone_at = NOW()
+  WHERE operation_id = p_operation_id AND user_id = p_user_id;
+
+  RETURN v_reverted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION undo_operation(UUID, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION undo_operation(UUID, UUID, JSONB) TO service_role;
+
+-- Undo the user's last p_count operations, newest first, skipping ones
+-- already undone, undos themselves and writes the user didn't make (the
+-- scheduler's, "system"). Stops at the first operation that can't be
+-- undone. Returns { undone: [{ operation_id, source, created_at, changes }],
+-- conflict: the operation id that stopped it, or null }.
+CREATE OR REPLACE FUNCTION undo_changes(p_user_id UUID, p_count INTEGER, p_context JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_operation RECORD;
+  v_changes JSONB;
+  v_undone JSONB := '[]';
+BEGIN
+  FOR v_operation IN
+    SELECT operation_id, MIN(source) AS source, MAX(created_at) AS created_at, MAX(id) AS last_id
+    FROM audit_log
+    WHERE user_id = p_user_id
+      AND undone_at IS NULL
+      AND source NOT IN ('undo', 'scheduler', 'system')
+    GROUP BY operation_id
+    ORDER BY last_id DESC
+    LIMIT p_count
+  LOOP
+    v_changes := undo_operation(p_user_id, v_operation.operation_id, p_context);
+    IF v_changes IS NULL THEN
+      RETURN jsonb_build_object('undone', v_undone, 'conflict', v_operation.operation_id);
+    END IF;
+
+    v_undone := v_undone || jsonb_build_object(
+      'operation_id', v_operation.operation_id,
+      'source', v_operation.source,
+      'created_at', v_operation.created_at,
+      'changes', v_changes
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object('undone', v_undone, 'conflict', NULL);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION undo_changes(UUID, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION undo_changes(UUID, INTEGER, JSONB) TO service_role;
+
+-- Deleted transactions are left out of the summaries, account balances
+-- and ledger balances
+CREATE OR REPLACE VIEW transaction_summary AS
+SELECT
+  user_id,
+  DATE_TRUNC('month', date) as month,
+  type,
+  category,
+  currency,
+  SUM(amount) as total_amount,
+  COUNT(*) as transaction_count
+FROM transactions
+WHERE type <> 'transfer' AND deleted_at IS NULL
+GROUP BY user_id, DATE_TRUNC('month', date), type, category, currency;
+
+CREATE OR REPLACE FUNCTION summarize_transactions(
+  p_user_id UUID,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  currency VARCHAR,
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT t.currency, t.category, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND t.deleted_at IS NULL
+    AND (p_start_date IS NULL OR t.date >= p_start_date)
+    AND (p_end_date IS NULL OR t.date <= p_end_date)
+  GROUP BY t.currency, t.category, t.type;
+$$;
+
+CREATE OR REPLACE FUNCTION transaction_time_series(
+  p_user_id UUID,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT DATE_TRUNC(p_interval, t.date)::DATE, t.currency, t.type, SUM(t.amount), COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND t.deleted_at IS NULL
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+CREATE OR REPLACE FUNCTION summarize_transactions_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE DEFAULT NULL,
+  p_end_date DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  category VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT,
+  unconverted_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    c.category,
+    c.type,
+    COALESCE(SUM(c.home_amount), 0),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE c.home_amount IS NULL)
+  FROM (
+    SELECT t.category, t.type,
+      convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date) AS home_amount
+    FROM transactions t
+    WHERE t.user_id = p_user_id
+      AND t.type <> 'transfer'
+      AND t.deleted_at IS NULL
+      AND (p_start_date IS NULL OR t.date >= p_start_date)
+      AND (p_end_date IS NULL OR t.date <= p_end_date)
+  ) c
+  GROUP BY c.category, c.type;
+$$;
+
+CREATE OR REPLACE FUNCTION transaction_time_series_home(
+  p_user_id UUID,
+  p_home_currency VARCHAR,
+  p_start_date DATE,
+  p_end_date DATE,
+  p_interval TEXT DEFAULT 'day'
+)
+RETURNS TABLE (
+  bucket DATE,
+  currency VARCHAR,
+  type VARCHAR,
+  total_amount NUMERIC,
+  transaction_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    DATE_TRUNC(p_interval, t.date)::DATE,
+    UPPER(p_home_currency)::VARCHAR,
+    t.type,
+    COALESCE(SUM(convert_amount(p_user_id, t.amount, t.currency, p_home_currency, t.date)), 0),
+    COUNT(*)
+  FROM transactions t
+  WHERE t.user_id = p_user_id
+    AND t.type <> 'transfer'
+    AND t.deleted_at IS NULL
+    AND t.date BETWEEN p_start_date AND p_end_date
+    AND p_interval IN ('day', 'month')
+  GROUP BY 1, 2, 3
+  ORDER BY 1;
+$$;
+
+CREATE OR REPLACE FUNCTION account_entries(p_user_id UUID)
+RETURNS TABLE (
+  account_id UUID,
+  transaction_id UUID,
+  change NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT a.id, t.id,
+    CASE WHEN t.type = 'income' THEN 1 ELSE -1 END
+      * COALESCE(convert_amount(p_user_id, t.amount, t.currency, a.currency, t.date), t.amount)
+  FROM transactions t
+  JOIN accounts a ON a.id = t.account_id
+  WHERE t.user_id = p_user_id AND t.deleted_at IS NULL
+  UNION ALL
+  SELECT a.id, t.id,
+    COALESCE(t.to_amount, convert_amount(p_user_id, t.amount, t.currency, a.currency, t.date), t.amount)
+  FROM transactions t
+  JOIN accounts a ON a.id = t.to_account_id
+  WHERE t.user_id = p_user_id AND t.type = 'transfer' AND t.deleted_at IS NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION ledger_balances(p_ledger_id UUID)
+RETURNS TABLE (
+  member_id UUID,
+  currency VARCHAR,
+  balance NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT e.member_id, e.currency, SUM(e.change)
+  FROM (
+    SELECT t.paid_by_member_id AS member_id, t.currency, s.amount AS change
+    FROM transaction_splits s
+    JOIN transactions t ON t.id = s.transaction_id
+    WHERE s.ledger_id = p_ledger_id AND t.deleted_at IS NULL
+    UNION ALL
+    SELECT s.member_id, t.currency, -s.amount
+    FROM transaction_splits s
+    JOIN transactions t ON t.id = s.transaction_id
+    WHERE s.ledger_id = p_ledger_id AND t.deleted_at IS NULL
+    UNION ALL
+    SELECT from_member_id, currency, amount
+    FROM ledger_settlements
+    WHERE ledger_id = p_ledger_id
+    UNION ALL
+    SELECT to_member_id, currency, -amount
+    FROM ledger_settlements
+    WHERE ledger_id = p_ledger_id
+  ) e
+  GROUP BY e.member_id, e.currency;
+$$;
+
+-- Payments only apply to loans that aren't deleted
+CREATE OR REPLACE FUNCTION apply_loan_payment(
+  p_user_id UUID,
+  p_loan_id UUID,
+  p_expected_total_paid NUMERIC,
+  p_loan JSONB,
+  p_installments JSONB,
+  p_transaction JSONB,
+  p_repayment JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_loan loans;
+  v_transaction transactions;
+  v_repayment loan_repayments;
+BEGIN
+  SELECT * INTO v_loan
+  FROM loans
+  WHERE id = p_loan_id AND user_id = p_user_id AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_loan.status <> 'active'
+    OR COALESCE(v_loan.total_paid, 0) <> p_expected_total_paid THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE loans l
+  SET total_paid = r.total_paid,
+    principal_paid = COALESCE(r.principal_paid, l.principal_paid),
+    interest_paid = COALESCE(r.interest_paid, l.interest_paid),
+    remaining_balance = r.remaining_balance,
+    status = r.status
+  FROM jsonb_populate_record(NULL::loans, p_loan) r
+  WHERE l.id = p_loan_id
+  RETURNING l.* INTO v_loan;
+
+  UPDATE loan_installments i
+  SET interest_paid = r.interest_paid,
+    principal_paid = r.principal_paid,
+    status = r.status,
+    paid_date = r.paid_date
+  FROM jsonb_populate_recordset(NULL::loan_installments, COALESCE(p_installments, '[]')) r
+  WHERE i.id = r.id AND i.loan_id = p_loan_id;
+
+  INSERT INTO transactions (user_id, amount, currency, category, notes, type, date, account_id, loan_id)
+  SELECT p_user_id, r.amount, r.currency, r.category, r.notes, r.type, r.date, r.account_id, p_loan_id
+  FROM jsonb_populate_record(NULL::transactions, p_transaction) r
+  RETURNING * INTO v_transaction;
+
+  INSERT INTO loan_repayments (
+    loan_id, user_id, transaction_id, amount, principal_amount, interest_amount, currency, date, source
+  )
+  SELECT p_loan_id, p_user_id, v_transaction.id, r.amount, r.principal_amount, r.interest_amount,
+    r.currency, r.date, r.source
+  FROM jsonb_populate_record(NULL::loan_repayments, p_repayment) r
+  RETURNING * INTO v_repayment;
+
+  RETURN jsonb_build_object(
+    'loan', to_jsonb(v_loan),
+    'transaction', to_jsonb(v_transaction),
+    'repayment', to_jsonb(v_repayment)
+  );
+END;
+$$;
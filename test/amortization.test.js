@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  allocatePayment,
+  buildSchedule,
+  calculateInstallment,
+  calculateTenure,
+  summarizeSchedule,
+} from "../services/amortization.js";
+
+const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + row[field], 0) * 100) / 100;
+
+describe("calculateInstallment", () => {
+  it("computes the EMI on a reducing balance", () => {
+    assert.equal(calculateInstallment(100000, 12, 12), 8884.88);
+    assert.equal(calculateInstallment(12000, 0, 12), 1000);
+  });
+
+  it("charges flat interest on the original principal", () => {
+    assert.equal(calculateInstallment(100000, 12, 12, "flat"), 9333.33);
+  });
+});
+
+describe("calculateTenure", () => {
+  it("inverts calculateInstallment", () => {
+    assert.equal(calculateTenure(100000, 12, 8884.88), 12);
+    assert.equal(calculateTenure(100000, 12, 9333.33, "flat"), 12);
+    assert.equal(calculateTenure(12000, 0, 5000), 3);
+  });
+
+  it("is null when the installment never covers the interest", () => {
+    assert.equal(calculateTenure(100000, 12, 1000), null);
+    assert.equal(calculateTenure(100000, 12, 1000, "flat"), null);
+  });
+});
+
+describe("buildSchedule", () => {
+  it("repays the whole principal, the last installment absorbing rounding", () => {
+    const rows = buildSchedule({ principal: 100000, annualRate: 12, months: 12, startDate: "2026-01-31" });
+    assert.equal(rows.length, 12);
+    assert.equal(sum(rows, "principal_due"), 100000);
+    assert.equal(rows[0].interest_due, 1000);
+    assert.equal(rows[11].closing_balance, 0);
+    assert.deepEqual(rows.slice(0, 3).map((row) => row.due_date), ["2026-02-28", "2026-03-31", "2026-04-30"]);
+  });
+
+  it("stops early when a larger installment pays the loan off", () => {
+    const rows = buildSchedule({ principal: 10000, months: 12, startDate: "2026-01-01", installment: 4000 });
+    assert.deepEqual(rows.map((row) => row.principal_due), [4000, 4000, 2000]);
+  });
+});
+
+describe("allocatePayment", () => {
+  const installments = [
+    { id: "a", installment_number: 1, interest_due: 100, principal_due: 900, status: "pending" },
+    { id: "b", installment_number: 2, interest_due: 90, principal_due: 910, status: "pending" },
+  ];
+
+  it("pays interest before principal, installment by installment", () => {
+    const result = allocatePayment(installments, 1200, "2026-02-01");
+    assert.equal(result.interest, 190);
+    assert.equal(result.principal, 1010);
+    assert.equal(result.unallocated, 0);
+    assert.deepEqual(result.updates, [
+      { id: "a", interest_paid: 100, principal_paid: 900, status: "paid", paid_date: "2026-02-01" },
+      { id: "b", interest_paid: 90, principal_paid: 110, status: "partial", paid_date: null },
+    ]);
+  });
+
+  it("returns what is left once everything is paid", () => {
+    assert.equal(allocatePayment(installments, 2500, "2026-02-01").unallocated, 500);
+  });
+});
+
+describe("summarizeSchedule", () => {
+  it("accrues interest on installments already due", () => {
+    const summary = summarizeSchedule(
+      [
+        { installment_number: 1, due_date: "2026-02-01", interest_due: 100, principal_due: 900, interest_paid: 100, principal_paid: 900, status: "paid" },
+        { installment_number: 2, due_date: "2026-03-01", interest_due: 90, principal_due: 910, status: "pending" },
+        { installment_number: 3, due_date: "2026-04-01", interest_due: 80, principal_due: 920, status: "pending" },
+      ],
+      "2026-03-15"
+    );
+    assert.equal(summary.principalOutstanding, 1830);
+    assert.equal(summary.interestAccrued, 90);
+    assert.equal(summary.remainingBalance, 1920);
+    assert.equal(summary.overdueCount, 1);
+    assert.equal(summary.overdueAmount, 1000);
+    assert.equal(summary.nextDue.installment_number, 3);
+    assert.equal(summary.paidOff, false);
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { loadExchangeRatesFile, normalizeCurrency } from "../services/currency.js";
+
+describe("normalizeCurrency", () => {
+  it("maps symbols and words to ISO codes", () => {
+    assert.equal(normalizeCurrency("৳"), "BDT");
+    assert.equal(normalizeCurrency("Tk."), "BDT");
+    assert.equal(normalizeCurrency("টাকা"), "BDT");
+    assert.equal(normalizeCurrency("$"), "USD");
+    assert.equal(normalizeCurrency(" Dollars "), "USD");
+    assert.equal(normalizeCurrency("Rs"), "INR");
+  });
+
+  it("upper-cases three-letter codes", () => {
+    assert.equal(normalizeCurrency("eur"), "EUR");
+    assert.equal(normalizeCurrency("JPY"), "JPY");
+  });
+
+  it("falls back for anything else", () => {
+    assert.equal(normalizeCurrency("bitcoin"), "BDT");
+    assert.equal(normalizeCurrency("", "USD"), "USD");
+    assert.equal(normalizeCurrency(42, "USD"), "USD");
+  });
+});
+
+describe("loadExchangeRatesFile", () => {
+  it("reads one row per currency and date", async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), "rates-"));
+    const file = path.join(dir, "rates.json");
+    try {
+      await writeFile(
+        file,
+        JSON.stringify({ rates: [{ date: "2026-01-01", rates: { usd: 1, BDT: 122 } }, { date: "2026-02-01", rates: { BDT: 121.5 } }] })
+      );
+      assert.deepEqual(loadExchangeRatesFile(file), [
+        { currency: "USD", rate_date: "2026-01-01", units_per_usd: 1 },
+        { currency: "BDT", rate_date: "2026-01-01", units_per_usd: 122 },
+        { currency: "BDT", rate_date: "2026-02-01", units_per_usd: 121.5 },
+      ]);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  it("loads the bundled rates with a dollar rate of 1", () => {
+    const rows = loadExchangeRatesFile();
+    assert.ok(rows.length > 0);
+    assert.ok(rows.filter((row) => row.currency === "USD").every((row) => row.units_per_usd === 1));
+  });
+});
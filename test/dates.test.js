@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  findPeriod,
+  findRelativeDate,
+  isAmbiguousDay,
+  localToday,
+  resolveDate,
+  resolveMonth,
+} from "../services/dates.js";
+
+// A Wednesday
+const TODAY = "2026-03-11";
+
+describe("localToday", () => {
+  it("is the date in the user's timezone", () => {
+    const now = new Date("2026-03-10T20:00:00Z");
+    assert.equal(localToday("Asia/Dhaka", now), "2026-03-11");
+    assert.equal(localToday("America/New_York", now), "2026-03-10");
+    assert.equal(localToday("Not/AZone", now), "2026-03-11");
+  });
+});
+
+describe("findRelativeDate", () => {
+  it("reads relative days in English, Banglish and Bangla", () => {
+    assert.equal(findRelativeDate("spent 200 yesterday", TODAY), "2026-03-10");
+    assert.equal(findRelativeDate("gotokal 500 taka", TODAY), "2026-03-10");
+    assert.equal(findRelativeDate("আগামীকাল দেব", TODAY), "2026-03-12");
+    assert.equal(findRelativeDate("3 days ago", TODAY), "2026-03-08");
+    assert.equal(findRelativeDate("2 দিন আগে", TODAY), "2026-03-09");
+  });
+
+  it("reads weekdays before, on or after today", () => {
+    assert.equal(findRelativeDate("on Friday", TODAY), "2026-03-06");
+    assert.equal(findRelativeDate("last wednesday", TODAY), "2026-03-04");
+    assert.equal(findRelativeDate("wednesday", TODAY), TODAY);
+    assert.equal(findRelativeDate("next monday", TODAY), "2026-03-16");
+  });
+
+  it("doesn't read a bare kal as a day", () => {
+    assert.equal(findRelativeDate("kal 500 taka khoroch", TODAY), null);
+    assert.equal(findRelativeDate("কাল", TODAY), null);
+  });
+});
+
+describe("isAmbiguousDay", () => {
+  it("matches kal on its own only", () => {
+    assert.equal(isAmbiguousDay("kal bazar korlam"), true);
+    assert.equal(isAmbiguousDay("কালকে"), true);
+    assert.equal(isAmbiguousDay("gotokal"), false);
+    assert.equal(isAmbiguousDay("আগামীকাল"), false);
+    assert.equal(isAmbiguousDay("kalbaishakhi"), false);
+  });
+});
+
+describe("findPeriod", () => {
+  const period = (text) => findPeriod(text, TODAY);
+
+  it("resolves named periods", () => {
+    assert.deepEqual(period("how much did I spend last month"), { startDate: "2026-02-01", endDate: "2026-02-28" });
+    assert.deepEqual(period("এই সপ্তাহে"), { startDate: "2026-03-09", endDate: "2026-03-15" });
+    assert.deepEqual(period("goto bochor"), { startDate: "2025-01-01", endDate: "2025-12-31" });
+  });
+
+  it("counts recent periods back from today", () => {
+    assert.deepEqual(period("last 7 days"), { startDate: "2026-03-05", endDate: TODAY });
+    assert.deepEqual(period("past 2 weeks"), { startDate: "2026-02-26", endDate: TODAY });
+    assert.deepEqual(period("last 3 months"), { startDate: "2025-12-12", endDate: TODAY });
+    assert.deepEqual(findPeriod("last 1 month", "2026-03-31"), { startDate: "2026-03-01", endDate: "2026-03-31" });
+  });
+
+  it("resolves months by number or name", () => {
+    assert.deepEqual(period("2025-10"), { startDate: "2025-10-01", endDate: "2025-10-31" });
+    assert.deepEqual(period("in October"), { startDate: "2025-10-01", endDate: "2025-10-31" });
+    assert.deepEqual(period("february"), { startDate: "2026-02-01", endDate: "2026-02-28" });
+    assert.deepEqual(period("march 2024"), { startDate: "2024-03-01", endDate: "2024-03-31" });
+    assert.deepEqual(period("in may"), { startDate: "2025-05-01", endDate: "2025-05-31" });
+    assert.equal(period("may I see"), null);
+  });
+
+  it("resolves single days", () => {
+    assert.deepEqual(period("yesterday"), { startDate: "2026-03-10", endDate: "2026-03-10" });
+    assert.deepEqual(period("on 2026-01-05"), { startDate: "2026-01-05", endDate: "2026-01-05" });
+    assert.equal(period("2026-02-30"), null);
+    assert.equal(period("kal"), null);
+    assert.equal(period("sometime"), null);
+  });
+});
+
+describe("resolveDate and resolveMonth", () => {
+  it("accept dates or relative expressions", () => {
+    assert.equal(resolveDate("2026-01-05", TODAY), "2026-01-05");
+    assert.equal(resolveDate("ajke", TODAY), TODAY);
+    assert.equal(resolveDate("", TODAY), null);
+    assert.equal(resolveMonth("2026-04", TODAY), "2026-04");
+    assert.equal(resolveMonth("next month", TODAY), "2026-04");
+    assert.equal(resolveMonth("গত মাস", TODAY), "2026-02");
+    assert.equal(resolveMonth("someday", TODAY), null);
+  });
+});
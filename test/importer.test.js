@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { categorizeByKeywords, parseAmount } from "../services/importer.js";
+
+describe("parseAmount", () => {
+  it("strips a currency prefix before reading the number", () => {
+    assert.equal(parseAmount("Tk. 300"), 300);
+    assert.equal(parseAmount("TK.1,500"), 1500);
+    assert.equal(parseAmount("BDT. 1,500.00"), 1500);
+    assert.equal(parseAmount("৳1,000"), 1000);
+    assert.equal(parseAmount("500 BDT"), 500);
+  });
+
+  it("reads thousands separators and decimal commas", () => {
+    assert.equal(parseAmount("1,250.00"), 1250);
+    assert.equal(parseAmount("1.250,00"), 1250);
+    assert.equal(parseAmount("1,00,000"), 100000);
+    assert.equal(parseAmount("12,50"), 12.5);
+  });
+
+  it("reads the sign from parentheses, a minus or a Dr suffix", () => {
+    assert.equal(parseAmount("(500)"), -500);
+    assert.equal(parseAmount("-45.5"), -45.5);
+    assert.equal(parseAmount("200 Dr"), -200);
+    assert.equal(parseAmount("200 Cr"), 200);
+  });
+
+  it("rejects what isn't a plain amount", () => {
+    assert.equal(parseAmount("Rs. 300"), null);
+    assert.equal(parseAmount("abc"), null);
+    assert.equal(parseAmount(""), null);
+    assert.equal(parseAmount(null), null);
+  });
+});
+
+describe("categorizeByKeywords", () => {
+  it("matches keywords as whole words", () => {
+    assert.equal(categorizeByKeywords("Business lunch"), "food");
+    assert.equal(categorizeByKeywords("Books from Rokomari"), "education");
+    assert.equal(categorizeByKeywords("Loan EMI"), "loan_repayment");
+  });
+
+  it("ignores keywords inside other words", () => {
+    assert.equal(categorizeByKeywords("Premium subscription"), null);
+    assert.equal(categorizeByKeywords("Academic fee"), null);
+    assert.equal(categorizeByKeywords("Current account interest"), null);
+    assert.equal(categorizeByKeywords("Facebook ads"), null);
+    assert.equal(categorizeByKeywords("Small items"), null);
+  });
+});
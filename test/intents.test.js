@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MAX_AMOUNT, findOutlier, summarizeAmountHistory, validateIntent } from "../services/intents.js";
+
+const TODAY = "2026-03-11";
+
+const fields = (result) => result.errors.map((error) => error.field);
+
+describe("validateIntent", () => {
+  it("coerces amounts and resolves relative dates", () => {
+    const { values, errors } = validateIntent(
+      { intent: "transaction", amount: "১,২০০", currency: "BDT", category: "food", type: "expense", date: "yesterday" },
+      { today: TODAY }
+    );
+    assert.deepEqual(errors, []);
+    assert.equal(values.amount, 1200);
+    assert.equal(values.date, "2026-03-10");
+  });
+
+  it("files categories the model made up under other", () => {
+    const intent = { intent: "transaction", amount: 50, currency: "BDT", type: "expense", date: TODAY };
+    assert.equal(validateIntent({ ...intent, category: "snacks" }, { today: TODAY }).values.category, "other");
+    assert.equal(
+      validateIntent({ ...intent, category: "snacks" }, { today: TODAY, categories: [{ name: "snacks" }] }).values.category,
+      "snacks"
+    );
+  });
+
+  it("rejects amounts, currencies and types that can't be right", () => {
+    const result = validateIntent(
+      { intent: "transaction", amount: MAX_AMOUNT * 10, currency: "taka", category: "food", type: "spend", date: TODAY },
+      { today: TODAY }
+    );
+    assert.deepEqual(fields(result), ["amount", "currency", "type"]);
+    assert.deepEqual(fields(validateIntent({ intent: "transaction", amount: -5, currency: "BDT", type: "expense" }, { today: TODAY })), ["amount"]);
+  });
+
+  it("asks which day a bare kal is", () => {
+    const result = validateIntent(
+      { intent: "transaction", amount: 500, currency: "BDT", category: "food", type: "expense", date: "kal" },
+      { today: TODAY }
+    );
+    assert.deepEqual(result.errors, [{ field: "date", message: 'date "kal" can be yesterday or tomorrow' }]);
+  });
+
+  it("checks loan terms and recurring rules", () => {
+    const loan = validateIntent(
+      { intent: "new_loan", principal_amount: 50000, currency: "BDT", interest_rate: 120, tenure_months: 2.5, date: TODAY },
+      { today: TODAY }
+    );
+    assert.deepEqual(fields(loan), ["interest_rate", "tenure_months"]);
+
+    const recurring = validateIntent(
+      { intent: "recurring", amount: 1200, currency: "BDT", category: "rent", type: "expense", frequency: "fortnightly", start_date: "2026-04-01", end_date: "2026-03-01" },
+      { today: TODAY }
+    );
+    assert.deepEqual(fields(recurring), ["frequency", "end_date"]);
+  });
+
+  it("works out the dates of a query's period", () => {
+    const { values, errors } = validateIntent({ intent: "query", period: "গত মাসে" }, { today: TODAY });
+    assert.deepEqual(errors, []);
+    assert.equal(values.start_date, "2026-02-01");
+    assert.equal(values.end_date, "2026-02-28");
+    assert.deepEqual(fields(validateIntent({ intent: "query", period: "whenever" }, { today: TODAY })), ["period"]);
+  });
+});
+
+describe("findOutlier", () => {
+  const history = summarizeAmountHistory(
+    [100, 120, 150, 90, 200, 110].map((amount) => ({ type: "expense", category: "food", currency: "BDT", amount }))
+  );
+  const intent = (amount, category = "food") => ({ intent: "transaction", type: "expense", currency: "BDT", category, amount });
+
+  it("flags amounts far above the usual ones for the category", () => {
+    assert.deepEqual(findOutlier(intent(5000), history), {
+      field: "amount",
+      message: "amount is more than 10 times the usual food amount",
+      typical: 115,
+      category: "food",
+    });
+    assert.equal(findOutlier(intent(1000), history), null);
+  });
+
+  it("falls back to the type without enough category history", () => {
+    assert.equal(findOutlier(intent(5000, "transport"), history).category, null);
+    assert.equal(findOutlier({ ...intent(5000), currency: "USD" }, history), null);
+    assert.equal(findOutlier({ ...intent(5000), intent: "new_loan" }, history), null);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  categoryLabel,
+  detectLanguage,
+  localizeDigits,
+  normalizeNumberWords,
+  resolveLanguage,
+  toAsciiDigits,
+} from "../services/language.js";
+
+describe("normalizeNumberWords", () => {
+  it("reads Bangla number words", () => {
+    assert.equal(normalizeNumberWords("পাঁচশো টাকা খরচ"), "500 টাকা খরচ");
+    assert.equal(normalizeNumberWords("দেড় হাজার"), "1500");
+    assert.equal(normalizeNumberWords("আড়াই হাজার টাকা"), "2500 টাকা");
+  });
+
+  it("reads Banglish number words and lakh", () => {
+    assert.equal(normalizeNumberWords("sare tin hajar"), "3500");
+    assert.equal(normalizeNumberWords("2.5 lakh"), "250000");
+  });
+
+  it("turns Bangla digits into ASCII ones", () => {
+    assert.equal(normalizeNumberWords("১২০ taka"), "120 taka");
+  });
+
+  it("leaves plain numbers and other words alone", () => {
+    assert.equal(normalizeNumberWords("ami 500 taka khoroch korlam"), "ami 500 taka khoroch korlam");
+    assert.equal(normalizeNumberWords("paid 300, 400"), "paid 300, 400");
+  });
+});
+
+describe("detectLanguage", () => {
+  it("treats Bangla script and Banglish as Bangla", () => {
+    assert.equal(detectLanguage("১২০ taka"), "bn");
+    assert.equal(detectLanguage("ami 500 taka khoroch korlam"), "bn");
+    assert.equal(detectLanguage("bought lunch for 200"), "en");
+    assert.equal(detectLanguage(""), "en");
+  });
+});
+
+describe("resolveLanguage", () => {
+  it("prefers a request, then the preference, then the speech language, then the text", () => {
+    assert.equal(resolveLanguage({ requested: "en", preference: "bn" }), "en");
+    assert.equal(resolveLanguage({ preference: "bn", detected: "en" }), "bn");
+    assert.equal(resolveLanguage({ preference: "auto", detected: "bn", text: "hi" }), "bn");
+    assert.equal(resolveLanguage({ preference: "auto", text: "ami aj bazar korlam" }), "bn");
+  });
+});
+
+describe("digits and labels", () => {
+  it("converts digits both ways", () => {
+    assert.equal(toAsciiDigits("১২৩"), "123");
+    assert.equal(localizeDigits("BDT 1250.50", "bn"), "BDT ১২৫০.৫০");
+    assert.equal(localizeDigits("BDT 1250.50", "en"), "BDT 1250.50");
+  });
+
+  it("names categories in the reply language", () => {
+    assert.equal(categoryLabel("food", "bn"), "খাবার");
+    assert.equal(categoryLabel("food", "en"), "food");
+    assert.equal(categoryLabel("custom_category", "bn"), "custom_category");
+  });
+});
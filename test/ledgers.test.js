@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { hasRole, matchMembers, settleUp, splitEqually } from "../services/ledgers.js";
+
+describe("splitEqually", () => {
+  it("gives the leftover cents to the first members", () => {
+    assert.deepEqual(splitEqually(100, ["a", "b", "c"]), [
+      { member_id: "a", amount: 33.34 },
+      { member_id: "b", amount: 33.33 },
+      { member_id: "c", amount: 33.33 },
+    ]);
+  });
+
+  it("always adds up to the amount", () => {
+    const shares = splitEqually("1000.07", ["a", "b", "c", "d", "e", "f", "g"]);
+    assert.equal(Math.round(shares.reduce((total, share) => total + share.amount * 100, 0)), 100007);
+  });
+});
+
+describe("settleUp", () => {
+  it("has the biggest debtor pay the biggest creditor first", () => {
+    assert.deepEqual(
+      settleUp([
+        { member_id: "a", currency: "BDT", balance: "600" },
+        { member_id: "b", currency: "BDT", balance: "-450" },
+        { member_id: "c", currency: "BDT", balance: "-150" },
+      ]),
+      [
+        { from_member_id: "b", to_member_id: "a", amount: 450, currency: "BDT" },
+        { from_member_id: "c", to_member_id: "a", amount: 150, currency: "BDT" },
+      ]
+    );
+  });
+
+  it("settles each currency on its own and skips settled members", () => {
+    assert.deepEqual(
+      settleUp([
+        { member_id: "a", currency: "BDT", balance: 100 },
+        { member_id: "b", currency: "BDT", balance: -100 },
+        { member_id: "a", currency: "USD", balance: -12.5 },
+        { member_id: "b", currency: "USD", balance: 12.5 },
+        { member_id: "c", currency: "USD", balance: 0 },
+      ]),
+      [
+        { from_member_id: "b", to_member_id: "a", amount: 100, currency: "BDT" },
+        { from_member_id: "a", to_member_id: "b", amount: 12.5, currency: "USD" },
+      ]
+    );
+  });
+});
+
+describe("hasRole", () => {
+  it("ranks owners above editors above viewers", () => {
+    assert.equal(hasRole({ role: "owner" }, "editor"), true);
+    assert.equal(hasRole({ role: "viewer" }, "editor"), false);
+    assert.equal(hasRole(null, "viewer"), false);
+  });
+});
+
+describe("matchMembers", () => {
+  it("matches each name or says why it couldn't", () => {
+    const members = [{ name: "Rahim Uddin" }, { name: "Karim" }];
+    const { members: matched, unmatched } = matchMembers(members, ["rahim", "Zara"]);
+    assert.deepEqual(matched, [members[0]]);
+    assert.equal(unmatched.length, 1);
+    assert.equal(unmatched[0].name, "Zara");
+    assert.equal(unmatched[0].reason, "no_match");
+  });
+});
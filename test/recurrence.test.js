@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { advanceDate, firstOccurrence, nextOccurrenceFrom } from "../services/recurrence.js";
+
+describe("advanceDate", () => {
+  it("moves daily and weekly rules by whole intervals", () => {
+    assert.equal(advanceDate("2026-12-30", "daily", { interval: 3 }), "2027-01-02");
+    assert.equal(advanceDate("2026-02-24", "weekly"), "2026-03-03");
+  });
+
+  it("clamps monthly rules to the last day of short months", () => {
+    assert.equal(advanceDate("2026-01-31", "monthly"), "2026-02-28");
+    assert.equal(advanceDate("2026-02-28", "monthly", { dayOfMonth: 31 }), "2026-03-31");
+    assert.equal(advanceDate("2026-11-30", "monthly", { interval: 3, dayOfMonth: 30 }), "2027-02-28");
+  });
+
+  it("keeps yearly rules on the 29th of February in leap years", () => {
+    assert.equal(advanceDate("2028-02-29", "yearly"), "2029-02-28");
+    assert.equal(advanceDate("2029-02-28", "yearly", { interval: 3, dayOfMonth: 29 }), "2032-02-29");
+  });
+
+  it("rejects unknown frequencies", () => {
+    assert.throws(() => advanceDate("2026-01-01", "hourly"), /Unknown frequency/);
+  });
+});
+
+describe("firstOccurrence", () => {
+  it("waits for next month when the day has passed", () => {
+    assert.equal(firstOccurrence("2026-03-10", "monthly", { dayOfMonth: 5 }), "2026-04-05");
+    assert.equal(firstOccurrence("2026-03-10", "monthly", { dayOfMonth: 25 }), "2026-03-25");
+    assert.equal(firstOccurrence("2026-03-10", "weekly", { dayOfMonth: 5 }), "2026-03-10");
+  });
+});
+
+describe("nextOccurrenceFrom", () => {
+  it("keeps the rule's phase", () => {
+    const rule = { start_date: "2026-01-05", frequency: "weekly", interval_count: 2 };
+    assert.equal(nextOccurrenceFrom(rule, "2026-03-01"), "2026-03-02");
+    assert.equal(nextOccurrenceFrom(rule, "2026-03-03"), "2026-03-16");
+  });
+
+  it("counts from the start date when that is still ahead", () => {
+    const rule = { start_date: "2026-05-01", frequency: "monthly", day_of_month: 15 };
+    assert.equal(nextOccurrenceFrom(rule, "2026-03-01"), "2026-05-15");
+  });
+});
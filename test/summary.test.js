@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { compareSummaries, fillTimeSeries, percentChange, resolvePeriod } from "../services/summary.js";
+
+describe("resolvePeriod", () => {
+  it("resolves a month and the month before it", () => {
+    assert.deepEqual(resolvePeriod({ period: "month", date: "2026-03-15" }), {
+      period: "month",
+      startDate: "2026-03-01",
+      endDate: "2026-03-31",
+      previous: { startDate: "2026-02-01", endDate: "2026-02-28" },
+      interval: "day",
+    });
+  });
+
+  it("starts weeks on Monday", () => {
+    const week = resolvePeriod({ period: "week", date: "2026-03-15" });
+    assert.equal(week.startDate, "2026-03-09");
+    assert.equal(week.endDate, "2026-03-15");
+    assert.deepEqual(week.previous, { startDate: "2026-03-02", endDate: "2026-03-08" });
+  });
+
+  it("compares a custom range with the range of equal length before it", () => {
+    const range = resolvePeriod({ period: "custom", startDate: "2026-01-10", endDate: "2026-01-19" });
+    assert.deepEqual(range.previous, { startDate: "2025-12-31", endDate: "2026-01-09" });
+  });
+
+  it("switches to monthly points for ranges longer than a quarter", () => {
+    assert.equal(resolvePeriod({ period: "year", date: "2026-06-01" }).interval, "month");
+    assert.equal(resolvePeriod({ period: "day", date: "2026-06-01" }).interval, "day");
+  });
+
+  it("rejects unknown periods", () => {
+    assert.throws(() => resolvePeriod({ period: "decade" }), /Unknown period/);
+  });
+});
+
+describe("percentChange", () => {
+  it("is relative to the size of the previous value", () => {
+    assert.equal(percentChange(150, 100), 50);
+    assert.equal(percentChange(-50, -100), 50);
+    assert.equal(percentChange(100, 0), null);
+  });
+});
+
+describe("compareSummaries", () => {
+  it("compares every currency in either summary", () => {
+    const comparison = compareSummaries(
+      { currencies: { BDT: { totalExpense: 200, totalIncome: 0, balance: -200 } } },
+      { currencies: { USD: { totalExpense: 10, totalIncome: 0, balance: -10 } } }
+    );
+    assert.equal(comparison.BDT.previousExpense, 0);
+    assert.equal(comparison.BDT.expenseChange, null);
+    assert.equal(comparison.USD.expenseChange, -100);
+  });
+});
+
+describe("fillTimeSeries", () => {
+  it("adds empty points for days without transactions", () => {
+    const series = fillTimeSeries(
+      [{ currency: "BDT", bucket: "2026-03-02", type: "expense", total_amount: "120.50" }],
+      "2026-03-01",
+      "2026-03-03",
+      "day"
+    );
+    assert.deepEqual(series, {
+      BDT: [
+        { period: "2026-03-01", expense: 0, income: 0 },
+        { period: "2026-03-02", expense: 120.5, income: 0 },
+        { period: "2026-03-03", expense: 0, income: 0 },
+      ],
+    });
+  });
+
+  it("buckets by the first of each month", () => {
+    const series = fillTimeSeries(
+      [{ currency: "BDT", bucket: "2026-02-01", type: "income", total_amount: 5000 }],
+      "2026-01-15",
+      "2026-03-10",
+      "month"
+    );
+    assert.deepEqual(series.BDT.map((point) => [point.period, point.income]), [
+      ["2026-01-01", 0],
+      ["2026-02-01", 5000],
+      ["2026-03-01", 0],
+    ]);
+  });
+});
@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { before, describe, it } from "node:test";
+
+import { PGlite } from "@electric-sql/pglite";
+import { pg_trgm } from "@electric-sql/pglite/contrib/pg_trgm";
+
+import { encodeAuditContext } from "../services/audit.js";
+
+const USER_ID = "00000000-0000-4000-8000-000000000001";
+
+// The migrations run against an in-memory Postgres, with the parts of
+// Supabase they rely on (auth schema, roles) stubbed
+async function createDatabase() {
+  const db = new PGlite({ extensions: { pg_trgm } });
+  await db.exec(`
+    CREATE ROLE anon;
+    CREATE ROLE authenticated;
+    CREATE ROLE service_role;
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (id UUID PRIMARY KEY, email TEXT);
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+      SELECT (NULLIF(current_setting('request.jwt.claims', true), '')::jsonb->>'sub')::UUID
+    $$;
+    CREATE FUNCTION auth.role() RETURNS TEXT LANGUAGE sql STABLE AS $$
+      SELECT NULLIF(current_setting('request.jwt.claims', true), '')::jsonb->>'role'
+    $$;
+  `);
+  await db.exec(await readFile(new URL("../supabase-migrations.sql", import.meta.url), "utf8"));
+  await db.query("INSERT INTO auth.users (id) VALUES ($1)", [USER_ID]);
+  return db;
+}
+
+describe("undo_changes", () => {
+  let db;
+  let loanId;
+
+  // Run a statement as the server would, with its change context in the
+  // X-Audit-Context header (or as another client, with its JWT claims)
+  async function send(context, sql, params, claims = { role: "service_role" }) {
+    const headers = JSON.stringify({ "x-audit-context": encodeAuditContext(context) });
+    await db.query("SELECT set_config('request.headers', $1, false)", [headers]);
+    await db.query("SELECT set_config('request.jwt.claims', $1, false)", [JSON.stringify(claims)]);
+    return (await db.query(sql, params)).rows;
+  }
+
+  const undo = async () =>
+    (await send(null, "SELECT undo_changes($1, 1, $2) AS result", [USER_ID, { source: "undo", actor_id: USER_ID }]))[0]
+      .result;
+
+  const loan = async () => (await db.query("SELECT * FROM loans WHERE id = $1", [loanId])).rows[0];
+
+  before(async () => {
+    db = await createDatabase();
+  });
+
+  async function payFirstInstallment() {
+    const [{ result }] = await send(
+      { source: "manual", actorId: USER_ID },
+      "SELECT create_loan($1, $2) AS result",
+      [
+        {
+          user_id: USER_ID,
+          lender_name: "City Bank",
+          direction: "borrowed",
+          loan_type: "bank",
+          principal_amount: 10000,
+          interest_rate: 0,
+          interest_method: "reducing",
+          tenure_months: 2,
+          monthly_installment: 5000,
+          total_paid: 0,
+          remaining_balance: 10000,
+          currency: "BDT",
+          status: "active",
+          start_date: "2026-01-01",
+          next_installment_date: "2026-02-01",
+          auto_repay: true,
+        },
+        [
+          { installment_number: 1, due_date: "2026-02-01", amount_due: 5000, principal_due: 5000, interest_due: 0, opening_balance: 10000, closing_balance: 5000 },
+          { installment_number: 2, due_date: "2026-03-01", amount_due: 5000, principal_due: 5000, interest_due: 0, opening_balance: 5000, closing_balance: 0 },
+        ],
+      ]
+    );
+    loanId = result.loan.id;
+    const [installment] = (
+      await db.query("SELECT id FROM loan_installments WHERE loan_id = $1 AND installment_number = 1", [loanId])
+    ).rows;
+
+    await send(
+      { source: "text", actorId: USER_ID, inputText: "paid 5000 to City Bank" },
+      "SELECT apply_loan_payment($1, $2, 0, $3, $4, $5, $6)",
+      [
+        USER_ID,
+        loanId,
+        { total_paid: 5000, principal_paid: 5000, interest_paid: 0, remaining_balance: 5000, status: "active" },
+        [{ id: installment.id, principal_paid: 5000, interest_paid: 0, status: "paid", paid_date: "2026-02-01" }],
+        { amount: 5000, currency: "BDT", category: "loan_repayment", notes: "Loan payment to City Bank", type: "expense", date: "2026-02-01" },
+        { amount: 5000, principal_amount: 5000, interest_amount: 0, currency: "BDT", date: "2026-02-01", source: "chat" },
+      ]
+    );
+  }
+
+  it("reverses a loan repayment after the scheduler has updated the loan", async () => {
+    await payFirstInstallment();
+
+    // What refreshLoanBalances and claimLoanInstallment write
+    await send({ source: "scheduler" }, "UPDATE loans SET remaining_balance = 5050 WHERE id = $1", [loanId]);
+    await send({ source: "scheduler" }, "UPDATE loans SET next_installment_date = '2026-03-01' WHERE id = $1", [loanId]);
+
+    const result = await undo();
+    assert.equal(result.conflict, null);
+    assert.equal(result.undone.length, 1);
+    assert.equal(result.undone[0].source, "text");
+
+    const reverted = await loan();
+    assert.equal(Number(reverted.total_paid), 0);
+    assert.equal(Number(reverted.principal_paid), 0);
+    assert.equal(Number(reverted.remaining_balance), 10050);
+    assert.equal(reverted.next_installment_date.toISOString().slice(0, 10), "2026-03-01");
+
+    const { rows: installments } = await db.query(
+      "SELECT status, principal_paid FROM loan_installments WHERE loan_id = $1 ORDER BY installment_number",
+      [loanId]
+    );
+    assert.deepEqual(installments.map((row) => [row.status, Number(row.principal_paid)]), [["pending", 0], ["pending", 0]]);
+
+    const { rows: repayments } = await db.query("SELECT id FROM loan_repayments WHERE loan_id = $1", [loanId]);
+    assert.equal(repayments.length, 0);
+    const { rows: transactions } = await db.query(
+      "SELECT id FROM transactions WHERE loan_id = $1 AND deleted_at IS NULL",
+      [loanId]
+    );
+    assert.equal(transactions.length, 0);
+  });
+
+  it("still refuses when a column the repayment set has changed since", async () => {
+    await payFirstInstallment();
+    await send({ source: "system" }, "UPDATE loans SET total_paid = 6000 WHERE id = $1", [loanId]);
+
+    const result = await undo();
+    assert.deepEqual(result.undone, []);
+    assert.notEqual(result.conflict, null);
+    assert.equal(Number((await loan()).total_paid), 6000);
+  });
+
+  it("rolls back the batch of an import it undoes", async () => {
+    const [batch] = (
+      await db.query("INSERT INTO import_batches (user_id, format, rows) VALUES ($1, 'csv', '[]') RETURNING id", [USER_ID])
+    ).rows;
+    await send({ source: "import", actorId: USER_ID }, "SELECT commit_import_batch($1, $2, $3)", [
+      USER_ID,
+      batch.id,
+      [{ include: true, amount: 120, currency: "BDT", category: "food", notes: "Lunch", type: "expense", date: "2026-02-03" }],
+    ]);
+
+    const result = await undo();
+    assert.equal(result.conflict, null);
+    assert.equal(result.undone[0].source, "import");
+
+    const { rows: batches } = await db.query("SELECT status, rolled_back_at FROM import_batches WHERE id = $1", [batch.id]);
+    assert.equal(batches[0].status, "rolled_back");
+    assert.notEqual(batches[0].rolled_back_at, null);
+    const { rows: transactions } = await db.query(
+      "SELECT id FROM transactions WHERE import_batch_id = $1 AND deleted_at IS NULL",
+      [batch.id]
+    );
+    assert.equal(transactions.length, 0);
+  });
+
+  it("ignores the change context of clients other than the server", async () => {
+    const [transaction] = await send(
+      { source: "scheduler", actorId: "00000000-0000-4000-8000-000000000002" },
+      "INSERT INTO transactions (user_id, amount, category, type, date) VALUES ($1, 40, 'transport', 'expense', '2026-02-04') RETURNING id",
+      [USER_ID],
+      { role: "authenticated", sub: USER_ID }
+    );
+
+    const { rows } = await db.query("SELECT source, actor_id FROM audit_log WHERE record_id = $1", [transaction.id]);
+    assert.deepEqual(rows, [{ source: "api", actor_id: USER_ID }]);
+  });
+});